@@ -1,12 +1,18 @@
 class NewsSourcesAdmin {
     constructor() {
         this.sources = [];
+        this.health = {}; // sourceId -> health summary with recent attempts
+        this.webhooks = [];
+        this.scrapers = [];
+        this.suggestions = []; // Discovery results for the add form
         this.init();
     }
 
     init() {
         this.bindEventListeners();
         this.loadSources();
+        this.loadScrapers();
+        this.loadWebhooks();
         this.updateStats();
     }
 
@@ -20,18 +26,47 @@ class NewsSourcesAdmin {
             e.preventDefault();
             this.saveEditedSource();
         });
+
+        document.getElementById('addWebhookForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addWebhook();
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.logout();
+        });
+    }
+
+    // fetch wrapper that sends expired or missing sessions back to the login page
+    async apiFetch(url, options = {}) {
+        const response = await fetch(url, { credentials: 'same-origin', ...options });
+        if (response.status === 401 || response.status === 403) {
+            window.location.href = `/login.html?next=${encodeURIComponent('/admin.html')}`;
+            throw new Error('Admin sign-in required');
+        }
+        return response;
+    }
+
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            window.location.href = '/';
+        }
     }
 
     async loadSources() {
         try {
             this.showLoading(true);
-            const response = await fetch('/api/sources');
+            const response = await this.apiFetch('/api/sources');
             
             if (!response.ok) {
                 throw new Error('Failed to load sources');
             }
             
             this.sources = await response.json();
+            await this.loadHealth();
             this.renderSourcesTable();
             this.updateStats();
         } catch (error) {
@@ -43,6 +78,60 @@ class NewsSourcesAdmin {
         }
     }
 
+    async loadHealth() {
+        try {
+            const response = await this.apiFetch('/api/sources/health?limit=20');
+            this.health = response.ok ? await response.json() : {};
+        } catch (error) {
+            console.error('Error loading source health:', error);
+            this.health = {};
+        }
+    }
+
+    // Inline SVG of recent attempts: bar height is the article count, red bars are failures, orange bars
+    // fetches robots.txt disallowed, grey bars unchanged pages
+    renderSparkline(attempts) {
+        if (!attempts || attempts.length === 0) {
+            return '<small style="color: #999;">No history</small>';
+        }
+
+        const width = 100;
+        const height = 24;
+        const barWidth = width / attempts.length;
+        const maxCount = Math.max(1, ...attempts.map(a => a.articleCount));
+
+        const bars = attempts.map((attempt, i) => {
+            const blocked = Boolean(attempt.robotsBlocked);
+            const failed = !blocked && Boolean(attempt.error);
+            const unchanged = !failed && attempt.unchanged;
+            const barHeight = failed || blocked ? height : unchanged ? 2 : Math.max(2, Math.round((attempt.articleCount / maxCount) * height));
+            const outcome = blocked ? 'blocked by robots.txt' : failed ? attempt.error : unchanged ? 'unchanged' : attempt.articleCount + ' articles';
+            const label = `${new Date(attempt.timestamp).toLocaleString()}: ${outcome}` +
+                `${attempt.httpStatus ? ` (HTTP ${attempt.httpStatus})` : ''}, ${attempt.durationMs}ms`;
+            const fill = blocked ? '#fd7e14' : failed ? '#dc3545' : unchanged ? '#adb5bd' : '#28a745';
+            return `<rect x="${(i * barWidth).toFixed(1)}" y="${height - barHeight}" width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${barHeight}"` +
+                ` fill="${fill}" opacity="${failed ? 0.5 : 1}"><title>${this.escapeHtml(label)}</title></rect>`;
+        }).join('');
+
+        return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Recent scrape attempts">${bars}</svg>`;
+    }
+
+    renderHealthCell(source) {
+        const health = this.health[source.id];
+        if (!health) {
+            return this.renderSparkline([]);
+        }
+
+        let details = health.quarantined
+            ? `<span class="status-badge status-inactive" title="Next retry ${this.escapeHtml(new Date(health.nextAttemptAt).toLocaleString())}">Quarantined</span>`
+            : health.successRate === null ? '' : `<small style="color: #666;">${health.successRate}% ok</small>`;
+        if (health.blocked) {
+            details = `<span class="status-badge status-robots" title="The site's robots.txt disallows our crawler for this URL">Blocked by robots.txt</span>`;
+        }
+
+        return `${this.renderSparkline(health.attempts)}<br>${details}`;
+    }
+
     loadDefaultSources() {
         // Fallback to hardcoded sources if API fails
         this.sources = [
@@ -87,6 +176,28 @@ class NewsSourcesAdmin {
         this.updateStats();
     }
 
+    // Scraper plugins for the source forms' scraper pickers
+    async loadScrapers() {
+        try {
+            const response = await this.apiFetch('/api/scrapers');
+            if (!response.ok) throw new Error('API request failed');
+            this.scrapers = await response.json();
+        } catch (error) {
+            console.log('Could not load scrapers:', error);
+            this.scrapers = [];
+        }
+
+        document.querySelectorAll('.scraper-select').forEach(select => {
+            select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+            this.scrapers.forEach(scraper => {
+                const option = document.createElement('option');
+                option.value = scraper.id;
+                option.textContent = `${scraper.name} (${scraper.id})`;
+                select.appendChild(option);
+            });
+        });
+    }
+
     renderSourcesTable() {
         const tbody = document.getElementById('sourcesTableBody');
         tbody.innerHTML = '';
@@ -98,6 +209,10 @@ class NewsSourcesAdmin {
                     <strong>${this.escapeHtml(source.name)}</strong>
                     <br>
                     <small style="color: #666;">${this.escapeHtml(source.url)}</small>
+                    ${source.type && source.type !== 'html' ? `<br><small style="color: #666;"><i class="fas fa-rss"></i> ${source.type === 'sitemap' ? 'News sitemap' : `${source.type.toUpperCase()} feed`}</small>` : ''}
+                    ${source.scraper ? `<br><small style="color: #666;"><i class="fas fa-puzzle-piece"></i> ${this.escapeHtml(source.scraper)} scraper</small>` : ''}
+                    ${source.render === 'browser' ? `<br><small style="color: #666;"><i class="fas fa-window-maximize"></i> Browser rendered</small>` : ''}
+                    ${source.rotateUserAgent ? `<br><small style="color: #666;"><i class="fas fa-user-secret"></i> Rotating browser user agents</small>` : ''}
                 </td>
                 <td>
                     <span class="status-badge status-${source.category.toLowerCase()}">
@@ -109,7 +224,12 @@ class NewsSourcesAdmin {
                         ${this.capitalizeFirst(source.status)}
                     </span>
                 </td>
-                <td>${source.articleCount || 0}</td>
+                <td>
+                    ${source.articleCount || 0}
+                    ${source.lastResult === 'unchanged' ? '<br><small style="color: #666;" title="The page hasn\'t changed since the last refresh">Unchanged</small>' : ''}
+                    ${source.lastResult === 'empty' ? '<br><small style="color: #dc3545;">No articles found</small>' : ''}
+                </td>
+                <td>${this.renderHealthCell(source)}</td>
                 <td>
                     <div class="action-buttons">
                         <button class="btn btn-primary" onclick="admin.editSource('${source.id}')">
@@ -171,6 +291,11 @@ class NewsSourcesAdmin {
                 url: formData.url,
                 category: formData.category,
                 status: formData.status || 'testing',
+                type: formData.type || 'html',
+                scraper: formData.scraper || null,
+                render: formData.render || 'http',
+                waitFor: formData.waitFor || null,
+                rotateUserAgent: formData.rotateUserAgent,
                 selectors: formData.selectors ? JSON.parse(formData.selectors) : null,
                 articleCount: 0,
                 lastSuccess: null
@@ -178,7 +303,7 @@ class NewsSourcesAdmin {
 
             // Try to add via API, fallback to local
             try {
-                const response = await fetch('/api/sources', {
+                const response = await this.apiFetch('/api/sources', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
@@ -200,6 +325,8 @@ class NewsSourcesAdmin {
             this.renderSourcesTable();
             this.updateStats();
             this.resetForm('addSourceForm');
+            this.suggestions = [];
+            document.getElementById('discoverySuggestions').innerHTML = '';
             this.showSuccess('Source added successfully!');
 
         } catch (error) {
@@ -208,6 +335,92 @@ class NewsSourcesAdmin {
         }
     }
 
+    // Ask the server how the page in the add form could be scraped
+    async discoverSource() {
+        const url = document.getElementById('sourceUrl').value.trim();
+        const container = document.getElementById('discoverySuggestions');
+        const button = document.getElementById('discoverBtn');
+        if (!url) {
+            this.showError('Enter a URL to discover feeds and selectors');
+            return;
+        }
+
+        this.suggestions = [];
+        container.innerHTML = '<p class="suggestion-meta"><i class="fas fa-spinner fa-spin"></i> Inspecting page...</p>';
+        button.disabled = true;
+
+        try {
+            const response = await this.apiFetch('/api/sources/discover', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    url,
+                    render: document.getElementById('sourceRender').value,
+                    waitFor: document.getElementById('sourceWaitFor').value.trim() || null,
+                    rotateUserAgent: document.getElementById('sourceRotateUserAgent').checked
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Discovery failed');
+            }
+
+            this.suggestions = result.suggestions;
+            this.renderSuggestions();
+        } catch (error) {
+            console.error('Error discovering source:', error);
+            container.innerHTML = '';
+            this.showError(error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    renderSuggestions() {
+        const container = document.getElementById('discoverySuggestions');
+        if (this.suggestions.length === 0) {
+            container.innerHTML = '<p class="suggestion-meta">No feeds or article lists found. Try headless browser loading, or enter selectors by hand.</p>';
+            return;
+        }
+
+        container.innerHTML = this.suggestions.map((suggestion, index) => `
+            <div class="suggestion">
+                <div class="suggestion-header">
+                    <div>
+                        <strong>${this.escapeHtml(suggestion.label)}</strong>
+                        <div class="suggestion-meta">
+                            ${suggestion.articleCount} articles &middot; ${Math.round(suggestion.confidence * 100)}% confidence
+                            ${suggestion.apply.url !== document.getElementById('sourceUrl').value.trim() ? `&middot; ${this.escapeHtml(suggestion.apply.url)}` : ''}
+                        </div>
+                    </div>
+                    <button type="button" class="btn btn-success" onclick="admin.applySuggestion(${index})">
+                        <i class="fas fa-check"></i>
+                        Apply
+                    </button>
+                </div>
+                <ul class="suggestion-preview">
+                    ${suggestion.preview.map(item => `<li>${this.escapeHtml(item.title)}</li>`).join('')}
+                </ul>
+            </div>
+        `).join('');
+    }
+
+    // Fill the add form with a suggestion's URL, type and selectors
+    applySuggestion(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+
+        document.getElementById('sourceUrl').value = suggestion.apply.url;
+        document.getElementById('sourceType').value = suggestion.apply.type;
+        document.getElementById('sourceSelectors').value = suggestion.apply.selectors
+            ? JSON.stringify(suggestion.apply.selectors, null, 2)
+            : '';
+        if (suggestion.apply.type !== 'html') {
+            document.getElementById('sourceRender').value = 'http';
+        }
+        this.showSuccess(`Applied: ${suggestion.label}`);
+    }
+
     editSource(sourceId) {
         const source = this.sources.find(s => s.id === sourceId);
         if (!source) {
@@ -221,6 +434,11 @@ class NewsSourcesAdmin {
         document.getElementById('editSourceUrl').value = source.url;
         document.getElementById('editSourceCategory').value = source.category;
         document.getElementById('editSourceStatus').value = source.status;
+        document.getElementById('editSourceType').value = source.type || 'html';
+        document.getElementById('editSourceScraper').value = source.scraper || '';
+        document.getElementById('editSourceRender').value = source.render || 'http';
+        document.getElementById('editSourceWaitFor').value = source.waitFor || '';
+        document.getElementById('editSourceRotateUserAgent').checked = Boolean(source.rotateUserAgent);
 
         // Show modal
         document.getElementById('editModal').style.display = 'block';
@@ -242,12 +460,17 @@ class NewsSourcesAdmin {
                 name: formData.name,
                 url: formData.url,
                 category: formData.category,
-                status: formData.status
+                status: formData.status,
+                type: formData.type,
+                scraper: formData.scraper || null,
+                render: formData.render,
+                waitFor: formData.waitFor || null,
+                rotateUserAgent: formData.rotateUserAgent
             };
 
             // Try to update via API
             try {
-                const response = await fetch(`/api/sources/${sourceId}`, {
+                const response = await this.apiFetch(`/api/sources/${sourceId}`, {
                     method: 'PUT',
                     headers: {
                         'Content-Type': 'application/json',
@@ -288,7 +511,7 @@ class NewsSourcesAdmin {
 
             // Try to update via API
             try {
-                const response = await fetch(`/api/sources/${sourceId}`, {
+                const response = await this.apiFetch(`/api/sources/${sourceId}`, {
                     method: 'PUT',
                     headers: {
                         'Content-Type': 'application/json',
@@ -329,7 +552,7 @@ class NewsSourcesAdmin {
 
             // Try to delete via API
             try {
-                const response = await fetch(`/api/sources/${sourceId}`, {
+                const response = await this.apiFetch(`/api/sources/${sourceId}`, {
                     method: 'DELETE'
                 });
 
@@ -362,7 +585,7 @@ class NewsSourcesAdmin {
 
             // Try to test via API
             try {
-                const response = await fetch(`/api/sources/${sourceId}/test`, {
+                const response = await this.apiFetch(`/api/sources/${sourceId}/test`, {
                     method: 'POST'
                 });
 
@@ -371,11 +594,16 @@ class NewsSourcesAdmin {
                 }
 
                 const result = await response.json();
-                this.showSuccess(`Test successful! Found ${result.articleCount || 0} articles from ${source.name}`);
+                if (result.success) {
+                    this.showSuccess(`Test successful! Found ${result.articleCount || 0} articles from ${source.name}`);
+                } else {
+                    this.showError(result.message);
+                }
                 
                 // Update article count
                 source.articleCount = result.articleCount || 0;
                 source.lastSuccess = new Date().toISOString();
+                await this.loadHealth(); // The test was recorded as an attempt
                 this.renderSourcesTable();
 
             } catch (apiError) {
@@ -398,6 +626,185 @@ class NewsSourcesAdmin {
     }
 
     // Utility methods
+    async loadWebhooks() {
+        try {
+            const [webhooksResponse, deliveriesResponse] = await Promise.all([
+                this.apiFetch('/api/webhooks'),
+                this.apiFetch('/api/webhooks/deliveries?limit=20')
+            ]);
+            if (!webhooksResponse.ok || !deliveriesResponse.ok) {
+                throw new Error('Failed to load webhooks');
+            }
+
+            this.webhooks = await webhooksResponse.json();
+            this.renderWebhooksTable();
+            this.renderDeliveries(await deliveriesResponse.json());
+        } catch (error) {
+            console.error('Error loading webhooks:', error);
+        }
+    }
+
+    renderWebhooksTable() {
+        const tbody = document.getElementById('webhooksTableBody');
+
+        if (this.webhooks.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" style="color: #999;">No webhooks configured</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = this.webhooks.map(webhook => {
+            const { categories, sources, minPriorityScore } = webhook.filters;
+            const filters = [
+                categories.length ? `Categories: ${categories.join(', ')}` : '',
+                sources.length ? `Sources: ${sources.join(', ')}` : '',
+                minPriorityScore !== null ? `Score ≥ ${minPriorityScore}` : ''
+            ].filter(Boolean).join('<br>') || '<small style="color: #999;">None</small>';
+
+            return `
+                <tr>
+                    <td>
+                        <strong>${this.escapeHtml(webhook.name)}</strong>
+                        <br>
+                        <small style="color: #666;">${this.escapeHtml(webhook.url)}</small>
+                    </td>
+                    <td><small>${webhook.events.map(event => this.escapeHtml(event)).join('<br>')}</small></td>
+                    <td><small>${filters}</small></td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn btn-warning" onclick="admin.testWebhook('${webhook.id}')" title="Send test delivery">
+                                <i class="fas fa-flask"></i>
+                            </button>
+                            <button class="btn ${webhook.enabled ? 'btn-warning' : 'btn-success'}" onclick="admin.toggleWebhook('${webhook.id}')">
+                                <i class="fas ${webhook.enabled ? 'fa-pause' : 'fa-play'}"></i>
+                            </button>
+                            <button class="btn btn-danger" onclick="admin.deleteWebhook('${webhook.id}')">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderDeliveries(deliveries) {
+        const tbody = document.getElementById('deliveriesTableBody');
+
+        if (deliveries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="color: #999;">No deliveries yet</td></tr>';
+            return;
+        }
+
+        const badges = { delivered: 'status-active', pending: 'status-testing', failed: 'status-inactive' };
+        tbody.innerHTML = deliveries.map(delivery => `
+            <tr>
+                <td><small>${new Date(delivery.createdAt).toLocaleString()}</small></td>
+                <td>${this.escapeHtml(delivery.webhookName)}</td>
+                <td><small>${this.escapeHtml(delivery.event)}</small></td>
+                <td>
+                    <span class="status-badge ${badges[delivery.status]}" title="${this.escapeHtml(delivery.error || '')}">
+                        ${this.capitalizeFirst(delivery.status)}
+                    </span>
+                    ${delivery.responseStatus ? `<small style="color: #666;">HTTP ${delivery.responseStatus}</small>` : ''}
+                </td>
+                <td>${delivery.attempts}</td>
+            </tr>
+        `).join('');
+    }
+
+    async addWebhook() {
+        const form = document.getElementById('addWebhookForm');
+        const webhook = {
+            name: document.getElementById('webhookName').value,
+            url: document.getElementById('webhookUrl').value,
+            secret: document.getElementById('webhookSecret').value,
+            events: Array.from(form.querySelectorAll('input[name="webhookEvents"]:checked')).map(input => input.value),
+            filters: {
+                categories: document.getElementById('webhookCategories').value,
+                sources: document.getElementById('webhookSources').value,
+                minPriorityScore: document.getElementById('webhookMinScore').value
+            }
+        };
+
+        try {
+            const response = await this.apiFetch('/api/webhooks', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(webhook)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to add webhook');
+            }
+
+            form.reset();
+            await this.loadWebhooks();
+            // The secret is only returned once, so show it before it's gone
+            prompt(`Webhook "${data.name}" added. Copy its signing secret now; it won't be shown again:`, data.secret);
+        } catch (error) {
+            console.error('Error adding webhook:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async toggleWebhook(webhookId) {
+        const webhook = this.webhooks.find(w => w.id === webhookId);
+        if (!webhook) return;
+
+        try {
+            const response = await this.apiFetch(`/api/webhooks/${webhookId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...webhook, enabled: !webhook.enabled })
+            });
+            if (!response.ok) {
+                throw new Error('Failed to update webhook');
+            }
+            await this.loadWebhooks();
+        } catch (error) {
+            console.error('Error toggling webhook:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async deleteWebhook(webhookId) {
+        if (!confirm('Delete this webhook?')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/webhooks/${webhookId}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error('Failed to delete webhook');
+            }
+            await this.loadWebhooks();
+            this.showSuccess('Webhook deleted successfully!');
+        } catch (error) {
+            console.error('Error deleting webhook:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async testWebhook(webhookId) {
+        try {
+            const response = await this.apiFetch(`/api/webhooks/${webhookId}/test`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error('Failed to test webhook');
+            }
+
+            const delivery = await response.json();
+            if (delivery.status === 'delivered') {
+                this.showSuccess(`Test delivered (HTTP ${delivery.responseStatus})`);
+            } else {
+                this.showError(`Test delivery failed: ${delivery.error}`);
+            }
+            await this.loadWebhooks();
+        } catch (error) {
+            console.error('Error testing webhook:', error);
+            this.showError(error.message);
+        }
+    }
+
     getFormData(formId) {
         const form = document.getElementById(formId);
         const formData = new FormData(form);
@@ -414,11 +821,21 @@ class NewsSourcesAdmin {
             data.category = document.getElementById('sourceCategory').value;
             data.status = document.getElementById('sourceStatus').value;
             data.selectors = document.getElementById('sourceSelectors').value;
+            data.type = document.getElementById('sourceType').value;
+            data.scraper = document.getElementById('sourceScraper').value;
+            data.render = document.getElementById('sourceRender').value;
+            data.waitFor = document.getElementById('sourceWaitFor').value.trim();
+            data.rotateUserAgent = document.getElementById('sourceRotateUserAgent').checked;
         } else if (formId === 'editSourceForm') {
             data.name = document.getElementById('editSourceName').value;
             data.url = document.getElementById('editSourceUrl').value;
             data.category = document.getElementById('editSourceCategory').value;
             data.status = document.getElementById('editSourceStatus').value;
+            data.type = document.getElementById('editSourceType').value;
+            data.scraper = document.getElementById('editSourceScraper').value;
+            data.render = document.getElementById('editSourceRender').value;
+            data.waitFor = document.getElementById('editSourceWaitFor').value.trim();
+            data.rotateUserAgent = document.getElementById('editSourceRotateUserAgent').checked;
         }
         
         return data;
@@ -478,6 +895,10 @@ function closeEditModal() {
     admin.closeEditModal();
 }
 
+function discoverSource() {
+    admin.discoverSource();
+}
+
 function testSource() {
     const formData = admin.getFormData('addSourceForm');
     if (!formData.name || !formData.url) {
@@ -47,9 +47,21 @@ class NewsAggregator {
         this.currentPage = 1;
         this.articlesPerPage = 20;
 
+        // Live updates pushed by the server
+        this.liveStream = null;
+        this.pendingArticles = []; // New articles waiting behind the "N new articles" banner
+
+        // Watchlist alerts
+        this.alerts = [];
+        this.unreadAlertsCount = 0;
+        this.watchlists = [];
+
         // Pre-compile regex patterns for better performance
         this.phraseRegex = /"([^"]+)"/g;
         this.categoryRegex = /category:(\w+)/g;
+        // Entity filters, matched against the entities extracted on the server (same syntax as /api/news?q=)
+        this.entityFilterRegex = /(^|\s)([+-]?)(cve|vendor|product|actor|malware|company|cvss):(?:"([^"]+)"|(\S+))/gi;
+        this.entityFields = { cve: 'cves', vendor: 'vendors', product: 'products', actor: 'threatActors', malware: 'malware', company: 'companies' };
         this.registerServiceWorker();
         this.init();
     }
@@ -88,6 +100,8 @@ class NewsAggregator {
         this.cleanupLegacyStorage();
         this.loadNews();
         this.loadDynamicSources();
+        this.connectLiveUpdates();
+        this.loadAlerts();
     }
 
     cleanupLegacyStorage() {
@@ -98,6 +112,14 @@ class NewsAggregator {
 
     bindEventListeners() {
         document.getElementById('refreshBtn').addEventListener('click', () => this.refreshNews());
+        document.getElementById('newArticlesBanner').addEventListener('click', () => this.mergePendingArticles());
+        document.getElementById('alertsBtn').addEventListener('click', () => this.showAlertsCenter());
+        document.getElementById('markAlertsReadBtn').addEventListener('click', () => this.markAlertsRead());
+        document.getElementById('pushToggleBtn').addEventListener('click', () => this.togglePushSubscription());
+        document.getElementById('watchlistForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createWatchlist();
+        });
         
         document.querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.filterNews(e.target.dataset.filter));
@@ -119,6 +141,7 @@ class NewsAggregator {
         // Collections modal event listeners
         document.getElementById('createCollectionBtn').addEventListener('click', () => this.openCollectionEditor());
         document.getElementById('collectionEditForm').addEventListener('submit', (e) => this.saveCollection(e));
+        document.getElementById('publishCollectionBtn').addEventListener('click', () => this.publishCollection());
         document.getElementById('exportCollectionBtn').addEventListener('click', () => this.toggleExportOptions());
 
         // Color and icon picker event listeners
@@ -221,6 +244,9 @@ class NewsAggregator {
             if (!response.ok) throw new Error('Failed to fetch news');
             
             this.articles = await response.json();
+            // A full reload already includes anything waiting behind the banner
+            this.pendingArticles = [];
+            this.updateNewArticlesBanner();
             this.processArticles();
             this.applyCurrentFilters();
             this.renderNews();
@@ -246,34 +272,21 @@ class NewsAggregator {
         refreshBtn.disabled = true;
         progressBar.classList.add('active');
         
-        let progress = 0;
-        const progressInterval = setInterval(() => {
-            progress += Math.random() * 15;
-            if (progress > 90) progress = 90;
-            progressFill.style.width = progress + '%';
-        }, 200);
-        
         try {
-            const response = await fetch('/api/refresh');
-            if (!response.ok) {
-                console.error('Refresh failed with status:', response.status);
-                let errorData;
-                try {
-                    errorData = await response.json();
-                } catch (e) {
-                    console.error('Failed to parse error response:', e);
-                    errorData = { details: `HTTP ${response.status} ${response.statusText}` };
-                }
-                throw new Error(errorData.details || 'Failed to refresh news');
+            const job = await this.startRefreshJob();
+            const finishedJob = await this.watchRefreshJob(job, progress => {
+                progressFill.style.width = Math.max(5, Math.round(progress * 100)) + '%';
+            });
+
+            if (finishedJob.status === 'failed') {
+                throw new Error(finishedJob.error || 'Failed to refresh news');
             }
-            
-            const result = await response.json();
-            clearInterval(progressInterval);
+
             progressFill.style.width = '100%';
             
             await this.loadNews();
             this.updateSourcesCount();
-            this.showNotification(`News refreshed successfully! Found ${result.count} articles.`);
+            this.showNotification(`News refreshed successfully! Found ${finishedJob.result.count} articles.`);
         } catch (error) {
             console.error('Error refreshing news:', error);
             console.error('Error type:', error.name);
@@ -289,7 +302,6 @@ class NewsAggregator {
             }
             this.showError(errorMessage);
         } finally {
-            clearInterval(progressInterval);
             setTimeout(() => {
                 refreshBtn.classList.remove('loading');
                 icon.classList.remove('fa-spin');
@@ -300,6 +312,461 @@ class NewsAggregator {
         }
     }
 
+    // Start a server-side refresh job, or attach to the one already running
+    async startRefreshJob() {
+        const response = await fetch('/api/refresh', { method: 'POST' });
+        let data;
+        try {
+            data = await response.json();
+        } catch (e) {
+            console.error('Failed to parse refresh response:', e);
+            data = { details: `HTTP ${response.status} ${response.statusText}` };
+        }
+
+        // 409 means a refresh (possibly the scheduled one) is already in progress; follow that one
+        if (response.status === 409 || response.ok) {
+            return data.job;
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('Sign in with a reader or admin token to refresh news (see /login.html).');
+        }
+
+        console.error('Refresh failed with status:', response.status);
+        throw new Error(data.details || data.error || 'Failed to refresh news');
+    }
+
+    // Follow job progress over Server-Sent Events; resolves with the finished job
+    watchRefreshJob(job, onProgress) {
+        const getProgress = current => {
+            const { sources, summaries } = current.progress;
+            const scraping = sources.total ? sources.completed / sources.total : 0;
+            const summarizing = summaries.total ? summaries.completed / summaries.total : 0;
+            return current.summarize ? scraping * 0.8 + summarizing * 0.2 : scraping;
+        };
+
+        return new Promise((resolve, reject) => {
+            const events = new EventSource(`/api/refresh/${encodeURIComponent(job.id)}/events`);
+
+            events.addEventListener('progress', event => {
+                onProgress(getProgress(JSON.parse(event.data)));
+            });
+
+            const finish = event => {
+                events.close();
+                resolve(JSON.parse(event.data));
+            };
+            events.addEventListener('complete', finish);
+            events.addEventListener('failed', finish);
+
+            events.onerror = () => {
+                // The server closes the stream after the final event; anything else is a lost connection
+                if (events.readyState === EventSource.CLOSED) return;
+                events.close();
+                reject(new Error('Lost connection while refreshing news'));
+            };
+        });
+    }
+
+    // Subscribe to articles ingested by any refresh (manual, scheduled or another client's)
+    connectLiveUpdates() {
+        if (!window.EventSource) return;
+
+        this.liveStream = new EventSource('/api/stream');
+
+        this.liveStream.addEventListener('articles', event => {
+            try {
+                const { articles } = JSON.parse(event.data);
+                this.queueNewArticles(articles);
+            } catch (error) {
+                console.error('Failed to parse live articles:', error);
+            }
+        });
+
+        this.liveStream.addEventListener('alerts', event => {
+            try {
+                const { alerts } = JSON.parse(event.data);
+                this.receiveAlerts(alerts);
+            } catch (error) {
+                console.error('Failed to parse live alerts:', error);
+            }
+        });
+
+        this.liveStream.addEventListener('refresh-complete', event => {
+            const { status } = JSON.parse(event.data);
+            if (status === 'completed') {
+                this.updateSourcesCount();
+            }
+        });
+
+        // EventSource reconnects on its own; just note it
+        this.liveStream.onerror = () => {
+            console.log('Live update stream disconnected, retrying...');
+        };
+    }
+
+    queueNewArticles(articles) {
+        const knownIds = new Set(this.pendingArticles.map(article => article.id));
+        this.articles.forEach(article => {
+            knownIds.add(article.id);
+            (article.duplicates || []).forEach(duplicate => knownIds.add(duplicate.id));
+        });
+
+        const fresh = (articles || []).filter(article => article && !knownIds.has(article.id));
+        if (fresh.length === 0) return;
+
+        this.pendingArticles.push(...fresh);
+        this.updateNewArticlesBanner();
+    }
+
+    updateNewArticlesBanner() {
+        const banner = document.getElementById('newArticlesBanner');
+        if (!banner) return;
+
+        const count = this.pendingArticles.length;
+        banner.style.display = count > 0 ? 'flex' : 'none';
+        document.getElementById('newArticlesBannerText').textContent =
+            `${count} new article${count === 1 ? '' : 's'}`;
+    }
+
+    // Merge queued articles into the current list, only touching the cards that changed
+    async mergePendingArticles() {
+        const incoming = this.pendingArticles;
+        this.pendingArticles = [];
+        this.updateNewArticlesBanner();
+        if (incoming.length === 0) return;
+
+        const added = [];
+        const updated = [];
+
+        incoming.forEach(raw => {
+            const article = { ...raw, id: raw.id || this.generateId(raw) };
+            const primary = this.deduplicationEnabled
+                ? this.articles.find(existing => this.deduplicator.areDuplicates(existing, article))
+                : null;
+
+            if (primary) {
+                // Same story from another source: fold it into the existing card
+                primary.duplicates = [...(primary.duplicates || []), article];
+                primary.duplicateCount = primary.duplicates.length;
+                primary.allSources = [...new Set([...(primary.allSources || [primary.source]), article.source])];
+                updated.push(primary);
+            } else {
+                const entry = { ...article, isDuplicate: false, duplicateCount: 0, duplicates: [], allSources: [article.source] };
+                this.articles.unshift(entry);
+                added.push(entry);
+            }
+        });
+
+        await this.applyCurrentFilters();
+        this.updateStats();
+        this.updateFilterCounts();
+        this.generateTrendingTopics();
+
+        const newsGrid = document.getElementById('newsGrid');
+        if (this.currentPage !== 1 || newsGrid.style.display === 'none') {
+            this.currentPage = 1;
+            this.renderNews();
+        } else {
+            updated.forEach(article => {
+                const card = newsGrid.querySelector(`.news-card[data-article-id="${article.id}"]`);
+                if (card) this.replaceArticleCard(card, article);
+            });
+
+            const visibleIds = new Set(this.filteredArticles.map(article => article.id));
+            added.filter(article => visibleIds.has(article.id)).reverse().forEach(article => {
+                const card = this.createArticleCardElement(article);
+                newsGrid.prepend(card);
+                this.bindCardEventListeners(card);
+            });
+
+            // Keep the page at its usual size
+            const cards = newsGrid.querySelectorAll('.news-card');
+            for (let i = this.articlesPerPage; i < cards.length; i++) {
+                cards[i].remove();
+            }
+            this.renderPagination();
+        }
+
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        this.announceToScreenReader(`${added.length} new articles added.`);
+    }
+
+    createArticleCardElement(article) {
+        const html = this.createArticleCard(article);
+        const template = document.createElement('template');
+        template.innerHTML = window.Sanitizer ? window.Sanitizer.sanitizeHtml(html) : html;
+
+        const card = template.content.querySelector('.news-card');
+        card.classList.add('fade-in');
+        return card;
+    }
+
+    replaceArticleCard(card, article) {
+        const replacement = this.createArticleCardElement(article);
+        card.replaceWith(replacement);
+        this.bindCardEventListeners(replacement);
+    }
+
+    async loadAlerts() {
+        try {
+            const response = await fetch('/api/alerts?limit=50');
+            if (!response.ok) throw new Error('Failed to fetch alerts');
+
+            const data = await response.json();
+            this.alerts = data.alerts;
+            this.unreadAlertsCount = data.unreadCount;
+            this.updateAlertsCount();
+        } catch (error) {
+            console.error('Error loading alerts:', error);
+        }
+    }
+
+    receiveAlerts(alerts) {
+        if (!alerts || alerts.length === 0) return;
+
+        this.alerts = [...alerts, ...this.alerts].slice(0, 50);
+        this.unreadAlertsCount += alerts.length;
+        this.updateAlertsCount();
+
+        const first = alerts[0];
+        const more = alerts.length > 1 ? ` (+${alerts.length - 1} more)` : '';
+        this.showNotification(`${this.escapeHtml(first.watchlistName)}: ${this.escapeHtml(this.truncateText(first.title, 60))}${more}`, 'info');
+
+        if (document.getElementById('alertsModal').style.display !== 'none') {
+            this.renderAlerts();
+        }
+    }
+
+    updateAlertsCount() {
+        document.getElementById('alertsCount').textContent = this.unreadAlertsCount;
+    }
+
+    showAlertsCenter() {
+        document.getElementById('alertsModal').style.display = 'flex';
+        this.renderAlerts();
+        this.loadWatchlists();
+        this.updatePushButton();
+    }
+
+    closeAlertsCenter() {
+        document.getElementById('alertsModal').style.display = 'none';
+    }
+
+    renderAlerts() {
+        const alertsList = document.getElementById('alertsList');
+        document.getElementById('alertsSummary').textContent = `${this.unreadAlertsCount} unread`;
+
+        if (this.alerts.length === 0) {
+            alertsList.innerHTML = '<p style="text-align: center; color: #999; padding: 20px;">No alerts yet. Add a watchlist below to get notified about new articles.</p>';
+            return;
+        }
+
+        alertsList.innerHTML = this.alerts.map(alert => `
+            <div class="alert-item ${alert.read ? '' : 'unread'}">
+                <a href="${this.escapeHtml(alert.link)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(alert.title)}</a>
+                <div class="alert-meta">
+                    <span><i class="fas fa-binoculars"></i> ${this.escapeHtml(alert.watchlistName)}</span>
+                    <span><i class="fas fa-globe"></i> ${this.escapeHtml(alert.source)}</span>
+                    <span><i class="fas fa-clock"></i> ${this.getTimeAgo(alert.createdAt)}</span>
+                    <span><i class="fas fa-search"></i> ${this.escapeHtml(alert.matches.join(', '))}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async markAlertsRead() {
+        try {
+            const response = await fetch('/api/alerts/read', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            if (response.status === 401 || response.status === 403) {
+                throw new Error('Sign in with a reader or admin token to manage alerts (see /login.html).');
+            }
+            if (!response.ok) throw new Error('Failed to update alerts');
+
+            this.alerts.forEach(alert => { alert.read = true; });
+            this.unreadAlertsCount = 0;
+            this.updateAlertsCount();
+            this.renderAlerts();
+        } catch (error) {
+            console.error('Error marking alerts read:', error);
+            this.showError(error.message);
+        }
+    }
+
+    isPushSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    async getPushSubscription() {
+        const registration = await navigator.serviceWorker.ready;
+        return registration.pushManager.getSubscription();
+    }
+
+    async updatePushButton() {
+        const button = document.getElementById('pushToggleBtn');
+        if (!this.isPushSupported()) return;
+
+        try {
+            const subscription = await this.getPushSubscription();
+            button.style.display = '';
+            document.getElementById('pushToggleText').textContent = subscription ? 'Disable push' : 'Enable push';
+        } catch (error) {
+            console.error('Error checking push subscription:', error);
+        }
+    }
+
+    // Browser push for critical and breaking articles, delivered even when the tab is closed
+    async togglePushSubscription() {
+        try {
+            const existing = await this.getPushSubscription();
+
+            if (existing) {
+                const response = await fetch('/api/push/unsubscribe', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ endpoint: existing.endpoint })
+                });
+                if (response.status === 401 || response.status === 403) {
+                    throw new Error('Sign in with a reader or admin token to manage push notifications (see /login.html).');
+                }
+                await existing.unsubscribe();
+                this.showNotification('Push notifications disabled', 'info');
+            } else {
+                if (await Notification.requestPermission() !== 'granted') {
+                    throw new Error('Notifications are blocked for this site.');
+                }
+
+                const { publicKey } = await (await fetch('/api/push/public-key')).json();
+                const registration = await navigator.serviceWorker.ready;
+                const subscription = await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: this.urlBase64ToUint8Array(publicKey)
+                });
+
+                const response = await fetch('/api/push/subscribe', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(subscription.toJSON())
+                });
+                if (!response.ok) {
+                    await subscription.unsubscribe();
+                    if (response.status === 401 || response.status === 403) {
+                        throw new Error('Sign in with a reader or admin token to manage push notifications (see /login.html).');
+                    }
+                    throw new Error('Failed to enable push notifications');
+                }
+                this.showNotification('Push notifications enabled for critical and breaking news');
+            }
+        } catch (error) {
+            console.error('Error updating push subscription:', error);
+            this.showError(error.message);
+        }
+
+        this.updatePushButton();
+    }
+
+    urlBase64ToUint8Array(base64String) {
+        const padding = '='.repeat((4 - base64String.length % 4) % 4);
+        const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    async loadWatchlists() {
+        try {
+            const response = await fetch('/api/watchlists');
+            if (!response.ok) throw new Error('Failed to fetch watchlists');
+
+            this.watchlists = await response.json();
+            this.renderWatchlists();
+        } catch (error) {
+            console.error('Error loading watchlists:', error);
+        }
+    }
+
+    renderWatchlists() {
+        const list = document.getElementById('watchlistsList');
+
+        if (this.watchlists.length === 0) {
+            list.innerHTML = '<p style="color: #999;">No watchlists yet.</p>';
+            return;
+        }
+
+        list.innerHTML = this.watchlists.map(watchlist => {
+            const rules = [
+                watchlist.keywords.length ? `Keywords: ${watchlist.keywords.join(', ')}` : '',
+                watchlist.patterns.length ? `Patterns: ${watchlist.patterns.map(pattern => `/${pattern}/`).join(' ')}` : '',
+                watchlist.sources.length ? `Sources: ${watchlist.sources.join(', ')}` : '',
+                watchlist.minPriority ? `Priority: ${watchlist.minPriority} or higher` : ''
+            ].filter(Boolean).join(' • ');
+
+            return `
+                <div class="watchlist-item">
+                    <div>
+                        <strong>${this.escapeHtml(watchlist.name)}</strong>
+                        <div class="watchlist-rules">${this.escapeHtml(rules)}</div>
+                    </div>
+                    <button class="remove-saved" onclick="newsAggregator.deleteWatchlist('${this.escapeHtml(watchlist.id)}')" title="Delete watchlist">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async createWatchlist() {
+        const form = document.getElementById('watchlistForm');
+        const watchlist = {
+            name: document.getElementById('watchlistName').value,
+            keywords: document.getElementById('watchlistKeywords').value,
+            // Patterns can contain commas ({m,n}), so they are entered one per line
+            patterns: document.getElementById('watchlistPatterns').value.split('\n').map(pattern => pattern.trim()).filter(Boolean),
+            sources: document.getElementById('watchlistSources').value,
+            minPriority: document.getElementById('watchlistMinPriority').value || null
+        };
+
+        try {
+            const response = await fetch('/api/watchlists', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(watchlist)
+            });
+            const data = await response.json();
+
+            if (response.status === 401 || response.status === 403) {
+                throw new Error('Sign in with a reader or admin token to manage watchlists (see /login.html).');
+            }
+            if (!response.ok) throw new Error(data.error || 'Failed to create watchlist');
+
+            form.reset();
+            this.watchlists.push(data);
+            this.renderWatchlists();
+            this.showNotification(`Watchlist "${this.escapeHtml(data.name)}" created`);
+        } catch (error) {
+            console.error('Error creating watchlist:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async deleteWatchlist(watchlistId) {
+        try {
+            const response = await fetch(`/api/watchlists/${encodeURIComponent(watchlistId)}`, { method: 'DELETE' });
+            if (response.status === 401 || response.status === 403) {
+                throw new Error('Sign in with a reader or admin token to manage watchlists (see /login.html).');
+            }
+            if (!response.ok) throw new Error('Failed to delete watchlist');
+
+            this.watchlists = this.watchlists.filter(watchlist => watchlist.id !== watchlistId);
+            this.renderWatchlists();
+        } catch (error) {
+            console.error('Error deleting watchlist:', error);
+            this.showError(error.message);
+        }
+    }
+
     filterNews(filter) {
         this.currentFilter = filter;
         this.currentPage = 1; // Reset to first page when filtering
@@ -363,7 +830,7 @@ class NewsAggregator {
 
     createArticleCard(article) {
         const categoryIcon = this.getCategoryIcon(article.category);
-        const timeAgo = this.getTimeAgo(article.scraped);
+        const timeAgo = this.getTimeAgo(this.getArticleDate(article) || article.scraped);
         const isSaved = this.savedArticles.some(saved => saved.id === article.id);
         const isRead = this.readArticles.includes(article.id);
         const readingTime = this.calculateReadingTime(article.summary || '');
@@ -411,6 +878,8 @@ class NewsAggregator {
                     ${this.escapeHtml(this.truncateText(combinedSummary, 120))}
                 </div>
                 
+                ${this.renderEntityChips(article)}
+
                 <!-- 4. Time and Reading Estimate -->
                 <div class="card-footer-simple" id="meta-${article.id}">
                     <span class="article-meta" aria-label="Published ${timeAgo}, estimated ${readingTime} minute read">
@@ -456,6 +925,11 @@ class NewsAggregator {
             badges += '<span class="priority-badge breaking"><i class="fas fa-bolt"></i> BREAKING</span>';
         }
         
+        // CVE in the CISA Known Exploited Vulnerabilities catalog
+        if (article.knownExploited) {
+            badges += '<span class="priority-badge critical" title="A CVE in this article is known to be exploited"><i class="fas fa-skull-crossbones"></i> EXPLOITED</span>';
+        }
+        
         // Priority level badge
         if (article.priority && article.priority !== 'medium') {
             const priorityConfig = {
@@ -487,6 +961,38 @@ class NewsAggregator {
         return badges;
     }
 
+    // CVEs, threat actors, malware and vendors; clicking one searches for it
+    renderEntityChips(article) {
+        const entities = article.entities;
+        if (!entities) return '';
+
+        const quote = value => /\s/.test(value) ? `"${value}"` : value;
+        const cvssByCve = Object.fromEntries((entities.cvss || []).filter(entry => entry.cve).map(entry => [entry.cve, entry.score]));
+        const detailsByCve = Object.fromEntries((article.vulnerabilities || []).map(v => [v.cve, v]));
+        const chips = [
+            ...(entities.cves || []).map(cve => {
+                const details = detailsByCve[cve] || {};
+                const score = typeof details.cvssScore === 'number' ? details.cvssScore : cvssByCve[cve];
+                return {
+                    label: `${cve}${score !== undefined ? ` (${score})` : ''}${details.knownExploited ? ' KEV' : ''}`,
+                    search: `cve:${cve}`,
+                    type: `cve${score >= 9 || details.knownExploited ? ' critical' : ''}${details.knownExploited ? ' exploited' : ''}`,
+                    title: details.products && details.products.length > 0 ? `Affects ${details.products.join(', ')}` : null
+                };
+            }),
+            ...(entities.threatActors || []).map(actor => ({ label: actor, search: `actor:${quote(actor)}`, type: 'actor' })),
+            ...(entities.malware || []).map(name => ({ label: name, search: `malware:${quote(name)}`, type: 'malware' })),
+            ...(entities.vendors || []).map(vendor => ({ label: vendor, search: `vendor:${quote(vendor)}`, type: 'vendor' }))
+        ].slice(0, 6);
+
+        if (chips.length === 0) return '';
+
+        return `<div class="entity-chips">${chips.map(chip => `
+            <button class="entity-chip ${chip.type}" type="button" data-search="${this.escapeHtml(chip.search)}"
+                    title="${this.escapeHtml(chip.title ? `${chip.title}. Search ${chip.search}` : `Search ${chip.search}`)}">${this.escapeHtml(chip.label)}</button>`).join('')}
+        </div>`;
+    }
+
     renderDuplicateBadge(article) {
         if (!article.duplicateCount || article.duplicateCount === 0) {
             return '';
@@ -1345,6 +1851,7 @@ class NewsAggregator {
             includeTerms: [],
             excludeTerms: [],
             exactPhrases: [],
+            entityFilters: [],
             categoryFilter: null,
             hasOperators: false
         };
@@ -1354,6 +1861,22 @@ class NewsAggregator {
         // Reset regex patterns for fresh execution
         this.phraseRegex.lastIndex = 0;
         this.categoryRegex.lastIndex = 0;
+
+        // Extract entity filters first, since their values may be quoted
+        query = query.replace(this.entityFilterRegex, (whole, lead, sign, field, quoted, bare) => {
+            const value = (quoted || bare).trim().toLowerCase();
+            const exclude = sign === '-';
+            field = field.toLowerCase();
+
+            if (field === 'cvss') {
+                const min = parseFloat(value.replace(/^(>=?|=)/, ''));
+                if (!isNaN(min) && min <= 10) result.entityFilters.push({ field, min, exclude });
+            } else if (value) {
+                result.entityFilters.push({ field, value, exclude });
+            }
+            result.hasOperators = true;
+            return lead;
+        });
         
         // Extract quoted phrases first
         let match;
@@ -1414,10 +1937,17 @@ class NewsAggregator {
 
     matchesSmartSearch(article, searchTerms) {
         if (!searchTerms || (!searchTerms.includeTerms.length && !searchTerms.excludeTerms.length && 
-            !searchTerms.exactPhrases.length && !searchTerms.categoryFilter)) {
+            !searchTerms.exactPhrases.length && !searchTerms.entityFilters.length && !searchTerms.categoryFilter)) {
             return true;
         }
 
+        // Entity filters (all must hold; excluded ones must not match)
+        for (const filter of searchTerms.entityFilters) {
+            if (this.matchesEntityFilter(article, filter) === filter.exclude) {
+                return false;
+            }
+        }
+
         const searchText = `${article.title} ${article.summary || ''} ${article.content || ''}`.toLowerCase();
         
         // Category filter
@@ -1451,6 +1981,20 @@ class NewsAggregator {
         return true;
     }
     
+    matchesEntityFilter(article, filter) {
+        const entities = article.entities || {};
+
+        if (filter.field === 'cvss') {
+            const max = typeof article.cvssScore === 'number' ? article.cvssScore : entities.maxCvss;
+            return typeof max === 'number' && max >= filter.min;
+        }
+
+        return (entities[this.entityFields[filter.field]] || []).some(name => {
+            const lower = name.toLowerCase();
+            return lower === filter.value || lower.startsWith(`${filter.value} `);
+        });
+    }
+
     sanitizeSearchInput(input) {
         return window.Sanitizer ? window.Sanitizer.sanitizeSearchInput(input) : this.fallbackSanitizeSearchInput(input);
     }
@@ -1482,11 +2026,20 @@ class NewsAggregator {
         this.updateFilterCounts();
     }
     
+    // Publication date when the scraper could parse one, otherwise when the article was scraped
+    getArticleDate(article) {
+        const published = article.publishedAt ? new Date(article.publishedAt) : null;
+        if (published && !isNaN(published.getTime()) && published.getTime() <= Date.now() + 60 * 60 * 1000) {
+            return published;
+        }
+        return article.scraped ? new Date(article.scraped) : null;
+    }
+    
     isArticleInAgeRange(article, ageFilter) {
-        if (!article.scraped) return true;
+        const articleDate = this.getArticleDate(article);
+        if (!articleDate) return true;
         
         try {
-            const articleDate = new Date(article.scraped);
             const now = new Date();
             const diffInHours = (now - articleDate) / (1000 * 60 * 60);
             
@@ -1696,8 +2249,8 @@ class NewsAggregator {
             .slice(0, 2);
     }
     
-    bindCardEventListeners() {
-        document.querySelectorAll('.save-btn').forEach(btn => {
+    bindCardEventListeners(root = document) {
+        root.querySelectorAll('.save-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
                 const articleId = e.target.closest('.news-card').dataset.articleId;
@@ -1705,7 +2258,7 @@ class NewsAggregator {
             });
         });
 
-        document.querySelectorAll('.share-btn.action-btn').forEach(btn => {
+        root.querySelectorAll('.share-btn.action-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
                 const card = e.target.closest('.news-card');
@@ -1713,8 +2266,15 @@ class NewsAggregator {
             });
         });
 
+        root.querySelectorAll('.entity-chip').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.searchTrending(btn.dataset.search);
+            });
+        });
+
         // Duplicate badge click handlers
-        document.querySelectorAll('.duplicate-badge').forEach(btn => {
+        root.querySelectorAll('.duplicate-badge').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
                 const articleId = btn.dataset.articleId;
@@ -1723,7 +2283,7 @@ class NewsAggregator {
         });
 
         // AI Summary button click handlers
-        document.querySelectorAll('.ai-summary-button').forEach(btn => {
+        root.querySelectorAll('.ai-summary-button').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
@@ -1738,7 +2298,7 @@ class NewsAggregator {
         });
 
         // Article title link click handlers - mark as read when clicked
-        document.querySelectorAll('.article-title-link').forEach(link => {
+        root.querySelectorAll('.article-title-link').forEach(link => {
             link.addEventListener('click', (e) => {
                 const articleId = link.dataset.articleId;
                 if (articleId) {
@@ -1748,7 +2308,7 @@ class NewsAggregator {
         });
 
         // Find Similar Articles button click handlers
-        document.querySelectorAll('.similar-articles-btn').forEach(btn => {
+        root.querySelectorAll('.similar-articles-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
@@ -1760,6 +2320,7 @@ class NewsAggregator {
         });
 
         // Close share menus when clicking outside
+        if (root !== document) return;
         document.addEventListener('click', (e) => {
             if (!e.target.closest('.share-buttons') && !e.target.closest('.share-btn.action-btn')) {
                 this.closeAllShareMenus();
@@ -1929,100 +2490,54 @@ class NewsAggregator {
         this.announceToScreenReader(`Found ${relevantSimilar.length} similar articles`);
     }
 
-    generateTrendingTopics() {
-        const wordFreq = {};
-        
-        // Comprehensive stop words list
-        const commonWords = [
-            // Basic English stop words
-            'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'do', 'does', 'did', 'a', 'an', 'this', 'that', 'these', 'those',
-            // Additional common words causing issues
-            'more', 'from', 'about', 'than', 'also', 'into', 'over', 'after', 'under', 'through', 'during', 'before', 'between', 'up', 'down', 'out', 'off', 'above', 'below',
-            // Web/news specific terms
-            'comments', 'comment', 'article', 'news', 'read', 'reading', 'write', 'written', 'post', 'posted', 'share', 'shared', 'like', 'likes', 'view', 'views', 'click', 'clicks',
-            // Temporal words
-            'hours', 'hour', 'minutes', 'minute', 'days', 'day', 'weeks', 'week', 'months', 'month', 'years', 'year', 'today', 'yesterday', 'tomorrow', 'now', 'then', 'when', 'time', 'times',
-            // Action/state words
-            'said', 'says', 'saying', 'told', 'tell', 'telling', 'show', 'shows', 'showing', 'get', 'gets', 'getting', 'make', 'makes', 'making', 'take', 'takes', 'taking', 'using', 'used', 'use', 'uses',
-            // Generic descriptors
-            'very', 'much', 'many', 'some', 'any', 'all', 'most', 'few', 'little', 'big', 'small', 'large', 'good', 'bad', 'best', 'better', 'new', 'old', 'first', 'last', 'next', 'other', 'same', 'different'
-        ];
-        
-        // Tech/cybersecurity priority keywords (get score boost)
-        const priorityKeywords = [
-            'security', 'cyber', 'cybersecurity', 'malware', 'ransomware', 'phishing', 'breach', 'hack', 'hacker', 'vulnerability', 'exploit', 'patch', 'update', 'firewall',
-            'microsoft', 'windows', 'google', 'apple', 'android', 'linux', 'chrome', 'firefox', 'safari', 'edge',
-            'artificial', 'intelligence', 'machine', 'learning', 'blockchain', 'cryptocurrency', 'bitcoin', 'ethereum',
-            'cloud', 'server', 'database', 'network', 'encryption', 'password', 'authentication', 'privacy'
-        ];
-        
-        this.articles.forEach(article => {
-            const text = (article.title + ' ' + (article.summary || '')).toLowerCase();
-            // Increase minimum word length to 5 to filter more noise
-            const words = text.match(/\b[a-z]{5,}\b/g) || [];
-            
-            words.forEach(word => {
-                if (!commonWords.includes(word)) {
-                    let score = 1;
-                    
-                    // Boost score for priority tech/cyber keywords
-                    if (priorityKeywords.includes(word)) {
-                        score = 3;
-                    }
-                    
-                    // Boost score for capitalized words in original text (proper nouns)
-                    const originalText = article.title + ' ' + (article.summary || '');
-                    const capitalizedPattern = new RegExp('\\b' + word.charAt(0).toUpperCase() + word.slice(1) + '\\b');
-                    if (capitalizedPattern.test(originalText)) {
-                        score *= 1.5;
-                    }
-                    
-                    wordFreq[word] = (wordFreq[word] || 0) + score;
-                }
-            });
-        });
-        
-        // Filter out words that appear in too many articles (overly common)
-        const totalArticles = this.articles.length;
-        const filteredWordFreq = {};
-        
-        Object.entries(wordFreq).forEach(([word, freq]) => {
-            // Only include if word appears in less than 80% of articles OR is a priority keyword
-            const priorityKeywords = [
-                'security', 'cyber', 'cybersecurity', 'malware', 'ransomware', 'phishing', 'breach', 'hack', 'hacker', 'vulnerability', 'exploit', 'patch', 'update', 'firewall',
-                'microsoft', 'windows', 'google', 'apple', 'android', 'linux', 'chrome', 'firefox', 'safari', 'edge'
-            ];
-            
-            const articleAppearanceRate = freq / totalArticles;
-            if (articleAppearanceRate < 0.8 || priorityKeywords.includes(word)) {
-                filteredWordFreq[word] = freq;
-            }
-        });
-        
-        this.trendingTopics = Object.entries(filteredWordFreq)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 8)
-            .map(([word, count]) => ({ word, count }));
-            
+    // Trending terms come from the server, which scores them against their usual frequency
+    async generateTrendingTopics() {
+        try {
+            const response = await fetch('/api/trends?window=24h&limit=8');
+            if (!response.ok) throw new Error('Failed to fetch trends');
+
+            const data = await response.json();
+            this.trendingTopics = data.trends;
+        } catch (error) {
+            console.error('Error loading trends:', error);
+            this.trendingTopics = [];
+        }
+
         this.renderTrendingTopics();
     }
-    
+
     renderTrendingTopics() {
         const trendingSection = document.getElementById('trendingSection');
         const trendingTags = document.getElementById('trendingTags');
-        
+
         if (this.trendingTopics.length === 0) {
             trendingSection.style.display = 'none';
             return;
         }
-        
+
         trendingSection.style.display = 'block';
         trendingTags.innerHTML = this.trendingTopics.map(topic => {
-            const isHot = topic.count > 3;
-            return `<span class="trending-tag ${isHot ? 'hot' : ''}" onclick="newsAggregator.searchTrending('${topic.word}')">${topic.word} (${topic.count})</span>`;
+            const isHot = topic.velocity >= 3;
+            const title = `${topic.count} articles in the last 24 hours, ${topic.velocity}x the usual rate`;
+            return `<span class="trending-tag ${isHot ? 'hot' : ''}" data-term="${this.escapeHtml(topic.term)}" title="${this.escapeHtml(title)}"
+                onclick="newsAggregator.searchTrending(this.dataset.term)">${this.escapeHtml(topic.term)} ${this.renderSparkline(topic.sparkline.points)}</span>`;
         }).join('');
     }
-    
+
+    renderSparkline(points) {
+        const width = 40;
+        const height = 12;
+        const max = Math.max(...points, 1);
+        const step = points.length > 1 ? width / (points.length - 1) : width;
+        const coordinates = points
+            .map((value, index) => `${(index * step).toFixed(1)},${(height - (value / max) * height).toFixed(1)}`)
+            .join(' ');
+
+        return `<svg class="trending-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+            <polyline points="${coordinates}" fill="none" stroke="currentColor" stroke-width="1.5"/>
+        </svg>`;
+    }
+
     searchTrending(word) {
         document.getElementById('searchInput').value = word;
         this.handleSearch(word);
@@ -2173,10 +2688,18 @@ class NewsAggregator {
         document.getElementById('previewCategory').textContent = article.category;
         document.getElementById('previewTime').textContent = this.getTimeAgo(article.scraped);
         document.getElementById('previewTitle').textContent = article.title;
+        document.getElementById('previewContent').classList.remove('full-content');
+        this.previewArticleId = articleId;
         
         // Use AI summary if available, otherwise use regular summary, with fallback
         const content = article.aiSummary || article.summary || 'No summary available for this article.';
-        document.getElementById('previewContent').textContent = content;
+        const previewContent = document.getElementById('previewContent');
+        previewContent.textContent = typeof content === 'object' ? content.overview : content;
+
+        // Swap in the full article body when the server extracted one
+        if (article.hasContent) {
+            this.loadPreviewBody(articleId, previewContent);
+        }
 
         // Update save button state
         const saveBtn = document.getElementById('previewSaveBtn');
@@ -2214,7 +2737,29 @@ class NewsAggregator {
         document.getElementById('articlePreviewModal').style.display = 'flex';
     }
 
+    async loadPreviewBody(articleId, container) {
+        try {
+            const response = await fetch(`/api/news/${encodeURIComponent(articleId)}`);
+            if (!response.ok) return;
+
+            const fullArticle = await response.json();
+            // Ignore the response if the user has already moved on to another article
+            if (!fullArticle.content || this.previewArticleId !== articleId) return;
+
+            container.innerHTML = '';
+            fullArticle.content.split(/\n{2,}/).forEach(paragraph => {
+                const p = document.createElement('p');
+                p.textContent = paragraph;
+                container.appendChild(p);
+            });
+            container.classList.add('full-content');
+        } catch (error) {
+            console.warn('Could not load article body:', error);
+        }
+    }
+
     closeArticlePreview() {
+        this.previewArticleId = null;
         document.getElementById('articlePreviewModal').style.display = 'none';
     }
 
@@ -2691,6 +3236,8 @@ class NewsAggregator {
             `).join('');
         }
 
+        document.getElementById('publishCollectionText').textContent = collection.publishedId ? 'Update feed' : 'Publish feed';
+
         // Show modal
         this.closeCollectionsManager();
         document.getElementById('collectionViewModal').style.display = 'flex';
@@ -2779,6 +3326,48 @@ class NewsAggregator {
         this.toggleExportOptions();
     }
 
+    // Publishing uploads a snapshot of the collection; publishing again updates the same feed URLs
+    async publishCollection() {
+        const collectionId = this.currentViewingCollection;
+        const collection = this.collectionManager.getCollection(collectionId);
+        if (!collection) return;
+
+        const articles = this.savedArticles
+            .filter(a => collection.articleIds.includes(a.id))
+            .map(a => ({
+                title: a.title,
+                link: a.url || a.link,
+                source: a.source,
+                category: a.category,
+                summary: a.summary,
+                savedAt: a.savedAt
+            }));
+        const body = JSON.stringify({ name: collection.name, description: collection.description, articles });
+
+        try {
+            let response = collection.publishedId
+                ? await fetch(`/api/collections/${encodeURIComponent(collection.publishedId)}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body })
+                : null;
+            // Republish if the server no longer has the old snapshot
+            if (!response || response.status === 404) {
+                response = await fetch('/api/collections', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+            }
+
+            if (response.status === 401 || response.status === 403) {
+                throw new Error('Sign in with a reader or admin token to publish collections (see /login.html).');
+            }
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to publish collection');
+
+            this.collectionManager.updateCollection(collectionId, { publishedId: data.id });
+            document.getElementById('publishCollectionText').textContent = 'Update feed';
+            prompt('Collection published. Subscribe to this RSS feed URL (Atom: atom.xml, JSON Feed: feed.json):', data.feeds.rss);
+        } catch (error) {
+            console.error('Error publishing collection:', error);
+            this.showError(error.message);
+        }
+    }
+
     showCollectionSelectorForArticle(articleId) {
         const article = this.savedArticles.find(a => a.id === articleId);
         if (!article) return;
@@ -0,0 +1,31 @@
+// Exchanges an API token for a session cookie, then returns to the page that sent us here
+function getRedirectTarget() {
+    const next = new URLSearchParams(window.location.search).get('next') || '/';
+    // Only follow same-origin paths
+    return next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+document.getElementById('loginForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorAlert = document.getElementById('errorAlert');
+    errorAlert.style.display = 'none';
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ token: document.getElementById('token').value.trim() })
+        });
+
+        if (!response.ok) {
+            throw new Error(response.status === 401 ? 'Invalid token' : 'Sign in failed');
+        }
+
+        window.location.href = getRedirectTarget();
+    } catch (error) {
+        errorAlert.textContent = error.message;
+        errorAlert.style.display = 'block';
+    }
+});
@@ -3,9 +3,9 @@
  * Provides offline functionality and caching
  */
 
-const CACHE_NAME = 'ai-news-hub-v5';
-const STATIC_CACHE = 'ai-news-static-v5';
-const DYNAMIC_CACHE = 'ai-news-dynamic-v5';
+const CACHE_NAME = 'ai-news-hub-v20';
+const STATIC_CACHE = 'ai-news-static-v20';
+const DYNAMIC_CACHE = 'ai-news-dynamic-v20';
 
 // Assets to cache on install
 const STATIC_ASSETS = [
@@ -13,8 +13,6 @@ const STATIC_ASSETS = [
     '/index.html',
     '/styles.css',
     '/app.js',
-    '/admin.html',
-    '/admin.js',
     '/architecture.html',
     '/favicon.svg',
     '/manifest.json',
@@ -77,6 +75,16 @@ self.addEventListener('fetch', event => {
     if (url.origin !== location.origin) {
         return;
     }
+
+    // Event streams and non-GET requests can't be cached; let the browser handle them
+    if (request.method !== 'GET' || request.headers.get('Accept') === 'text/event-stream') {
+        return;
+    }
+
+    // Never cache pages or responses that depend on who is signed in
+    if (url.pathname.startsWith('/admin') || url.pathname.startsWith('/api/auth/')) {
+        return;
+    }
     
     // Handle API requests with cache-first strategy for news, network-first for others
     if (url.pathname.startsWith('/api/')) {
@@ -214,7 +222,7 @@ async function refreshNewsInBackground() {
     }
 }
 
-// Handle push notifications (placeholder for future implementation)
+// Handle push notifications sent for critical and breaking articles
 self.addEventListener('push', event => {
     if (event.data) {
         const data = event.data.json();
@@ -224,7 +232,7 @@ self.addEventListener('push', event => {
             badge: '/favicon.svg',
             data: data.url,
             requireInteraction: false,
-            tag: 'news-update'
+            tag: data.tag || 'news-update'
         };
         
         event.waitUntil(
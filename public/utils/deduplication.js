@@ -28,6 +28,14 @@ class ArticleDeduplicator {
         const processed = [];
         const usedIndices = new Set();
 
+        // Articles clustered into stories by the server are grouped by storyId in one pass
+        const storyIndices = new Map();
+        articles.forEach((article, index) => {
+            if (!article.storyId) return;
+            if (!storyIndices.has(article.storyId)) storyIndices.set(article.storyId, []);
+            storyIndices.get(article.storyId).push(index);
+        });
+
         for (let i = 0; i < articles.length; i++) {
             if (usedIndices.has(i)) continue;
 
@@ -36,7 +44,11 @@ class ArticleDeduplicator {
             const allSources = [article.source];
 
             // Find duplicates for this article
-            for (let j = i + 1; j < articles.length; j++) {
+            const candidateIndices = article.storyId
+                ? storyIndices.get(article.storyId).filter(j => j > i)
+                : Array.from({ length: articles.length - i - 1 }, (_, k) => i + 1 + k);
+
+            for (const j of candidateIndices) {
                 if (usedIndices.has(j)) continue;
 
                 const candidate = articles[j];
@@ -68,6 +80,11 @@ class ArticleDeduplicator {
      * Check if two articles are duplicates using multiple factors
      */
     areDuplicates(article1, article2) {
+        // The server's story clustering is authoritative when both articles have been clustered
+        if (article1.storyId && article2.storyId) {
+            return article1.storyId === article2.storyId;
+        }
+
         try {
             // Factor 1: Title similarity
             const titleSimilarity = this.calculateTitleSimilarity(article1.title, article2.title);
@@ -3,6 +3,12 @@
  * Provides secure methods to sanitize HTML content and prevent XSS attacks
  */
 
+// Supported source types: scraped HTML pages or syndication feeds
+const SOURCE_TYPES = ['html', 'rss', 'atom', 'sitemap'];
+
+// How a source's pages are loaded: a plain HTTP GET, or headless Chromium for client-rendered sites
+const RENDER_MODES = ['http', 'browser'];
+
 /**
  * Escapes HTML characters to prevent XSS attacks
  * @param {string} text - Text to escape
@@ -19,6 +25,26 @@ function escapeHtml(text) {
         .replace(/'/g, '&#x27;');
 }
 
+/**
+ * Converts stored (HTML-escaped, possibly marked-up) text to plain text
+ * @param {string} value - Escaped text or HTML
+ * @returns {string} - Plain text with entities decoded and whitespace collapsed
+ */
+function toPlainText(value) {
+    if (!value || typeof value !== 'string') return '';
+
+    return value
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#x27;|&#39;/g, "'")
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
 /**
  * Sanitizes HTML content by removing potentially dangerous elements and attributes
  * @param {string} html - HTML content to sanitize
@@ -134,6 +160,64 @@ function sanitizeSearchInput(input) {
         .substring(0, 200); // Limit length
 }
 
+const ENTITY_LIST_FIELDS = ['cves', 'vendors', 'products', 'threatActors', 'malware', 'companies'];
+
+/**
+ * Normalizes extracted entities. Names are stripped of markup characters rather than
+ * escaped, so validating an article twice doesn't double-escape them.
+ * @param {object} entities - Entities from the entity extractor
+ * @returns {object|null} - Sanitized entities or null
+ */
+function sanitizeEntities(entities) {
+    if (!entities || typeof entities !== 'object') return null;
+
+    const result = {};
+    ENTITY_LIST_FIELDS.forEach(field => {
+        result[field] = (Array.isArray(entities[field]) ? entities[field] : [])
+            .filter(value => typeof value === 'string')
+            .map(value => value.replace(/[<>"'`]/g, '').trim().substring(0, 100))
+            .filter(Boolean)
+            .slice(0, 25);
+    });
+
+    result.cvss = (Array.isArray(entities.cvss) ? entities.cvss : [])
+        .filter(entry => entry && typeof entry.score === 'number' && entry.score >= 0 && entry.score <= 10)
+        .map(entry => ({
+            cve: typeof entry.cve === 'string' && /^CVE-\d{4}-\d{4,7}$/.test(entry.cve) ? entry.cve : null,
+            score: entry.score
+        }))
+        .slice(0, 25);
+    result.maxCvss = result.cvss.length > 0 ? Math.max(...result.cvss.map(entry => entry.score)) : null;
+
+    return result;
+}
+
+/**
+ * Normalizes CVE details from the local NVD and KEV data, stripping markup characters
+ * from product names the same way as entity names
+ * @param {Array} vulnerabilities - Details from the CVE service
+ * @returns {Array} - Sanitized details
+ */
+function sanitizeVulnerabilities(vulnerabilities) {
+    if (!Array.isArray(vulnerabilities)) return [];
+
+    return vulnerabilities
+        .filter(v => v && typeof v.cve === 'string' && /^CVE-\d{4}-\d{4,7}$/.test(v.cve))
+        .map(v => ({
+            cve: v.cve,
+            cvssScore: typeof v.cvssScore === 'number' && v.cvssScore >= 0 && v.cvssScore <= 10 ? v.cvssScore : null,
+            severity: typeof v.severity === 'string' && /^[A-Z]{1,10}$/.test(v.severity) ? v.severity : null,
+            products: (Array.isArray(v.products) ? v.products : [])
+                .filter(product => typeof product === 'string')
+                .map(product => product.replace(/[<>"'`]/g, '').trim().substring(0, 100))
+                .filter(Boolean)
+                .slice(0, 10),
+            knownExploited: Boolean(v.knownExploited),
+            ransomware: Boolean(v.ransomware)
+        }))
+        .slice(0, 25);
+}
+
 /**
  * Validates article data to ensure it's safe
  * @param {object} article - Article object to validate
@@ -155,9 +239,19 @@ function validateArticle(article) {
         priority: escapeHtml(article.priority || ''),
         sentiment: escapeHtml(article.sentiment || ''),
         priorityScore: parseInt(article.priorityScore) || 0,
+        duplicateCount: parseInt(article.duplicateCount) || 0,
+        storyId: article.storyId ? escapeHtml(article.storyId) : null,
         readingTime: parseInt(article.readingTime) || 1,
         isBreaking: Boolean(article.isBreaking),
-        keywords: Array.isArray(article.keywords) ? article.keywords.map(k => escapeHtml(k)) : []
+        keywords: Array.isArray(article.keywords) ? article.keywords.map(k => escapeHtml(k)) : [],
+        author: article.author ? escapeHtml(article.author) : null,
+        categories: Array.isArray(article.categories) ? article.categories.map(c => escapeHtml(c)) : [],
+        entities: sanitizeEntities(article.entities),
+        vulnerabilities: sanitizeVulnerabilities(article.vulnerabilities),
+        cvssScore: typeof article.cvssScore === 'number' && article.cvssScore >= 0 && article.cvssScore <= 10 ? article.cvssScore : null,
+        knownExploited: Boolean(article.knownExploited),
+        content: article.content ? sanitizeHtml(article.content) : null,
+        contentHtml: article.contentHtml ? sanitizeHtml(article.contentHtml) : null
     };
 }
 
@@ -182,7 +276,7 @@ function validateSourceUpdate(updateData) {
     }
 
     const validatedData = {};
-    const allowedFields = ['name', 'url', 'category', 'status', 'selectors'];
+    const allowedFields = ['name', 'url', 'category', 'status', 'selectors', 'type', 'scraper', 'render', 'waitFor', 'rotateUserAgent'];
     const validCategories = ['AI Industry', 'AI News', 'AI Research', 'Coding Tools'];
 
     // Validate each allowed field
@@ -224,6 +318,53 @@ function validateSourceUpdate(updateData) {
                     }
                     validatedData.selectors = updateData.selectors;
                     break;
+
+                case 'type':
+                    if (!SOURCE_TYPES.includes(updateData.type)) {
+                        return { valid: false, error: `Type must be one of: ${SOURCE_TYPES.join(', ')}` };
+                    }
+                    validatedData.type = updateData.type;
+                    break;
+
+                case 'scraper':
+                    // Plugin IDs are checked against the scraper registry by the server
+                    if (updateData.scraper === null || updateData.scraper === '') {
+                        validatedData.scraper = null;
+                    } else if (typeof updateData.scraper !== 'string' || !/^[a-z0-9][a-z0-9-]{0,49}$/.test(updateData.scraper)) {
+                        return { valid: false, error: 'Scraper must be a scraper ID or null' };
+                    } else {
+                        validatedData.scraper = updateData.scraper;
+                    }
+                    break;
+
+                case 'render':
+                    if (updateData.render === null || updateData.render === '') {
+                        validatedData.render = null;
+                    } else if (!RENDER_MODES.includes(updateData.render)) {
+                        return { valid: false, error: `Render must be one of: ${RENDER_MODES.join(', ')}` };
+                    } else {
+                        validatedData.render = updateData.render;
+                    }
+                    break;
+
+                case 'waitFor':
+                    // CSS selector the browser waits for before reading the page
+                    if (updateData.waitFor === null || updateData.waitFor === '') {
+                        validatedData.waitFor = null;
+                    } else if (typeof updateData.waitFor !== 'string' || updateData.waitFor.trim().length === 0 || updateData.waitFor.length > 300) {
+                        return { valid: false, error: 'waitFor must be a CSS selector of at most 300 characters' };
+                    } else {
+                        validatedData.waitFor = updateData.waitFor.trim();
+                    }
+                    break;
+
+                case 'rotateUserAgent':
+                    // Opt-in: present as a desktop browser instead of the crawler's own user agent
+                    if (typeof updateData.rotateUserAgent !== 'boolean') {
+                        return { valid: false, error: 'rotateUserAgent must be true or false' };
+                    }
+                    validatedData.rotateUserAgent = updateData.rotateUserAgent;
+                    break;
             }
         }
     }
@@ -236,20 +377,30 @@ if (typeof module !== 'undefined' && module.exports) {
     // Node.js environment - no need for JSDOM anymore
     module.exports = {
         escapeHtml,
+        toPlainText,
         sanitizeHtml,
         sanitizeUrl,
         sanitizeSearchInput,
         validateArticle,
-        validateSourceUpdate
+        sanitizeEntities,
+        sanitizeVulnerabilities,
+        validateSourceUpdate,
+        SOURCE_TYPES,
+        RENDER_MODES
     };
 } else {
     // Browser environment
     window.Sanitizer = {
         escapeHtml,
+        toPlainText,
         sanitizeHtml,
         sanitizeUrl,
         sanitizeSearchInput,
         validateArticle,
-        validateSourceUpdate
+        sanitizeEntities,
+        sanitizeVulnerabilities,
+        validateSourceUpdate,
+        SOURCE_TYPES,
+        RENDER_MODES
     };
 }
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * AskWoody - WordPress posts on the front page
+ */
+
+module.exports = {
+    id: 'askwoody',
+    name: 'AskWoody',
+    category: 'Technology',
+    matches: ['askwoody.com'],
+
+    async scrape({ source, fetchPage, cheerio, createArticle }) {
+        const html = await fetchPage(source.url);
+        if (!html) return [];
+
+        const $ = cheerio.load(html);
+        const articles = [];
+
+        $('.post, article').each((i, element) => {
+            if (i >= 10) return false;
+
+            const $element = $(element);
+            const title = $element.find('h2 a, h3 a, .entry-title a').first().text().trim();
+            const link = $element.find('h2 a, h3 a, .entry-title a').first().attr('href');
+            const summary = $element.find('.entry-content p, .excerpt p, p').first().text().trim();
+            const publishedAt = $element.find('.date, .entry-date, time').first().text().trim();
+
+            if (title && link) {
+                articles.push(createArticle({ title, link, summary, publishedAt }));
+            }
+        });
+
+        return articles;
+    }
+};
@@ -0,0 +1,35 @@
+/**
+ * BleepingComputer - latest news list on the front page
+ */
+
+module.exports = {
+    id: 'bleepingcomputer',
+    name: 'BleepingComputer',
+    category: 'Cybersecurity',
+    matches: ['bleepingcomputer.com'],
+
+    async scrape({ source, fetchPage, cheerio, createArticle }) {
+        const html = await fetchPage(source.url);
+        if (!html) return [];
+
+        const $ = cheerio.load(html);
+        const articles = [];
+
+        $('.bc_latest_news_text').each((i, element) => {
+            if (i >= 10) return false;
+
+            const $element = $(element);
+            const title = $element.find('h4 a').text().trim();
+            const link = $element.find('h4 a').attr('href');
+            const summary = $element.find('p').first().text().trim();
+            const timeElement = $element.find('.bc_news_date');
+            const publishedAt = timeElement.length ? timeElement.text().trim() : null;
+
+            if (title && link) {
+                articles.push(createArticle({ title, link, summary, publishedAt }));
+            }
+        });
+
+        return articles;
+    }
+};
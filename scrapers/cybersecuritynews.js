@@ -0,0 +1,34 @@
+/**
+ * Cybersecurity News - JNews theme post blocks
+ */
+
+module.exports = {
+    id: 'cybersecuritynews',
+    name: 'Cybersecurity News',
+    category: 'Cybersecurity',
+    matches: ['cybersecuritynews.com'],
+
+    async scrape({ source, fetchPage, cheerio, createArticle }) {
+        const html = await fetchPage(source.url);
+        if (!html) return [];
+
+        const $ = cheerio.load(html);
+        const articles = [];
+
+        $('.jeg_post').each((i, element) => {
+            if (i >= 10) return false;
+
+            const $element = $(element);
+            const title = $element.find('.jeg_post_title a').text().trim();
+            const link = $element.find('.jeg_post_title a').attr('href');
+            const summary = $element.find('.jeg_post_excerpt p').text().trim();
+            const publishedAt = $element.find('.jeg_meta_date a').text().trim();
+
+            if (title && link) {
+                articles.push(createArticle({ title, link, summary, publishedAt }));
+            }
+        });
+
+        return articles;
+    }
+};
@@ -0,0 +1,37 @@
+/**
+ * Google Research Blog - blog post list
+ */
+
+module.exports = {
+    id: 'google-research',
+    name: 'Google Research Blog',
+    category: 'AI & ML',
+    matches: ['research.google', /^https?:\/\/blog\.research\.google\//],
+
+    async scrape({ source, fetchPage, cheerio, createArticle }) {
+        const html = await fetchPage(source.url);
+        if (!html) return [];
+
+        const $ = cheerio.load(html);
+        const articles = [];
+
+        // Google Research Blog uses blog-post-list articles
+        $('.blog-post-list article, article').each((i, element) => {
+            if (i >= 10) return false;
+
+            const $element = $(element);
+            const $link = $element.find('a').first();
+            const title = $element.find('h2, h3').first().text().trim();
+            const link = $link.attr('href');
+            const summary = $element.find('p').first().text().trim();
+            const $time = $element.find('time');
+            const publishedAt = $time.length ? $time.text().trim() : null;
+
+            if (title && link) {
+                articles.push(createArticle({ title, link, summary, publishedAt }));
+            }
+        });
+
+        return articles;
+    }
+};
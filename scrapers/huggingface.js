@@ -0,0 +1,38 @@
+/**
+ * Hugging Face Blog - links to blog posts; only the /blog section of the site
+ */
+
+module.exports = {
+    id: 'huggingface',
+    name: 'Hugging Face Blog',
+    category: 'AI & ML',
+    matches: [/^https?:\/\/(www\.)?huggingface\.co\/blog(\/|$)/],
+
+    async scrape({ source, fetchPage, cheerio, createArticle }) {
+        const html = await fetchPage(source.url);
+        if (!html) return [];
+
+        const $ = cheerio.load(html);
+        const articles = [];
+
+        // Hugging Face blog uses various selectors
+        $('a[href^="/blog/"]').each((i, element) => {
+            if (i >= 10) return false;
+
+            const $element = $(element);
+            const title = $element.text().trim();
+            const link = $element.attr('href');
+
+            // Find parent container for additional info
+            const $container = $element.closest('article, .blog-article, div');
+            const summary = $container.find('p').first().text().trim();
+            const publishedAt = $container.find('time, .date').first().text().trim();
+
+            if (title && link && title.length > 0) {
+                articles.push(createArticle({ title, link, summary, publishedAt }));
+            }
+        });
+
+        return articles;
+    }
+};
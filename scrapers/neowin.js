@@ -0,0 +1,34 @@
+/**
+ * Neowin - news items and featured stories
+ */
+
+module.exports = {
+    id: 'neowin',
+    name: 'Neowin',
+    category: 'Technology',
+    matches: ['neowin.net'],
+
+    async scrape({ source, fetchPage, cheerio, createArticle }) {
+        const html = await fetchPage(source.url);
+        if (!html) return [];
+
+        const $ = cheerio.load(html);
+        const articles = [];
+
+        $('.news-item, .featured-story').each((i, element) => {
+            if (i >= 10) return false;
+
+            const $element = $(element);
+            const title = $element.find('h2 a, h3 a, .title a').first().text().trim();
+            const link = $element.find('h2 a, h3 a, .title a').first().attr('href');
+            const summary = $element.find('.summary, .excerpt, p').first().text().trim();
+            const publishedAt = $element.find('.date, .time, time').first().text().trim();
+
+            if (title && link) {
+                articles.push(createArticle({ title, link, summary, publishedAt }));
+            }
+        });
+
+        return articles;
+    }
+};
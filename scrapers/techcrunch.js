@@ -0,0 +1,44 @@
+/**
+ * TechCrunch - WordPress block theme post titles
+ */
+
+module.exports = {
+    id: 'techcrunch',
+    name: 'TechCrunch',
+    category: 'Technology',
+    matches: ['techcrunch.com'],
+
+    async scrape({ source, fetchPage, cheerio, createArticle }) {
+        const html = await fetchPage(source.url);
+        if (!html) return [];
+
+        const $ = cheerio.load(html);
+        const articles = [];
+
+        // TechCrunch uses WordPress blocks with wp-block-post-title for articles
+        $('.wp-block-post-title').each((i, element) => {
+            if (i >= 10) return false;
+
+            const $element = $(element);
+            const $link = $element.find('a').first();
+            const title = $link.text().trim();
+            const link = $link.attr('href');
+
+            // Look for summary in nearby paragraph or use a fallback
+            let summary = '';
+            const $container = $element.closest('.wp-block-group, .wp-block-columns');
+            if ($container.length) {
+                summary = $container.find('.wp-block-paragraph').first().text().trim();
+            }
+
+            // Look for date information
+            const publishedAt = $container.find('.wp-block-post-date, .post-date').text().trim();
+
+            if (title && link) {
+                articles.push(createArticle({ title, link, summary, publishedAt }));
+            }
+        });
+
+        return articles;
+    }
+};
@@ -7,15 +7,52 @@ require('dotenv').config();
 
 const newsService = require('./services/newsService');
 const aiService = require('./services/aiService');
-const { validateArticle, sanitizeUrl, validateSourceUpdate } = require('./utils/sanitizer');
+const articleStore = require('./services/articleStore');
+const refreshService = require('./services/refreshService');
+const authService = require('./services/authService');
+const sourceHealth = require('./services/sourceHealthService');
+const watchlistService = require('./services/watchlistService');
+const pushService = require('./services/pushService');
+const webhookService = require('./services/webhookService');
+const digestService = require('./services/digestService');
+const collectionService = require('./services/collectionService');
+const storyService = require('./services/storyService');
+const trendService = require('./services/trendService');
+const cveService = require('./services/cveService');
+const scraperRegistry = require('./services/scraperRegistry');
+const browserPool = require('./services/browserPool');
+const fetchCache = require('./services/fetchCache');
+const crawlPolicy = require('./services/crawlPolicy');
+const { PERIODS: DIGEST_PERIODS } = digestService;
+const { sanitizeUrl, validateSourceUpdate, SOURCE_TYPES } = require('./utils/sanitizer');
+const { parseNewsQuery, hasQueryParams, queryArticles } = require('./utils/articleQuery');
+const { articleToFeedItem, buildRss, buildAtom, buildJsonFeed } = require('./utils/feedWriter');
+const { validateExtractionRules } = require('./utils/extractionRules');
+const { assertPublicUrl } = require('./utils/ssrfGuard');
 const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+
+// Cross-origin requests are refused unless their origin is listed in CORS_ORIGINS (comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
 // Security middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true }));
 app.use(express.json({ limit: '10mb' })); // Prevent large payload attacks
+app.use(authService.middleware());
+
+// The admin console is only served to admins; everyone else is sent to the login page
+app.get(['/admin.html', '/admin.js'], (req, res, next) => {
+  if (authService.hasRole(req.auth, 'admin')) {
+    return next();
+  }
+  if (req.path === '/admin.html') {
+    return res.redirect(`/login.html?next=${encodeURIComponent(req.path)}`);
+  }
+  res.status(req.auth ? 403 : 401).json({ error: 'admin role required' });
+});
 
 // Static files with no-cache headers for development
 app.use(express.static(path.join(__dirname, 'public'), {
@@ -40,81 +77,696 @@ app.use((req, res, next) => {
   next();
 });
 
-// Article cache with cleanup mechanism
-let cachedNews = [];
+// Articles are persisted in the article store; /api/news serves a recent window of it
 const MAX_CACHE_SIZE = 1000;
 const MAX_ARTICLE_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+const STREAM_KEEPALIVE_INTERVAL = 30 * 1000;
+const DEFAULT_FEED_SIZE = 50;
+// Absolute URLs in feeds use PUBLIC_URL when set (e.g. behind a reverse proxy), otherwise the request's host
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+// Digest schedules (node-cron syntax); set to "off" to disable
+const DIGEST_DAILY_CRON = process.env.DIGEST_DAILY_CRON || '0 7 * * *';
+const DIGEST_WEEKLY_CRON = process.env.DIGEST_WEEKLY_CRON || '0 7 * * 1';
+// CVE data (NVD records and the CISA KEV catalog) refresh schedule; set to "off" to only use local files
+const CVE_REFRESH_CRON = process.env.CVE_REFRESH_CRON || '30 3 * * *';
 
-// Clean up old articles from cache
-function cleanupCache() {
-  const now = new Date();
-  cachedNews = cachedNews.filter(article => {
-    if (!article.scraped) return true;
-    const articleAge = now - new Date(article.scraped);
-    return articleAge < MAX_ARTICLE_AGE;
-  });
-  
-  // Limit cache size
-  if (cachedNews.length > MAX_CACHE_SIZE) {
-    cachedNews = cachedNews
-      .sort((a, b) => new Date(b.scraped) - new Date(a.scraped))
-      .slice(0, MAX_CACHE_SIZE);
-  }
-  
-  console.log(`Cache cleanup completed. Articles in cache: ${cachedNews.length}`);
+// List responses leave out the article body; it is served by /api/news/:id
+function toListItem(article) {
+  const { content, contentHtml, ...listItem } = article;
+  return {
+    ...listItem,
+    hasContent: Boolean(content)
+  };
+}
+
+// Articles currently served by /api/news
+function getRecentArticles() {
+  return articleStore.getAll({ maxAgeMs: MAX_ARTICLE_AGE, limit: MAX_CACHE_SIZE });
+}
+
+// Drop articles past the store's retention window
+async function cleanupCache() {
+  try {
+    await articleStore.prune();
+  } catch (error) {
+    console.error('Article store cleanup failed:', error);
+  }
 }
 
 app.get('/api/news', async (req, res) => {
   try {
-    if (cachedNews.length === 0) {
-      cachedNews = await newsService.getAllNews();
-      // Validate and sanitize articles
-      cachedNews = cachedNews.map(article => validateArticle(article)).filter(Boolean);
+    const paginated = hasQueryParams(req.query);
+    const query = paginated ? parseNewsQuery(req.query) : null;
+    if (query && !query.valid) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    await articleStore.load();
+    if (articleStore.size() === 0) {
+      // First run: scrape synchronously (or wait for the refresh already in progress)
+      const { job } = refreshService.start({ trigger: 'initial', summarize: false });
+      await job.promise;
+      if (job.status === 'failed') {
+        throw new Error(job.error);
+      }
     }
     
     // Set cache headers
     res.setHeader('Cache-Control', 'public, max-age=300'); // 5 minutes
-    res.json(cachedNews);
+
+    // Without query parameters, keep returning the plain array the frontend expects
+    if (!paginated) {
+      return res.json((await getRecentArticles()).map(toListItem));
+    }
+
+    // An explicit time range can reach past the default window into stored history
+    const articles = query.data.since !== null || query.data.until !== null
+      ? await articleStore.getAll()
+      : await getRecentArticles();
+
+    const result = queryArticles(articles, query.data);
+    res.json({ ...result, articles: result.articles.map(toListItem) });
   } catch (error) {
     console.error('Error fetching news:', error);
     res.status(500).json({ error: 'Failed to fetch news' });
   }
 });
 
-app.get('/api/refresh', async (req, res) => {
+// GET /api/news/:id - Single article including its extracted body
+app.get('/api/news/:id', async (req, res) => {
   try {
-    console.log('Starting news refresh...');
-    cachedNews = await newsService.getAllNews();
-    // Validate and sanitize articles
-    cachedNews = cachedNews.map(article => validateArticle(article)).filter(Boolean);
-    cleanupCache(); // Clean up old articles
+    const article = await articleStore.get(req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    res.json(article);
+  } catch (error) {
+    console.error('Error fetching article:', error);
+    res.status(500).json({ error: 'Failed to fetch article' });
+  }
+});
 
-    // Smart Hybrid: Generate AI summaries for trending/recent articles
-    if (aiService.isAvailable()) {
-      console.log('[AI] Starting smart hybrid summary generation...');
-      try {
-        cachedNews = await aiService.generateBatchSummaries(cachedNews, {
-          maxArticles: 20,           // Summarize top 20 articles
-          prioritizeRecent: true,
-          prioritizeTrending: true,
-          minDuplicates: 1           // Articles with 1+ duplicates = trending
-        });
-        console.log('[AI] Summary generation complete');
-      } catch (aiError) {
-        console.error('[AI] Batch summary generation failed:', aiError.message);
-        // Continue without summaries
-      }
+// GET /api/stories - Cross-source stories (since, until, category, source, minSources, sort=recent|coverage, limit)
+app.get('/api/stories', async (req, res) => {
+  const query = storyService.parseQuery(req.query);
+  if (!query.valid) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    res.json(await storyService.list(query.data));
+  } catch (error) {
+    console.error('Error fetching stories:', error);
+    res.status(500).json({ error: 'Failed to fetch stories' });
+  }
+});
+
+// GET /api/stories/:id - A story with every source's version of it
+app.get('/api/stories/:id', async (req, res) => {
+  try {
+    const story = await storyService.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
     }
+    res.json(story);
+  } catch (error) {
+    console.error('Error fetching story:', error);
+    res.status(500).json({ error: 'Failed to fetch story' });
+  }
+});
 
-    console.log(`News refresh completed with ${cachedNews.length} articles`);
-    res.json({ message: 'News refreshed successfully', count: cachedNews.length });
+// GET /api/trends - Terms spiking against their baseline (window=24h, type=keyword|phrase|entity, limit)
+app.get('/api/trends', async (req, res) => {
+  const query = trendService.parseQuery(req.query);
+  if (!query.valid) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=300'); // 5 minutes
+    res.json(await trendService.getTrends(query.data));
   } catch (error) {
-    console.error('Error refreshing news:', error);
-    res.status(500).json({
+    console.error('Error fetching trends:', error);
+    res.status(500).json({ error: 'Failed to fetch trends' });
+  }
+});
+
+// GET /api/cves/:id - CVSS score, affected products and known-exploited status from local NVD/KEV data
+app.get('/api/cves/:id', async (req, res) => {
+  const id = String(req.params.id).toUpperCase();
+  if (!/^CVE-\d{4}-\d{4,7}$/.test(id)) {
+    return res.status(400).json({ error: 'Invalid CVE identifier' });
+  }
+
+  try {
+    await cveService.load();
+    const details = cveService.lookup(id);
+    if (!details) {
+      return res.status(404).json({ error: 'CVE not found in local NVD or KEV data' });
+    }
+    res.json(details);
+  } catch (error) {
+    console.error('Error fetching CVE:', error);
+    res.status(500).json({ error: 'Failed to fetch CVE' });
+  }
+});
+
+// POST /api/cves/refresh - Download the KEV catalog and recent NVD records now
+app.post('/api/cves/refresh', authService.requireRole('admin'), async (req, res) => {
+  try {
+    const result = await cveService.refresh();
+    res.json({ ...result, stats: cveService.getStats() });
+  } catch (error) {
+    console.error('Error refreshing CVE data:', error);
+    res.status(500).json({ error: 'Failed to refresh CVE data' });
+  }
+});
+
+// Syndication feeds of the aggregated stream and of published collections
+const FEED_FORMATS = {
+  'feed.xml': { type: 'application/rss+xml', render: buildRss },
+  'atom.xml': { type: 'application/atom+xml', render: buildAtom },
+  'feed.json': { type: 'application/feed+json', render: feed => JSON.stringify(buildJsonFeed(feed), null, 2) }
+};
+
+function getBaseUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function sendFeed(res, format, feed) {
+  res.setHeader('Cache-Control', 'public, max-age=300'); // 5 minutes
+  res.type(FEED_FORMATS[format].type).send(FEED_FORMATS[format].render(feed));
+}
+
+// GET /feed.xml, /atom.xml, /feed.json - Accept the /api/news filters (category, source, priority, q, since, until, limit)
+app.get(['/feed.xml', '/atom.xml', '/feed.json'], async (req, res) => {
+  const query = parseNewsQuery({ limit: String(DEFAULT_FEED_SIZE), ...req.query, page: undefined, sort: undefined });
+  if (!query.valid) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    const articles = query.data.since !== null || query.data.until !== null
+      ? await articleStore.getAll()
+      : await getRecentArticles();
+    const { articles: page } = queryArticles(articles, query.data);
+
+    const filters = [...query.data.categories, ...query.data.sources, ...query.data.priorities];
+    const baseUrl = getBaseUrl(req);
+    sendFeed(res, req.path.substring(1), {
+      title: `News Aggregator${filters.length ? ` - ${filters.join(', ')}` : ''}`,
+      description: 'Aggregated, deduplicated cybersecurity and tech news',
+      siteUrl: `${baseUrl}/`,
+      feedUrl: `${baseUrl}${req.originalUrl}`,
+      items: page.map(articleToFeedItem)
+    });
+  } catch (error) {
+    console.error('Error building feed:', error);
+    res.status(500).json({ error: 'Failed to build feed' });
+  }
+});
+
+// GET /collections/:id/feed.xml (also atom.xml and feed.json) - Feed of a published collection
+app.get('/collections/:id/:format', async (req, res, next) => {
+  if (!FEED_FORMATS[req.params.format]) {
+    return next();
+  }
+
+  try {
+    const collection = await collectionService.get(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const baseUrl = getBaseUrl(req);
+    const items = [...collection.articles]
+      .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))
+      .map(article => articleToFeedItem({ ...article, publishedAt: article.savedAt }));
+    sendFeed(res, req.params.format, {
+      title: collection.name,
+      description: collection.description || `Articles saved to the "${collection.name}" collection`,
+      siteUrl: `${baseUrl}/`,
+      feedUrl: `${baseUrl}${req.originalUrl}`,
+      items
+    });
+  } catch (error) {
+    console.error('Error building collection feed:', error);
+    res.status(500).json({ error: 'Failed to build feed' });
+  }
+});
+
+function collectionFeedUrls(req, collection) {
+  const base = `${getBaseUrl(req)}/collections/${collection.id}`;
+  return { rss: `${base}/feed.xml`, atom: `${base}/atom.xml`, json: `${base}/feed.json` };
+}
+
+// POST /api/collections - Publish a collection snapshot ({ name, description, articles })
+app.post('/api/collections', authService.requireRole('reader'), async (req, res) => {
+  const validation = collectionService.validateCollection(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const collection = await collectionService.publish(validation.data);
+    res.status(201).json({ id: collection.id, name: collection.name, feeds: collectionFeedUrls(req, collection) });
+  } catch (error) {
+    console.error('Error publishing collection:', error);
+    res.status(500).json({ error: 'Failed to publish collection' });
+  }
+});
+
+// PUT /api/collections/:id - Replace a published collection's snapshot
+app.put('/api/collections/:id', authService.requireRole('reader'), async (req, res) => {
+  const validation = collectionService.validateCollection(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const collection = await collectionService.publish(validation.data, req.params.id);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    res.json({ id: collection.id, name: collection.name, feeds: collectionFeedUrls(req, collection) });
+  } catch (error) {
+    console.error('Error updating published collection:', error);
+    res.status(500).json({ error: 'Failed to update published collection' });
+  }
+});
+
+// DELETE /api/collections/:id - Stop publishing a collection
+app.delete('/api/collections/:id', authService.requireRole('reader'), async (req, res) => {
+  try {
+    const removed = await collectionService.unpublish(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    res.json({ message: 'Collection unpublished' });
+  } catch (error) {
+    console.error('Error unpublishing collection:', error);
+    res.status(500).json({ error: 'Failed to unpublish collection' });
+  }
+});
+
+// POST /api/refresh - Start a background refresh job
+app.post('/api/refresh', authService.requireRole('reader'), (req, res) => {
+  const { job, started } = refreshService.start({ trigger: 'api' });
+
+  if (!started) {
+    return res.status(409).json({
+      error: 'A refresh is already running',
+      jobId: job.id,
+      job
+    });
+  }
+
+  res.status(202).json({ jobId: job.id, job });
+});
+
+// GET /api/refresh - Legacy blocking refresh; joins the running job if there is one
+app.get('/api/refresh', authService.requireRole('reader'), async (req, res) => {
+  const { job } = refreshService.start({ trigger: 'api' });
+  await job.promise;
+
+  if (job.status === 'failed') {
+    return res.status(500).json({
       error: 'Failed to refresh news',
-      details: error.message || 'Unknown error occurred'
+      details: job.error
     });
   }
+
+  res.json({ message: 'News refreshed successfully', count: job.result.count, jobId: job.id });
+});
+
+// GET /api/refresh/:jobId - Refresh job status and progress
+app.get('/api/refresh/:jobId', (req, res) => {
+  const job = refreshService.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Refresh job not found' });
+  }
+  res.json(job);
+});
+
+// GET /api/refresh/:jobId/events - Server-Sent Events stream of job progress
+app.get('/api/refresh/:jobId/events', (req, res) => {
+  const job = refreshService.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Refresh job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const finish = updatedJob => {
+    send(updatedJob.status === 'completed' ? 'complete' : 'failed', updatedJob);
+    res.end();
+  };
+
+  send('progress', job);
+  if (job.status !== 'running') {
+    return finish(job);
+  }
+
+  const onUpdate = updatedJob => {
+    if (updatedJob.id !== job.id) return;
+    if (updatedJob.status === 'running') {
+      send('progress', updatedJob);
+    } else {
+      cleanup();
+      finish(updatedJob);
+    }
+  };
+  const cleanup = () => refreshService.removeListener('update', onUpdate);
+
+  refreshService.on('update', onUpdate);
+  req.on('close', cleanup);
+});
+
+// GET /api/stream - Server-Sent Events stream of newly ingested articles and finished refreshes
+const streamClients = new Set();
+
+function broadcast(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  streamClients.forEach(client => client.write(message));
+}
+
+refreshService.on('articles', (articles, job) => {
+  broadcast('articles', { jobId: job.id, articles: articles.map(toListItem) });
+});
+
+['complete', 'failed'].forEach(event => {
+  refreshService.on(event, job => {
+    broadcast('refresh-complete', {
+      jobId: job.id,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      finishedAt: job.finishedAt
+    });
+  });
+});
+
+watchlistService.on('alerts', alerts => {
+  broadcast('alerts', { alerts });
+});
+
+// Critical and breaking articles also go out as Web Push notifications
+refreshService.on('articles', articles => {
+  pushService.notifyArticles(articles).catch(error => {
+    console.error('[Push] Failed to deliver notifications:', error.message);
+  });
+});
+
+// Outbound webhooks; deliveries retry in the background, so nothing here waits on them
+refreshService.on('articles', articles => {
+  webhookService.dispatchArticles(articles).catch(error => {
+    console.error('[Webhooks] Failed to dispatch articles:', error.message);
+  });
+});
+
+['complete', 'failed'].forEach(event => {
+  refreshService.on(event, job => {
+    webhookService.dispatchRefreshComplete(job).catch(error => {
+      console.error('[Webhooks] Failed to dispatch refresh result:', error.message);
+    });
+  });
+});
+
+sourceHealth.on('failure', failure => {
+  webhookService.dispatchSourceFailure(failure).catch(error => {
+    console.error('[Webhooks] Failed to dispatch source failure:', error.message);
+  });
+});
+
+// Comment lines keep idle connections open through proxies
+setInterval(() => {
+  streamClients.forEach(client => client.write(': keepalive\n\n'));
+}, STREAM_KEEPALIVE_INTERVAL).unref();
+
+app.get('/api/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 10000\n\n');
+
+  streamClients.add(res);
+  req.on('close', () => streamClients.delete(res));
+});
+
+// Authentication
+// POST /api/auth/login - Exchange an API token for an HttpOnly session cookie
+app.post('/api/auth/login', async (req, res) => {
+  const token = req.body && req.body.token;
+  const identity = await authService.verify(token);
+  if (!identity) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  res.setHeader('Set-Cookie', authService.buildAuthCookie(token, req.secure));
+  res.json({ name: identity.name, role: identity.role });
+});
+
+// POST /api/auth/logout - Clear the session cookie
+app.post('/api/auth/logout', (req, res) => {
+  res.setHeader('Set-Cookie', authService.buildLogoutCookie());
+  res.json({ message: 'Logged out' });
+});
+
+// GET /api/auth/me - Who the current request is authenticated as
+app.get('/api/auth/me', (req, res) => {
+  if (!req.auth) {
+    return res.json({ authenticated: false, role: null });
+  }
+  res.json({ authenticated: true, name: req.auth.name, role: req.auth.role });
+});
+
+// GET /api/auth/tokens - List API tokens (hashes are never returned)
+app.get('/api/auth/tokens', authService.requireRole('admin'), async (req, res) => {
+  res.json(await authService.listTokens());
+});
+
+// POST /api/auth/tokens - Create an API token; the plaintext is only returned here
+app.post('/api/auth/tokens', authService.requireRole('admin'), async (req, res) => {
+  const validation = authService.validateTokenRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    res.status(201).json(await authService.createToken(validation.data));
+  } catch (error) {
+    console.error('Error creating token:', error);
+    res.status(500).json({ error: 'Failed to create token' });
+  }
+});
+
+// DELETE /api/auth/tokens/:id - Revoke an API token
+app.delete('/api/auth/tokens/:id', authService.requireRole('admin'), async (req, res) => {
+  try {
+    const revoked = await authService.revokeToken(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    res.status(500).json({ error: 'Failed to revoke token' });
+  }
+});
+
+// Digests
+// GET /api/digest - Top articles for a period (?period=daily|weekly&limit=&category=&format=json|html|text)
+app.get('/api/digest', async (req, res) => {
+  const period = req.query.period || 'daily';
+  const format = req.query.format || 'json';
+  if (!DIGEST_PERIODS[period]) {
+    return res.status(400).json({ error: `period must be one of: ${Object.keys(DIGEST_PERIODS).join(', ')}` });
+  }
+  if (!['json', 'html', 'text'].includes(format)) {
+    return res.status(400).json({ error: 'format must be one of: json, html, text' });
+  }
+
+  try {
+    const digest = await digestService.build({
+      period,
+      limit: req.query.limit,
+      categories: req.query.category ? String(req.query.category).split(',').map(c => c.trim()).filter(Boolean) : []
+    });
+
+    if (format === 'html') {
+      return res.type('html').send(digestService.renderHtml(digest));
+    }
+    if (format === 'text') {
+      return res.type('text').send(digestService.renderText(digest));
+    }
+    res.json(digest);
+  } catch (error) {
+    console.error('Error building digest:', error);
+    res.status(500).json({ error: 'Failed to build digest' });
+  }
+});
+
+// POST /api/digest/send - Build and deliver a digest now ({ period })
+app.post('/api/digest/send', authService.requireRole('admin'), async (req, res) => {
+  const period = (req.body && req.body.period) || 'daily';
+  if (!DIGEST_PERIODS[period]) {
+    return res.status(400).json({ error: `period must be one of: ${Object.keys(DIGEST_PERIODS).join(', ')}` });
+  }
+  if (!digestService.isDeliveryConfigured()) {
+    return res.status(400).json({ error: 'No digest destination configured (set DIGEST_OUTPUT_DIR or SMTP_HOST and DIGEST_EMAIL_TO)' });
+  }
+
+  try {
+    const { digest, delivery } = await digestService.run(period);
+    res.json({ title: digest.title, articleCount: digest.articles.length, ...delivery });
+  } catch (error) {
+    logger.error('Error sending digest', error);
+    res.status(500).json({ error: 'Failed to send digest' });
+  }
+});
+
+// Watchlists and alerts
+// GET /api/watchlists - List watchlists
+app.get('/api/watchlists', async (req, res) => {
+  try {
+    res.json(await watchlistService.getWatchlists());
+  } catch (error) {
+    console.error('Error fetching watchlists:', error);
+    res.status(500).json({ error: 'Failed to fetch watchlists' });
+  }
+});
+
+// POST /api/watchlists - Create a watchlist
+app.post('/api/watchlists', authService.requireRole('reader'), async (req, res) => {
+  const validation = watchlistService.validateWatchlist(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    res.status(201).json(await watchlistService.createWatchlist(validation.data));
+  } catch (error) {
+    console.error('Error creating watchlist:', error);
+    res.status(500).json({ error: 'Failed to create watchlist' });
+  }
+});
+
+// PUT /api/watchlists/:id - Replace a watchlist's rules
+app.put('/api/watchlists/:id', authService.requireRole('reader'), async (req, res) => {
+  const validation = watchlistService.validateWatchlist(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const watchlist = await watchlistService.updateWatchlist(req.params.id, validation.data);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.json(watchlist);
+  } catch (error) {
+    console.error('Error updating watchlist:', error);
+    res.status(500).json({ error: 'Failed to update watchlist' });
+  }
+});
+
+// DELETE /api/watchlists/:id - Delete a watchlist (its alerts are kept)
+app.delete('/api/watchlists/:id', authService.requireRole('reader'), async (req, res) => {
+  try {
+    const deleted = await watchlistService.deleteWatchlist(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.json({ message: 'Watchlist deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting watchlist:', error);
+    res.status(500).json({ error: 'Failed to delete watchlist' });
+  }
+});
+
+// GET /api/alerts - Recent watchlist alerts, newest first
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json(await watchlistService.getAlerts({ unreadOnly: req.query.unread === 'true', limit }));
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+// POST /api/alerts/read - Mark alerts as read ({ ids } or all when omitted)
+app.post('/api/alerts/read', authService.requireRole('reader'), async (req, res) => {
+  const ids = req.body && req.body.ids;
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string'))) {
+    return res.status(400).json({ error: 'ids must be an array of alert IDs' });
+  }
+
+  try {
+    const updated = await watchlistService.markRead(ids || null);
+    res.json({ updated });
+  } catch (error) {
+    console.error('Error updating alerts:', error);
+    res.status(500).json({ error: 'Failed to update alerts' });
+  }
+});
+
+// Web Push subscriptions
+// GET /api/push/public-key - VAPID public key for PushManager.subscribe()
+app.get('/api/push/public-key', async (req, res) => {
+  try {
+    res.json({ publicKey: await pushService.getPublicKey() });
+  } catch (error) {
+    console.error('Error loading push key:', error);
+    res.status(500).json({ error: 'Failed to load push key' });
+  }
+});
+
+// POST /api/push/subscribe - Register a browser push subscription
+app.post('/api/push/subscribe', authService.requireRole('reader'), async (req, res) => {
+  const validation = pushService.validateSubscription(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const endpointError = await pushService.checkEndpoint(validation.data.endpoint);
+    if (endpointError) {
+      return res.status(400).json({ error: endpointError });
+    }
+
+    const { created } = await pushService.subscribe(validation.data);
+    res.status(created ? 201 : 200).json({ message: 'Subscribed to push notifications' });
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+});
+
+// POST /api/push/unsubscribe - Remove a browser push subscription ({ endpoint })
+app.post('/api/push/unsubscribe', authService.requireRole('reader'), async (req, res) => {
+  const endpoint = req.body && req.body.endpoint;
+  if (typeof endpoint !== 'string' || !endpoint) {
+    return res.status(400).json({ error: 'endpoint is required' });
+  }
+
+  try {
+    const removed = await pushService.unsubscribe(endpoint);
+    if (!removed) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    res.json({ message: 'Unsubscribed from push notifications' });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
 });
 
 // AI Summary API Endpoints
@@ -133,7 +785,9 @@ app.post('/api/summary', async (req, res) => {
       });
     }
 
-    const summary = await aiService.generateSummary(article);
+    // Summarize from the stored article when we have it, so the extracted body is used
+    const storedArticle = typeof article.id === 'string' ? await articleStore.get(article.id) : null;
+    const summary = await aiService.generateSummary(storedArticle || article);
     res.json({ summary });
 
   } catch (error) {
@@ -167,6 +821,7 @@ async function initializeSources() {
         name: 'BleepingComputer',
         url: 'https://www.bleepingcomputer.com/',
         category: 'Cybersecurity',
+        scraper: 'bleepingcomputer',
         status: 'active',
         articleCount: 0,
         lastSuccess: null,
@@ -177,6 +832,7 @@ async function initializeSources() {
         name: 'Cybersecurity News',
         url: 'https://cybersecuritynews.com/',
         category: 'Cybersecurity', 
+        scraper: 'cybersecuritynews',
         status: 'active',
         articleCount: 0,
         lastSuccess: null,
@@ -187,6 +843,7 @@ async function initializeSources() {
         name: 'Neowin',
         url: 'https://www.neowin.net/',
         category: 'Technology',
+        scraper: 'neowin',
         status: 'active',
         articleCount: 0,
         lastSuccess: null,
@@ -197,6 +854,7 @@ async function initializeSources() {
         name: 'AskWoody',
         url: 'https://www.askwoody.com/',
         category: 'Technology',
+        scraper: 'askwoody',
         status: 'active',
         articleCount: 0,
         lastSuccess: null,
@@ -209,6 +867,23 @@ async function initializeSources() {
   }
 }
 
+// Sources saved before scrapers were referenced by ID get the plugin matching their URL, once.
+// Afterwards only the stored ID counts, so renaming or moving a source never switches its scraper.
+async function assignScraperIds() {
+  const sources = await loadSources();
+  const pending = sources.filter(source => source.scraper === undefined);
+
+  for (const source of pending) {
+    const plugin = scraperRegistry.suggest(source);
+    await newsService.updateSource(source.id, stored => {
+      stored.scraper = plugin ? plugin.id : null;
+    });
+  }
+  if (pending.length > 0) {
+    console.log(`Assigned scraper IDs to ${pending.length} sources`);
+  }
+}
+
 // Load sources from file
 async function loadSources() {
   try {
@@ -220,13 +895,14 @@ async function loadSources() {
   }
 }
 
-// Save sources to file
-async function saveSources(sources) {
+// Reject source URLs that point into the server's own network; returns an error message or null.
+// Hosts that don't resolve yet are let through, since every fetch is checked again anyway.
+async function checkSourceDestination(url) {
   try {
-    await fs.writeFile(SOURCES_FILE, JSON.stringify(sources, null, 2));
+    await assertPublicUrl(url);
+    return null;
   } catch (error) {
-    console.error('Error saving sources:', error);
-    throw error;
+    return error.code === 'SSRF_BLOCKED' ? `URL is not allowed: ${error.message}` : null;
   }
 }
 
@@ -243,13 +919,48 @@ app.get('/api/sources', async (req, res) => {
   }
 });
 
-// POST /api/sources - Add new source
-app.post('/api/sources', async (req, res) => {
+// GET /api/scrapers - Site-specific scraper plugins a source can reference by ID
+app.get('/api/scrapers', (req, res) => {
+  try {
+    res.json(scraperRegistry.list());
+  } catch (error) {
+    console.error('Error fetching scrapers:', error);
+    res.status(500).json({ error: 'Failed to fetch scrapers' });
+  }
+});
+
+// GET /api/sources/health - Health summary for every source with its most recent attempts (for sparklines)
+app.get('/api/sources/health', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    res.json(await sourceHealth.getAllSummaries(limit));
+  } catch (error) {
+    console.error('Error fetching source health:', error);
+    res.status(500).json({ error: 'Failed to fetch source health' });
+  }
+});
+
+// GET /api/sources/:id/history - Full scrape attempt history for one source
+app.get('/api/sources/:id/history', async (req, res) => {
   try {
     const sources = await loadSources();
-    
+    if (!sources.some(s => s.id === req.params.id)) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    await sourceHealth.load();
+    res.json(sourceHealth.getSummary(req.params.id));
+  } catch (error) {
+    console.error('Error fetching source history:', error);
+    res.status(500).json({ error: 'Failed to fetch source history' });
+  }
+});
+
+// POST /api/sources - Add new source
+app.post('/api/sources', authService.requireRole('admin'), async (req, res) => {
+  try {
     // Validate and sanitize input
-    const { name, url, category, status } = req.body;
+    const { name, url, category, status, type } = req.body;
     
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
       return res.status(400).json({ error: 'Source name is required' });
@@ -259,10 +970,42 @@ app.post('/api/sources', async (req, res) => {
     if (!sanitizedUrl) {
       return res.status(400).json({ error: 'Valid URL is required' });
     }
+
+    const destinationError = await checkSourceDestination(sanitizedUrl);
+    if (destinationError) {
+      return res.status(400).json({ error: destinationError });
+    }
     
     if (!category || typeof category !== 'string') {
       return res.status(400).json({ error: 'Category is required' });
     }
+
+    if (type !== undefined && !SOURCE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Type must be one of: ${SOURCE_TYPES.join(', ')}` });
+    }
+
+    if (req.body.scraper && !scraperRegistry.get(req.body.scraper)) {
+      return res.status(400).json({ error: `Unknown scraper "${String(req.body.scraper).substring(0, 50)}"` });
+    }
+
+    const rules = validateExtractionRules(req.body.selectors || null);
+    if (!rules.valid) {
+      return res.status(400).json({ error: rules.error });
+    }
+
+    // "Automatic" stores the plugin matching the URL now, so the source keeps it from then on
+    const matchedScraper = req.body.scraper ? null : scraperRegistry.suggest({ url: sanitizedUrl, type, selectors: rules.data });
+    const scraper = req.body.scraper || (matchedScraper ? matchedScraper.id : null);
+
+    // Fetch settings share the update rules
+    const rendering = validateSourceUpdate({
+      render: req.body.render || null,
+      waitFor: req.body.waitFor || null,
+      rotateUserAgent: req.body.rotateUserAgent === undefined ? false : req.body.rotateUserAgent
+    });
+    if (!rendering.valid) {
+      return res.status(400).json({ error: rendering.error });
+    }
     
     const newSource = {
       id: Date.now().toString(),
@@ -270,7 +1013,12 @@ app.post('/api/sources', async (req, res) => {
       url: sanitizedUrl,
       category: category.trim().substring(0, 50), // Limit category length
       status: status === 'active' ? 'active' : 'inactive',
-      selectors: req.body.selectors || null,
+      type: type || 'html',
+      scraper,
+      selectors: rules.data,
+      render: rendering.data.render || 'http',
+      waitFor: rendering.data.waitFor,
+      rotateUserAgent: rendering.data.rotateUserAgent,
       created: new Date().toISOString(),
       articleCount: 0,
       lastSuccess: null,
@@ -278,8 +1026,11 @@ app.post('/api/sources', async (req, res) => {
       lastAttempt: null
     };
     
-    sources.push(newSource);
-    await saveSources(sources);
+    // Writes go through the same queue as scrape stats so neither overwrites the other
+    await newsService.updateSources(sources => {
+      sources.push(newSource);
+      return newSource;
+    });
     
     console.log(`Added new source: ${newSource.name}`);
     res.status(201).json(newSource);
@@ -289,33 +1040,84 @@ app.post('/api/sources', async (req, res) => {
   }
 });
 
-// PUT /api/sources/:id - Update source
-app.put('/api/sources/:id', async (req, res) => {
+// POST /api/sources/discover - Suggest feeds and selectors for a site before adding it
+app.post('/api/sources/discover', authService.requireRole('admin'), async (req, res) => {
   try {
-    const sources = await loadSources();
-    const sourceIndex = sources.findIndex(s => s.id === req.params.id);
-    
-    if (sourceIndex === -1) {
-      return res.status(404).json({ error: 'Source not found' });
+    const url = sanitizeUrl(req.body.url);
+    if (!url) {
+      return res.status(400).json({ error: 'Valid URL is required' });
     }
-    
+
+    const destinationError = await checkSourceDestination(url);
+    if (destinationError) {
+      return res.status(400).json({ error: destinationError });
+    }
+
+    const fetching = validateSourceUpdate({
+      render: req.body.render || null,
+      waitFor: req.body.waitFor || null,
+      rotateUserAgent: req.body.rotateUserAgent === undefined ? false : req.body.rotateUserAgent
+    });
+    if (!fetching.valid) {
+      return res.status(400).json({ error: fetching.error });
+    }
+
+    const discovery = await newsService.discoverSource(url, fetching.data);
+    if (discovery.error) {
+      return res.status(400).json({ error: `Could not load ${url}: ${discovery.error}` });
+    }
+
+    res.json(discovery);
+  } catch (error) {
+    console.error('Error discovering source:', error);
+    res.status(500).json({ error: 'Failed to discover source' });
+  }
+});
+
+// PUT /api/sources/:id - Update source
+app.put('/api/sources/:id', authService.requireRole('admin'), async (req, res) => {
+  try {
     // Validate and sanitize update data to prevent prototype pollution
     const validation = validateSourceUpdate(req.body);
     if (!validation.valid) {
       return res.status(400).json({ error: validation.error });
     }
+    if (validation.data.scraper && !scraperRegistry.get(validation.data.scraper)) {
+      return res.status(400).json({ error: `Unknown scraper "${validation.data.scraper}"` });
+    }
+    if (validation.data.url) {
+      const destinationError = await checkSourceDestination(validation.data.url);
+      if (destinationError) {
+        return res.status(400).json({ error: destinationError });
+      }
+    }
+    if (validation.data.selectors !== undefined) {
+      const rules = validateExtractionRules(validation.data.selectors);
+      if (!rules.valid) {
+        return res.status(400).json({ error: rules.error });
+      }
+      validation.data.selectors = rules.data;
+    }
 
-    sources[sourceIndex] = {
-      ...sources[sourceIndex],
-      ...validation.data,
-      id: req.params.id, // Preserve original ID
-      updated: new Date().toISOString()
-    };
-    
-    await saveSources(sources);
+    const updatedSource = await newsService.updateSources(sources => {
+      const sourceIndex = sources.findIndex(s => s.id === req.params.id);
+      if (sourceIndex === -1) return null;
+
+      sources[sourceIndex] = {
+        ...sources[sourceIndex],
+        ...validation.data,
+        id: req.params.id, // Preserve original ID
+        updated: new Date().toISOString()
+      };
+      return sources[sourceIndex];
+    });
+
+    if (!updatedSource) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
     
-    console.log(`Updated source: ${sources[sourceIndex].name}`);
-    res.json(sources[sourceIndex]);
+    console.log(`Updated source: ${updatedSource.name}`);
+    res.json(updatedSource);
   } catch (error) {
     console.error('Error updating source:', error);
     res.status(500).json({ error: 'Failed to update source' });
@@ -323,17 +1125,18 @@ app.put('/api/sources/:id', async (req, res) => {
 });
 
 // DELETE /api/sources/:id - Delete source
-app.delete('/api/sources/:id', async (req, res) => {
+app.delete('/api/sources/:id', authService.requireRole('admin'), async (req, res) => {
   try {
-    const sources = await loadSources();
-    const sourceIndex = sources.findIndex(s => s.id === req.params.id);
-    
-    if (sourceIndex === -1) {
+    const deletedSource = await newsService.updateSources(sources => {
+      const sourceIndex = sources.findIndex(s => s.id === req.params.id);
+      return sourceIndex === -1 ? null : sources.splice(sourceIndex, 1)[0];
+    });
+
+    if (!deletedSource) {
       return res.status(404).json({ error: 'Source not found' });
     }
     
-    const deletedSource = sources.splice(sourceIndex, 1)[0];
-    await saveSources(sources);
+    await sourceHealth.remove(deletedSource.id);
     
     logger.info(`Deleted source: ${deletedSource.name}`);
     res.json({ message: 'Source deleted successfully', source: deletedSource });
@@ -343,13 +1146,108 @@ app.delete('/api/sources/:id', async (req, res) => {
   }
 });
 
+// Webhooks (admin only)
+// GET /api/webhooks - List webhooks (secrets are omitted)
+app.get('/api/webhooks', authService.requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await webhookService.getWebhooks());
+  } catch (error) {
+    logger.error('Error fetching webhooks', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// POST /api/webhooks - Create a webhook; the response is the only time the secret is shown
+app.post('/api/webhooks', authService.requireRole('admin'), async (req, res) => {
+  const validation = webhookService.validateWebhook(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const webhook = await webhookService.createWebhook(validation.data);
+    logger.info(`Created webhook: ${webhook.name}`);
+    res.status(201).json(webhook);
+  } catch (error) {
+    logger.error('Error creating webhook', error);
+    res.status(500).json({ error: error.message || 'Failed to create webhook' });
+  }
+});
+
+// GET /api/webhooks/deliveries - Delivery log, newest first (?webhookId=&limit=)
+app.get('/api/webhooks/deliveries', authService.requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.json(await webhookService.getDeliveries({ webhookId: req.query.webhookId || null, limit }));
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// PUT /api/webhooks/:id - Update a webhook (omit secret to keep the current one)
+app.put('/api/webhooks/:id', authService.requireRole('admin'), async (req, res) => {
+  const validation = webhookService.validateWebhook(req.body, true);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const webhook = await webhookService.updateWebhook(req.params.id, validation.data);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhook);
+  } catch (error) {
+    logger.error('Error updating webhook', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// DELETE /api/webhooks/:id - Delete a webhook
+app.delete('/api/webhooks/:id', authService.requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await webhookService.deleteWebhook(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting webhook', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// POST /api/webhooks/:id/test - Send a single signed "ping" delivery
+app.post('/api/webhooks/:id/test', authService.requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTest(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    logger.error('Error testing webhook', error);
+    res.status(500).json({ error: 'Failed to test webhook' });
+  }
+});
+
 // GET /api/metrics - Get application metrics (for monitoring)
-app.get('/api/metrics', (req, res) => {
+app.get('/api/metrics', authService.requireRole('admin'), async (req, res) => {
   try {
     const metrics = logger.getMetrics();
+    await storyService.load();
     res.json({
       ...metrics,
-      cacheSize: cachedNews.length,
+      cacheSize: articleStore.size(),
+      articleStore: articleStore.getStats(),
+      stories: storyService.getStats(),
+      cves: cveService.getStats(),
+      browser: browserPool.getStats(),
+      fetchCache: fetchCache.getStats(),
+      crawlPolicy: crawlPolicy.getStats(),
+      streamClients: streamClients.size,
+      pushSubscriptions: await pushService.count(),
       serverUptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
       nodeVersion: process.version
@@ -364,9 +1262,16 @@ app.get('/api/metrics', (req, res) => {
 app.get('/api/health', async (req, res) => {
   try {
     const sources = await loadSources();
+    const health = await sourceHealth.getAllSummaries(1);
+    // Prefer the recorded attempt history; fall back to the sources.json snapshot for sources without one
+    const isFailing = s => health[s.id] ? health[s.id].consecutiveFailures > 0 : Boolean(s.lastError);
     const activeSources = sources.filter(s => s.status === 'active');
-    const workingSources = sources.filter(s => s.status === 'active' && s.lastSuccess && !s.lastError);
-    const failingSources = sources.filter(s => s.status === 'active' && s.lastError);
+    // Sources whose robots.txt turns us away are neither working nor failing
+    const isBlocked = s => health[s.id] ? health[s.id].blocked : s.lastResult === 'blocked';
+    const workingSources = activeSources.filter(s => !isFailing(s) && !isBlocked(s) && (s.lastSuccess || health[s.id]));
+    const failingSources = activeSources.filter(s => isFailing(s) && !isBlocked(s));
+    const blockedSources = activeSources.filter(isBlocked);
+    const quarantinedSources = activeSources.filter(s => health[s.id] && health[s.id].quarantined);
     
     const healthStatus = {
       status: failingSources.length === 0 ? 'healthy' : failingSources.length < activeSources.length / 2 ? 'degraded' : 'unhealthy',
@@ -374,8 +1279,9 @@ app.get('/api/health', async (req, res) => {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       cache: {
-        size: cachedNews.length,
+        size: articleStore.size(),
         maxSize: MAX_CACHE_SIZE,
+        retentionDays: articleStore.retentionDays,
         lastCleanup: new Date().toISOString()
       },
       sources: {
@@ -383,9 +1289,11 @@ app.get('/api/health', async (req, res) => {
         active: activeSources.length,
         working: workingSources.length,
         failing: failingSources.length,
+        blocked: blockedSources.length,
+        quarantined: quarantinedSources.length,
         healthPercentage: activeSources.length > 0 ? Math.round((workingSources.length / activeSources.length) * 100) : 0
       },
-      lastRefresh: cachedNews.length > 0 ? cachedNews[0].scraped : null
+      lastRefresh: articleStore.lastUpdated
     };
     
     res.json(healthStatus);
@@ -399,7 +1307,7 @@ app.get('/api/health', async (req, res) => {
 });
 
 // POST /api/sources/:id/test - Test source
-app.post('/api/sources/:id/test', async (req, res) => {
+app.post('/api/sources/:id/test', authService.requireRole('admin'), async (req, res) => {
   try {
     const sources = await loadSources();
     const source = sources.find(s => s.id === req.params.id);
@@ -414,30 +1322,34 @@ app.post('/api/sources/:id/test', async (req, res) => {
     try {
       const testArticles = await newsService.testSingleSource(source);
       const articleCount = testArticles ? testArticles.length : 0;
+      const lastAttempt = sourceHealth.getSummary(source.id).lastAttempt;
+      const robotsBlocked = Boolean(lastAttempt && lastAttempt.robotsBlocked);
       
-      // Update source with test results
-      const sourceIndex = sources.findIndex(s => s.id === req.params.id);
-      sources[sourceIndex].articleCount = articleCount;
-      sources[sourceIndex].lastSuccess = articleCount > 0 ? new Date().toISOString() : sources[sourceIndex].lastSuccess;
-      sources[sourceIndex].lastError = articleCount === 0 ? 'No articles found during test' : null;
-      sources[sourceIndex].lastAttempt = new Date().toISOString();
-      sources[sourceIndex].status = articleCount > 0 ? 'active' : 'inactive';
-      
-      await saveSources(sources);
+      // Update source with test results; the write is queued with the scraper's own stats updates
+      await newsService.updateSource(source.id, stored => {
+        stored.articleCount = articleCount;
+        stored.lastSuccess = articleCount > 0 ? new Date().toISOString() : stored.lastSuccess;
+        stored.lastError = articleCount > 0 ? null : robotsBlocked ? 'Blocked by robots.txt' : 'No articles found during test';
+        stored.lastResult = articleCount > 0 ? 'updated' : robotsBlocked ? 'blocked' : 'empty';
+        stored.lastAttempt = new Date().toISOString();
+        stored.status = articleCount > 0 ? 'active' : 'inactive';
+      });
       
       res.json({ 
         success: articleCount > 0, 
         articleCount: articleCount,
-        message: articleCount > 0 ? `Successfully tested ${source.name}` : `Test failed for ${source.name} - no articles found`
+        robotsBlocked,
+        message: articleCount > 0
+          ? `Successfully tested ${source.name}`
+          : `Test failed for ${source.name} - ${robotsBlocked ? 'blocked by robots.txt' : 'no articles found'}`
       });
     } catch (testError) {
       // Update source with error
-      const sourceIndex = sources.findIndex(s => s.id === req.params.id);
-      sources[sourceIndex].lastError = testError.message;
-      sources[sourceIndex].lastAttempt = new Date().toISOString();
-      sources[sourceIndex].status = 'error';
-      
-      await saveSources(sources);
+      await newsService.updateSource(source.id, stored => {
+        stored.lastError = testError.message;
+        stored.lastAttempt = new Date().toISOString();
+        stored.status = 'error';
+      });
       
       res.status(400).json({ 
         success: false, 
@@ -451,8 +1363,11 @@ app.post('/api/sources/:id/test', async (req, res) => {
   }
 });
 
-// Initialize sources on startup
-initializeSources();
+// Initialize sources and load the article store on startup
+initializeSources()
+  .then(assignScraperIds)
+  .catch(error => console.error('Failed to assign scraper IDs:', error));
+articleStore.load().catch(error => console.error('Failed to load article store:', error));
 
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -461,21 +1376,55 @@ app.get('*', (req, res) => {
 // Schedule news refresh every 2 hours
 cron.schedule('0 */2 * * *', async () => {
   console.log('Refreshing news cache...');
-  try {
-    cachedNews = await newsService.getAllNews();
-    // Validate and sanitize articles
-    cachedNews = cachedNews.map(article => validateArticle(article)).filter(Boolean);
-    cleanupCache(); // Clean up old articles
-    console.log(`News cache refreshed with ${cachedNews.length} articles`);
-  } catch (error) {
-    console.error('Error refreshing news cache:', error);
+  const { job, started } = refreshService.start({ trigger: 'cron', summarize: false });
+  if (!started) return; // Another refresh is already running
+
+  await job.promise;
+  if (job.status === 'completed') {
+    console.log(`News cache refreshed with ${job.result.count} articles`);
+  } else {
+    console.error('Error refreshing news cache:', job.error);
   }
 });
 
 // Schedule cache cleanup every day at midnight
 cron.schedule('0 0 * * *', cleanupCache);
 
-app.listen(PORT, '0.0.0.0', () => {
+// Scheduled briefings, only when a digest destination is configured
+if (digestService.isDeliveryConfigured()) {
+  [['daily', DIGEST_DAILY_CRON], ['weekly', DIGEST_WEEKLY_CRON]].forEach(([period, schedule]) => {
+    if (schedule === 'off') return;
+    if (!cron.validate(schedule)) {
+      console.error(`Invalid ${period} digest schedule "${schedule}"; ${period} digests are disabled`);
+      return;
+    }
+    cron.schedule(schedule, async () => {
+      try {
+        await digestService.run(period);
+      } catch (error) {
+        console.error(`Error sending ${period} digest:`, error);
+      }
+    });
+  });
+}
+
+// Keep local CVE data current; fetch it right away when there is none yet
+if (CVE_REFRESH_CRON !== 'off') {
+  if (!cron.validate(CVE_REFRESH_CRON)) {
+    console.error(`Invalid CVE refresh schedule "${CVE_REFRESH_CRON}"; CVE data will not be refreshed`);
+  } else {
+    const refreshCves = () => cveService.refresh().catch(error => console.error('Error refreshing CVE data:', error));
+    cron.schedule(CVE_REFRESH_CRON, refreshCves);
+    cveService.load()
+      .then(() => { if (!cveService.hasData()) refreshCves(); })
+      .catch(error => console.error('Failed to load CVE data:', error));
+  }
+}
+
+// Load tokens at startup so a first-run admin token is printed right away
+authService.load().catch(error => console.error('Failed to load API tokens:', error));
+
+app.listen(PORT, HOST, () => {
   console.log(`News Aggregator server running on port ${PORT}`);
   console.log(`Visit http://localhost:${PORT} locally`);
   console.log(`Access from 192.168.10.136 at http://192.168.10.136:${PORT}`);
@@ -92,7 +92,8 @@ class AIService {
             maxArticles = 20,           // Max articles to summarize per batch
             prioritizeRecent = true,    // Prioritize recent articles
             prioritizeTrending = true,  // Prioritize articles with duplicates
-            minDuplicates = 1          // Minimum duplicates to be considered "trending"
+            minDuplicates = 1,         // Minimum duplicates to be considered "trending"
+            onProgress = () => {}      // Called with { completed, total } after each article
         } = options;
 
         // Smart selection logic
@@ -121,6 +122,7 @@ class AIService {
 
         // Process articles with rate limiting
         const results = [];
+        onProgress({ completed: 0, total: selectedArticles.length });
         for (const article of selectedArticles) {
             try {
                 const summary = await this.generateSummary(article);
@@ -136,6 +138,8 @@ class AIService {
                 console.error('[AI Service] Failed to summarize:', article.title.substring(0, 50), error.message);
                 results.push(article); // Return original article if summary fails
             }
+
+            onProgress({ completed: results.length, total: selectedArticles.length });
         }
 
         console.log(`[AI Service] Batch complete: ${results.length} articles processed`);
@@ -146,7 +150,10 @@ class AIService {
      * Build prompt for Claude
      */
     buildSummaryPrompt(article) {
-        const content = article.summary || article.description || article.title;
+        // Prefer the extracted article body, trimmed to keep prompts small
+        const content = article.content
+            ? article.content.substring(0, 4000)
+            : (article.summary || article.description || article.title);
 
         return `Summarize this news article in a clear, concise format.
 
@@ -0,0 +1,304 @@
+/**
+ * Persistent Article Store
+ * Keeps every ingested article in an append-only JSON-lines file keyed by a stable ID,
+ * so history survives restarts and refreshes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STORE_FILE = path.join(__dirname, '../data/articles.jsonl');
+const DEFAULT_RETENTION_DAYS = 90;
+const COMPACTION_RATIO = 2; // Rewrite the log once it holds twice as many lines as live articles
+
+class ArticleStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.ARTICLE_STORE_FILE || DEFAULT_STORE_FILE;
+        this.retentionDays = parseInt(options.retentionDays || process.env.ARTICLE_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+        this.articles = new Map(); // id -> stored article
+        this.logLines = 0;
+        this.lastUpdated = null;
+        this.loadPromise = null;
+        this.writeQueue = Promise.resolve(); // Serializes appends and compactions
+    }
+
+    /**
+     * Build a stable article ID from its canonical link (or title + source as a fallback)
+     * @param {Object} article - Article with link, title and source
+     * @returns {string} - 16 character hex ID
+     */
+    static generateId(article) {
+        const key = article.link
+            ? ArticleStore.canonicalLink(article.link)
+            : `${(article.title || '').toLowerCase().trim()}::${article.source || ''}`;
+
+        return crypto.createHash('sha1').update(key).digest('hex').substring(0, 16);
+    }
+
+    /**
+     * Normalize a link so tracking parameters and fragments don't create new IDs
+     */
+    static canonicalLink(link) {
+        try {
+            const url = new URL(link);
+            url.hash = '';
+            for (const param of [...url.searchParams.keys()]) {
+                if (param.startsWith('utm_') || param === 'ref' || param === 'fbclid' || param === 'gclid') {
+                    url.searchParams.delete(param);
+                }
+            }
+            url.hostname = url.hostname.replace(/^www\./, '');
+            return url.href.replace(/\/$/, '');
+        } catch (error) {
+            return link.trim();
+        }
+    }
+
+    /**
+     * Load the store from disk once; later calls reuse the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readLog();
+        }
+        return this.loadPromise;
+    }
+
+    async readLog() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            this.logLines++;
+
+            try {
+                const entry = JSON.parse(line);
+                if (entry.id) {
+                    this.articles.set(entry.id, entry);
+                }
+            } catch (error) {
+                // A torn write from a crash only affects its own line
+                console.warn('[Article Store] Skipping corrupt line in', this.filePath);
+            }
+        }
+
+        this.lastUpdated = this.findLastSeen();
+        console.log(`[Article Store] Loaded ${this.articles.size} articles from ${this.filePath}`);
+    }
+
+    findLastSeen() {
+        let latest = null;
+        for (const article of this.articles.values()) {
+            if (!latest || article.lastSeen > latest) latest = article.lastSeen;
+        }
+        return latest;
+    }
+
+    /**
+     * Insert new articles or refresh existing ones, preserving first-seen timestamps
+     * @param {Array} articles - Validated articles from a refresh
+     * @returns {Promise<Object>} - Counts of inserted and updated articles, the stored records and the newly inserted ones
+     */
+    async upsertMany(articles) {
+        await this.load();
+
+        const now = new Date().toISOString();
+        const changed = [];
+        const newArticles = [];
+        let inserted = 0;
+        let updated = 0;
+
+        for (const article of articles) {
+            if (!article) continue;
+
+            const id = article.id || ArticleStore.generateId(article);
+            const existing = this.articles.get(id);
+            let record;
+
+            if (existing) {
+                record = {
+                    ...existing,
+                    ...article,
+                    id,
+                    // Keep the original scrape time so an article doesn't look new on every refresh
+                    scraped: existing.scraped || article.scraped,
+                    // Don't let the keyword-based fallback overwrite a generated AI summary
+                    aiSummary: typeof article.aiSummary === 'object' && article.aiSummary
+                        ? article.aiSummary
+                        : (typeof existing.aiSummary === 'object' && existing.aiSummary ? existing.aiSummary : article.aiSummary),
+                    firstSeen: existing.firstSeen,
+                    lastSeen: now
+                };
+                updated++;
+            } else {
+                record = { ...article, id, firstSeen: now, lastSeen: now };
+                newArticles.push(record);
+                inserted++;
+            }
+
+            this.articles.set(id, record);
+            changed.push(record);
+        }
+
+        if (changed.length > 0) {
+            this.lastUpdated = now;
+            await this.append(changed);
+
+            if (this.logLines > this.articles.size * COMPACTION_RATIO) {
+                await this.compact();
+            }
+        }
+
+        return { inserted, updated, articles: changed, newArticles };
+    }
+
+    /**
+     * Whether any live article came from the named source
+     */
+    hasSource(sourceName) {
+        for (const article of this.articles.values()) {
+            if (article.source === sourceName) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Mark every stored article from a source as seen now, for sources whose page hasn't changed
+     * since the last refresh (their articles aren't re-ingested, so upsertMany never sees them)
+     * @param {string} sourceName - Source name as stored on its articles
+     * @returns {Promise<number>} - Number of articles touched
+     */
+    async touchSource(sourceName) {
+        await this.load();
+
+        const now = new Date().toISOString();
+        const touched = [];
+        for (const [id, article] of this.articles) {
+            if (article.source !== sourceName) continue;
+            const record = { ...article, lastSeen: now };
+            this.articles.set(id, record);
+            touched.push(record);
+        }
+
+        if (touched.length > 0) {
+            await this.append(touched);
+
+            if (this.logLines > this.articles.size * COMPACTION_RATIO) {
+                await this.compact();
+            }
+        }
+        return touched.length;
+    }
+
+    /**
+     * Get a single stored article by ID
+     */
+    async get(id) {
+        await this.load();
+        return this.articles.get(id) || null;
+    }
+
+    /**
+     * Return stored articles, newest first
+     * @param {Object} options - maxAgeMs limits by last-seen time, limit caps the result size
+     * @returns {Promise<Array>} - Stored articles
+     */
+    async getAll(options = {}) {
+        await this.load();
+
+        const { maxAgeMs = null, limit = null } = options;
+        let articles = Array.from(this.articles.values());
+
+        if (maxAgeMs) {
+            const cutoff = Date.now() - maxAgeMs;
+            articles = articles.filter(article => new Date(article.lastSeen).getTime() >= cutoff);
+        }
+
+        articles.sort((a, b) => new Date(b.scraped || b.firstSeen) - new Date(a.scraped || a.firstSeen));
+
+        return limit ? articles.slice(0, limit) : articles;
+    }
+
+    /**
+     * Drop articles not seen within the retention window, then compact the log if needed
+     * @returns {Promise<number>} - Number of articles removed
+     */
+    async prune() {
+        await this.load();
+
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        const expired = [];
+
+        for (const [id, article] of this.articles) {
+            if (new Date(article.lastSeen).getTime() < cutoff) {
+                expired.push(id);
+            }
+        }
+
+        expired.forEach(id => this.articles.delete(id));
+
+        if (expired.length > 0 || this.logLines > this.articles.size * COMPACTION_RATIO) {
+            await this.compact();
+        }
+
+        console.log(`[Article Store] Pruned ${expired.length} articles older than ${this.retentionDays} days. Articles in store: ${this.articles.size}`);
+        return expired.length;
+    }
+
+    /**
+     * Number of live articles in the store
+     */
+    size() {
+        return this.articles.size;
+    }
+
+    getStats() {
+        return {
+            size: this.articles.size,
+            logLines: this.logLines,
+            retentionDays: this.retentionDays,
+            lastUpdated: this.lastUpdated,
+            file: this.filePath
+        };
+    }
+
+    append(records) {
+        const data = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(this.filePath, data))
+            .then(() => { this.logLines += records.length; })
+            .catch(error => console.error('[Article Store] Failed to append to log:', error.message));
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Rewrite the log with one line per live article
+     */
+    compact() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                const tempFile = `${this.filePath}.tmp`;
+                const lines = Array.from(this.articles.values()).map(record => JSON.stringify(record));
+                await fs.promises.writeFile(tempFile, lines.length ? lines.join('\n') + '\n' : '');
+                await fs.promises.rename(tempFile, this.filePath);
+                this.logLines = lines.length;
+            })
+            .catch(error => console.error('[Article Store] Failed to compact log:', error.message));
+
+        return this.writeQueue;
+    }
+}
+
+// Export singleton instance
+module.exports = new ArticleStore();
+module.exports.ArticleStore = ArticleStore;
@@ -0,0 +1,231 @@
+/**
+ * Authentication Service
+ * API tokens with reader/admin roles. Tokens are stored as SHA-256 hashes on disk;
+ * the plaintext is only shown once, when the token is created.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TOKENS_FILE = path.join(__dirname, '../data/auth-tokens.json');
+const ROLES = ['reader', 'admin']; // Ordered by privilege; admin can do everything a reader can
+const AUTH_COOKIE = 'auth_token';
+const COOKIE_MAX_AGE = 30 * 24 * 60 * 60; // 30 days in seconds
+
+class AuthService {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.AUTH_TOKENS_FILE || DEFAULT_TOKENS_FILE;
+        this.adminToken = options.adminToken !== undefined ? options.adminToken : process.env.ADMIN_TOKEN;
+        this.tokens = new Map(); // hash -> token record
+        this.loadPromise = null;
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * Load stored tokens once. With no tokens and no ADMIN_TOKEN configured,
+     * an initial admin token is created and printed so the server is never left open.
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readTokens();
+        }
+        return this.loadPromise;
+    }
+
+    async readTokens() {
+        try {
+            const records = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            records.forEach(record => this.tokens.set(record.hash, record));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Auth] Failed to read token file:', error.message);
+            }
+        }
+
+        if (this.tokens.size === 0 && !this.adminToken) {
+            const { token } = await this.addToken({ name: 'Initial admin', role: 'admin' });
+            console.log('[Auth] No API tokens found. Created an admin token (shown once, store it safely):');
+            console.log(`[Auth]   ${token}`);
+        }
+
+        console.log(`[Auth] Loaded ${this.tokens.size} API tokens`);
+    }
+
+    async saveTokens() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempFile = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(Array.from(this.tokens.values()), null, 2), { mode: 0o600 });
+        await fs.promises.rename(tempFile, this.filePath);
+    }
+
+    /**
+     * Validate a token creation request
+     * @param {Object} data - { name, role }
+     * @returns {Object} - Validation result with sanitized data or error
+     */
+    validateTokenRequest(data) {
+        if (!data || typeof data !== 'object') {
+            return { valid: false, error: 'Invalid token data' };
+        }
+
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        if (!name || name.length > 100) {
+            return { valid: false, error: 'name is required and must be at most 100 characters' };
+        }
+
+        const role = data.role || 'reader';
+        if (!ROLES.includes(role)) {
+            return { valid: false, error: `role must be one of: ${ROLES.join(', ')}` };
+        }
+
+        return { valid: true, data: { name, role } };
+    }
+
+    /**
+     * Create a new API token
+     * @param {Object} options - name and role
+     * @returns {Promise<Object>} - The plaintext token and its public record
+     */
+    async createToken({ name, role }) {
+        await this.load();
+        return this.addToken({ name, role });
+    }
+
+    async addToken({ name, role }) {
+        const token = crypto.randomBytes(24).toString('hex');
+        const record = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name,
+            role,
+            hash: AuthService.hashToken(token),
+            createdAt: new Date().toISOString()
+        };
+
+        this.tokens.set(record.hash, record);
+        await this.saveTokens();
+        console.log(`[Auth] Created ${role} token "${name}" (${record.id})`);
+
+        return { token, ...this.toPublicRecord(record) };
+    }
+
+    /**
+     * Revoke a token by its ID
+     * @returns {Promise<boolean>} - Whether a token was removed
+     */
+    async revokeToken(id) {
+        await this.load();
+
+        for (const [hash, record] of this.tokens) {
+            if (record.id === id) {
+                this.tokens.delete(hash);
+                await this.saveTokens();
+                console.log(`[Auth] Revoked token "${record.name}" (${id})`);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async listTokens() {
+        await this.load();
+        return Array.from(this.tokens.values()).map(record => this.toPublicRecord(record));
+    }
+
+    toPublicRecord(record) {
+        const { hash, ...publicRecord } = record;
+        return publicRecord;
+    }
+
+    /**
+     * Resolve a plaintext token to its identity
+     * @returns {Promise<Object|null>} - { id, name, role } or null if the token is unknown
+     */
+    async verify(token) {
+        if (!token || typeof token !== 'string') return null;
+        await this.load();
+
+        const hash = AuthService.hashToken(token);
+        if (this.adminToken && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(AuthService.hashToken(this.adminToken), 'hex'))) {
+            return { id: 'env', name: 'ADMIN_TOKEN', role: 'admin' };
+        }
+
+        const record = this.tokens.get(hash);
+        return record ? { id: record.id, name: record.name, role: record.role } : null;
+    }
+
+    hasRole(identity, role) {
+        return Boolean(identity) && ROLES.indexOf(identity.role) >= ROLES.indexOf(role);
+    }
+
+    /**
+     * Read the token from an Authorization: Bearer header or the login cookie
+     */
+    getRequestToken(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.substring(7).trim();
+        }
+
+        const cookies = req.headers.cookie || '';
+        for (const cookie of cookies.split(';')) {
+            const [name, ...value] = cookie.trim().split('=');
+            if (name === AUTH_COOKIE) {
+                return decodeURIComponent(value.join('='));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Express middleware that attaches req.auth (identity or null) to every request
+     */
+    middleware() {
+        return async (req, res, next) => {
+            try {
+                req.auth = await this.verify(this.getRequestToken(req));
+            } catch (error) {
+                console.error('[Auth] Token verification failed:', error.message);
+                req.auth = null;
+            }
+            next();
+        };
+    }
+
+    /**
+     * Express middleware that rejects requests without the given role
+     * @param {string} role - 'reader' or 'admin'
+     */
+    requireRole(role) {
+        return (req, res, next) => {
+            if (!req.auth) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (!this.hasRole(req.auth, role)) {
+                return res.status(403).json({ error: `${role} role required` });
+            }
+            next();
+        };
+    }
+
+    /**
+     * Set-Cookie header value for a browser login
+     */
+    buildAuthCookie(token, secure = false) {
+        const attributes = [`${AUTH_COOKIE}=${encodeURIComponent(token)}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${COOKIE_MAX_AGE}`];
+        if (secure) attributes.push('Secure');
+        return attributes.join('; ');
+    }
+
+    buildLogoutCookie() {
+        return `${AUTH_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+}
+
+// Export singleton instance
+module.exports = new AuthService();
+module.exports.AuthService = AuthService;
+module.exports.ROLES = ROLES;
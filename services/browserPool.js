@@ -0,0 +1,230 @@
+/**
+ * Browser Pool
+ * Renders JavaScript-heavy pages in headless Chromium (Playwright). One browser is shared by
+ * every render and launched on first use; each render gets its own context, at most
+ * BROWSER_CONCURRENCY run at once, and the browser is closed again once it has sat idle.
+ */
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RENDER_TIMEOUT = 30000;
+const DEFAULT_WAIT_TIMEOUT = 10000;
+const DEFAULT_IDLE_TIMEOUT = 60000;
+const NETWORK_IDLE_TIMEOUT = 5000; // Settling time when no selector to wait for is given
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+function defaultLauncher() {
+    // Loaded lazily so installs without a browser don't pay for it until a source asks for one
+    const { chromium } = require('playwright');
+    return chromium.launch({ headless: true });
+}
+
+class BrowserPool {
+    constructor(options = {}) {
+        this.launcher = options.launcher || defaultLauncher;
+        this.concurrency = options.concurrency || parseInt(process.env.BROWSER_CONCURRENCY) || DEFAULT_CONCURRENCY;
+        this.renderTimeout = options.renderTimeout || parseInt(process.env.BROWSER_RENDER_TIMEOUT_MS) || DEFAULT_RENDER_TIMEOUT;
+        this.waitTimeout = options.waitTimeout || parseInt(process.env.BROWSER_WAIT_TIMEOUT_MS) || DEFAULT_WAIT_TIMEOUT;
+        this.idleTimeout = options.idleTimeout || parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS) || DEFAULT_IDLE_TIMEOUT;
+        this.browserPromise = null;
+        this.active = 0;
+        this.waiting = []; // Resolvers of renders waiting for a slot
+        this.idleTimer = null;
+        this.stats = { renders: 0, failures: 0, launches: 0 };
+    }
+
+    /**
+     * Shared browser, launched on first use and again after a crash or idle shutdown
+     */
+    getBrowser() {
+        if (!this.browserPromise) {
+            this.stats.launches++;
+            this.browserPromise = Promise.resolve()
+                .then(() => this.launcher())
+                .then(browser => {
+                    browser.on('disconnected', () => {
+                        this.browserPromise = null;
+                    });
+                    console.log('[Browser] Launched headless Chromium');
+                    return browser;
+                })
+                .catch(error => {
+                    this.browserPromise = null;
+                    throw new Error(`Could not launch headless Chromium (run "npx playwright install chromium"): ${error.message}`);
+                });
+        }
+        return this.browserPromise;
+    }
+
+    acquire() {
+        clearTimeout(this.idleTimer);
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    // Hands the slot straight to the next waiting render, or starts the idle countdown
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+            return;
+        }
+
+        this.active--;
+        if (this.active === 0) {
+            this.idleTimer = setTimeout(() => this.close(), this.idleTimeout);
+            if (this.idleTimer.unref) this.idleTimer.unref();
+        }
+    }
+
+    /**
+     * Load a page and return the DOM after its scripts have run
+     * @param {string} url - Page to render
+     * @param {Object} options - waitFor (CSS selector that signals the content is there), userAgent,
+     *                           allowRequest (async url => boolean; requests it rejects are aborted),
+     *                           fetchRequest (async ({ url, method, headers, body }) => { status, headers, body };
+     *                           fetches the requests allowRequest lets through instead of the browser)
+     * @returns {Promise<Object>} - { html, status }
+     */
+    async render(url, options = {}) {
+        await this.acquire();
+
+        let context = null;
+        try {
+            const browser = await this.getBrowser();
+            context = await browser.newContext({ userAgent: options.userAgent, javaScriptEnabled: true });
+            const page = await context.newPage();
+            page.setDefaultTimeout(this.renderTimeout);
+
+            if (options.allowRequest) {
+                await context.route('**/*', route => this.routeRequest(route, options));
+            }
+
+            const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.renderTimeout });
+            const status = response ? response.status() : null;
+
+            // Every hop has been checked by routeRequest; this is a last line of defense
+            if (options.allowRequest && !(await options.allowRequest(page.url()))) {
+                throw new Error(`Navigation to ${url} was redirected to a blocked address`);
+            }
+
+            if (options.waitFor) {
+                try {
+                    await page.waitForSelector(options.waitFor, { timeout: this.waitTimeout });
+                } catch (error) {
+                    // Hand over whatever did render; the scraper decides whether it is usable
+                    console.warn(`[Browser] ${options.waitFor} did not appear on ${url} within ${this.waitTimeout}ms`);
+                }
+            } else {
+                await page.waitForLoadState('networkidle', { timeout: NETWORK_IDLE_TIMEOUT }).catch(() => {});
+            }
+
+            const html = await page.content();
+            this.stats.renders++;
+            return { html, status };
+        } catch (error) {
+            this.stats.failures++;
+            throw error;
+        } finally {
+            if (context) {
+                await context.close().catch(() => {});
+            }
+            this.release();
+        }
+    }
+
+    /**
+     * Let a request through only if allowRequest accepts it. Chromium follows redirects without
+     * consulting the route again, so http(s) requests are fetched here without following redirects
+     * and a redirect is only handed to the page if its Location is allowed too; the browser's
+     * request for that Location then comes back through this route.
+     */
+    async routeRequest(route, options) {
+        const { allowRequest } = options;
+        const requestUrl = route.request().url();
+        if (!(await allowRequest(requestUrl))) {
+            return route.abort('blockedbyclient');
+        }
+        if (!/^https?:/i.test(requestUrl)) {
+            return route.continue();
+        }
+
+        let response;
+        try {
+            response = await this.fetchRoutedRequest(route, options.fetchRequest);
+        } catch (error) {
+            return route.abort('failed');
+        }
+
+        const location = response.headers.location;
+        if (REDIRECT_STATUSES.includes(response.status) && location) {
+            let target = null;
+            try {
+                target = new URL(location, requestUrl).href;
+            } catch (error) {
+                // Unparseable Location; refused below
+            }
+            if (!target || !(await allowRequest(target))) {
+                console.warn(`[Browser] Blocked redirect from ${requestUrl} to ${String(location).substring(0, 200)}`);
+                return route.abort('blockedbyclient');
+            }
+        }
+
+        return route.fulfill(response);
+    }
+
+    /**
+     * Fetch a routed request without following redirects. fetchRequest lets the caller make the
+     * connection (Chromium would resolve the host again after allowRequest checked it); without one
+     * the browser fetches it.
+     * @returns {Promise<Object>} - { status, headers, body }
+     */
+    async fetchRoutedRequest(route, fetchRequest) {
+        const request = route.request();
+        if (fetchRequest) {
+            return fetchRequest({
+                url: request.url(),
+                method: request.method(),
+                headers: request.headers(),
+                body: request.postDataBuffer()
+            });
+        }
+
+        const response = await route.fetch({ maxRedirects: 0 });
+        return { status: response.status(), headers: response.headers(), body: await response.body() };
+    }
+
+    /**
+     * Close the shared browser; the next render launches a new one
+     */
+    async close() {
+        clearTimeout(this.idleTimer);
+        const browserPromise = this.browserPromise;
+        this.browserPromise = null;
+        if (!browserPromise) return;
+
+        try {
+            const browser = await browserPromise;
+            await browser.close();
+            console.log('[Browser] Closed headless Chromium');
+        } catch (error) {
+            // Never launched, or already gone
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            running: Boolean(this.browserPromise),
+            active: this.active,
+            queued: this.waiting.length,
+            concurrency: this.concurrency
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new BrowserPool();
+module.exports.BrowserPool = BrowserPool;
@@ -0,0 +1,152 @@
+/**
+ * Collection Service
+ * Saved collections live in the browser; publishing one stores a snapshot of its
+ * articles on the server so it can be served as its own feed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sanitizeUrl, toPlainText } = require('../utils/sanitizer');
+
+const DEFAULT_COLLECTIONS_FILE = path.join(__dirname, '../data/published-collections.json');
+const MAX_COLLECTIONS = 200;
+const MAX_ARTICLES = 200;
+
+function limitText(value, length) {
+    return toPlainText(typeof value === 'string' ? value : '').substring(0, length);
+}
+
+class CollectionService {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.PUBLISHED_COLLECTIONS_FILE || DEFAULT_COLLECTIONS_FILE;
+        this.collections = new Map(); // id -> published collection
+        this.loadPromise = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load published collections from disk once; later calls reuse the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readFile();
+        }
+        return this.loadPromise;
+    }
+
+    async readFile() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            data.forEach(collection => this.collections.set(collection.id, collection));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Collections] Failed to read published collections:', error.message);
+            }
+        }
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempFile = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tempFile, JSON.stringify(Array.from(this.collections.values()), null, 2));
+                await fs.promises.rename(tempFile, this.filePath);
+            })
+            .catch(error => console.error('[Collections] Failed to save published collections:', error.message));
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Validate a collection snapshot sent by the browser
+     * @param {Object} data - name, description and articles ({ title, link, source, category, summary, savedAt })
+     * @returns {Object} - Validation result with normalized data or error
+     */
+    validateCollection(data) {
+        if (!data || typeof data !== 'object') {
+            return { valid: false, error: 'Invalid collection data' };
+        }
+
+        const name = limitText(data.name, 100);
+        if (!name) {
+            return { valid: false, error: 'name is required' };
+        }
+
+        if (!Array.isArray(data.articles) || data.articles.length > MAX_ARTICLES) {
+            return { valid: false, error: `articles must be an array of at most ${MAX_ARTICLES} articles` };
+        }
+
+        const articles = [];
+        for (const article of data.articles) {
+            const link = article && sanitizeUrl(article.link || article.url);
+            const title = article && limitText(article.title, 300);
+            if (!link || !title) {
+                return { valid: false, error: 'Every article needs a title and an http(s) link' };
+            }
+
+            const savedAt = new Date(article.savedAt);
+            articles.push({
+                id: crypto.createHash('sha1').update(link).digest('hex').substring(0, 16),
+                title,
+                link,
+                source: limitText(article.source, 100),
+                category: limitText(article.category, 50),
+                summary: limitText(article.summary, 1000),
+                savedAt: isNaN(savedAt.getTime()) ? new Date().toISOString() : savedAt.toISOString()
+            });
+        }
+
+        return {
+            valid: true,
+            data: { name, description: limitText(data.description, 500), articles }
+        };
+    }
+
+    async get(id) {
+        await this.load();
+        return this.collections.get(id) || null;
+    }
+
+    /**
+     * Publish a new collection, or replace the snapshot of an existing one
+     * @param {Object} data - Validated collection
+     * @param {string|null} id - ID of a previously published collection
+     * @returns {Promise<Object|null>} - The published collection, or null if id is unknown
+     */
+    async publish(data, id = null) {
+        await this.load();
+        const now = new Date().toISOString();
+
+        if (id) {
+            const existing = this.collections.get(id);
+            if (!existing) return null;
+            Object.assign(existing, data, { updatedAt: now });
+            await this.save();
+            return existing;
+        }
+
+        if (this.collections.size >= MAX_COLLECTIONS) {
+            throw new Error(`At most ${MAX_COLLECTIONS} collections can be published`);
+        }
+
+        // Unguessable IDs: a published feed is readable by anyone who has its URL
+        const collection = { id: crypto.randomBytes(12).toString('hex'), ...data, createdAt: now, updatedAt: now };
+        this.collections.set(collection.id, collection);
+        await this.save();
+        console.log(`[Collections] Published collection "${collection.name}"`);
+        return collection;
+    }
+
+    async unpublish(id) {
+        await this.load();
+        if (!this.collections.delete(id)) return false;
+        await this.save();
+        return true;
+    }
+}
+
+// Export singleton instance
+module.exports = new CollectionService();
+module.exports.CollectionService = CollectionService;
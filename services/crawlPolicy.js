@@ -0,0 +1,139 @@
+/**
+ * Crawl Policy
+ * Decides whether the fetcher may request a URL, based on the site's robots.txt for our
+ * crawler's user agent. robots.txt is fetched once per origin and cached; its Crawl-delay
+ * is handed to the per-host rate limiter.
+ */
+
+const { guardedGet } = require('../utils/ssrfGuard');
+const { parseRobots, getRulesFor, isAllowed } = require('../utils/robotsParser');
+
+const DEFAULT_USER_AGENT = 'NewsAggregator/1.0 (+https://github.com/ShaKy8/NewsAggregator)';
+const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000; // The RFC asks crawlers not to cache robots.txt for longer than a day
+const UNREACHABLE_RETRY = 10 * 60 * 1000; // Retry unreachable robots.txt files after 10 minutes
+const ROBOTS_TIMEOUT = 10000;
+const MAX_CRAWL_DELAY = 60; // Seconds; longer delays are capped so one source can't stall a refresh forever
+const ALLOW_ALL = { groups: [], sitemaps: [] };
+
+// The product token robots.txt groups are matched against: "NewsAggregator/1.0 (...)" -> "NewsAggregator"
+function getProductToken(userAgent) {
+    return String(userAgent).split(/[\/\s]/)[0];
+}
+
+class CrawlPolicy {
+    constructor(options = {}) {
+        this.userAgent = options.userAgent || process.env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT;
+        this.productToken = getProductToken(this.userAgent);
+        this.cacheTtl = options.cacheTtl || parseInt(process.env.ROBOTS_CACHE_TTL_MS) || DEFAULT_CACHE_TTL;
+        this.fetchRobots = options.fetchRobots || (url => this.download(url));
+        this.cache = new Map(); // origin -> { robots, status, reachable, fetchedAt, expiresAt }
+        this.pending = new Map(); // origin -> in-flight robots.txt request
+    }
+
+    async download(robotsUrl) {
+        const response = await guardedGet(robotsUrl, {
+            headers: { 'User-Agent': this.userAgent, 'Accept': 'text/plain,*/*;q=0.1' },
+            timeout: ROBOTS_TIMEOUT,
+            maxRedirects: 5,
+            maxContentLength: 2 * 1024 * 1024,
+            responseType: 'text',
+            validateStatus: () => true
+        });
+        return { status: response.status, body: typeof response.data === 'string' ? response.data : '' };
+    }
+
+    /**
+     * Parsed robots.txt for the URL's origin, fetched when missing or expired
+     * @param {string} url - Any URL on the site
+     * @returns {Promise<Object>} - Cache entry: robots, status, reachable
+     */
+    async getRobots(url) {
+        const origin = new URL(url).origin;
+        const cached = this.cache.get(origin);
+        if (cached && cached.expiresAt > Date.now()) return cached;
+
+        if (!this.pending.has(origin)) {
+            const request = this.loadRobots(origin, cached)
+                .then(entry => {
+                    this.cache.set(origin, entry);
+                    return entry;
+                })
+                .finally(() => this.pending.delete(origin));
+            this.pending.set(origin, request);
+        }
+        return this.pending.get(origin);
+    }
+
+    async loadRobots(origin, previous) {
+        const now = Date.now();
+        let result;
+        try {
+            result = await this.fetchRobots(`${origin}/robots.txt`);
+        } catch (error) {
+            result = { status: null, error: error.message };
+        }
+
+        if (result.status >= 200 && result.status < 300) {
+            return { robots: parseRobots(result.body), status: result.status, reachable: true, fetchedAt: now, expiresAt: now + this.cacheTtl };
+        }
+
+        // No robots.txt (4xx) means no restrictions
+        if (result.status >= 400 && result.status < 500) {
+            return { robots: ALLOW_ALL, status: result.status, reachable: true, fetchedAt: now, expiresAt: now + this.cacheTtl };
+        }
+
+        // Server or network errors: keep the last good copy, otherwise assume the site allows nothing for now
+        if (previous && previous.reachable) {
+            console.warn(`[Crawl Policy] robots.txt for ${origin} unavailable (${result.error || `HTTP ${result.status}`}); using the cached copy`);
+            return { ...previous, expiresAt: now + UNREACHABLE_RETRY };
+        }
+        console.warn(`[Crawl Policy] robots.txt for ${origin} unavailable (${result.error || `HTTP ${result.status}`}); not crawling it for now`);
+        return { robots: null, status: result.status, reachable: false, error: result.error || `HTTP ${result.status}`, fetchedAt: now, expiresAt: now + UNREACHABLE_RETRY };
+    }
+
+    /**
+     * Whether our crawler may fetch a URL, and how long to wait between requests to its host
+     * @param {string} url - URL about to be fetched
+     * @returns {Promise<Object>} - { allowed, reason ('disallowed' | 'unreachable' | null), crawlDelayMs }
+     */
+    async check(url) {
+        let entry;
+        try {
+            entry = await this.getRobots(url);
+        } catch (error) {
+            return { allowed: false, reason: 'unreachable', error: error.message, crawlDelayMs: 0 };
+        }
+
+        if (!entry.reachable) {
+            return { allowed: false, reason: 'unreachable', error: `robots.txt unavailable (${entry.error})`, crawlDelayMs: 0 };
+        }
+
+        const { crawlDelay } = getRulesFor(entry.robots, this.productToken);
+        const allowed = isAllowed(entry.robots, this.productToken, url);
+        return {
+            allowed,
+            reason: allowed ? null : 'disallowed',
+            crawlDelayMs: crawlDelay ? Math.min(crawlDelay, MAX_CRAWL_DELAY) * 1000 : 0
+        };
+    }
+
+    /**
+     * Sitemaps the site lists in its robots.txt
+     */
+    async getSitemaps(url) {
+        const entry = await this.getRobots(url);
+        return entry.robots ? entry.robots.sitemaps : [];
+    }
+
+    getStats() {
+        return {
+            userAgent: this.userAgent,
+            cachedHosts: this.cache.size
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new CrawlPolicy();
+module.exports.CrawlPolicy = CrawlPolicy;
+module.exports.getProductToken = getProductToken;
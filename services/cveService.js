@@ -0,0 +1,371 @@
+/**
+ * CVE Service
+ * Looks up CVEs in local copies of NVD JSON feeds and the CISA Known Exploited
+ * Vulnerabilities catalog, and refreshes those copies from the network when it can.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../data/cve');
+const KEV_FILE_NAME = 'known_exploited_vulnerabilities.json';
+const RECENT_FILE_NAME = 'nvd-recent.json'; // Written by refresh(); any other nvd*.json file is read-only
+const DEFAULT_KEV_URL = 'https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json';
+const DEFAULT_NVD_API_URL = 'https://services.nvd.nist.gov/rest/json/cves/2.0';
+const REQUEST_TIMEOUT = 60000;
+const NVD_PAGE_SIZE = 2000;
+const NVD_MAX_RANGE_DAYS = 120; // Longest lastModified range the NVD API accepts
+const NVD_INITIAL_DAYS = 30;
+const NVD_PAGE_DELAY = 6000; // Public rate limit is 5 requests per 30 seconds
+const NVD_PAGE_DELAY_WITH_KEY = 600;
+const MAX_PRODUCTS = 10;
+const CVE_ID_REGEX = /^CVE-\d{4}-\d{4,7}$/;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// "cpe:2.3:a:palo_alto_networks:pan-os:10.2.0:..." -> "palo alto networks pan-os"
+function productFromCpe(cpe) {
+    const parts = String(cpe || '').split(':');
+    if (parts.length < 5 || parts[3] === '*' || parts[4] === '*') return null;
+    return `${parts[3]} ${parts[4]}`.replace(/_/g, ' ').replace(/\\/g, '');
+}
+
+function collectCpeMatches(nodes, result = []) {
+    (nodes || []).forEach(node => {
+        (node.cpeMatch || node.cpe_match || []).forEach(match => {
+            if (match.vulnerable !== false) result.push(match.criteria || match.cpe23Uri);
+        });
+        collectCpeMatches(node.children, result);
+    });
+    return result;
+}
+
+function englishDescription(descriptions) {
+    const entry = (descriptions || []).find(d => d.lang === 'en') || (descriptions || [])[0];
+    return entry ? String(entry.value).substring(0, 300) : '';
+}
+
+// First primary metric of the newest CVSS version present
+function pickMetric(metrics = {}) {
+    for (const key of ['cvssMetricV40', 'cvssMetricV31', 'cvssMetricV30', 'cvssMetricV2']) {
+        const list = metrics[key] || [];
+        const metric = list.find(m => m.type === 'Primary') || list[0];
+        if (metric && metric.cvssData) {
+            return {
+                score: metric.cvssData.baseScore,
+                severity: metric.cvssData.baseSeverity || metric.baseSeverity || null,
+                version: metric.cvssData.version || null
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Normalize one NVD record (API 2.0 "cve" object or legacy 1.1 "CVE_Items" entry)
+ * @returns {Object|null} - { id, cvssScore, severity, cvssVersion, description, products, lastModified }
+ */
+function parseNvdRecord(item) {
+    if (!item) return null;
+
+    let id, metric, description, cpes, lastModified;
+    if (item.cve && item.cve.CVE_data_meta) {
+        const impact = item.impact || {};
+        const v3 = impact.baseMetricV3 && impact.baseMetricV3.cvssV3;
+        const v2 = impact.baseMetricV2 && impact.baseMetricV2.cvssV2;
+        id = item.cve.CVE_data_meta.ID;
+        metric = v3 ? { score: v3.baseScore, severity: v3.baseSeverity, version: v3.version }
+            : v2 ? { score: v2.baseScore, severity: impact.baseMetricV2.severity, version: v2.version }
+            : null;
+        description = englishDescription(item.cve.description && item.cve.description.description_data);
+        cpes = collectCpeMatches(item.configurations && item.configurations.nodes);
+        lastModified = item.lastModifiedDate;
+    } else {
+        const cve = item.cve || item;
+        id = cve.id;
+        metric = pickMetric(cve.metrics);
+        description = englishDescription(cve.descriptions);
+        cpes = [];
+        (cve.configurations || []).forEach(config => collectCpeMatches(config.nodes, cpes));
+        lastModified = cve.lastModified;
+    }
+
+    if (!CVE_ID_REGEX.test(id || '')) return null;
+
+    const score = metric ? parseFloat(metric.score) : NaN;
+    return {
+        id,
+        cvssScore: isNaN(score) ? null : score,
+        severity: metric && metric.severity ? String(metric.severity).toUpperCase() : null,
+        cvssVersion: metric ? metric.version : null,
+        description,
+        products: [...new Set(cpes.map(productFromCpe).filter(Boolean))].slice(0, MAX_PRODUCTS),
+        lastModified: lastModified || null
+    };
+}
+
+class CveService {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || process.env.CVE_DATA_DIR || DEFAULT_DATA_DIR;
+        this.kevUrl = options.kevUrl || process.env.KEV_CATALOG_URL || DEFAULT_KEV_URL;
+        this.nvdApiUrl = options.nvdApiUrl || process.env.NVD_API_URL || DEFAULT_NVD_API_URL;
+        this.nvdApiKey = options.nvdApiKey || process.env.NVD_API_KEY || null;
+        this.pageDelay = options.pageDelay !== undefined ? options.pageDelay : (this.nvdApiKey ? NVD_PAGE_DELAY_WITH_KEY : NVD_PAGE_DELAY);
+        this.nvd = new Map(); // CVE id -> normalized NVD record
+        this.kev = new Map(); // CVE id -> KEV catalog entry
+        this.kevVersion = null;
+        this.loadedAt = null;
+        this.lastRefresh = null;
+        this.loadPromise = null;
+        this.refreshPromise = null;
+    }
+
+    get kevFile() {
+        return path.join(this.dataDir, KEV_FILE_NAME);
+    }
+
+    get recentFile() {
+        return path.join(this.dataDir, RECENT_FILE_NAME);
+    }
+
+    /**
+     * Load the local feeds once; later calls reuse the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readFiles();
+        }
+        return this.loadPromise;
+    }
+
+    async readFiles() {
+        const nvd = new Map();
+        const kev = new Map();
+        let kevVersion = null;
+
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.dataDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[CVE] Failed to read CVE data directory:', error.message);
+            }
+        }
+
+        // Yearly and modified feeds, then the refreshed records; the newest version of a CVE wins
+        const nvdFiles = files.filter(name => /^nvd.*\.json$/i.test(name) && name !== RECENT_FILE_NAME).sort();
+        if (files.includes(RECENT_FILE_NAME)) nvdFiles.push(RECENT_FILE_NAME);
+
+        for (const name of nvdFiles) {
+            const data = await this.readJson(path.join(this.dataDir, name));
+            if (!data) continue;
+            (data.vulnerabilities || data.CVE_Items || []).forEach(item => {
+                const record = parseNvdRecord(item);
+                if (!record) return;
+                const existing = nvd.get(record.id);
+                if (!existing || !existing.lastModified || !record.lastModified || record.lastModified >= existing.lastModified) {
+                    nvd.set(record.id, record);
+                }
+            });
+        }
+
+        if (files.includes(KEV_FILE_NAME)) {
+            const data = await this.readJson(this.kevFile);
+            if (data) {
+                kevVersion = data.catalogVersion || null;
+                (data.vulnerabilities || []).forEach(entry => {
+                    if (CVE_ID_REGEX.test(entry.cveID || '')) kev.set(entry.cveID, entry);
+                });
+            }
+        }
+
+        this.nvd = nvd;
+        this.kev = kev;
+        this.kevVersion = kevVersion;
+        this.loadedAt = new Date().toISOString();
+        if (nvd.size > 0 || kev.size > 0) {
+            console.log(`[CVE] Loaded ${nvd.size} NVD records and ${kev.size} known exploited vulnerabilities`);
+        }
+    }
+
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[CVE] Failed to read ${path.basename(filePath)}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    async writeJson(filePath, data) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempFile = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(data));
+        await fs.promises.rename(tempFile, filePath);
+    }
+
+    hasData() {
+        return this.nvd.size > 0 || this.kev.size > 0;
+    }
+
+    /**
+     * Look up a CVE. Only covers what has been loaded; call load() first.
+     * @param {string} id - CVE identifier
+     * @returns {Object|null} - Score, severity, affected products and KEV status, or null if unknown
+     */
+    lookup(id) {
+        const cveId = String(id || '').toUpperCase();
+        const record = this.nvd.get(cveId);
+        const kevEntry = this.kev.get(cveId);
+        if (!record && !kevEntry) return null;
+
+        const products = [];
+        if (kevEntry && kevEntry.vendorProject && kevEntry.product) {
+            products.push(`${kevEntry.vendorProject} ${kevEntry.product}`);
+        }
+        (record ? record.products : []).forEach(product => {
+            if (!products.some(p => p.toLowerCase() === product.toLowerCase())) products.push(product);
+        });
+
+        return {
+            cve: cveId,
+            cvssScore: record ? record.cvssScore : null,
+            severity: record ? record.severity : null,
+            description: record ? record.description : (kevEntry.shortDescription || '').substring(0, 300),
+            products: products.slice(0, MAX_PRODUCTS),
+            knownExploited: Boolean(kevEntry),
+            kev: kevEntry ? {
+                name: kevEntry.vulnerabilityName || null,
+                dateAdded: kevEntry.dateAdded || null,
+                dueDate: kevEntry.dueDate || null,
+                ransomware: kevEntry.knownRansomwareCampaignUse === 'Known'
+            } : null
+        };
+    }
+
+    /**
+     * Annotate an article's extracted CVEs
+     * @param {Object} entities - Output of the entity extractor
+     * @returns {Object} - { vulnerabilities, cvssScore, knownExploited }; empty when nothing is known
+     */
+    enrich(entities) {
+        const vulnerabilities = ((entities && entities.cves) || [])
+            .map(id => this.lookup(id))
+            .filter(Boolean)
+            .map(({ description, kev, ...details }) => ({
+                ...details,
+                ransomware: Boolean(kev && kev.ransomware)
+            }));
+
+        const scores = vulnerabilities.map(v => v.cvssScore).filter(score => typeof score === 'number');
+        return {
+            vulnerabilities,
+            cvssScore: scores.length > 0 ? Math.max(...scores) : null,
+            knownExploited: vulnerabilities.some(v => v.knownExploited)
+        };
+    }
+
+    /**
+     * Download the KEV catalog and recently modified NVD records, then reload.
+     * Either download may fail (e.g. offline); the local copy is kept in that case.
+     * @returns {Promise<Object>} - { kev, nvd } with counts, or an error message per feed
+     */
+    refresh() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.runRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async runRefresh() {
+        await this.load();
+        const result = {};
+
+        try {
+            const response = await axios.get(this.kevUrl, { timeout: REQUEST_TIMEOUT });
+            if (!response.data || !Array.isArray(response.data.vulnerabilities)) {
+                throw new Error('Response is not a KEV catalog');
+            }
+            await this.writeJson(this.kevFile, response.data);
+            result.kev = { count: response.data.vulnerabilities.length };
+        } catch (error) {
+            console.error('[CVE] Failed to refresh KEV catalog:', error.message);
+            result.kev = { error: error.message };
+        }
+
+        try {
+            result.nvd = { count: await this.fetchRecentNvd() };
+        } catch (error) {
+            console.error('[CVE] Failed to refresh NVD records:', error.message);
+            result.nvd = { error: error.message };
+        }
+
+        this.loadPromise = this.readFiles();
+        await this.loadPromise;
+        this.lastRefresh = { at: new Date().toISOString(), ...result };
+        console.log(`[CVE] Refresh finished: ${JSON.stringify(result)}`);
+        return result;
+    }
+
+    /**
+     * Fetch records modified since the last refresh from the NVD API and merge them into nvd-recent.json
+     * @returns {Promise<number>} - Number of records fetched
+     */
+    async fetchRecentNvd(now = new Date()) {
+        const existing = await this.readJson(this.recentFile) || { vulnerabilities: [] };
+        const earliest = now.getTime() - NVD_MAX_RANGE_DAYS * 24 * 60 * 60 * 1000;
+        const since = existing.timestamp ? new Date(existing.timestamp).getTime() : now.getTime() - NVD_INITIAL_DAYS * 24 * 60 * 60 * 1000;
+        const params = {
+            lastModStartDate: new Date(Math.max(since, earliest)).toISOString(),
+            lastModEndDate: now.toISOString(),
+            resultsPerPage: NVD_PAGE_SIZE,
+            startIndex: 0
+        };
+        const headers = this.nvdApiKey ? { apiKey: this.nvdApiKey } : {};
+
+        const fetched = [];
+        let total = Infinity;
+        while (params.startIndex < total) {
+            if (params.startIndex > 0) await sleep(this.pageDelay);
+            const response = await axios.get(this.nvdApiUrl, { params, headers, timeout: REQUEST_TIMEOUT });
+            const page = response.data || {};
+            if (!Array.isArray(page.vulnerabilities)) {
+                throw new Error('Response is not an NVD CVE list');
+            }
+            fetched.push(...page.vulnerabilities);
+            total = page.totalResults || 0;
+            params.startIndex += page.resultsPerPage || page.vulnerabilities.length || NVD_PAGE_SIZE;
+            if (page.vulnerabilities.length === 0) break;
+        }
+
+        const byId = new Map(existing.vulnerabilities.map(item => [item.cve && item.cve.id, item]));
+        fetched.forEach(item => byId.set(item.cve && item.cve.id, item));
+        await this.writeJson(this.recentFile, {
+            format: 'NVD_CVE',
+            version: '2.0',
+            timestamp: params.lastModEndDate,
+            vulnerabilities: Array.from(byId.values())
+        });
+        return fetched.length;
+    }
+
+    getStats() {
+        return {
+            nvdRecords: this.nvd.size,
+            knownExploited: this.kev.size,
+            kevCatalogVersion: this.kevVersion,
+            loadedAt: this.loadedAt,
+            lastRefresh: this.lastRefresh
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new CveService();
+module.exports.CveService = CveService;
+module.exports.parseNvdRecord = parseNvdRecord;
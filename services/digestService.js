@@ -0,0 +1,260 @@
+/**
+ * Digest Service
+ * Builds daily/weekly briefings from the article store (top articles by priority score,
+ * coverage and category), renders them as HTML and plain text, and delivers them
+ * over SMTP or to a local directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const articleStore = require('./articleStore');
+const { escapeHtml, toPlainText } = require('../utils/sanitizer');
+
+const PERIODS = {
+    daily: { label: 'Daily', ms: 24 * 60 * 60 * 1000 },
+    weekly: { label: 'Weekly', ms: 7 * 24 * 60 * 60 * 1000 }
+};
+const DEFAULT_DIGEST_SIZE = 10;
+const MAX_DIGEST_SIZE = 50;
+const OVERVIEW_LENGTH = 300;
+
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 1).trim()}…` : text;
+}
+
+class DigestService {
+    constructor(options = {}) {
+        this.store = options.store || articleStore;
+        this.size = parseInt(options.size || process.env.DIGEST_SIZE) || DEFAULT_DIGEST_SIZE;
+        this.outputDir = options.outputDir || process.env.DIGEST_OUTPUT_DIR || null;
+        this.emailTo = options.emailTo || process.env.DIGEST_EMAIL_TO || null;
+        this.emailFrom = options.emailFrom || process.env.DIGEST_EMAIL_FROM || 'News Aggregator <news-aggregator@localhost>';
+        this.transport = options.transport || null; // Created from SMTP_* settings on first use
+    }
+
+    isEmailConfigured() {
+        return Boolean(this.emailTo && (this.transport || process.env.SMTP_HOST));
+    }
+
+    isDeliveryConfigured() {
+        return Boolean(this.outputDir) || this.isEmailConfigured();
+    }
+
+    getTransport() {
+        if (!this.transport) {
+            const port = parseInt(process.env.SMTP_PORT) || 587;
+            this.transport = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+            });
+        }
+        return this.transport;
+    }
+
+    /**
+     * Rank candidates and pick the top ones. Articles covered by several sources rank higher,
+     * and no category may take more than half the digest while others have articles left.
+     * @param {Array} articles - Candidate articles
+     * @param {number} limit - Digest size
+     * @returns {Array} - Selected articles, best first
+     */
+    selectArticles(articles, limit) {
+        const score = article => (article.priorityScore || 0) + 3 * (article.duplicateCount || 0);
+        const ranked = [...articles].sort((a, b) =>
+            score(b) - score(a) || new Date(b.firstSeen || b.scraped || 0) - new Date(a.firstSeen || a.scraped || 0)
+        );
+
+        const categoryCap = Math.max(1, Math.ceil(limit / 2));
+        const perCategory = {};
+        const selected = [];
+        const overflow = [];
+
+        for (const article of ranked) {
+            if (selected.length >= limit) break;
+            const category = article.category || 'Other';
+            if ((perCategory[category] || 0) >= categoryCap) {
+                overflow.push(article);
+                continue;
+            }
+            perCategory[category] = (perCategory[category] || 0) + 1;
+            selected.push(article);
+        }
+
+        // Fill any remaining slots from capped categories
+        selected.push(...overflow.slice(0, limit - selected.length));
+        return selected.sort((a, b) => score(b) - score(a));
+    }
+
+    /**
+     * Build a digest for the period ending now
+     * @param {Object} options - period ('daily' or 'weekly'), limit, categories, now
+     * @returns {Promise<Object>} - Digest with articles grouped into category sections
+     */
+    async build(options = {}) {
+        const { period = 'daily', categories = [], now = Date.now() } = options;
+        if (!PERIODS[period]) {
+            throw new Error(`period must be one of: ${Object.keys(PERIODS).join(', ')}`);
+        }
+
+        const limit = Math.min(parseInt(options.limit) || this.size, MAX_DIGEST_SIZE);
+        const since = now - PERIODS[period].ms;
+        const wanted = categories.map(category => category.toLowerCase());
+
+        const candidates = (await this.store.getAll({ maxAgeMs: now - since + 60 * 1000 })).filter(article => {
+            const firstSeen = new Date(article.firstSeen || article.scraped || 0).getTime();
+            if (firstSeen < since || firstSeen > now) return false;
+            return wanted.length === 0 || wanted.includes((article.category || '').toLowerCase());
+        });
+
+        const articles = this.selectArticles(candidates, limit).map(article => {
+            const ai = article.aiSummary && typeof article.aiSummary === 'object' ? article.aiSummary : null;
+            return {
+                id: article.id,
+                title: toPlainText(article.title),
+                link: article.link,
+                source: toPlainText(article.source),
+                category: toPlainText(article.category) || 'Other',
+                priority: article.priority || null,
+                priorityScore: article.priorityScore || 0,
+                duplicateCount: article.duplicateCount || 0,
+                overview: truncate(toPlainText(ai && ai.overview ? ai.overview : article.summary), OVERVIEW_LENGTH),
+                keyPoints: ai && Array.isArray(ai.keyPoints) ? ai.keyPoints.map(toPlainText) : [],
+                aiGenerated: Boolean(ai && ai.overview)
+            };
+        });
+
+        const sections = [];
+        articles.forEach(article => {
+            let section = sections.find(s => s.category === article.category);
+            if (!section) {
+                section = { category: article.category, articles: [] };
+                sections.push(section);
+            }
+            section.articles.push(article);
+        });
+
+        const date = new Date(now).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+        return {
+            period,
+            title: `${PERIODS[period].label} Briefing - ${date}`,
+            since: new Date(since).toISOString(),
+            until: new Date(now).toISOString(),
+            generatedAt: new Date().toISOString(),
+            candidateCount: candidates.length,
+            articles,
+            sections
+        };
+    }
+
+    renderText(digest) {
+        const lines = [digest.title, '='.repeat(digest.title.length), ''];
+
+        if (digest.articles.length === 0) {
+            lines.push('No new articles in this period.');
+        }
+
+        digest.sections.forEach(section => {
+            lines.push(section.category.toUpperCase(), '');
+            section.articles.forEach(article => {
+                const coverage = article.duplicateCount > 0 ? `, +${article.duplicateCount} more sources` : '';
+                lines.push(`* ${article.title}`);
+                lines.push(`  ${article.source}${article.priority ? ` | ${article.priority}` : ''}${coverage}`);
+                if (article.overview) lines.push(`  ${article.overview}`);
+                article.keyPoints.forEach(point => lines.push(`    - ${point}`));
+                lines.push(`  ${article.link}`, '');
+            });
+        });
+
+        lines.push(`${digest.articles.length} of ${digest.candidateCount} new articles, ${new Date(digest.since).toUTCString()} to ${new Date(digest.until).toUTCString()}`);
+        return lines.join('\n');
+    }
+
+    renderHtml(digest) {
+        const sections = digest.sections.map(section => `
+    <h2 style="font-size:16px;color:#667eea;border-bottom:1px solid #e2e8f0;padding-bottom:4px;margin:24px 0 8px;">${escapeHtml(section.category)}</h2>
+    ${section.articles.map(article => `
+    <div style="margin:0 0 16px;">
+      <a href="${escapeHtml(article.link)}" style="font-size:15px;font-weight:600;color:#1a202c;text-decoration:none;">${escapeHtml(article.title)}</a>
+      <div style="font-size:12px;color:#718096;margin:2px 0 4px;">${escapeHtml(article.source)}${article.priority ? ` &middot; ${escapeHtml(article.priority)}` : ''}${article.duplicateCount > 0 ? ` &middot; +${article.duplicateCount} more sources` : ''}</div>
+      ${article.overview ? `<p style="margin:0;font-size:14px;color:#2d3748;">${escapeHtml(article.overview)}</p>` : ''}
+      ${article.keyPoints.length ? `<ul style="margin:4px 0 0;padding-left:20px;font-size:13px;color:#4a5568;">${article.keyPoints.map(point => `<li>${escapeHtml(point)}</li>`).join('')}</ul>` : ''}
+    </div>`).join('')}`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(digest.title)}</title></head>
+<body style="margin:0;padding:24px;background:#f7fafc;font-family:Arial,Helvetica,sans-serif;">
+  <div style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h1 style="font-size:20px;margin:0 0 4px;color:#1a202c;">${escapeHtml(digest.title)}</h1>
+    <p style="margin:0;font-size:12px;color:#718096;">${digest.articles.length} of ${digest.candidateCount} new articles</p>
+    ${digest.articles.length === 0 ? '<p style="font-size:14px;color:#4a5568;">No new articles in this period.</p>' : sections}
+  </div>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Send a digest to every configured destination
+     * @returns {Promise<Object>} - Written files, whether it was emailed, and per-destination errors
+     */
+    async deliver(digest) {
+        const result = { files: [], emailed: false, errors: [] };
+
+        if (this.outputDir) {
+            try {
+                result.files = await this.writeFiles(digest);
+            } catch (error) {
+                console.error('[Digest] Failed to write digest files:', error.message);
+                result.errors.push(`files: ${error.message}`);
+            }
+        }
+
+        if (this.isEmailConfigured()) {
+            try {
+                await this.getTransport().sendMail({
+                    from: this.emailFrom,
+                    to: this.emailTo,
+                    subject: digest.title,
+                    text: this.renderText(digest),
+                    html: this.renderHtml(digest)
+                });
+                result.emailed = true;
+            } catch (error) {
+                console.error('[Digest] Failed to send digest email:', error.message);
+                result.errors.push(`email: ${error.message}`);
+            }
+        }
+
+        console.log(`[Digest] Delivered ${digest.period} digest with ${digest.articles.length} articles` +
+            `${result.files.length ? ` to ${this.outputDir}` : ''}${result.emailed ? ` and emailed ${this.emailTo}` : ''}`);
+        return result;
+    }
+
+    async writeFiles(digest) {
+        await fs.promises.mkdir(this.outputDir, { recursive: true });
+        const baseName = `digest-${digest.period}-${digest.until.substring(0, 10)}`;
+        const htmlFile = path.join(this.outputDir, `${baseName}.html`);
+        const textFile = path.join(this.outputDir, `${baseName}.txt`);
+
+        await fs.promises.writeFile(htmlFile, this.renderHtml(digest));
+        await fs.promises.writeFile(textFile, this.renderText(digest));
+        return [htmlFile, textFile];
+    }
+
+    /**
+     * Build and deliver a digest; used by the scheduled jobs
+     */
+    async run(period) {
+        const digest = await this.build({ period });
+        return { digest, delivery: await this.deliver(digest) };
+    }
+}
+
+// Export singleton instance
+module.exports = new DigestService();
+module.exports.DigestService = DigestService;
+module.exports.PERIODS = PERIODS;
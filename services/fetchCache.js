@@ -0,0 +1,143 @@
+/**
+ * Fetch Cache
+ * Remembers the ETag, Last-Modified and a hash of the last body seen for each source URL, so a
+ * refresh can send a conditional request and skip parsing when the page hasn't changed.
+ * Entries are tied to a fingerprint of the source's scraping settings; editing the source
+ * (selectors, scraper, type...) makes the next refresh parse the page again.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, '../data/fetch-cache.json');
+const MAX_ENTRY_AGE = 30 * 24 * 60 * 60 * 1000; // Entries of removed sources are dropped after 30 days
+const FINGERPRINT_FIELDS = ['type', 'scraper', 'render', 'waitFor', 'selectors'];
+
+function hashBody(body) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+/**
+ * Fingerprint of the settings that decide how a source's page is turned into articles
+ * @param {Object} source - Source configuration
+ * @returns {string}
+ */
+function fingerprintSource(source) {
+    const settings = FINGERPRINT_FIELDS.map(field => source[field] === undefined ? null : source[field]);
+    return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').substring(0, 16);
+}
+
+class FetchCache {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.FETCH_CACHE_FILE || DEFAULT_CACHE_FILE;
+        this.entries = new Map(); // url -> { etag, lastModified, hash, fingerprint, updatedAt }
+        this.loadPromise = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readFile();
+        }
+        return this.loadPromise;
+    }
+
+    async readFile() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            Object.entries(data).forEach(([url, entry]) => this.entries.set(url, entry));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Fetch Cache] Failed to read cache:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Validators from the last accepted fetch of a URL, or null if none match the fingerprint
+     * @param {string} url - Source URL
+     * @param {string} fingerprint - Current fingerprint of the source's settings
+     */
+    get(url, fingerprint) {
+        const entry = this.entries.get(url);
+        return entry && entry.fingerprint === fingerprint ? entry : null;
+    }
+
+    /**
+     * Request headers that let the server answer 304 Not Modified
+     */
+    getConditionalHeaders(url, fingerprint) {
+        const entry = this.get(url, fingerprint);
+        const headers = {};
+        if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+        if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        return headers;
+    }
+
+    /**
+     * Whether a freshly fetched body is the one we already parsed
+     */
+    isUnchanged(url, fingerprint, hash) {
+        const entry = this.get(url, fingerprint);
+        return Boolean(entry && entry.hash === hash);
+    }
+
+    /**
+     * Store validators once the articles parsed from a fetch have been kept
+     * @param {string} url - Source URL
+     * @param {Object} validators - etag, lastModified, hash and fingerprint
+     */
+    async remember(url, validators) {
+        await this.load();
+        this.entries.set(url, {
+            etag: validators.etag || null,
+            lastModified: validators.lastModified || null,
+            hash: validators.hash,
+            fingerprint: validators.fingerprint,
+            updatedAt: new Date().toISOString()
+        });
+
+        const cutoff = Date.now() - MAX_ENTRY_AGE;
+        for (const [key, entry] of this.entries) {
+            if (new Date(entry.updatedAt).getTime() < cutoff) this.entries.delete(key);
+        }
+
+        await this.save();
+    }
+
+    /**
+     * Keep an entry alive when its page is confirmed unchanged
+     */
+    async touch(url) {
+        await this.load();
+        const entry = this.entries.get(url);
+        if (!entry) return;
+        entry.updatedAt = new Date().toISOString();
+        await this.save();
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempFile = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tempFile, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+                await fs.promises.rename(tempFile, this.filePath);
+            })
+            .catch(error => console.error('[Fetch Cache] Failed to save cache:', error.message));
+
+        return this.writeQueue;
+    }
+
+    getStats() {
+        return { entries: this.entries.size };
+    }
+}
+
+// Export singleton instance
+module.exports = new FetchCache();
+module.exports.FetchCache = FetchCache;
+module.exports.hashBody = hashBody;
+module.exports.fingerprintSource = fingerprintSource;
@@ -1,8 +1,24 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs').promises;
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const { validateArticle, sanitizeUrl } = require('../utils/sanitizer');
+const { parseFeed } = require('../utils/feedParser');
+const { extractReadableContent } = require('../utils/contentExtractor');
+const { validateExtractionRules, extractWithRules } = require('../utils/extractionRules');
+const { extractPageMetadata } = require('../utils/pageMetadata');
+const { parseDate } = require('../utils/dateParser');
+const { normalizeTitle, calculateTitleSimilarity } = require('../utils/textSimilarity');
+const { extractEntities } = require('../utils/entityExtractor');
+const { assertPublicUrl, guardedRequest, guardedGet } = require('../utils/ssrfGuard');
+const { discoverFromPage } = require('../utils/sourceDiscovery');
+const sourceHealth = require('./sourceHealthService');
+const cveService = require('./cveService');
+const scraperRegistry = require('./scraperRegistry');
+const browserPool = require('./browserPool');
+const fetchCache = require('./fetchCache');
+const crawlPolicy = require('./crawlPolicy');
+const { hashBody, fingerprintSource } = fetchCache;
 
 // Rotate user agents to avoid detection
 const USER_AGENTS = [
@@ -17,10 +33,21 @@ const USER_AGENTS = [
 const SOURCES_FILE = path.join(__dirname, '../sources.json');
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 2000; // 2 seconds
-const RATE_LIMIT_DELAY = 1000; // 1 second between requests
-
-// Track request timing for rate limiting
-let lastRequestTime = 0;
+const RATE_LIMIT_DELAY = 1000; // 1 second between requests to the same host
+const MAX_BACKOFF_DELAY = 60000; // Cap per-host backoff at 1 minute
+const SCRAPE_CONCURRENCY = parseInt(process.env.SCRAPE_CONCURRENCY) || 4; // Sources scraped in parallel
+const REFRESH_DEADLINE = parseInt(process.env.REFRESH_DEADLINE_MS) || 120000; // 2 minutes per refresh
+const EXTRACT_FULL_CONTENT = process.env.EXTRACT_FULL_CONTENT === 'true'; // Fetch article pages for full text
+const CONTENT_EXTRACTION_LIMIT = parseInt(process.env.CONTENT_EXTRACTION_LIMIT) || 30; // Article pages fetched per refresh
+const PRIORITY_CONTENT_LENGTH = 1500; // Only the lede of the body counts towards priority keywords
+const FEED_ITEM_LIMIT = 20; // Feeds carry real dates, so we can afford more items than HTML scrapes
+const FEED_TYPES = ['rss', 'atom', 'sitemap'];
+
+// Per-host request timing and backoff, so slow or throttling sites don't delay unrelated hosts
+const hostStates = new Map();
+
+// Collects the HTTP outcome of the fetches made while a source's scraper runs, for its health history
+const scrapeAttempts = new AsyncLocalStorage();
 
 // Category mapping from old to new AI-focused categories
 function mapCategory(oldCategory) {
@@ -60,54 +87,62 @@ async function loadDynamicSources() {
 
 // Get appropriate scraper function for a source
 function getScraperForSource(source) {
-  // Map known sources to their specific scrapers
-  const scraperMap = {
-    'BleepingComputer': scrapeBleepingComputer,
-    'Cybersecurity News': scrapeCybersecurityNews,
-    'Neowin': scrapeNeowin,
-    'AskWoody': scrapeAskWoody,
-    'TechCrunch': scrapeTechCrunch,
-    'Google Research Blog': scrapeGoogleResearch,
-    'Hugging Face Blog': scrapeHuggingFace
-  };
-  
-  // If we have a specific scraper, use it
-  if (scraperMap[source.name]) {
-    return scraperMap[source.name];
+  // Feed sources are parsed directly, regardless of name
+  if (FEED_TYPES.includes(source.type)) {
+    return () => scrapeFeed(source);
+  }
+
+  // Site-specific plugin named by the source
+  const plugin = scraperRegistry.resolve(source);
+  if (plugin) {
+    return () => plugin.scrape(createScraperContext(source, plugin));
   }
   
   // Otherwise use generic scraper with custom selectors
   return () => scrapeGeneric(source);
 }
 
+// What a scraper plugin's scrape(ctx) gets: the source, the rate-limited fetcher, cheerio,
+// and a helper that fills in the fields every article shares
+function createScraperContext(source, plugin) {
+  return {
+    source: { name: source.name, url: source.url, category: source.category, selectors: source.selectors || null },
+    fetchPage: getFetcherForSource(source),
+    cheerio,
+    createArticle: ({ title, link, summary, publishedAt, ...extra }) => ({
+      ...extra,
+      title,
+      link: resolveLink(link, source.url),
+      summary: summary || 'No summary available',
+      source: source.name,
+      category: mapCategory(source.category || plugin.category),
+      publishedAt: parseDate(publishedAt) || 'Recently',
+      scraped: new Date().toISOString()
+    })
+  };
+}
+
+// Absolute article URL; links that don't parse are left for validateArticle to reject
+function resolveLink(link, baseUrl) {
+  try {
+    return new URL(link, baseUrl).href;
+  } catch (error) {
+    return link;
+  }
+}
+
 // Default sources fallback
 function getDefaultSources() {
   return [
-    {
-      name: 'BleepingComputer',
-      url: 'https://www.bleepingcomputer.com/',
-      scraper: scrapeBleepingComputer,
-      category: mapCategory('Cybersecurity')
-    },
-    {
-      name: 'Cybersecurity News',
-      url: 'https://cybersecuritynews.com/',
-      scraper: scrapeCybersecurityNews,
-      category: mapCategory('Cybersecurity')
-    },
-    {
-      name: 'Neowin',
-      url: 'https://www.neowin.net/',
-      scraper: scrapeNeowin,
-      category: mapCategory('Technology')
-    },
-    {
-      name: 'AskWoody',
-      url: 'https://www.askwoody.com/',
-      scraper: scrapeAskWoody,
-      category: mapCategory('Technology')
-    }
-  ];
+    { name: 'BleepingComputer', url: 'https://www.bleepingcomputer.com/', category: 'Cybersecurity', scraper: 'bleepingcomputer' },
+    { name: 'Cybersecurity News', url: 'https://cybersecuritynews.com/', category: 'Cybersecurity', scraper: 'cybersecuritynews' },
+    { name: 'Neowin', url: 'https://www.neowin.net/', category: 'Technology', scraper: 'neowin' },
+    { name: 'AskWoody', url: 'https://www.askwoody.com/', category: 'Technology', scraper: 'askwoody' }
+  ].map(source => ({
+    ...source,
+    category: mapCategory(source.category),
+    scraper: getScraperForSource(source)
+  }));
 }
 
 // Get random user agent
@@ -120,35 +155,148 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Enhanced fetch with retry logic and better headers
-async function fetchPage(url, retryCount = 0) {
+function getHostname(url) {
   try {
-    // Rate limiting - ensure minimum delay between requests
+    return new URL(url).hostname;
+  } catch (error) {
+    return url;
+  }
+}
+
+function getHostState(url) {
+  const hostname = getHostname(url);
+  if (!hostStates.has(hostname)) {
+    hostStates.set(hostname, {
+      queue: Promise.resolve(),
+      lastRequestTime: 0,
+      backoffUntil: 0,
+      consecutiveFailures: 0
+    });
+  }
+  return hostStates.get(hostname);
+}
+
+// Wait for our turn on this host: requests to one host are spaced out (by its robots.txt
+// Crawl-delay when that is longer), other hosts are unaffected
+function waitForHostSlot(url, crawlDelayMs = 0) {
+  const state = getHostState(url);
+  const slot = state.queue.then(async () => {
     const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    if (timeSinceLastRequest < RATE_LIMIT_DELAY) {
-      await sleep(RATE_LIMIT_DELAY - timeSinceLastRequest);
+    const interval = Math.max(RATE_LIMIT_DELAY, crawlDelayMs);
+    const wait = Math.max(state.lastRequestTime + interval - now, state.backoffUntil - now, 0);
+    if (wait > 0) {
+      await sleep(wait);
     }
-    lastRequestTime = Date.now();
+    state.lastRequestTime = Date.now();
+  });
+  state.queue = slot;
+  return slot;
+}
+
+// Push the host's next request back, honoring Retry-After when the server sends one
+function recordHostFailure(url, retryAfterMs = null) {
+  const state = getHostState(url);
+  state.consecutiveFailures++;
+  const delay = retryAfterMs || RETRY_DELAY * Math.pow(2, state.consecutiveFailures - 1);
+  state.backoffUntil = Date.now() + Math.min(delay, MAX_BACKOFF_DELAY);
+}
+
+function recordHostSuccess(url) {
+  const state = getHostState(url);
+  state.consecutiveFailures = 0;
+  state.backoffUntil = 0;
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = parseInt(value, 10);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = new Date(value).getTime();
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Note the latest fetch status on the scrape attempt in progress, if any
+function recordFetchOutcome(httpStatus, error = null) {
+  const attempt = scrapeAttempts.getStore();
+  if (attempt) {
+    attempt.httpStatus = httpStatus;
+    attempt.fetchError = error;
+  }
+}
+
+// Check robots.txt before fetching; returns the policy, or null (with the outcome recorded) when we may not fetch
+async function checkCrawlPolicy(url) {
+  const policy = await crawlPolicy.check(url);
+  if (policy.allowed) return policy;
+
+  if (policy.reason === 'disallowed') {
+    console.warn(`Blocked by robots.txt: ${url}`);
+    const attempt = scrapeAttempts.getStore();
+    if (attempt) attempt.robotsBlocked = true;
+    recordFetchOutcome(null, 'Blocked by robots.txt');
+  } else {
+    console.warn(`Not fetching ${url}: ${policy.error}`);
+    recordFetchOutcome(null, policy.error);
+  }
+  return null;
+}
+
+// Request headers: our own user agent, or for sources that opt in, a rotating desktop browser's
+function getRequestHeaders(rotateUserAgent) {
+  const headers = {
+    'User-Agent': rotateUserAgent ? getRandomUserAgent() : crawlPolicy.userAgent,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br'
+  };
+  if (!rotateUserAgent) return headers;
+
+  return {
+    ...headers,
+    'Cache-Control': 'no-cache',
+    'Pragma': 'no-cache',
+    'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+    'Sec-Ch-Ua-Mobile': '?0',
+    'Sec-Ch-Ua-Platform': '"Windows"',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-Site': 'none',
+    'Sec-Fetch-User': '?1',
+    'Upgrade-Insecure-Requests': '1',
+    'DNT': '1'
+  };
+}
+
+// Conditional request state when url is the listing page of the scrape attempt in progress
+function getConditionalRequest(url) {
+  const attempt = scrapeAttempts.getStore();
+  return attempt && attempt.conditional && attempt.conditional.url === url ? attempt.conditional : null;
+}
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Fetch a page with retries, honoring robots.txt; options.rotateUserAgent sends rotating browser user agents
+async function fetchPage(url, options = {}, retryCount = 0) {
+  try {
+    // Source URLs are admin input; never let them reach the server's own network
+    await assertPublicUrl(url);
+
+    const policy = await checkCrawlPolicy(url);
+    if (!policy) return null;
+
+    // Rate limiting and backoff are tracked per hostname
+    await waitForHostSlot(url, policy.crawlDelayMs);
 
-    const userAgent = getRandomUserAgent();
-    const response = await axios.get(url, {
+    const conditional = getConditionalRequest(url);
+    const response = await guardedGet(url, {
       headers: {
-        'User-Agent': userAgent,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache',
-        'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-        'Sec-Ch-Ua-Mobile': '?0',
-        'Sec-Ch-Ua-Platform': '"Windows"',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none',
-        'Sec-Fetch-User': '?1',
-        'Upgrade-Insecure-Requests': '1',
-        'DNT': '1'
+        ...getRequestHeaders(options.rotateUserAgent),
+        ...(conditional && !conditional.force ? fetchCache.getConditionalHeaders(url, conditional.fingerprint) : {})
       },
       timeout: 15000,
       maxRedirects: 5,
@@ -159,553 +307,284 @@ async function fetchPage(url, retryCount = 0) {
     
     // Handle different response codes
     if (response.status === 429) {
+      recordHostFailure(url, parseRetryAfter(response.headers['retry-after']));
       if (retryCount < MAX_RETRIES) {
-        console.log(`Rate limited for ${url}, waiting before retry ${retryCount + 1}/${MAX_RETRIES}`);
-        await sleep(RETRY_DELAY * (retryCount + 1)); // Exponential backoff
-        return fetchPage(url, retryCount + 1);
+        console.log(`Rate limited for ${url}, backing off before retry ${retryCount + 1}/${MAX_RETRIES}`);
+        return fetchPage(url, options, retryCount + 1);
       } else {
-        throw new Error(`Rate limited after ${MAX_RETRIES} retries`);
+        throw httpError(`Rate limited after ${MAX_RETRIES} retries`, response.status);
       }
     }
     
+    // Only a rotated user agent has a chance of getting a different answer
     if (response.status === 403) {
-      if (retryCount < MAX_RETRIES) {
+      recordHostFailure(url);
+      if (!options.rotateUserAgent) {
+        throw httpError('Access forbidden (HTTP 403)', response.status);
+      } else if (retryCount < MAX_RETRIES) {
         console.log(`Access forbidden for ${url}, trying different user agent ${retryCount + 1}/${MAX_RETRIES}`);
-        await sleep(RETRY_DELAY);
-        return fetchPage(url, retryCount + 1);
+        return fetchPage(url, options, retryCount + 1);
       } else {
-        throw new Error(`Access forbidden after ${MAX_RETRIES} retries`);
+        throw httpError(`Access forbidden after ${MAX_RETRIES} retries`, response.status);
       }
     }
     
     if (response.status >= 400) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw httpError(`HTTP ${response.status}: ${response.statusText}`, response.status);
     }
     
+    recordHostSuccess(url);
+    recordFetchOutcome(response.status);
+
+    // Unchanged listing pages short-circuit the scrape: the scraper sees no page and returns nothing
+    if (conditional) {
+      const hash = response.status === 304 ? null : hashBody(response.data);
+      if (!conditional.force && (response.status === 304 || fetchCache.isUnchanged(url, conditional.fingerprint, hash))) {
+        conditional.unchanged = true;
+        return null;
+      }
+      // Kept only once the articles parsed from this body are accepted
+      conditional.validators = {
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified'],
+        hash,
+        fingerprint: conditional.fingerprint
+      };
+    }
     return response.data;
   } catch (error) {
     if (retryCount < MAX_RETRIES && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT' || error.message.includes('socket hang up'))) {
       console.log(`Network error for ${url}, retrying ${retryCount + 1}/${MAX_RETRIES}: ${error.message}`);
-      await sleep(RETRY_DELAY * (retryCount + 1));
-      return fetchPage(url, retryCount + 1);
+      recordHostFailure(url);
+      return fetchPage(url, options, retryCount + 1);
     }
     
     console.error(`Error fetching ${url}:`, error.message);
+    recordFetchOutcome(error.status || (error.response && error.response.status) || null, error.message);
     return null;
   }
 }
 
-async function scrapeBleepingComputer() {
-  const html = await fetchPage('https://www.bleepingcomputer.com/');
-  if (!html) return [];
-
-  const $ = cheerio.load(html);
-  const articles = [];
-
-  $('.bc_latest_news_text').each((i, element) => {
-    if (i >= 10) return false;
-    
-    const $element = $(element);
-    const title = $element.find('h4 a').text().trim();
-    const link = $element.find('h4 a').attr('href');
-    const summary = $element.find('p').first().text().trim();
-    const timeElement = $element.find('.bc_news_date');
-    const publishedAt = timeElement.length ? timeElement.text().trim() : 'Recently';
-
-    if (title && link) {
-      articles.push({
-        title,
-        link: link.startsWith('http') ? link : `https://www.bleepingcomputer.com${link}`,
-        summary: summary || 'No summary available',
-        source: 'BleepingComputer',
-        category: mapCategory('Cybersecurity'),
-        publishedAt,
-        scraped: new Date().toISOString()
-      });
-    }
-  });
-
-  return articles;
+// Scripts and assets the page loads go through the same checks as the page itself
+function isRenderRequestAllowed(requestUrl) {
+  if (!/^https?:/i.test(requestUrl)) return Promise.resolve(true); // data:, blob: and about: URLs stay in the browser
+  return assertPublicUrl(requestUrl).then(() => true, () => false);
 }
 
-async function scrapeCybersecurityNews() {
-  const html = await fetchPage('https://cybersecuritynews.com/');
-  if (!html) return [];
-
-  const $ = cheerio.load(html);
-  const articles = [];
-
-  $('.jeg_post').each((i, element) => {
-    if (i >= 10) return false;
-    
-    const $element = $(element);
-    const title = $element.find('.jeg_post_title a').text().trim();
-    const link = $element.find('.jeg_post_title a').attr('href');
-    const summary = $element.find('.jeg_post_excerpt p').text().trim();
-    const publishedAt = $element.find('.jeg_meta_date a').text().trim() || 'Recently';
-
-    if (title && link) {
-      articles.push({
-        title,
-        link,
-        summary: summary || 'No summary available',
-        source: 'Cybersecurity News',
-        category: mapCategory('Cybersecurity'),
-        publishedAt,
-        scraped: new Date().toISOString()
-      });
-    }
+// Hop-by-hop headers describe our connection to the site, not the response handed to the browser
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding'];
+
+// Requests the page makes are fetched here, so the connection goes to the address that was checked
+// rather than to whatever Chromium's own DNS lookup returns. Bodies stay encoded as the site sent them.
+async function fetchRenderRequest({ url, method, headers, body }) {
+  const response = await guardedRequest(url, {
+    method,
+    headers,
+    data: body || undefined,
+    responseType: 'arraybuffer',
+    decompress: false,
+    timeout: 15000
   });
 
-  return articles;
-}
-
-async function scrapeNeowin() {
-  const html = await fetchPage('https://www.neowin.net/');
-  if (!html) return [];
-
-  const $ = cheerio.load(html);
-  const articles = [];
-
-  $('.news-item, .featured-story').each((i, element) => {
-    if (i >= 10) return false;
-    
-    const $element = $(element);
-    const title = $element.find('h2 a, h3 a, .title a').first().text().trim();
-    const link = $element.find('h2 a, h3 a, .title a').first().attr('href');
-    const summary = $element.find('.summary, .excerpt, p').first().text().trim();
-    const publishedAt = $element.find('.date, .time, time').first().text().trim() || 'Recently';
-
-    if (title && link) {
-      articles.push({
-        title,
-        link: link.startsWith('http') ? link : `https://www.neowin.net${link}`,
-        summary: summary || 'No summary available',
-        source: 'Neowin',
-        category: mapCategory('Technology'),
-        publishedAt,
-        scraped: new Date().toISOString()
-      });
-    }
+  const responseHeaders = {};
+  Object.entries(response.headers).forEach(([name, value]) => {
+    if (value === undefined || value === null || HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) return;
+    responseHeaders[name.toLowerCase()] = Array.isArray(value) ? value.join('\n') : String(value);
   });
-
-  return articles;
+  return { status: response.status, headers: responseHeaders, body: Buffer.from(response.data) };
 }
 
-async function scrapeAskWoody() {
-  const html = await fetchPage('https://www.askwoody.com/');
-  if (!html) return [];
-
-  const $ = cheerio.load(html);
-  const articles = [];
-
-  $('.post, article').each((i, element) => {
-    if (i >= 10) return false;
-    
-    const $element = $(element);
-    const title = $element.find('h2 a, h3 a, .entry-title a').first().text().trim();
-    const link = $element.find('h2 a, h3 a, .entry-title a').first().attr('href');
-    const summary = $element.find('.entry-content p, .excerpt p, p').first().text().trim();
-    const publishedAt = $element.find('.date, .entry-date, time').first().text().trim() || 'Recently';
-
-    if (title && link) {
-      articles.push({
-        title,
-        link: link.startsWith('http') ? link : `https://www.askwoody.com${link}`,
-        summary: summary || 'No summary available',
-        source: 'AskWoody',
-        category: mapCategory('Technology'),
-        publishedAt,
-        scraped: new Date().toISOString()
-      });
-    }
-  });
+// Load a page in the shared headless browser for sources whose content is rendered client-side
+async function renderPage(url, source) {
+  try {
+    await assertPublicUrl(url);
 
-  return articles;
-}
+    const policy = await checkCrawlPolicy(url);
+    if (!policy) return null;
 
-async function scrapeTechCrunch() {
-  const html = await fetchPage('https://techcrunch.com/');
-  if (!html) return [];
+    await waitForHostSlot(url, policy.crawlDelayMs);
 
-  const $ = cheerio.load(html);
-  const articles = [];
+    const { html, status } = await browserPool.render(url, {
+      waitFor: source.waitFor || null,
+      userAgent: source.rotateUserAgent ? getRandomUserAgent() : crawlPolicy.userAgent,
+      allowRequest: requestUrl => isRenderRequestAllowed(requestUrl),
+      fetchRequest: fetchRenderRequest
+    });
 
-  // TechCrunch uses WordPress blocks with wp-block-post-title for articles
-  $('.wp-block-post-title').each((i, element) => {
-    if (i >= 10) return false;
-    
-    const $element = $(element);
-    const $link = $element.find('a').first();
-    const title = $link.text().trim();
-    const link = $link.attr('href');
-    
-    // Look for summary in nearby paragraph or use a fallback
-    let summary = '';
-    const $container = $element.closest('.wp-block-group, .wp-block-columns');
-    if ($container.length) {
-      summary = $container.find('.wp-block-paragraph').first().text().trim();
+    if (status === 429 || status === 403) {
+      recordHostFailure(url);
     }
-    
-    // Look for date information
-    const publishedAt = $container.find('.wp-block-post-date, .post-date').text().trim() || 'Recently';
-
-    if (title && link) {
-      articles.push({
-        title,
-        link: link.startsWith('http') ? link : `https://techcrunch.com${link}`,
-        summary: summary || 'No summary available',
-        source: 'TechCrunch',
-        category: mapCategory('Technology'),
-        publishedAt,
-        scraped: new Date().toISOString()
-      });
+    if (status >= 400) {
+      throw httpError(`HTTP ${status}`, status);
     }
-  });
 
-  return articles;
+    recordHostSuccess(url);
+    recordFetchOutcome(status);
+    return html;
+  } catch (error) {
+    console.error(`Error rendering ${url}:`, error.message);
+    recordFetchOutcome(error.status || null, error.message);
+    return null;
+  }
 }
 
-async function scrapeGoogleResearch() {
-  const html = await fetchPage('https://research.google/blog/');
+// Page fetcher for a source: plain HTTP, or headless Chromium for sources with render: "browser";
+// sources with rotateUserAgent: true present themselves as a desktop browser
+function getFetcherForSource(source) {
+  if (source.render === 'browser' && !FEED_TYPES.includes(source.type)) {
+    return url => renderPage(url, source);
+  }
+  if (source.rotateUserAgent) {
+    return url => fetchPage(url, { rotateUserAgent: true });
+  }
+  return url => fetchPage(url);
+}
+
+// Generic scraper driven by the source's declarative extraction rules (see utils/extractionRules)
+async function scrapeGeneric(sourceConfig) {
+  const html = await getFetcherForSource(sourceConfig)(sourceConfig.url);
   if (!html) return [];
 
-  const $ = cheerio.load(html);
-  const articles = [];
-
-  // Google Research Blog uses blog-post-list articles
-  $('.blog-post-list article, article').each((i, element) => {
-    if (i >= 10) return false;
-
-    const $element = $(element);
-    const $link = $element.find('a').first();
-    const title = $element.find('h2, h3').first().text().trim();
-    const link = $link.attr('href');
-    const summary = $element.find('p').first().text().trim();
-    const $time = $element.find('time');
-    const publishedAt = $time.length ? $time.text().trim() : 'Recently';
-
-    if (title && link) {
-      articles.push({
-        title,
-        link: link.startsWith('http') ? link : `https://research.google${link}`,
-        summary: summary || 'No summary available',
-        source: 'Google Research Blog',
-        category: mapCategory('AI & ML'),
-        publishedAt,
-        scraped: new Date().toISOString()
-      });
-    }
-  });
+  let rules = validateExtractionRules(sourceConfig.selectors);
+  if (!rules.valid) {
+    console.warn(`Ignoring invalid selectors for ${sourceConfig.name}: ${rules.error}`);
+    rules = { data: null };
+  }
 
-  return articles;
+  try {
+    return extractWithRules(String(html), rules.data, sourceConfig.url).map(item => ({
+      title: item.title,
+      link: item.link,
+      summary: item.summary || 'No summary available',
+      source: sourceConfig.name,
+      category: mapCategory(sourceConfig.category),
+      publishedAt: parseDate(item.publishedAt) || 'Recently',
+      author: item.author,
+      scraped: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error(`Error with generic scraper for ${sourceConfig.name}:`, error.message);
+    return [];
+  }
 }
 
-async function scrapeHuggingFace() {
-  const html = await fetchPage('https://huggingface.co/blog');
-  if (!html) return [];
+// Feed scraper for sources declaring type "rss", "atom" or "sitemap" (Google News sitemaps)
+async function scrapeFeed(sourceConfig) {
+  const xml = await getFetcherForSource(sourceConfig)(sourceConfig.url);
+  if (!xml) return [];
 
-  const $ = cheerio.load(html);
-  const articles = [];
-
-  // Hugging Face blog uses various selectors
-  $('a[href^="/blog/"]').each((i, element) => {
-    if (i >= 10) return false;
-
-    const $element = $(element);
-    const title = $element.text().trim();
-    const link = $element.attr('href');
-
-    // Find parent container for additional info
-    const $container = $element.closest('article, .blog-article, div');
-    const summary = $container.find('p').first().text().trim();
-    const publishedAt = $container.find('time, .date').first().text().trim() || 'Recently';
-
-    if (title && link && title.length > 0) {
-      articles.push({
-        title,
-        link: link.startsWith('http') ? link : `https://huggingface.co${link}`,
-        summary: summary || 'No summary available',
-        source: 'Hugging Face Blog',
-        category: mapCategory('AI & ML'),
-        publishedAt,
-        scraped: new Date().toISOString()
-      });
-    }
-  });
+  const items = parseFeed(typeof xml === 'string' ? xml : String(xml), sourceConfig.url);
+  if (items.length === 0) {
+    console.warn(`No feed items parsed from ${sourceConfig.name} (${sourceConfig.url})`);
+  }
 
-  return articles;
+  return items.slice(0, FEED_ITEM_LIMIT).map(item => {
+    // Full-content feeds (content:encoded, Atom <content>) save us fetching the article page
+    const extracted = item.content ? extractReadableContent(`<article>${item.content}</article>`) : null;
+
+    return {
+      title: item.title,
+      link: item.link,
+      summary: item.summary || 'No summary available',
+      source: sourceConfig.name,
+      category: mapCategory(sourceConfig.category),
+      publishedAt: item.publishedAt || 'Recently',
+      author: item.author,
+      categories: item.categories,
+      content: extracted ? extracted.text : null,
+      contentHtml: extracted ? extracted.html : null,
+      scraped: new Date().toISOString()
+    };
+  });
 }
 
-// Generic scraper that uses custom CSS selectors
-async function scrapeGeneric(sourceConfig) {
-  const html = await fetchPage(sourceConfig.url);
-  if (!html) return [];
+// Attach the readable article body, reusing stored content for articles we've already seen
+async function addFullContent(article, context) {
+  if (article.content || !article.link) return article;
 
-  const $ = cheerio.load(html);
-  const articles = [];
-  
-  // Default selectors if none provided
-  const selectors = sourceConfig.selectors || {
-    container: 'article, .post, .entry, .news-item',
-    title: 'h1, h2, h3, .title, .headline',
-    link: 'a',
-    summary: 'p, .excerpt, .summary, .description',
-    date: '.date, .time, time, .published'
-  };
+  const known = context.lookupArticle ? await context.lookupArticle(article) : null;
+  if (known) {
+    return known.content ? { ...article, content: known.content, contentHtml: known.contentHtml } : article;
+  }
 
-  try {
-    $(selectors.container).each((i, element) => {
-      if (i >= 10) return false;
-      
-      const $element = $(element);
-      const $titleElement = $element.find(selectors.title).first();
-      const $linkElement = $titleElement.find('a').length ? $titleElement.find('a').first() : $element.find(selectors.link).first();
-      
-      const title = $titleElement.text().trim();
-      const link = $linkElement.attr('href');
-      const summary = $element.find(selectors.summary).first().text().trim();
-      const publishedAt = $element.find(selectors.date).first().text().trim() || 'Recently';
-
-      if (title && link) {
-        articles.push({
-          title,
-          link: link.startsWith('http') ? link : new URL(link, sourceConfig.url).href,
-          summary: summary || 'No summary available',
-          source: sourceConfig.name,
-          category: mapCategory(sourceConfig.category),
-          publishedAt,
-          scraped: new Date().toISOString()
-        });
-      }
-    });
-  } catch (error) {
-    console.error(`Error with generic scraper for ${sourceConfig.name}:`, error.message);
+  if (!context.extractContent || context.extractionBudget.remaining <= 0) return article;
+  context.extractionBudget.remaining--;
+
+  const html = await fetchPage(article.link);
+  const page = typeof html === 'string' ? html : null;
+  const withMetadata = page ? fillFromPageMetadata(article, page) : article;
+  const extracted = extractReadableContent(page);
+  if (!extracted) {
+    console.warn(`Could not extract article body from ${article.link}`);
+    return withMetadata;
   }
 
-  return articles;
+  return { ...withMetadata, content: extracted.text, contentHtml: extracted.html };
 }
 
-// Normalize article title for better duplicate detection
-function normalizeTitle(title) {
-  return title
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-    .replace(/[^\w\s'-]/g, '') // Keep apostrophes and hyphens for better context
-    .substring(0, 150); // Increased limit for better comparison
+// Listing pages often lack the date, summary or author that the article page declares in JSON-LD or OpenGraph
+function fillFromPageMetadata(article, html) {
+  const metadata = extractPageMetadata(html, article.link);
+  const hasSummary = article.summary && article.summary !== 'No summary available';
+
+  return {
+    ...article,
+    publishedAt: parseDate(article.publishedAt) ? article.publishedAt : parseDate(metadata.publishedAt) || article.publishedAt,
+    summary: hasSummary ? article.summary : metadata.summary || article.summary,
+    author: article.author || metadata.author || null
+  };
 }
 
-// Enhanced deduplicate articles with improved performance and accuracy
+// Drop repeated links and near-identical titles from the same source. Versions of a story
+// from different sources are all kept; storyService groups them into stories after ingest.
 function deduplicateArticles(articles) {
   const seen = new Set();
   const linksSeen = new Set();
-  const titleIndex = new Map(); // Map for O(1) title lookups
-  const articlesMap = new Map(); // Cache articles for quick retrieval
-  let duplicatesRemoved = 0;
-  
-  // Pre-process articles for faster lookups
-  articles.forEach((article, index) => {
-    articlesMap.set(index, article);
-  });
-  
-  return articles.filter((article, index) => {
+  const titlesBySource = new Map(); // source -> [{ title, words }]
+
+  return articles.filter(article => {
     // First, check for exact link duplicates (most reliable)
     if (article.link && linksSeen.has(article.link)) {
       console.log(`[DEDUP] Removed exact link duplicate: "${article.title}" from ${article.source}`);
-      duplicatesRemoved++;
       return false;
     }
-    
+
     const normalizedTitle = normalizeTitle(article.title);
     const sourceKey = `${normalizedTitle}::${article.source}`;
-    
+
     // Check for exact duplicates from same source
     if (seen.has(sourceKey)) {
       console.log(`[DEDUP] Removed exact same-source duplicate: "${article.title}" from ${article.source}`);
-      duplicatesRemoved++;
       return false;
     }
-    
-    // Optimize similarity checking with early termination
+
     const titleWords = normalizedTitle.split(' ').filter(w => w.length > 2);
-    const titleWordSet = new Set(titleWords);
-    
-    // Check against existing titles with word overlap pre-filtering
-    for (const [existingKey, { title: existingTitle, words: existingWords }] of titleIndex) {
-      const existingSource = existingKey.split('::')[1];
-      const isSameSource = existingSource === article.source;
-      
+    const sourceTitles = titlesBySource.get(article.source) || [];
+
+    for (const { title: existingTitle, words: existingWords } of sourceTitles) {
       // Quick word overlap check for performance
       const wordOverlap = titleWords.filter(w => existingWords.has(w)).length;
-      const maxWords = Math.max(titleWords.length, existingWords.size);
-      const wordOverlapRatio = wordOverlap / maxWords;
-      
-      // Skip detailed comparison if word overlap is too low
-      if (wordOverlapRatio < 0.4) continue;
-      
+      if (wordOverlap / Math.max(titleWords.length, existingWords.size) < 0.4) continue;
+
       const similarity = calculateTitleSimilarity(normalizedTitle, existingTitle);
-      const threshold = isSameSource ? 0.90 : 0.82; // Lower threshold for cross-source to catch more duplicates
-      
-      if (similarity > threshold) {
-        if (isSameSource) {
-          console.log(`[DEDUP] Removed similar same-source article (${Math.round(similarity*100)}% match): "${article.title}" from ${article.source}`);
-          duplicatesRemoved++;
-          return false;
-        } else {
-          // Cross-source duplicate check with summary comparison
-          const existingArticle = articlesMap.get(titleIndex.get(existingKey).index);
-          
-          if (article.summary && existingArticle.summary && 
-              article.summary.length > 50 && existingArticle.summary.length > 50) {
-            const summaryNorm1 = normalizeTitle(article.summary.substring(0, 200));
-            const summaryNorm2 = normalizeTitle(existingArticle.summary.substring(0, 200));
-            const summarySimilarity = calculateTitleSimilarity(summaryNorm1, summaryNorm2);
-            
-            if (summarySimilarity > 0.65) {
-              console.log(`[DEDUP] Removed cross-source duplicate (${Math.round(similarity*100)}% title, ${Math.round(summarySimilarity*100)}% summary): "${article.title}" from ${article.source} (original from ${existingSource})`);
-              duplicatesRemoved++;
-              return false;
-            }
-          } else if (similarity > 0.90) {
-            // High title similarity without summaries to compare
-            console.log(`[DEDUP] Removed cross-source duplicate (${Math.round(similarity*100)}% title match): "${article.title}" from ${article.source} (original from ${existingSource})`);
-            duplicatesRemoved++;
-            return false;
-          }
-        }
+      if (similarity > 0.90) {
+        console.log(`[DEDUP] Removed similar same-source article (${Math.round(similarity*100)}% match): "${article.title}" from ${article.source}`);
+        return false;
       }
     }
-    
+
     // Article is unique, add to tracking structures
     seen.add(sourceKey);
     if (article.link) {
       linksSeen.add(article.link);
     }
-    titleIndex.set(sourceKey, { 
-      title: normalizedTitle, 
-      words: titleWordSet, 
-      index 
-    });
-    
+    sourceTitles.push({ title: normalizedTitle, words: new Set(titleWords) });
+    titlesBySource.set(article.source, sourceTitles);
+
     return true;
   });
 }
 
-// Enhanced similarity calculation with multiple algorithms
-function calculateTitleSimilarity(title1, title2) {
-  if (title1 === title2) return 1.0;
-  if (!title1 || !title2) return 0.0;
-  
-  // Combine multiple similarity metrics for better accuracy
-  const jaroSimilarity = calculateJaroSimilarity(title1, title2);
-  const levenshteinSimilarity = calculateLevenshteinSimilarity(title1, title2);
-  const wordSimilarity = calculateWordSimilarity(title1, title2);
-  
-  // Weighted average of different similarity measures
-  return (jaroSimilarity * 0.4 + levenshteinSimilarity * 0.3 + wordSimilarity * 0.3);
-}
-
-// Levenshtein-based similarity (character level)
-function calculateLevenshteinSimilarity(str1, str2) {
-  const longer = str1.length > str2.length ? str1 : str2;
-  const shorter = str1.length > str2.length ? str2 : str1;
-  
-  if (longer.length === 0) return 1.0;
-  
-  const editDistance = levenshteinDistance(longer, shorter);
-  return (longer.length - editDistance) / longer.length;
-}
-
-// Jaro similarity (optimized for text comparison)
-function calculateJaroSimilarity(s1, s2) {
-  if (s1 === s2) return 1.0;
-  
-  const len1 = s1.length;
-  const len2 = s2.length;
-  
-  if (len1 === 0 || len2 === 0) return 0.0;
-  
-  const matchWindow = Math.floor(Math.max(len1, len2) / 2) - 1;
-  if (matchWindow < 0) return 0.0;
-  
-  const s1Matches = new Array(len1).fill(false);
-  const s2Matches = new Array(len2).fill(false);
-  
-  let matches = 0;
-  let transpositions = 0;
-  
-  // Identify matches
-  for (let i = 0; i < len1; i++) {
-    const start = Math.max(0, i - matchWindow);
-    const end = Math.min(i + matchWindow + 1, len2);
-    
-    for (let j = start; j < end; j++) {
-      if (s2Matches[j] || s1[i] !== s2[j]) continue;
-      s1Matches[i] = true;
-      s2Matches[j] = true;
-      matches++;
-      break;
-    }
-  }
-  
-  if (matches === 0) return 0.0;
-  
-  // Count transpositions
-  let k = 0;
-  for (let i = 0; i < len1; i++) {
-    if (!s1Matches[i]) continue;
-    while (!s2Matches[k]) k++;
-    if (s1[i] !== s2[k]) transpositions++;
-    k++;
-  }
-  
-  return (matches / len1 + matches / len2 + (matches - transpositions / 2) / matches) / 3.0;
-}
-
-// Word-level similarity
-function calculateWordSimilarity(title1, title2) {
-  const words1 = new Set(title1.toLowerCase().split(/\s+/).filter(w => w.length > 2));
-  const words2 = new Set(title2.toLowerCase().split(/\s+/).filter(w => w.length > 2));
-  
-  if (words1.size === 0 && words2.size === 0) return 1.0;
-  if (words1.size === 0 || words2.size === 0) return 0.0;
-  
-  const intersection = new Set([...words1].filter(w => words2.has(w)));
-  const union = new Set([...words1, ...words2]);
-  
-  return intersection.size / union.size; // Jaccard similarity
-}
-
-// Simple Levenshtein distance calculation
-function levenshteinDistance(str1, str2) {
-  const matrix = [];
-  
-  for (let i = 0; i <= str2.length; i++) {
-    matrix[i] = [i];
-  }
-  
-  for (let j = 0; j <= str1.length; j++) {
-    matrix[0][j] = j;
-  }
-  
-  for (let i = 1; i <= str2.length; i++) {
-    for (let j = 1; j <= str1.length; j++) {
-      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1, // substitution
-          matrix[i][j - 1] + 1,     // insertion
-          matrix[i - 1][j] + 1      // deletion
-        );
-      }
-    }
-  }
-  
-  return matrix[str2.length][str1.length];
-}
-
 function generateAISummary(article) {
   const { title, summary } = article;
   
@@ -726,39 +605,134 @@ function generateAISummary(article) {
   }
 }
 
-async function getAllNews() {
-  // Load dynamic sources from configuration file
-  const dynamicSources = await loadDynamicSources();
-  const allArticles = [];
-  let successfulSources = 0;
+// Scrape one source and enrich its articles with full content, summaries, analysis and entities
+async function scrapeSource(source, context, attempt = {}) {
+  console.log(`Scraping ${source.name}...`);
+  // Only the scraper's own fetches count towards the source's HTTP status, not article pages
+  const articles = await scrapeAttempts.run(attempt, () => source.scraper());
+  attempt.durationMs = Date.now() - new Date(attempt.startedAt || Date.now()).getTime();
+
+  if (!articles || articles.length === 0) {
+    return [];
+  }
+
+  const articlesWithContent = [];
+  for (const article of articles) {
+    articlesWithContent.push(await addFullContent(article, context));
+  }
+
+  return articlesWithContent.map(article => {
+    const articleWithSummary = {
+      ...article,
+      aiSummary: generateAISummary(article)
+    };
+    
+    // Entities and CVE details first, so known exploited and high-CVSS flaws raise the priority
+    const entities = extractEntities(articleWithSummary);
+    const annotated = { ...articleWithSummary, entities, ...cveService.enrich(entities) };
+    const enrichedArticle = {
+      ...annotated,
+      ...analyzeArticle(annotated)
+    };
+    
+    // Validate and sanitize the article
+    return validateArticle(enrichedArticle);
+  }).filter(Boolean); // Remove any null articles
+}
+
+// Run worker(item) over items with at most `concurrency` in flight; stops picking up new items once shouldStop() is true
+async function runWorkerPool(items, concurrency, worker, shouldStop = () => false) {
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length && !shouldStop()) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, runNext);
+  await Promise.all(workers);
+}
+
+async function getAllNews(options = {}) {
+  const {
+    concurrency = SCRAPE_CONCURRENCY,
+    deadlineMs = REFRESH_DEADLINE,
+    extractContent = EXTRACT_FULL_CONTENT,
+    conditional = true, // Skip parsing source pages that haven't changed since their last accepted scrape
+    lookupArticle = null, // Optional async (article) => stored article, used to skip re-extracting known articles
+    hasStoredArticles = null, // Optional (sourceName) => boolean; sources without stored articles are always parsed in full
+    touchArticles = null, // Optional async (sourceName) => void, keeps an unchanged source's stored articles current
+    onProgress = () => {} // Optional per-source progress callback for refresh jobs
+  } = options;
+  const context = {
+    extractContent,
+    lookupArticle,
+    extractionBudget: { remaining: CONTENT_EXTRACTION_LIMIT }
+  };
+
+  // CVE data must be in memory before articles are enriched
+  await cveService.load();
+  await fetchCache.load();
+
+  // Load dynamic sources from configuration file, leaving out quarantined ones until their retry is due
+  await sourceHealth.load();
+  const dynamicSources = (await loadDynamicSources()).filter(source => {
+    if (!source.source || sourceHealth.shouldAttempt(source.source.id)) return true;
+    console.log(`Skipping quarantined source ${source.name} until ${sourceHealth.getSummary(source.source.id).nextAttemptAt}`);
+    return false;
+  });
+  const results = new Array(dynamicSources.length).fill(null); // Keep source order stable for deduplication
+  const startTime = Date.now();
+  let deadlineReached = false;
+  let unchangedSources = 0;
   
-  console.log(`Loading ${dynamicSources.length} active sources from configuration...`);
+  console.log(`Loading ${dynamicSources.length} active sources from configuration (concurrency ${concurrency}, deadline ${deadlineMs}ms)...`);
+  onProgress({ type: 'start', total: dynamicSources.length, sources: dynamicSources.map(source => source.name) });
   
-  for (const source of dynamicSources) {
+  const pool = runWorkerPool(dynamicSources, concurrency, async (source, index) => {
+    const attempt = {
+      startedAt: new Date().toISOString(),
+      httpStatus: null,
+      fetchError: null,
+      // Validators are collected either way, so the next conditional refresh can use them
+      conditional: {
+        url: source.url,
+        fingerprint: fingerprintSource(source.source || source),
+        force: !conditional || Boolean(hasStoredArticles && !hasStoredArticles(source.name))
+      }
+    };
     try {
-      console.log(`Scraping ${source.name}...`);
-      const articles = await source.scraper();
-      
-      if (articles && articles.length > 0) {
-        const articlesWithAnalysis = articles.map(article => {
-          const articleWithSummary = {
-            ...article,
-            aiSummary: generateAISummary(article)
-          };
-          
-          // Add sentiment analysis and priority scoring
-          const analysis = analyzeArticle(articleWithSummary);
-          const enrichedArticle = {
-            ...articleWithSummary,
-            ...analysis
-          };
-          
-          // Validate and sanitize the article
-          return validateArticle(enrichedArticle);
-        }).filter(Boolean); // Remove any null articles
-        
-        allArticles.push(...articlesWithAnalysis);
-        successfulSources++;
+      onProgress({ type: 'running', source: source.name });
+      const articles = await scrapeSource(source, context, attempt);
+      await recordScrapeAttempt(source, attempt, articles.length);
+      if (deadlineReached) {
+        console.warn(`Discarding late results from ${source.name} (refresh deadline passed)`);
+        return;
+      }
+
+      results[index] = articles;
+      if (attempt.conditional.unchanged) {
+        console.log(`${source.name} unchanged since the last refresh`);
+        unchangedSources++;
+        onProgress({ type: 'unchanged', source: source.name });
+        await fetchCache.touch(source.url);
+        // Its articles weren't re-ingested, but they are still on the page
+        if (touchArticles) {
+          await touchArticles(source.name);
+        }
+        if (source.source) {
+          await updateSourceStats(source.source.id, null, null, { unchanged: true });
+        }
+        return;
+      }
+
+      onProgress({ type: 'completed', source: source.name, articleCount: articles.length });
+      if (articles.length > 0) {
+        if (attempt.conditional.validators) {
+          await fetchCache.remember(source.url, attempt.conditional.validators);
+        }
         console.log(`Found ${articles.length} articles from ${source.name}`);
         
         // Update source statistics in configuration if we have the original source data
@@ -767,16 +741,43 @@ async function getAllNews() {
         }
       } else {
         console.warn(`No articles found from ${source.name}`);
+        if (source.source && attempt.robotsBlocked) {
+          await updateSourceStats(source.source.id, 0, 'Blocked by robots.txt', { robotsBlocked: true });
+        } else if (source.source) {
+          await updateSourceStats(source.source.id, 0);
+        }
       }
     } catch (error) {
       console.error(`Error scraping ${source.name}:`, error.message);
+      onProgress({ type: 'failed', source: source.name, error: error.message });
+      await recordScrapeAttempt(source, attempt, 0, error.message);
       
       // Update source as having failed if we have the original source data
       if (source.source) {
         await updateSourceStats(source.source.id, 0, error.message);
       }
     }
+  }, () => deadlineReached);
+
+  let deadlineTimer;
+  const deadline = new Promise(resolve => {
+    deadlineTimer = setTimeout(() => {
+      deadlineReached = true;
+      resolve();
+    }, deadlineMs);
+  });
+
+  await Promise.race([pool, deadline]);
+  clearTimeout(deadlineTimer);
+
+  if (deadlineReached) {
+    const pending = dynamicSources.filter((source, index) => results[index] === null).map(source => source.name);
+    pending.forEach(name => onProgress({ type: 'skipped', source: name }));
+    console.warn(`Refresh deadline of ${deadlineMs}ms reached; continuing without: ${pending.join(', ')}`);
   }
+
+  const allArticles = results.filter(Boolean).flat();
+  const successfulSources = results.filter(articles => articles && articles.length > 0).length + unchangedSources;
   
   if (successfulSources === 0) {
     throw new Error(`Failed to fetch news from all sources. Check network connection and source availability.`);
@@ -786,38 +787,97 @@ async function getAllNews() {
   const deduplicatedArticles = deduplicateArticles(allArticles);
   const duplicatesCount = allArticles.length - deduplicatedArticles.length;
   
-  console.log(`Successfully scraped ${successfulSources}/${dynamicSources.length} sources with ${allArticles.length} total articles (${deduplicatedArticles.length} after deduplication, ${duplicatesCount} duplicates removed)`);
+  console.log(`Successfully scraped ${successfulSources}/${dynamicSources.length} sources (${unchangedSources} unchanged) in ${Date.now() - startTime}ms with ${allArticles.length} total articles (${deduplicatedArticles.length} after deduplication, ${duplicatesCount} duplicates removed)`);
   return deduplicatedArticles.sort((a, b) => new Date(b.scraped) - new Date(a.scraped));
 }
 
-// Update source statistics after scraping
-async function updateSourceStats(sourceId, articleCount, error = null) {
-  try {
-    const data = await fs.readFile(SOURCES_FILE, 'utf8');
-    const sources = JSON.parse(data);
-    
-    const sourceIndex = sources.findIndex(s => s.id === sourceId);
-    if (sourceIndex !== -1) {
-      sources[sourceIndex].articleCount = articleCount;
-      sources[sourceIndex].lastSuccess = error ? sources[sourceIndex].lastSuccess : new Date().toISOString();
-      sources[sourceIndex].lastError = error || null;
-      sources[sourceIndex].lastAttempt = new Date().toISOString();
-      
-      await fs.writeFile(SOURCES_FILE, JSON.stringify(sources, null, 2));
+// Add a scrape attempt to the source's health history; an empty result counts as a failure, while an
+// unchanged page or a robots.txt block doesn't (the site is reachable, we just don't parse it)
+async function recordScrapeAttempt(source, attempt, articleCount, error = null) {
+  if (!source.source || !source.source.id) return;
+
+  const unchanged = Boolean(!error && attempt.conditional && attempt.conditional.unchanged);
+  const robotsBlocked = Boolean(!error && articleCount === 0 && attempt.robotsBlocked);
+  await sourceHealth.recordAttempt(source.source.id, {
+    sourceName: source.source.name,
+    startedAt: attempt.startedAt,
+    durationMs: attempt.durationMs || Date.now() - new Date(attempt.startedAt).getTime(),
+    articleCount,
+    httpStatus: attempt.httpStatus,
+    unchanged,
+    robotsBlocked,
+    error: error || (articleCount === 0 && !unchanged && !robotsBlocked ? attempt.fetchError || 'No articles found' : null)
+  });
+}
+
+// Serializes sources.json read-modify-write cycles now that sources are scraped concurrently
+let sourceWriteQueue = Promise.resolve();
+
+// Apply changes to the stored source list inside the write queue; update(sources) edits the list in place.
+// Resolves to whatever update returns; returning null (or nothing) leaves the file untouched.
+function updateSources(update) {
+  const write = sourceWriteQueue.then(() => writeSources(update));
+  sourceWriteQueue = write.catch(() => {});
+  return write;
+}
+
+// Apply changes to one stored source inside the write queue; update(source) edits the record in place.
+// Resolves to the updated source, or null if it no longer exists.
+function updateSource(sourceId, update) {
+  return updateSources(sources => {
+    const source = sources.find(s => s.id === sourceId);
+    if (!source) return null;
+
+    update(source);
+    return source;
+  });
+}
+
+// Update source statistics after scraping; options.unchanged keeps the article count of the last parse,
+// options.robotsBlocked reports the source as blocked rather than failed
+function updateSourceStats(sourceId, articleCount, error = null, options = {}) {
+  return updateSource(sourceId, source => {
+    const result = getScrapeResult(articleCount, error, options);
+    if (!options.unchanged) {
+      source.articleCount = articleCount;
     }
-  } catch (err) {
+    source.lastResult = result;
+    source.lastSuccess = result === 'updated' || result === 'unchanged' ? new Date().toISOString() : source.lastSuccess;
+    source.lastError = error || null;
+    source.lastAttempt = new Date().toISOString();
+  }).catch(err => {
     console.error('Error updating source stats:', err.message);
-  }
+  });
+}
+
+// Outcome of the latest scrape as shown in source stats
+function getScrapeResult(articleCount, error, options) {
+  if (options.robotsBlocked) return 'blocked';
+  if (error) return 'failed';
+  if (options.unchanged) return 'unchanged';
+  return articleCount > 0 ? 'updated' : 'empty';
+}
+
+async function writeSources(update) {
+  const data = await fs.readFile(SOURCES_FILE, 'utf8');
+  const sources = JSON.parse(data);
+
+  const result = update(sources);
+  if (result === null || result === undefined) return null;
+
+  await fs.writeFile(SOURCES_FILE, JSON.stringify(sources, null, 2));
+  return result;
 }
 
 // AI-powered article analysis for sentiment and priority
 function analyzeArticle(article) {
   const title = (article.title || '').toLowerCase();
   const summary = (article.summary || article.aiSummary || '').toLowerCase();
-  const content = title + ' ' + summary;
+  const body = (article.content || '').toLowerCase();
+  const content = title + ' ' + summary + ' ' + body.substring(0, PRIORITY_CONTENT_LENGTH);
   
   // Calculate reading time (average 200 words per minute)
-  const wordCount = content.split(/\s+/).length;
+  const wordCount = (title + ' ' + summary + ' ' + body).split(/\s+/).length;
   const readingTime = Math.max(1, Math.ceil(wordCount / 200));
   
   // Priority keywords for cybersecurity and tech
@@ -877,6 +937,24 @@ function analyzeArticle(article) {
     if (priority === 'medium') priority = 'high';
   }
   
+  // Vulnerability boost from CVE enrichment, falling back to scores quoted in the text
+  const cvssScore = typeof article.cvssScore === 'number' ? article.cvssScore
+    : article.entities && typeof article.entities.maxCvss === 'number' ? article.entities.maxCvss : null;
+  if (article.knownExploited) {
+    priorityScore += 10;
+    sentiment = 'critical';
+    priority = 'critical';
+  } else if (cvssScore !== null && cvssScore >= 9) {
+    priorityScore += 6;
+    if (priority !== 'critical') {
+      sentiment = 'important';
+      priority = 'high';
+    }
+  } else if (cvssScore !== null && cvssScore >= 7) {
+    priorityScore += 3;
+    if (priority === 'medium' || priority === 'medium-high') priority = 'high';
+  }
+  
   // Recent time boost (articles from last 24 hours)
   const articleAge = new Date() - new Date(article.scraped || new Date());
   const hoursOld = articleAge / (1000 * 60 * 60);
@@ -913,19 +991,66 @@ function extractKeywords(content) {
 }
 
 // Test a single source for the API endpoint
+// Manual tests count as attempts too, so a passing test releases a source from quarantine
 async function testSingleSource(sourceConfig) {
+  const attempt = { startedAt: new Date().toISOString(), httpStatus: null, fetchError: null };
   try {
     const scraper = getScraperForSource(sourceConfig);
-    const articles = await scraper();
+    const articles = await scrapeAttempts.run(attempt, () => scraper());
+    await recordScrapeAttempt({ source: sourceConfig }, attempt, articles ? articles.length : 0);
     return articles;
   } catch (error) {
     console.error(`Error testing source ${sourceConfig.name}:`, error.message);
+    await recordScrapeAttempt({ source: sourceConfig }, attempt, 0, error.message);
     throw error;
   }
 }
 
+// Suggest how to scrape a site from one of its pages (see utils/sourceDiscovery). The page is loaded
+// the way a source with these settings would be; feeds and sitemaps are plain requests under the same rules.
+async function discoverSource(url, options = {}) {
+  const page = {
+    url,
+    type: 'html',
+    render: options.render || 'http',
+    waitFor: options.waitFor || null,
+    rotateUserAgent: Boolean(options.rotateUserAgent)
+  };
+  const attempt = { startedAt: new Date().toISOString(), httpStatus: null, fetchError: null };
+
+  return scrapeAttempts.run(attempt, async () => {
+    const html = await getFetcherForSource(page)(url);
+    if (!html) {
+      return { url, error: attempt.fetchError || 'No content returned' };
+    }
+
+    let sitemaps = [];
+    try {
+      sitemaps = await crawlPolicy.getSitemaps(url);
+    } catch (error) {
+      console.warn(`Could not read sitemaps for ${url}:`, error.message);
+    }
+
+    const discovery = await discoverFromPage(String(html), url, {
+      sitemaps,
+      fetchDocument: documentUrl => fetchPage(documentUrl, { rotateUserAgent: page.rotateUserAgent })
+    });
+    console.log(`Discovery for ${url}: ${discovery.suggestions.length} suggestions`);
+    return { url, ...discovery };
+  });
+}
+
 module.exports = {
   getAllNews,
   loadDynamicSources,
-  testSingleSource
+  testSingleSource,
+  discoverSource,
+  updateSource,
+  updateSources,
+  // Scheduling internals, exported for tests
+  runWorkerPool,
+  waitForHostSlot,
+  recordHostFailure,
+  recordHostSuccess,
+  getHostState
 };
\ No newline at end of file
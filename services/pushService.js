@@ -0,0 +1,278 @@
+/**
+ * Push Service
+ * Web Push delivery: VAPID keys, a persisted registry of browser push subscriptions,
+ * and a sender for critical and breaking articles
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const webpush = require('web-push');
+const { assertPublicUrl, createGuardedLookup } = require('../utils/ssrfGuard');
+
+const DEFAULT_PUSH_FILE = path.join(__dirname, '../data/push-subscriptions.json');
+const DEFAULT_SUBJECT = 'mailto:admin@example.com'; // Set VAPID_SUBJECT to a real contact address
+const MAX_SUBSCRIPTIONS = 1000;
+const MAX_NOTIFICATIONS_PER_BATCH = 3; // More than this in one refresh are sent as a single digest
+const PUSH_TTL = 24 * 60 * 60; // Seconds the push service keeps undelivered messages
+const PUSH_TIMEOUT = 10000;
+
+class PushService {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.PUSH_SUBSCRIPTIONS_FILE || DEFAULT_PUSH_FILE;
+        this.subject = options.subject || process.env.VAPID_SUBJECT || DEFAULT_SUBJECT;
+        // Browsers only hand out https endpoints; tests point subscriptions at a local http stand-in
+        this.allowInsecureEndpoints = Boolean(options.allowInsecureEndpoints);
+        this.allowlist = options.allowlist; // Parsed SSRF allow-list; defaults to SSRF_ALLOWLIST
+        this.vapidKeys = null;
+        this.subscriptions = [];
+        this.loadPromise = null;
+        this.writeQueue = Promise.resolve();
+
+        if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+            this.vapidKeys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+        }
+    }
+
+    /**
+     * Load keys and subscriptions from disk once; later calls reuse the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readFile();
+        }
+        return this.loadPromise;
+    }
+
+    async readFile() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            this.vapidKeys = this.vapidKeys || data.vapidKeys || null;
+            this.subscriptions = data.subscriptions || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Push] Failed to read subscriptions:', error.message);
+            }
+        }
+
+        if (!this.vapidKeys) {
+            this.vapidKeys = webpush.generateVAPIDKeys();
+            console.log('[Push] Generated VAPID keys');
+            await this.save();
+        }
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempFile = `${this.filePath}.tmp`;
+                // The private key is stored alongside subscriptions unless it comes from the environment
+                const vapidKeys = process.env.VAPID_PRIVATE_KEY ? undefined : this.vapidKeys;
+                await fs.promises.writeFile(tempFile, JSON.stringify({ vapidKeys, subscriptions: this.subscriptions }, null, 2), { mode: 0o600 });
+                await fs.promises.rename(tempFile, this.filePath);
+            })
+            .catch(error => console.error('[Push] Failed to save subscriptions:', error.message));
+
+        return this.writeQueue;
+    }
+
+    async getPublicKey() {
+        await this.load();
+        return this.vapidKeys.publicKey;
+    }
+
+    /**
+     * Validate a PushSubscription as serialized by the browser (subscription.toJSON())
+     * @returns {Object} - Validation result with normalized data or error
+     */
+    validateSubscription(data) {
+        if (!data || typeof data !== 'object' || typeof data.endpoint !== 'string') {
+            return { valid: false, error: 'endpoint is required' };
+        }
+
+        let endpoint;
+        try {
+            endpoint = new URL(data.endpoint);
+        } catch (error) {
+            return { valid: false, error: 'endpoint must be a valid URL' };
+        }
+
+        const protocols = this.allowInsecureEndpoints ? ['https:', 'http:'] : ['https:'];
+        if (!protocols.includes(endpoint.protocol) || data.endpoint.length > 2048) {
+            return { valid: false, error: 'endpoint must be an https URL' };
+        }
+
+        const keys = data.keys || {};
+        const isKey = value => typeof value === 'string' && /^[A-Za-z0-9_-]+={0,2}$/.test(value) && value.length <= 200;
+        if (!isKey(keys.p256dh) || !isKey(keys.auth)) {
+            return { valid: false, error: 'keys.p256dh and keys.auth are required' };
+        }
+
+        return {
+            valid: true,
+            data: { endpoint: data.endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } }
+        };
+    }
+
+    /**
+     * Check that an endpoint doesn't point into the server's own network. Push services are
+     * public, so anything resolving to a private address is refused; hosts that don't resolve
+     * yet are let through because every send is checked again.
+     * @returns {Promise<string|null>} - Error message, or null if the endpoint is allowed
+     */
+    async checkEndpoint(endpoint) {
+        try {
+            await assertPublicUrl(endpoint, this.allowlist);
+            return null;
+        } catch (error) {
+            return error.code === 'SSRF_BLOCKED' ? `endpoint is not allowed: ${error.message}` : null;
+        }
+    }
+
+    /**
+     * Add or refresh a subscription (keyed by endpoint)
+     */
+    async subscribe(subscription) {
+        await this.load();
+
+        const existing = this.subscriptions.find(s => s.endpoint === subscription.endpoint);
+        if (existing) {
+            existing.keys = subscription.keys;
+        } else {
+            if (this.subscriptions.length >= MAX_SUBSCRIPTIONS) {
+                throw new Error('Subscription limit reached');
+            }
+            this.subscriptions.push({ ...subscription, createdAt: new Date().toISOString() });
+            console.log(`[Push] New subscription (${this.subscriptions.length} total)`);
+        }
+
+        await this.save();
+        return { created: !existing };
+    }
+
+    async unsubscribe(endpoint) {
+        await this.load();
+        const index = this.subscriptions.findIndex(s => s.endpoint === endpoint);
+        if (index === -1) return false;
+
+        this.subscriptions.splice(index, 1);
+        await this.save();
+        return true;
+    }
+
+    async count() {
+        await this.load();
+        return this.subscriptions.length;
+    }
+
+    shouldNotify(article) {
+        return article.priority === 'critical' || Boolean(article.isBreaking);
+    }
+
+    /**
+     * Push newly ingested critical or breaking articles to every subscription
+     * @param {Array} articles - New articles from a refresh
+     * @returns {Promise<Object>} - Delivery counts
+     */
+    async notifyArticles(articles) {
+        const urgent = (articles || []).filter(article => this.shouldNotify(article));
+        if (urgent.length === 0) return { notifications: 0, sent: 0, failed: 0 };
+
+        const payloads = urgent.length <= MAX_NOTIFICATIONS_PER_BATCH
+            ? urgent.map(article => ({
+                title: article.isBreaking ? `Breaking: ${article.title}` : article.title,
+                body: [article.source, article.summary].filter(Boolean).join(' - ').substring(0, 200),
+                url: article.link,
+                tag: `article-${article.id}`
+            }))
+            : [{
+                title: `${urgent.length} critical and breaking stories`,
+                body: urgent.slice(0, 3).map(article => article.title).join('\n').substring(0, 200),
+                url: '/',
+                tag: 'news-digest'
+            }];
+
+        const totals = { notifications: payloads.length, sent: 0, failed: 0 };
+        for (const payload of payloads) {
+            const { sent, failed } = await this.sendToAll(payload);
+            totals.sent += sent;
+            totals.failed += failed;
+        }
+        return totals;
+    }
+
+    /**
+     * Send one notification payload to every subscription. Subscriptions the push service
+     * reports as gone (404/410) are removed.
+     */
+    async sendToAll(payload) {
+        await this.load();
+        if (this.subscriptions.length === 0) return { sent: 0, failed: 0 };
+
+        const body = JSON.stringify(payload);
+        const expired = [];
+        let sent = 0;
+        let failed = 0;
+
+        await Promise.all(this.subscriptions.map(async subscription => {
+            try {
+                const status = await this.send(subscription, body);
+                if (status >= 200 && status < 300) {
+                    sent++;
+                    return;
+                }
+                if (status === 404 || status === 410) {
+                    expired.push(subscription.endpoint);
+                }
+                failed++;
+                console.warn(`[Push] Push service responded ${status} for ${new URL(subscription.endpoint).host}`);
+            } catch (error) {
+                failed++;
+                console.warn('[Push] Failed to send notification:', error.message);
+            }
+        }));
+
+        if (expired.length > 0) {
+            this.subscriptions = this.subscriptions.filter(s => !expired.includes(s.endpoint));
+            await this.save();
+            console.log(`[Push] Removed ${expired.length} expired subscriptions`);
+        }
+
+        console.log(`[Push] Sent "${payload.title}" to ${sent} subscribers (${failed} failed)`);
+        return { sent, failed };
+    }
+
+    /**
+     * Encrypt and post one message; returns the push service's HTTP status
+     */
+    async send(subscription, body) {
+        // Subscriptions stored before endpoints were checked, or whose host now resolves elsewhere
+        await assertPublicUrl(subscription.endpoint, this.allowlist);
+
+        const request = webpush.generateRequestDetails(subscription, body, {
+            TTL: PUSH_TTL,
+            vapidDetails: {
+                subject: this.subject,
+                publicKey: this.vapidKeys.publicKey,
+                privateKey: this.vapidKeys.privateKey
+            }
+        });
+
+        const response = await axios({
+            method: request.method,
+            url: request.endpoint,
+            headers: request.headers,
+            data: request.body,
+            timeout: PUSH_TIMEOUT,
+            maxRedirects: 0,
+            lookup: createGuardedLookup(this.allowlist),
+            validateStatus: () => true
+        });
+        return response.status;
+    }
+}
+
+// Export singleton instance
+module.exports = new PushService();
+module.exports.PushService = PushService;
@@ -0,0 +1,245 @@
+/**
+ * Refresh Job Service
+ * Runs news refreshes as background jobs with progress reporting.
+ * Only one refresh runs at a time, whether it was started by the API, the cron schedule or a first page load.
+ *
+ * Events: 'update' (job progress), 'articles' (newly ingested articles, once per job),
+ * 'complete' and 'failed' (job finished)
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const newsService = require('./newsService');
+const aiService = require('./aiService');
+const articleStore = require('./articleStore');
+const watchlistService = require('./watchlistService');
+const storyService = require('./storyService');
+const trendService = require('./trendService');
+const { ArticleStore } = articleStore;
+const { validateArticle } = require('../utils/sanitizer');
+
+const MAX_JOB_HISTORY = 20;
+
+class RefreshService extends EventEmitter {
+    constructor() {
+        super();
+        this.jobs = new Map(); // id -> job, oldest first
+        this.currentJob = null;
+    }
+
+    /**
+     * Start a refresh unless one is already running
+     * @param {Object} options - trigger ('api', 'cron', 'initial', ...) and whether to generate AI summaries
+     * @returns {Object} - { job, started } where started is false if an existing job was returned
+     */
+    start(options = {}) {
+        const { trigger = 'api', summarize = true } = options;
+
+        if (this.currentJob) {
+            console.log(`[Refresh] ${trigger} refresh requested while job ${this.currentJob.id} is running; skipping`);
+            return { job: this.currentJob, started: false };
+        }
+
+        const job = {
+            id: crypto.randomBytes(8).toString('hex'),
+            trigger,
+            summarize,
+            status: 'running',
+            phase: 'scraping',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            progress: {
+                sources: { total: 0, completed: 0, failed: 0, unchanged: 0, items: [] },
+                summaries: { total: 0, completed: 0 }
+            },
+            result: null,
+            error: null,
+            warnings: [] // Post-processing steps that failed without failing the job
+        };
+
+        this.currentJob = job;
+        this.jobs.set(job.id, job);
+        this.trimHistory();
+
+        // Callers that need the outcome can await job.promise; it never rejects
+        Object.defineProperty(job, 'promise', { value: this.run(job), enumerable: false });
+
+        console.log(`[Refresh] Started job ${job.id} (${trigger})`);
+        return { job, started: true };
+    }
+
+    /**
+     * Look up a job by ID
+     */
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * The running job, if any
+     */
+    getCurrentJob() {
+        return this.currentJob;
+    }
+
+    /**
+     * Recent jobs, newest first
+     */
+    getJobs() {
+        return Array.from(this.jobs.values()).reverse();
+    }
+
+    async run(job) {
+        try {
+            // Unchanged pages are only skipped while their articles are still in the store, and
+            // skipping one marks those articles as seen so they stay in the news feed
+            await articleStore.load();
+            const articles = await newsService.getAllNews({
+                lookupArticle: article => articleStore.get(ArticleStore.generateId(article)),
+                hasStoredArticles: sourceName => articleStore.hasSource(sourceName),
+                touchArticles: sourceName => articleStore.touchSource(sourceName),
+                onProgress: event => this.handleSourceProgress(job, event)
+            });
+
+            const validArticles = await this.clusterStories(articles.map(article => validateArticle(article)).filter(Boolean));
+            const { inserted, updated, articles: storedArticles, newArticles } = await articleStore.upsertMany(validArticles);
+            console.log(`[Refresh] Article store updated: ${inserted} new, ${updated} refreshed, ${articleStore.size()} total`);
+
+            await articleStore.prune();
+            await storyService.prune();
+
+            if (job.summarize && aiService.isAvailable()) {
+                await this.summarize(job, storedArticles);
+            }
+
+            job.result = { count: storedArticles.length, inserted, updated };
+
+            if (newArticles.length > 0) {
+                // Re-read from the store so listeners see any AI summaries generated above
+                const latest = (await Promise.all(newArticles.map(article => articleStore.get(article.id)))).filter(Boolean);
+                this.emit('articles', latest, job);
+                await this.evaluateWatchlists(job, latest);
+                await this.recordTrends(job, latest);
+            }
+
+            // Only now is everything the refresh does finished
+            job.status = 'completed';
+            console.log(`[Refresh] Job ${job.id} completed with ${storedArticles.length} articles`);
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message || 'Unknown error occurred';
+            console.error(`[Refresh] Job ${job.id} failed:`, job.error);
+        } finally {
+            job.phase = 'done';
+            job.finishedAt = new Date().toISOString();
+            this.currentJob = null;
+            this.emit('update', job);
+            this.emit(job.status === 'completed' ? 'complete' : 'failed', job);
+        }
+
+        return job;
+    }
+
+    // Smart Hybrid: Generate AI summaries for trending/recent articles
+    async summarize(job, articles) {
+        job.phase = 'summarizing';
+        this.emit('update', job);
+        console.log('[AI] Starting smart hybrid summary generation...');
+
+        try {
+            const summarized = await aiService.generateBatchSummaries(articles, {
+                maxArticles: 20,           // Summarize top 20 articles
+                prioritizeRecent: true,
+                prioritizeTrending: true,
+                minDuplicates: 1,          // Articles with 1+ duplicates = trending
+                onProgress: ({ completed, total }) => {
+                    job.progress.summaries = { total, completed };
+                    this.emit('update', job);
+                }
+            });
+
+            // Only articles that actually received an AI summary need writing back
+            await articleStore.upsertMany(summarized.filter(article => article.aiSummary && typeof article.aiSummary === 'object'));
+            console.log('[AI] Summary generation complete');
+        } catch (aiError) {
+            console.error('[AI] Batch summary generation failed:', aiError.message);
+            // Continue without summaries
+        }
+    }
+
+    // Story clustering is best effort: without it articles are stored unclustered
+    async clusterStories(articles) {
+        try {
+            return await storyService.assign(articles);
+        } catch (error) {
+            console.error('[Stories] Clustering failed:', error.message);
+            return articles;
+        }
+    }
+
+    // Watchlist problems shouldn't fail an otherwise successful refresh, but are reported on the job
+    async evaluateWatchlists(job, articles) {
+        job.phase = 'watchlists';
+        this.emit('update', job);
+
+        try {
+            await watchlistService.evaluate(articles);
+        } catch (error) {
+            console.error('[Watchlists] Evaluation failed:', error.message);
+            job.warnings.push({ phase: 'watchlists', error: error.message });
+        }
+    }
+
+    // Same for trend counting
+    async recordTrends(job, articles) {
+        job.phase = 'trends';
+        this.emit('update', job);
+
+        try {
+            await trendService.record(articles);
+        } catch (error) {
+            console.error('[Trends] Recording failed:', error.message);
+            job.warnings.push({ phase: 'trends', error: error.message });
+        }
+    }
+
+    handleSourceProgress(job, event) {
+        const sources = job.progress.sources;
+
+        if (event.type === 'start') {
+            sources.total = event.total;
+            sources.items = event.sources.map(name => ({ name, status: 'pending', articleCount: 0, error: null }));
+        } else {
+            const item = sources.items.find(i => i.name === event.source);
+            if (item) {
+                item.status = event.type;
+                item.articleCount = event.articleCount || 0;
+                item.error = event.error || null;
+            }
+            if (['completed', 'unchanged', 'failed', 'skipped'].includes(event.type)) {
+                sources.completed++;
+            }
+            if (event.type === 'failed') {
+                sources.failed++;
+            }
+            if (event.type === 'unchanged') {
+                sources.unchanged++;
+            }
+        }
+
+        this.emit('update', job);
+    }
+
+    trimHistory() {
+        while (this.jobs.size > MAX_JOB_HISTORY) {
+            const oldestId = this.jobs.keys().next().value;
+            if (this.jobs.get(oldestId) === this.currentJob) break;
+            this.jobs.delete(oldestId);
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new RefreshService();
+module.exports.RefreshService = RefreshService;
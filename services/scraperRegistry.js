@@ -0,0 +1,163 @@
+/**
+ * Scraper Registry
+ * Discovers site-specific scraper plugins in the scrapers/ directory. A plugin module exports
+ * { id, name, matches, scrape(ctx) }; a source uses the plugin it names in its "scraper" field.
+ * Match patterns pick the plugin for new sources and sources saved before scraper IDs existed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCRAPERS_DIR = path.join(__dirname, '../scrapers');
+const SCRAPER_ID_REGEX = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+/**
+ * Checks a plugin module against the scraper interface
+ * @param {object} plugin - Exports of a scraper module
+ * @returns {object} - Validation result with error
+ */
+function validatePlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+        return { valid: false, error: 'module must export an object' };
+    }
+    if (typeof plugin.id !== 'string' || !SCRAPER_ID_REGEX.test(plugin.id)) {
+        return { valid: false, error: 'id must be lowercase letters, digits and dashes' };
+    }
+    if (typeof plugin.scrape !== 'function') {
+        return { valid: false, error: 'scrape(ctx) must be a function' };
+    }
+    if (!Array.isArray(plugin.matches) || !plugin.matches.every(p => typeof p === 'string' || p instanceof RegExp)) {
+        return { valid: false, error: 'matches must be an array of hostnames or regular expressions' };
+    }
+    return { valid: true };
+}
+
+/**
+ * Hostname patterns cover the host and its subdomains; regular expressions are tested against the whole URL
+ */
+function matchesUrl(plugin, url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return false;
+    }
+
+    return plugin.matches.some(pattern => {
+        if (pattern instanceof RegExp) return pattern.test(url);
+        const host = pattern.toLowerCase();
+        return hostname === host || hostname.endsWith(`.${host}`);
+    });
+}
+
+class ScraperRegistry {
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.SCRAPERS_DIR || DEFAULT_SCRAPERS_DIR;
+        this.plugins = null; // id -> plugin, in file name order
+        this.warned = new Set();
+    }
+
+    /**
+     * Discover plugins once; files starting with "_" are skipped so plugins can share helpers
+     * @returns {Map} - Plugins by ID
+     */
+    load() {
+        if (!this.plugins) {
+            this.plugins = this.discover();
+        }
+        return this.plugins;
+    }
+
+    discover() {
+        const plugins = new Map();
+        let files = [];
+        try {
+            files = fs.readdirSync(this.directory).filter(name => name.endsWith('.js') && !name.startsWith('_')).sort();
+        } catch (error) {
+            console.error(`[Scrapers] Failed to read scraper directory ${this.directory}:`, error.message);
+        }
+
+        files.forEach(name => {
+            let plugin;
+            try {
+                plugin = require(path.join(this.directory, name));
+            } catch (error) {
+                console.error(`[Scrapers] Failed to load ${name}:`, error.message);
+                return;
+            }
+
+            const validation = validatePlugin(plugin);
+            if (!validation.valid) {
+                console.error(`[Scrapers] Skipping ${name}: ${validation.error}`);
+                return;
+            }
+            if (plugins.has(plugin.id)) {
+                console.error(`[Scrapers] Skipping ${name}: scraper "${plugin.id}" is already registered`);
+                return;
+            }
+            plugins.set(plugin.id, plugin);
+        });
+
+        console.log(`[Scrapers] Registered ${plugins.size} scrapers: ${Array.from(plugins.keys()).join(', ')}`);
+        return plugins;
+    }
+
+    get(id) {
+        return this.load().get(id) || null;
+    }
+
+    /**
+     * First plugin whose patterns cover the URL
+     */
+    match(url) {
+        for (const plugin of this.load().values()) {
+            if (matchesUrl(plugin, url)) return plugin;
+        }
+        return null;
+    }
+
+    /**
+     * Plugin for a source: the one it names in its "scraper" field. Sources without one
+     * (or naming a plugin that doesn't exist) use the generic scraper.
+     * @param {object} source - Source configuration
+     * @returns {object|null} - Plugin, or null for the generic scraper
+     */
+    resolve(source) {
+        if (!source.scraper) return null;
+
+        const plugin = this.get(source.scraper);
+        if (!plugin && !this.warned.has(source.scraper)) {
+            this.warned.add(source.scraper);
+            console.warn(`[Scrapers] Unknown scraper "${source.scraper}" for ${source.name}; using the generic scraper`);
+        }
+        return plugin;
+    }
+
+    /**
+     * Plugin to assign to a source that doesn't name one: the first whose patterns cover its URL.
+     * Feed sources and sources with their own CSS selectors don't get one.
+     * @param {object} source - Source configuration
+     * @returns {object|null} - Plugin, or null for the generic scraper
+     */
+    suggest(source) {
+        if (source.selectors || (source.type && source.type !== 'html') || !source.url) return null;
+        return this.match(source.url);
+    }
+
+    /**
+     * Plugin descriptions for the admin UI
+     */
+    list() {
+        return Array.from(this.load().values()).map(plugin => ({
+            id: plugin.id,
+            name: plugin.name || plugin.id,
+            description: plugin.description || null,
+            matches: plugin.matches.map(pattern => String(pattern))
+        }));
+    }
+}
+
+// Export singleton instance
+module.exports = new ScraperRegistry();
+module.exports.ScraperRegistry = ScraperRegistry;
+module.exports.validatePlugin = validatePlugin;
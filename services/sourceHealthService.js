@@ -0,0 +1,188 @@
+/**
+ * Source Health Service
+ * Keeps a rolling history of scrape attempts per source and quarantines sources
+ * that keep failing, so they are retried on a slower cadence instead of every refresh
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HEALTH_FILE = path.join(__dirname, '../data/source-health.json');
+const MAX_ATTEMPTS = 50; // Attempts kept per source
+const DEFAULT_QUARANTINE_THRESHOLD = 5; // Consecutive failures before a source is quarantined
+const DEFAULT_QUARANTINE_RETRY = 6 * 60 * 60 * 1000; // Quarantined sources are retried every 6 hours
+
+class SourceHealthService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath || process.env.SOURCE_HEALTH_FILE || DEFAULT_HEALTH_FILE;
+        this.quarantineThreshold = parseInt(options.quarantineThreshold || process.env.SOURCE_QUARANTINE_THRESHOLD) || DEFAULT_QUARANTINE_THRESHOLD;
+        this.quarantineRetryMs = parseInt(options.quarantineRetryMs || process.env.SOURCE_QUARANTINE_RETRY_MS) || DEFAULT_QUARANTINE_RETRY;
+        this.sources = new Map(); // sourceId -> { attempts, consecutiveFailures, quarantinedAt, nextAttemptAt }
+        this.loadPromise = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load history from disk once; later calls reuse the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readHistory();
+        }
+        return this.loadPromise;
+    }
+
+    async readHistory() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            Object.entries(data).forEach(([sourceId, state]) => this.sources.set(sourceId, state));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Source Health] Failed to read history:', error.message);
+            }
+        }
+    }
+
+    getState(sourceId) {
+        if (!this.sources.has(sourceId)) {
+            this.sources.set(sourceId, { attempts: [], consecutiveFailures: 0, quarantinedAt: null, nextAttemptAt: null });
+        }
+        return this.sources.get(sourceId);
+    }
+
+    /**
+     * Record one scrape attempt and update the quarantine state
+     * @param {string} sourceId - Source ID from sources.json
+     * @param {Object} attempt - startedAt, durationMs, articleCount, httpStatus, unchanged (the page hadn't
+     *                           changed, so nothing was parsed), robotsBlocked (robots.txt disallowed the
+     *                           fetch; not a failure, so it never leads to quarantine), error (null on success)
+     *                           and optionally sourceName, which is only passed on to 'failure' listeners
+     * @returns {Promise<Object>} - The source's updated health summary
+     */
+    async recordAttempt(sourceId, attempt) {
+        await this.load();
+
+        const state = this.getState(sourceId);
+        const now = Date.now();
+        const record = {
+            timestamp: attempt.startedAt || new Date(now).toISOString(),
+            durationMs: attempt.durationMs || 0,
+            articleCount: attempt.articleCount || 0,
+            httpStatus: attempt.httpStatus || null,
+            unchanged: Boolean(attempt.unchanged),
+            robotsBlocked: Boolean(attempt.robotsBlocked),
+            error: attempt.robotsBlocked ? null : attempt.error || null
+        };
+
+        state.attempts.push(record);
+        if (state.attempts.length > MAX_ATTEMPTS) {
+            state.attempts.splice(0, state.attempts.length - MAX_ATTEMPTS);
+        }
+
+        if (!record.error) {
+            if (state.quarantinedAt) {
+                console.log(`[Source Health] ${sourceId} recovered; releasing from quarantine`);
+            }
+            state.consecutiveFailures = 0;
+            state.quarantinedAt = null;
+            state.nextAttemptAt = null;
+        } else {
+            state.consecutiveFailures++;
+            if (state.consecutiveFailures >= this.quarantineThreshold) {
+                if (!state.quarantinedAt) {
+                    state.quarantinedAt = new Date(now).toISOString();
+                    console.warn(`[Source Health] ${sourceId} failed ${state.consecutiveFailures} times in a row; quarantined`);
+                }
+                state.nextAttemptAt = new Date(now + this.quarantineRetryMs).toISOString();
+            }
+        }
+
+        await this.save();
+
+        const summary = this.getSummary(sourceId);
+        if (record.error) {
+            this.emit('failure', { sourceId, sourceName: attempt.sourceName || sourceId, attempt: record, summary });
+        }
+        return summary;
+    }
+
+    /**
+     * Whether a source should be scraped now; quarantined sources wait for their next retry slot
+     */
+    shouldAttempt(sourceId, now = Date.now()) {
+        const state = this.sources.get(sourceId);
+        if (!state || !state.quarantinedAt) return true;
+        return !state.nextAttemptAt || now >= new Date(state.nextAttemptAt).getTime();
+    }
+
+    isQuarantined(sourceId) {
+        const state = this.sources.get(sourceId);
+        return Boolean(state && state.quarantinedAt);
+    }
+
+    /**
+     * Health summary for one source
+     * @param {string} sourceId - Source ID
+     * @param {number} recentCount - How many of the latest attempts to include
+     */
+    getSummary(sourceId, recentCount = MAX_ATTEMPTS) {
+        const state = this.sources.get(sourceId) || { attempts: [], consecutiveFailures: 0, quarantinedAt: null, nextAttemptAt: null };
+        // Blocked attempts are neither successes nor failures
+        const scraped = state.attempts.filter(attempt => !attempt.robotsBlocked);
+        const successes = scraped.filter(attempt => !attempt.error).length;
+        const lastAttempt = state.attempts[state.attempts.length - 1] || null;
+
+        return {
+            sourceId,
+            quarantined: Boolean(state.quarantinedAt),
+            quarantinedAt: state.quarantinedAt,
+            nextAttemptAt: state.nextAttemptAt,
+            consecutiveFailures: state.consecutiveFailures,
+            successRate: scraped.length > 0 ? Math.round((successes / scraped.length) * 100) : null,
+            blocked: Boolean(lastAttempt && lastAttempt.robotsBlocked),
+            lastAttempt,
+            attempts: state.attempts.slice(-recentCount)
+        };
+    }
+
+    /**
+     * Health summaries for every source with recorded attempts
+     */
+    async getAllSummaries(recentCount = MAX_ATTEMPTS) {
+        await this.load();
+        const summaries = {};
+        for (const sourceId of this.sources.keys()) {
+            summaries[sourceId] = this.getSummary(sourceId, recentCount);
+        }
+        return summaries;
+    }
+
+    /**
+     * Forget a deleted source
+     */
+    async remove(sourceId) {
+        await this.load();
+        if (this.sources.delete(sourceId)) {
+            await this.save();
+        }
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempFile = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tempFile, JSON.stringify(Object.fromEntries(this.sources), null, 2));
+                await fs.promises.rename(tempFile, this.filePath);
+            })
+            .catch(error => console.error('[Source Health] Failed to save history:', error.message));
+
+        return this.writeQueue;
+    }
+}
+
+// Export singleton instance
+module.exports = new SourceHealthService();
+module.exports.SourceHealthService = SourceHealthService;
@@ -0,0 +1,336 @@
+/**
+ * Story Service
+ * Clusters articles from different sources into stories. Each story keeps every source's
+ * version of it and a stable ID across refreshes, plus a history of how its coverage grew.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ArticleStore } = require('./articleStore');
+const { toPlainText } = require('../utils/sanitizer');
+const { normalizeTitle, calculateTitleSimilarity } = require('../utils/textSimilarity');
+const { parseDateBound } = require('../utils/articleQuery');
+
+const DEFAULT_STORIES_FILE = path.join(__dirname, '../data/stories.json');
+const DEFAULT_RETENTION_DAYS = 90;
+const MATCH_WINDOW_MS = 48 * 60 * 60 * 1000; // A story stops absorbing articles two days after it was last seen
+const TITLE_THRESHOLD = 0.82;
+const STRONG_TITLE_THRESHOLD = 0.90; // Enough on its own when there are no summaries to compare
+const SUMMARY_THRESHOLD = 0.65;
+const MAX_GROWTH_POINTS = 100;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SORT_OPTIONS = ['recent', 'coverage'];
+
+// Precomputed comparison keys for an article or story member
+function matchKey(title, summary) {
+    const normalizedTitle = normalizeTitle(toPlainText(title));
+    const plainSummary = toPlainText(summary);
+    return {
+        title: normalizedTitle,
+        words: new Set(normalizedTitle.split(' ').filter(w => w.length > 2)),
+        summary: plainSummary.length > 50 ? normalizeTitle(plainSummary.substring(0, 200)) : null
+    };
+}
+
+// Same rules ingest deduplication used for cross-source duplicates
+function isSameStory(a, b) {
+    const wordOverlap = [...a.words].filter(w => b.words.has(w)).length;
+    if (wordOverlap / Math.max(a.words.size, b.words.size, 1) < 0.4) return 0;
+
+    const similarity = calculateTitleSimilarity(a.title, b.title);
+    if (similarity <= TITLE_THRESHOLD) return 0;
+
+    if (a.summary && b.summary) {
+        return calculateTitleSimilarity(a.summary, b.summary) > SUMMARY_THRESHOLD ? similarity : 0;
+    }
+    return similarity > STRONG_TITLE_THRESHOLD ? similarity : 0;
+}
+
+class StoryService {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.STORIES_FILE || DEFAULT_STORIES_FILE;
+        this.retentionDays = parseInt(options.retentionDays || process.env.ARTICLE_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+        this.matchWindowMs = options.matchWindowMs || MATCH_WINDOW_MS;
+        this.stories = new Map(); // id -> story
+        this.articleIndex = new Map(); // article id -> story id
+        this.loadPromise = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Story IDs derive from the article that started the story, so they never change
+     */
+    static generateId(articleId) {
+        return crypto.createHash('sha1').update(`story:${articleId}`).digest('hex').substring(0, 16);
+    }
+
+    /**
+     * Load stories from disk once; later calls reuse the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readFile();
+        }
+        return this.loadPromise;
+    }
+
+    async readFile() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            data.forEach(story => {
+                this.stories.set(story.id, story);
+                story.articles.forEach(member => this.articleIndex.set(member.id, story.id));
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Stories] Failed to read stories:', error.message);
+            }
+        }
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempFile = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tempFile, JSON.stringify(Array.from(this.stories.values())));
+                await fs.promises.rename(tempFile, this.filePath);
+            })
+            .catch(error => console.error('[Stories] Failed to save stories:', error.message));
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Assign articles to stories. Articles seen before keep their story; new ones join the
+     * best-matching active story or start a new one.
+     * @param {Array} articles - Validated articles from a refresh
+     * @param {Date} now - Time of the refresh
+     * @returns {Promise<Array>} - The articles with id, storyId and duplicateCount (other versions of the story) set
+     */
+    async assign(articles, now = new Date()) {
+        await this.load();
+
+        const timestamp = now.toISOString();
+        const activeSince = now.getTime() - this.matchWindowMs;
+        const candidates = [];
+        for (const story of this.stories.values()) {
+            if (new Date(story.lastSeen).getTime() < activeSince) continue;
+            story.articles.forEach(member => candidates.push({ story, key: matchKey(member.title, member.summary) }));
+        }
+
+        const grown = new Set();
+        const assigned = articles.filter(Boolean).map(article => {
+            const id = article.id || ArticleStore.generateId(article);
+            let story = this.stories.get(this.articleIndex.get(id));
+
+            if (!story) {
+                const key = matchKey(article.title, article.summary);
+                let bestScore = 0;
+                for (const candidate of candidates) {
+                    const score = isSameStory(key, candidate.key);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        story = candidate.story;
+                    }
+                }
+
+                if (!story) {
+                    story = {
+                        id: StoryService.generateId(id),
+                        title: toPlainText(article.title),
+                        category: toPlainText(article.category),
+                        firstSeen: timestamp,
+                        lastSeen: timestamp,
+                        articles: [],
+                        sources: [],
+                        growth: []
+                    };
+                    this.stories.set(story.id, story);
+                }
+
+                const member = {
+                    id,
+                    title: toPlainText(article.title),
+                    source: toPlainText(article.source),
+                    link: article.link,
+                    summary: toPlainText(article.summary).substring(0, 200),
+                    firstSeen: timestamp
+                };
+                story.articles.push(member);
+                if (member.source && !story.sources.includes(member.source)) {
+                    story.sources.push(member.source);
+                }
+                this.articleIndex.set(id, story.id);
+                candidates.push({ story, key });
+                grown.add(story);
+            }
+
+            story.lastSeen = timestamp;
+            return { article, id, story };
+        });
+
+        for (const story of grown) {
+            story.growth.push({ at: timestamp, articleCount: story.articles.length, sourceCount: story.sources.length });
+            if (story.growth.length > MAX_GROWTH_POINTS) {
+                story.growth.splice(0, story.growth.length - MAX_GROWTH_POINTS);
+            }
+        }
+
+        if (assigned.length > 0) {
+            await this.save();
+        }
+        if (grown.size > 0) {
+            console.log(`[Stories] ${grown.size} stories started or grew; ${this.stories.size} stories tracked`);
+        }
+
+        // Counts are read after the whole batch so every version sees the final size of its story
+        return assigned.map(({ article, id, story }) => ({
+            ...article,
+            id,
+            storyId: story.id,
+            duplicateCount: story.articles.length - 1
+        }));
+    }
+
+    /**
+     * Drop stories not seen within the retention window
+     * @returns {Promise<number>} - Number of stories removed
+     */
+    async prune(now = Date.now()) {
+        await this.load();
+
+        const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+        let removed = 0;
+
+        for (const [id, story] of this.stories) {
+            if (new Date(story.lastSeen).getTime() >= cutoff) continue;
+            story.articles.forEach(member => this.articleIndex.delete(member.id));
+            this.stories.delete(id);
+            removed++;
+        }
+
+        if (removed > 0) {
+            await this.save();
+            console.log(`[Stories] Pruned ${removed} stories older than ${this.retentionDays} days`);
+        }
+        return removed;
+    }
+
+    /**
+     * Parse /api/stories query parameters
+     * @param {Object} query - since, until, category, source, minSources, sort, limit
+     * @returns {Object} - Validation result with normalized options or error
+     */
+    parseQuery(query = {}) {
+        const data = {
+            since: null,
+            until: null,
+            category: query.category ? String(query.category).toLowerCase() : null,
+            source: query.source ? String(query.source).toLowerCase() : null,
+            minSources: 1,
+            sort: query.sort || 'recent',
+            limit: DEFAULT_PAGE_SIZE
+        };
+
+        for (const bound of ['since', 'until']) {
+            if (query[bound] === undefined) continue;
+            data[bound] = parseDateBound(String(query[bound]));
+            if (data[bound] === null) {
+                return { valid: false, error: `${bound} must be a date or a duration such as 24h or 7d` };
+            }
+        }
+
+        if (query.minSources !== undefined) {
+            data.minSources = parseInt(query.minSources);
+            if (!(data.minSources >= 1)) {
+                return { valid: false, error: 'minSources must be a positive number' };
+            }
+        }
+
+        if (!SORT_OPTIONS.includes(data.sort)) {
+            return { valid: false, error: `sort must be one of: ${SORT_OPTIONS.join(', ')}` };
+        }
+
+        if (query.limit !== undefined) {
+            data.limit = parseInt(query.limit);
+            if (!(data.limit >= 1)) {
+                return { valid: false, error: 'limit must be a positive number' };
+            }
+            data.limit = Math.min(data.limit, MAX_PAGE_SIZE);
+        }
+
+        return { valid: true, data };
+    }
+
+    /**
+     * List stories, without their article versions
+     * @param {Object} options - Parsed query (see parseQuery)
+     * @returns {Promise<Object>} - { total, stories }
+     */
+    async list(options = {}) {
+        await this.load();
+
+        const { since = null, until = null, category = null, source = null, minSources = 1, sort = 'recent', limit = DEFAULT_PAGE_SIZE } = options;
+        const stories = Array.from(this.stories.values()).filter(story => {
+            const lastSeen = new Date(story.lastSeen).getTime();
+            if (since !== null && lastSeen < since) return false;
+            if (until !== null && new Date(story.firstSeen).getTime() > until) return false;
+            if (category && (story.category || '').toLowerCase() !== category) return false;
+            if (source && !story.sources.some(s => s.toLowerCase() === source)) return false;
+            return story.sources.length >= minSources;
+        });
+
+        const byRecent = (a, b) => new Date(b.lastSeen) - new Date(a.lastSeen) || new Date(b.firstSeen) - new Date(a.firstSeen);
+        stories.sort(sort === 'coverage'
+            ? (a, b) => b.sources.length - a.sources.length || b.articles.length - a.articles.length || byRecent(a, b)
+            : byRecent);
+
+        return {
+            total: stories.length,
+            stories: stories.slice(0, limit).map(story => this.toSummary(story))
+        };
+    }
+
+    /**
+     * Get a story including every source's version of it
+     */
+    async get(id) {
+        await this.load();
+        const story = this.stories.get(id);
+        if (!story) return null;
+
+        return {
+            ...this.toSummary(story),
+            articles: story.articles.map(({ summary, ...member }) => member)
+        };
+    }
+
+    toSummary(story) {
+        return {
+            id: story.id,
+            title: story.title,
+            category: story.category,
+            firstSeen: story.firstSeen,
+            lastSeen: story.lastSeen,
+            articleCount: story.articles.length,
+            sourceCount: story.sources.length,
+            sources: story.sources,
+            growth: story.growth
+        };
+    }
+
+    getStats() {
+        let multiSource = 0;
+        for (const story of this.stories.values()) {
+            if (story.sources.length > 1) multiSource++;
+        }
+        return { stories: this.stories.size, multiSourceStories: multiSource };
+    }
+}
+
+// Export singleton instance
+module.exports = new StoryService();
+module.exports.StoryService = StoryService;
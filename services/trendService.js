@@ -0,0 +1,368 @@
+/**
+ * Trend Service
+ * Counts keywords, two-word phrases and named entities per hour of ingest, and scores terms
+ * by how far their recent frequency exceeds their baseline, so a spike outranks a term
+ * that is merely always common
+ */
+
+const fs = require('fs');
+const path = require('path');
+const articleStore = require('./articleStore');
+const { toPlainText } = require('../utils/sanitizer');
+
+const DEFAULT_TRENDS_FILE = path.join(__dirname, '../data/trends.json');
+const HOUR = 60 * 60 * 1000;
+const BASELINE_HOURS = 7 * 24; // Trend windows are compared with the week before them
+const MAX_WINDOW_HOURS = 7 * 24;
+const RETENTION_HOURS = BASELINE_HOURS + MAX_WINDOW_HOURS;
+const MAX_TERMS_PER_BUCKET = 1000;
+const MIN_COUNT = 3; // A term needs this many articles in the window to trend
+const TERM_TYPES = ['keyword', 'phrase', 'entity'];
+const SPARKLINE_POINTS = 24;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'but', 'for', 'with', 'from', 'into', 'onto', 'over', 'under', 'after', 'before', 'about', 'above', 'below',
+    'between', 'through', 'during', 'than', 'then', 'that', 'this', 'these', 'those', 'there', 'their', 'they', 'them',
+    'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'whose', 'why', 'how', 'have', 'has', 'had', 'having',
+    'will', 'would', 'could', 'should', 'shall', 'might', 'must', 'can', 'cannot', 'does', 'did', 'doing', 'done',
+    'been', 'being', 'were', 'was', 'are', 'its', 'it\'s', 'your', 'you', 'our', 'his', 'her', 'hers', 'she', 'him',
+    'not', 'now', 'just', 'also', 'more', 'most', 'much', 'many', 'some', 'such', 'any', 'all', 'each', 'every', 'other',
+    'same', 'very', 'only', 'own', 'few', 'too', 'out', 'off', 'again', 'further', 'once', 'here', 'both', 'either',
+    'news', 'article', 'articles', 'read', 'reading', 'post', 'posted', 'comments', 'comment', 'share', 'click', 'report',
+    'reports', 'reported', 'today', 'yesterday', 'tomorrow', 'week', 'weeks', 'month', 'months', 'year', 'years', 'day',
+    'days', 'hour', 'hours', 'time', 'times', 'said', 'says', 'saying', 'told', 'make', 'makes', 'made', 'take', 'takes',
+    'using', 'used', 'use', 'uses', 'get', 'gets', 'getting', 'new', 'first', 'last', 'next', 'latest', 'best', 'good',
+    'like', 'want', 'need', 'know', 'look', 'looks', 'help', 'way', 'ways', 'work', 'works', 'people', 'users', 'user',
+    'company', 'companies', 'still', 'even', 'well', 'back', 'could', 'may', 'one', 'two', 'three', 'via'
+]);
+
+// Title-case words that start sentences or headlines without naming anything
+const ENTITY_STOP_WORDS = new Set(['The', 'A', 'An', 'How', 'Why', 'What', 'When', 'New', 'This', 'That', 'These', 'Here', 'Update', 'Report', 'Breaking']);
+
+const CVE_PATTERN = /\bCVE-\d{4}-\d{4,}\b/gi;
+const ENTITY_PATTERN = /\b[A-Z][A-Za-z0-9]*(?:[-.][A-Za-z0-9]+)*(?:\s+[A-Z][A-Za-z0-9]*(?:[-.][A-Za-z0-9]+)*){0,2}\b/g;
+
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9][a-z0-9'-]*[a-z0-9]/g) || [])
+        .map(token => token.replace(/'s$/, ''));
+}
+
+function isKeyword(token) {
+    return token.length >= 4 && !STOP_WORDS.has(token) && !/^\d+$/.test(token);
+}
+
+/**
+ * Extract the distinct terms of an article, keyed as "type:text". Single words that are
+ * part of an entity are only counted as the entity.
+ * @param {Object} article - Stored article
+ * @returns {Map} - term key -> display label
+ */
+function extractTerms(article) {
+    const title = toPlainText(article.title);
+    const text = `${title}. ${toPlainText(article.summary).substring(0, 500)}`;
+    const terms = new Map();
+    const entityWords = new Set();
+
+    for (const match of text.match(CVE_PATTERN) || []) {
+        terms.set(`entity:${match.toLowerCase()}`, match.toUpperCase());
+        entityWords.add(match.toLowerCase());
+    }
+
+    // In Title Case headlines every word looks like a name, so only the summary is searched for entities
+    const titleWords = title.split(/\s+/).filter(word => word.length > 3);
+    const titleCase = titleWords.length > 2 && titleWords.filter(word => /^[A-Z]/.test(word)).length / titleWords.length >= 0.6;
+    const entityText = titleCase ? toPlainText(article.summary).substring(0, 500) : text;
+
+    for (const sentence of entityText.split(/[.!?:;|]\s+/)) {
+        for (const match of sentence.matchAll(ENTITY_PATTERN)) {
+            const words = match[0].split(/\s+/).filter(word => !ENTITY_STOP_WORDS.has(word));
+            // A lone capitalized word at the start of a sentence is usually just capitalization
+            if (words.length === 0 || (words.length === 1 && match.index === 0 && !/[A-Z].*[A-Z0-9]/.test(words[0]))) continue;
+
+            const label = words.join(' ');
+            if (/^CVE-/i.test(label) || (words.length === 1 && STOP_WORDS.has(label.toLowerCase()))) continue;
+            terms.set(`entity:${label.toLowerCase()}`, label);
+            words.forEach(word => entityWords.add(word.toLowerCase()));
+        }
+    }
+
+    const titleTokens = tokenize(title);
+    for (let i = 0; i < titleTokens.length - 1; i++) {
+        const [first, second] = [titleTokens[i], titleTokens[i + 1]];
+        if (isKeyword(first) && isKeyword(second) && !(entityWords.has(first) && entityWords.has(second))) {
+            terms.set(`phrase:${first} ${second}`, `${first} ${second}`);
+        }
+    }
+
+    for (const token of tokenize(text)) {
+        if (isKeyword(token) && !entityWords.has(token)) {
+            terms.set(`keyword:${token}`, token);
+        }
+    }
+
+    return terms;
+}
+
+function bucketKey(time) {
+    return new Date(Math.floor(time / HOUR) * HOUR).toISOString();
+}
+
+class TrendService {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.TRENDS_FILE || DEFAULT_TRENDS_FILE;
+        this.store = options.store || articleStore;
+        this.buckets = new Map(); // hour (ISO) -> { articles, terms: { key: count } }
+        this.labels = new Map(); // term key -> display label
+        this.needsBackfill = false;
+        this.backfilledIds = new Set(); // Stored articles the backfill counted, in case a refresh records them too
+        this.loadPromise = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load trend buckets from disk once; later calls reuse the same promise.
+     * Without a trends file, buckets are rebuilt from the article store's first-seen times.
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readFile().then(() => this.needsBackfill ? this.backfill() : null);
+        }
+        return this.loadPromise;
+    }
+
+    async readFile() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            Object.entries(data.buckets || {}).forEach(([key, bucket]) => this.buckets.set(key, bucket));
+            Object.entries(data.labels || {}).forEach(([key, label]) => this.labels.set(key, label));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Trends] Failed to read trends:', error.message);
+            }
+            this.needsBackfill = true;
+        }
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempFile = `${this.filePath}.tmp`;
+                const data = { buckets: Object.fromEntries(this.buckets), labels: Object.fromEntries(this.labels) };
+                await fs.promises.writeFile(tempFile, JSON.stringify(data));
+                await fs.promises.rename(tempFile, this.filePath);
+            })
+            .catch(error => console.error('[Trends] Failed to save trends:', error.message));
+
+        return this.writeQueue;
+    }
+
+    async backfill() {
+        this.needsBackfill = false;
+        const since = Date.now() - RETENTION_HOURS * HOUR;
+        const articles = (await this.store.getAll()).filter(article => new Date(article.firstSeen || article.scraped || 0).getTime() >= since);
+        if (articles.length === 0) return;
+
+        this.count(articles);
+        articles.forEach(article => this.backfilledIds.add(article.id));
+        await this.save();
+        console.log(`[Trends] Rebuilt trend history from ${articles.length} stored articles`);
+    }
+
+    /**
+     * Count the terms of newly ingested articles into the hour they were first seen
+     * @param {Array} articles - New articles from a refresh
+     * @param {number} now - Current time, for dropping expired buckets
+     */
+    async record(articles, now = Date.now()) {
+        await this.load();
+        // Articles are stored before they are recorded, so a backfill that ran in between already counted them
+        const uncounted = articles.filter(article => !this.backfilledIds.delete(article.id));
+        if (uncounted.length === 0) return;
+
+        this.count(uncounted);
+        this.expire(now);
+        await this.save();
+    }
+
+    count(articles) {
+        const touched = new Set();
+
+        for (const article of articles) {
+            const seen = new Date(article.firstSeen || article.scraped || Date.now()).getTime();
+            const key = bucketKey(isNaN(seen) ? Date.now() : seen);
+            const bucket = this.buckets.get(key) || { articles: 0, terms: {} };
+
+            bucket.articles++;
+            for (const [term, label] of extractTerms(article)) {
+                bucket.terms[term] = (bucket.terms[term] || 0) + 1;
+                if (term.startsWith('entity:')) this.labels.set(term, label);
+            }
+            this.buckets.set(key, bucket);
+            touched.add(bucket);
+        }
+
+        // Keep bucket size bounded by dropping the rarest terms
+        for (const bucket of touched) {
+            const entries = Object.entries(bucket.terms);
+            if (entries.length > MAX_TERMS_PER_BUCKET) {
+                bucket.terms = Object.fromEntries(entries.sort(([, a], [, b]) => b - a).slice(0, MAX_TERMS_PER_BUCKET));
+            }
+        }
+    }
+
+    expire(now) {
+        const cutoff = bucketKey(now - RETENTION_HOURS * HOUR);
+        for (const key of this.buckets.keys()) {
+            if (key < cutoff) this.buckets.delete(key);
+        }
+
+        const live = new Set();
+        this.buckets.forEach(bucket => Object.keys(bucket.terms).forEach(term => live.add(term)));
+        for (const term of this.labels.keys()) {
+            if (!live.has(term)) this.labels.delete(term);
+        }
+    }
+
+    /**
+     * Parse /api/trends query parameters
+     * @param {Object} query - window (e.g. 6h, 24h, 3d), type, limit
+     * @returns {Object} - Validation result with normalized options or error
+     */
+    parseQuery(query = {}) {
+        const data = { windowHours: 24, type: null, limit: 10 };
+
+        if (query.window !== undefined) {
+            const match = String(query.window).trim().match(/^(\d+)([hd])$/i);
+            const hours = match ? parseInt(match[1]) * (match[2].toLowerCase() === 'd' ? 24 : 1) : 0;
+            if (hours < 1 || hours > MAX_WINDOW_HOURS) {
+                return { valid: false, error: `window must be a duration between 1h and ${MAX_WINDOW_HOURS / 24}d, such as 6h or 24h` };
+            }
+            data.windowHours = hours;
+        }
+
+        if (query.type !== undefined) {
+            if (!TERM_TYPES.includes(query.type)) {
+                return { valid: false, error: `type must be one of: ${TERM_TYPES.join(', ')}` };
+            }
+            data.type = query.type;
+        }
+
+        if (query.limit !== undefined) {
+            data.limit = parseInt(query.limit);
+            if (!(data.limit >= 1)) {
+                return { valid: false, error: 'limit must be a positive number' };
+            }
+            data.limit = Math.min(data.limit, 50);
+        }
+
+        return { valid: true, data };
+    }
+
+    /**
+     * Score terms by velocity: articles mentioning the term in the window against the count
+     * expected from its share of articles in the baseline week before it
+     * @param {Object} options - windowHours, type, limit, now
+     * @returns {Promise<Object>} - Trends, best first, each with a sparkline of per-interval counts
+     */
+    async getTrends(options = {}) {
+        await this.load();
+
+        const { windowHours = 24, type = null, limit = 10, now = Date.now() } = options;
+        const currentHour = Math.floor(now / HOUR) * HOUR;
+        const windowStart = currentHour - (windowHours - 1) * HOUR;
+        const baselineStart = windowStart - BASELINE_HOURS * HOUR;
+
+        const recent = new Map();
+        const baseline = new Map();
+        let recentArticles = 0;
+        let baselineArticles = 0;
+
+        for (const [key, bucket] of this.buckets) {
+            const time = new Date(key).getTime();
+            if (time > currentHour || time < baselineStart) continue;
+
+            const inWindow = time >= windowStart;
+            const counts = inWindow ? recent : baseline;
+            if (inWindow) recentArticles += bucket.articles; else baselineArticles += bucket.articles;
+
+            for (const [term, count] of Object.entries(bucket.terms)) {
+                if (type && !term.startsWith(`${type}:`)) continue;
+                counts.set(term, (counts.get(term) || 0) + count);
+            }
+        }
+
+        const scored = [];
+        for (const [term, count] of recent) {
+            if (count < MIN_COUNT) continue;
+
+            // Smoothed share of baseline articles, so terms unseen in the baseline aren't infinitely fast
+            const share = ((baseline.get(term) || 0) + 0.5) / (baselineArticles + 1);
+            const expected = share * recentArticles;
+            scored.push({
+                key: term,
+                count,
+                expected: Math.round(expected * 100) / 100,
+                velocity: Math.round((count / Math.max(expected, 0.5)) * 100) / 100,
+                score: Math.round(((count - expected) / Math.sqrt(expected + 1)) * 100) / 100
+            });
+        }
+
+        scored.sort((a, b) => b.score - a.score || b.count - a.count);
+
+        // Drop terms already covered by a higher-ranked term with similar coverage (e.g. "zero" under "zero day")
+        const selected = [];
+        for (const trend of scored) {
+            if (selected.length >= limit) break;
+            const text = trend.key.split(':').slice(1).join(':');
+            const covered = selected.some(other => {
+                const otherText = other.key.split(':').slice(1).join(':');
+                return ` ${otherText} `.includes(` ${text} `) && trend.count <= other.count * 1.25;
+            });
+            if (!covered && trend.score > 0) selected.push(trend);
+        }
+
+        return {
+            window: `${windowHours}h`,
+            since: new Date(windowStart).toISOString(),
+            generatedAt: new Date(now).toISOString(),
+            articleCount: recentArticles,
+            baselineArticleCount: baselineArticles,
+            trends: selected.map(trend => {
+                const [termType, ...rest] = trend.key.split(':');
+                const { key, ...stats } = trend;
+                return {
+                    term: this.labels.get(key) || rest.join(':'),
+                    type: termType,
+                    ...stats,
+                    sparkline: this.sparkline(key, windowHours, currentHour)
+                };
+            })
+        };
+    }
+
+    /**
+     * Per-interval counts covering the window and the same length of time before it
+     */
+    sparkline(term, windowHours, currentHour) {
+        const spanHours = windowHours * 2;
+        const interval = Math.max(1, Math.ceil(spanHours / SPARKLINE_POINTS));
+        const points = Math.ceil(spanHours / interval);
+        const start = currentHour - (points * interval - 1) * HOUR;
+        const counts = new Array(points).fill(0);
+
+        for (const [key, bucket] of this.buckets) {
+            const index = Math.floor((new Date(key).getTime() - start) / (interval * HOUR));
+            if (index >= 0 && index < points && bucket.terms[term]) {
+                counts[index] += bucket.terms[term];
+            }
+        }
+
+        return { start: new Date(start).toISOString(), intervalHours: interval, points: counts };
+    }
+}
+
+// Export singleton instance
+module.exports = new TrendService();
+module.exports.TrendService = TrendService;
+module.exports.extractTerms = extractTerms;
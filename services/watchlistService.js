@@ -0,0 +1,314 @@
+/**
+ * Watchlist Service
+ * Server-side watchlists (keywords, regexes, sources, priority thresholds) evaluated against
+ * newly ingested articles. Matches become alerts, which are kept on disk and emitted as 'alerts' events.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const safeRegex = require('safe-regex');
+
+const DEFAULT_WATCHLIST_FILE = path.join(__dirname, '../data/watchlists.json');
+const MAX_ALERTS = 500;
+const MAX_TERMS = 50;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_TEXT_LENGTH = 20000; // Bounds the work any one pattern can do per article
+const PRIORITY_LEVELS = ['critical', 'high', 'medium-high', 'medium']; // Most to least urgent
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Patterns with nested repetition (e.g. "(a+)+$") can backtrack for seconds on a single article
+function isSafePattern(pattern) {
+    return safeRegex(pattern);
+}
+
+function toStringList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+// Regexes can contain commas (e.g. "\d{4,7}"), so patterns are never comma-split:
+// an array is taken as-is and a string holds one pattern per line
+function toPatternList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : String(value).split('\n');
+    return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+class WatchlistService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath || process.env.WATCHLIST_FILE || DEFAULT_WATCHLIST_FILE;
+        this.watchlists = [];
+        this.alerts = []; // Newest first
+        this.loadPromise = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load watchlists and alerts from disk once; later calls reuse the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readFile();
+        }
+        return this.loadPromise;
+    }
+
+    async readFile() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            this.watchlists = data.watchlists || [];
+            this.alerts = data.alerts || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Watchlists] Failed to read watchlists:', error.message);
+            }
+        }
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempFile = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tempFile, JSON.stringify({ watchlists: this.watchlists, alerts: this.alerts }, null, 2));
+                await fs.promises.rename(tempFile, this.filePath);
+            })
+            .catch(error => console.error('[Watchlists] Failed to save watchlists:', error.message));
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Validate watchlist input
+     * @param {Object} data - name, keywords, patterns, sources, minPriority, enabled
+     * @returns {Object} - Validation result with normalized data or error
+     */
+    validateWatchlist(data) {
+        if (!data || typeof data !== 'object') {
+            return { valid: false, error: 'Invalid watchlist data' };
+        }
+
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        if (!name || name.length > 100) {
+            return { valid: false, error: 'name is required and must be at most 100 characters' };
+        }
+
+        const keywords = toStringList(data.keywords);
+        const patterns = toPatternList(data.patterns);
+        const sources = toStringList(data.sources);
+
+        if (keywords.length > MAX_TERMS || patterns.length > MAX_TERMS || sources.length > MAX_TERMS) {
+            return { valid: false, error: `keywords, patterns and sources are limited to ${MAX_TERMS} entries each` };
+        }
+
+        for (const pattern of patterns) {
+            if (pattern.length > MAX_PATTERN_LENGTH) {
+                return { valid: false, error: `patterns must be at most ${MAX_PATTERN_LENGTH} characters` };
+            }
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                return { valid: false, error: `Invalid pattern "${pattern}": ${error.message}` };
+            }
+            if (!isSafePattern(pattern)) {
+                return { valid: false, error: `Pattern "${pattern}" nests repetition (like "(a+)+") and could take too long to match` };
+            }
+        }
+
+        const minPriority = data.minPriority || null;
+        if (minPriority && !PRIORITY_LEVELS.includes(minPriority)) {
+            return { valid: false, error: `minPriority must be one of: ${PRIORITY_LEVELS.join(', ')}` };
+        }
+
+        if (!keywords.length && !patterns.length && !sources.length && !minPriority) {
+            return { valid: false, error: 'A watchlist needs at least one keyword, pattern, source or minPriority' };
+        }
+
+        return {
+            valid: true,
+            data: { name, keywords, patterns, sources, minPriority, enabled: data.enabled !== false }
+        };
+    }
+
+    async getWatchlists() {
+        await this.load();
+        return this.watchlists;
+    }
+
+    async createWatchlist(data) {
+        await this.load();
+        const watchlist = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...data,
+            createdAt: new Date().toISOString()
+        };
+        this.watchlists.push(watchlist);
+        await this.save();
+        console.log(`[Watchlists] Created watchlist "${watchlist.name}"`);
+        return watchlist;
+    }
+
+    async updateWatchlist(id, data) {
+        await this.load();
+        const watchlist = this.watchlists.find(w => w.id === id);
+        if (!watchlist) return null;
+
+        Object.assign(watchlist, data, { updatedAt: new Date().toISOString() });
+        await this.save();
+        return watchlist;
+    }
+
+    async deleteWatchlist(id) {
+        await this.load();
+        const index = this.watchlists.findIndex(w => w.id === id);
+        if (index === -1) return false;
+
+        this.watchlists.splice(index, 1);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Check one article against one watchlist
+     * @returns {Array|null} - Descriptions of what matched, or null if the article doesn't match
+     */
+    matchArticle(watchlist, article) {
+        if (watchlist.sources.length && !watchlist.sources.some(s => s.toLowerCase() === (article.source || '').toLowerCase())) {
+            return null;
+        }
+
+        if (watchlist.minPriority) {
+            const index = PRIORITY_LEVELS.indexOf(article.priority);
+            if (index === -1 || index > PRIORITY_LEVELS.indexOf(watchlist.minPriority)) {
+                return null;
+            }
+        }
+
+        const matches = [];
+        const hasTerms = watchlist.keywords.length > 0 || watchlist.patterns.length > 0;
+        if (hasTerms) {
+            const text = [
+                article.title,
+                article.summary,
+                article.content,
+                article.author,
+                ...(article.keywords || []),
+                ...(article.categories || [])
+            ].filter(Boolean).join('\n').substring(0, MAX_MATCH_TEXT_LENGTH);
+
+            watchlist.keywords.forEach(keyword => {
+                if (new RegExp(`(^|\\W)${escapeRegex(keyword)}($|\\W)`, 'i').test(text)) {
+                    matches.push(`keyword: ${keyword}`);
+                }
+            });
+            // Watchlists saved before patterns were checked may still hold unsafe ones
+            watchlist.patterns.filter(isSafePattern).forEach(pattern => {
+                const match = text.match(new RegExp(pattern, 'i'));
+                if (match) {
+                    matches.push(`pattern: ${match[0].substring(0, 100)}`);
+                }
+            });
+
+            if (matches.length === 0) return null;
+        }
+
+        if (watchlist.sources.length) matches.push(`source: ${article.source}`);
+        if (watchlist.minPriority) matches.push(`priority: ${article.priority}`);
+        return matches;
+    }
+
+    /**
+     * Evaluate newly ingested articles against every enabled watchlist
+     * @param {Array} articles - Stored articles (with IDs)
+     * @returns {Promise<Array>} - Alerts created
+     */
+    async evaluate(articles) {
+        await this.load();
+
+        const enabled = this.watchlists.filter(w => w.enabled);
+        if (enabled.length === 0 || !articles || articles.length === 0) return [];
+
+        const existing = new Set(this.alerts.map(alert => `${alert.watchlistId}:${alert.articleId}`));
+        const created = [];
+
+        for (const article of articles) {
+            for (const watchlist of enabled) {
+                if (existing.has(`${watchlist.id}:${article.id}`)) continue;
+
+                const matches = this.matchArticle(watchlist, article);
+                if (!matches) continue;
+
+                created.push({
+                    id: crypto.randomBytes(6).toString('hex'),
+                    watchlistId: watchlist.id,
+                    watchlistName: watchlist.name,
+                    articleId: article.id,
+                    title: article.title,
+                    link: article.link,
+                    source: article.source,
+                    priority: article.priority || null,
+                    matches,
+                    createdAt: new Date().toISOString(),
+                    read: false
+                });
+            }
+        }
+
+        if (created.length > 0) {
+            this.alerts = [...created, ...this.alerts].slice(0, MAX_ALERTS);
+            await this.save();
+            console.log(`[Watchlists] ${created.length} new alerts`);
+            this.emit('alerts', created);
+        }
+
+        return created;
+    }
+
+    /**
+     * Recent alerts, newest first
+     * @param {Object} options - unreadOnly and limit
+     */
+    async getAlerts(options = {}) {
+        await this.load();
+        const { unreadOnly = false, limit = 50 } = options;
+        const alerts = unreadOnly ? this.alerts.filter(alert => !alert.read) : this.alerts;
+
+        return {
+            alerts: alerts.slice(0, limit),
+            unreadCount: this.alerts.filter(alert => !alert.read).length
+        };
+    }
+
+    /**
+     * Mark alerts as read
+     * @param {Array|null} ids - Alert IDs, or null for all alerts
+     * @returns {Promise<number>} - Number of alerts changed
+     */
+    async markRead(ids = null) {
+        await this.load();
+        let changed = 0;
+
+        this.alerts.forEach(alert => {
+            if (!alert.read && (!ids || ids.includes(alert.id))) {
+                alert.read = true;
+                changed++;
+            }
+        });
+
+        if (changed > 0) {
+            await this.save();
+        }
+        return changed;
+    }
+}
+
+// Export singleton instance
+module.exports = new WatchlistService();
+module.exports.WatchlistService = WatchlistService;
@@ -0,0 +1,386 @@
+/**
+ * Webhook Service
+ * Outbound webhooks for chat and ticketing tools. Each webhook subscribes to event types and
+ * optional filters; deliveries are HMAC-signed, retried with exponential backoff and logged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { sanitizeUrl } = require('../utils/sanitizer');
+
+const DEFAULT_WEBHOOK_FILE = path.join(__dirname, '../data/webhooks.json');
+const EVENT_TYPES = ['article.new', 'article.critical', 'source.failure', 'refresh.complete'];
+const MAX_WEBHOOKS = 50;
+const MAX_DELIVERIES = 200; // Delivery log entries kept, newest first
+const MAX_ARTICLES_PER_DELIVERY = 50;
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_RETRY_BASE = 5000; // Retries wait 5s, 20s, 80s
+const DELIVERY_TIMEOUT = 10000;
+
+function toStringList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+// Article fields included in webhook payloads
+function toWebhookArticle(article) {
+    return {
+        id: article.id,
+        title: article.title,
+        link: article.link,
+        source: article.source,
+        category: article.category,
+        priority: article.priority,
+        priorityScore: article.priorityScore || 0,
+        isBreaking: Boolean(article.isBreaking),
+        summary: article.summary,
+        date: article.publishedAt || article.scraped || null
+    };
+}
+
+class WebhookService {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.WEBHOOK_FILE || DEFAULT_WEBHOOK_FILE;
+        this.maxAttempts = parseInt(options.maxAttempts || process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+        this.retryBaseMs = parseInt(options.retryBaseMs || process.env.WEBHOOK_RETRY_BASE_MS) || DEFAULT_RETRY_BASE;
+        this.webhooks = [];
+        this.deliveries = [];
+        this.loadPromise = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load webhooks and the delivery log from disk once; later calls reuse the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readFile();
+        }
+        return this.loadPromise;
+    }
+
+    async readFile() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            this.webhooks = data.webhooks || [];
+            // Retries don't survive a restart
+            this.deliveries = (data.deliveries || []).map(delivery => (
+                delivery.status === 'pending' ? { ...delivery, status: 'failed', error: delivery.error || 'Interrupted by restart', nextAttemptAt: null } : delivery
+            ));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Webhooks] Failed to read webhooks:', error.message);
+            }
+        }
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempFile = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tempFile, JSON.stringify({ webhooks: this.webhooks, deliveries: this.deliveries }, null, 2), { mode: 0o600 });
+                await fs.promises.rename(tempFile, this.filePath);
+            })
+            .catch(error => console.error('[Webhooks] Failed to save webhooks:', error.message));
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Validate webhook input
+     * @param {Object} data - name, url, secret, events, filters ({ categories, sources, minPriorityScore }), enabled
+     * @param {boolean} partial - Allow omitting the secret (updates keep the existing one)
+     * @returns {Object} - Validation result with normalized data or error
+     */
+    validateWebhook(data, partial = false) {
+        if (!data || typeof data !== 'object') {
+            return { valid: false, error: 'Invalid webhook data' };
+        }
+
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        if (!name || name.length > 100) {
+            return { valid: false, error: 'name is required and must be at most 100 characters' };
+        }
+
+        const url = sanitizeUrl(data.url);
+        if (!url) {
+            return { valid: false, error: 'url must be a valid http(s) URL' };
+        }
+
+        const events = toStringList(data.events);
+        if (events.length === 0 || !events.every(event => EVENT_TYPES.includes(event))) {
+            return { valid: false, error: `events must include one or more of: ${EVENT_TYPES.join(', ')}` };
+        }
+
+        let secret = data.secret;
+        if (secret === undefined || secret === null || secret === '') {
+            secret = partial ? undefined : crypto.randomBytes(24).toString('hex');
+        } else if (typeof secret !== 'string' || secret.length < 16 || secret.length > 200) {
+            return { valid: false, error: 'secret must be between 16 and 200 characters' };
+        }
+
+        const filters = data.filters || {};
+        const minPriorityScore = filters.minPriorityScore === undefined || filters.minPriorityScore === null || filters.minPriorityScore === ''
+            ? null
+            : Number(filters.minPriorityScore);
+        if (minPriorityScore !== null && !Number.isFinite(minPriorityScore)) {
+            return { valid: false, error: 'filters.minPriorityScore must be a number' };
+        }
+
+        const normalized = {
+            name,
+            url,
+            events: [...new Set(events)],
+            filters: {
+                categories: toStringList(filters.categories),
+                sources: toStringList(filters.sources),
+                minPriorityScore
+            },
+            enabled: data.enabled !== false
+        };
+        if (secret !== undefined) {
+            normalized.secret = secret;
+        }
+
+        return { valid: true, data: normalized };
+    }
+
+    // Secrets are only shown when a webhook is created
+    toPublic(webhook) {
+        const { secret, ...rest } = webhook;
+        return rest;
+    }
+
+    async getWebhooks() {
+        await this.load();
+        return this.webhooks.map(webhook => this.toPublic(webhook));
+    }
+
+    async createWebhook(data) {
+        await this.load();
+        if (this.webhooks.length >= MAX_WEBHOOKS) {
+            throw new Error(`At most ${MAX_WEBHOOKS} webhooks can be configured`);
+        }
+
+        const webhook = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...data,
+            createdAt: new Date().toISOString()
+        };
+        this.webhooks.push(webhook);
+        await this.save();
+        console.log(`[Webhooks] Created webhook "${webhook.name}"`);
+        return webhook;
+    }
+
+    async updateWebhook(id, data) {
+        await this.load();
+        const webhook = this.webhooks.find(w => w.id === id);
+        if (!webhook) return null;
+
+        Object.assign(webhook, data, { updatedAt: new Date().toISOString() });
+        await this.save();
+        return this.toPublic(webhook);
+    }
+
+    async deleteWebhook(id) {
+        await this.load();
+        const index = this.webhooks.findIndex(w => w.id === id);
+        if (index === -1) return false;
+
+        this.webhooks.splice(index, 1);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Recent deliveries, newest first
+     * @param {Object} options - webhookId and limit
+     */
+    async getDeliveries(options = {}) {
+        await this.load();
+        const { webhookId = null, limit = 50 } = options;
+        const deliveries = webhookId ? this.deliveries.filter(d => d.webhookId === webhookId) : this.deliveries;
+        return deliveries.slice(0, limit);
+    }
+
+    matchesFilters(webhook, article) {
+        const { categories, sources, minPriorityScore } = webhook.filters;
+        if (categories.length && !categories.some(c => c.toLowerCase() === (article.category || '').toLowerCase())) return false;
+        if (sources.length && !sources.some(s => s.toLowerCase() === (article.source || '').toLowerCase())) return false;
+        if (minPriorityScore !== null && (article.priorityScore || 0) < minPriorityScore) return false;
+        return true;
+    }
+
+    /**
+     * Send newly ingested articles: every match goes to 'article.new', critical ones also to 'article.critical'
+     * @param {Array} articles - New articles from a refresh
+     */
+    async dispatchArticles(articles) {
+        if (!articles || articles.length === 0) return [];
+        const critical = articles.filter(article => article.priority === 'critical');
+
+        const deliveries = await Promise.all([
+            this.dispatch('article.new', webhook => this.articlePayload(webhook, articles)),
+            critical.length ? this.dispatch('article.critical', webhook => this.articlePayload(webhook, critical)) : []
+        ]);
+        return deliveries.flat();
+    }
+
+    articlePayload(webhook, articles) {
+        const matching = articles.filter(article => this.matchesFilters(webhook, article));
+        if (matching.length === 0) return null;
+        return {
+            count: matching.length,
+            articles: matching.slice(0, MAX_ARTICLES_PER_DELIVERY).map(toWebhookArticle)
+        };
+    }
+
+    async dispatchSourceFailure(failure) {
+        return this.dispatch('source.failure', webhook => {
+            const { sources } = webhook.filters;
+            if (sources.length && !sources.some(s => s.toLowerCase() === failure.sourceName.toLowerCase())) return null;
+            return {
+                sourceId: failure.sourceId,
+                source: failure.sourceName,
+                error: failure.attempt.error,
+                httpStatus: failure.attempt.httpStatus,
+                consecutiveFailures: failure.summary.consecutiveFailures,
+                quarantined: failure.summary.quarantined
+            };
+        });
+    }
+
+    async dispatchRefreshComplete(job) {
+        return this.dispatch('refresh.complete', () => ({
+            jobId: job.id,
+            status: job.status,
+            trigger: job.trigger,
+            result: job.result,
+            error: job.error,
+            finishedAt: job.finishedAt
+        }));
+    }
+
+    /**
+     * Deliver an event to every enabled webhook subscribed to it
+     * @param {string} event - One of EVENT_TYPES
+     * @param {Function} buildData - (webhook) => payload data, or null to skip that webhook
+     * @returns {Promise<Array>} - Delivery records, resolved once every delivery has succeeded or given up
+     */
+    async dispatch(event, buildData) {
+        await this.load();
+
+        const targets = this.webhooks.filter(webhook => webhook.enabled && webhook.events.includes(event));
+        const deliveries = [];
+        for (const webhook of targets) {
+            const data = buildData(webhook);
+            if (data) {
+                deliveries.push(this.deliver(webhook, event, data));
+            }
+        }
+        return Promise.all(deliveries);
+    }
+
+    /**
+     * Send a test event to one webhook, regardless of its event types
+     */
+    async sendTest(id) {
+        await this.load();
+        const webhook = this.webhooks.find(w => w.id === id);
+        if (!webhook) return null;
+        return this.deliver(webhook, 'ping', { message: 'Test delivery from News Aggregator' }, 1);
+    }
+
+    /**
+     * Sign a payload body: hex HMAC-SHA256 of "<timestamp>.<body>"
+     */
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async deliver(webhook, event, data, maxAttempts = this.maxAttempts) {
+        const delivery = {
+            id: crypto.randomBytes(8).toString('hex'),
+            webhookId: webhook.id,
+            webhookName: webhook.name,
+            event,
+            status: 'pending',
+            attempts: 0,
+            responseStatus: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            lastAttemptAt: null,
+            nextAttemptAt: null
+        };
+        this.deliveries = [delivery, ...this.deliveries].slice(0, MAX_DELIVERIES);
+
+        const body = JSON.stringify({ id: delivery.id, event, createdAt: delivery.createdAt, data });
+
+        while (delivery.attempts < maxAttempts) {
+            delivery.attempts++;
+            delivery.lastAttemptAt = new Date().toISOString();
+            const { responseStatus, error, retryable } = await this.send(webhook, delivery, body);
+            delivery.responseStatus = responseStatus;
+            delivery.error = error;
+
+            if (!error) {
+                delivery.status = 'delivered';
+                delivery.nextAttemptAt = null;
+                break;
+            }
+            if (!retryable || delivery.attempts >= maxAttempts) {
+                delivery.status = 'failed';
+                delivery.nextAttemptAt = null;
+                console.warn(`[Webhooks] Delivery of ${event} to "${webhook.name}" failed after ${delivery.attempts} attempts: ${error}`);
+                break;
+            }
+
+            const delay = this.retryBaseMs * Math.pow(4, delivery.attempts - 1);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            await this.save();
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        await this.save();
+        return delivery;
+    }
+
+    async send(webhook, delivery, body) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        try {
+            const response = await axios.post(webhook.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'NewsAggregator-Webhooks/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+                },
+                timeout: DELIVERY_TIMEOUT,
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+
+            if (response.status >= 200 && response.status < 300) {
+                return { responseStatus: response.status, error: null, retryable: false };
+            }
+            // Client errors other than rate limiting won't succeed on retry
+            const retryable = response.status >= 500 || response.status === 429 || response.status === 408;
+            return { responseStatus: response.status, error: `HTTP ${response.status}`, retryable };
+        } catch (error) {
+            return { responseStatus: null, error: error.message, retryable: true };
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
+module.exports.WebhookService = WebhookService;
+module.exports.EVENT_TYPES = EVENT_TYPES;
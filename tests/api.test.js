@@ -5,16 +5,24 @@
 
 const axios = require('axios');
 const { TestRunner } = require('./sanitizer.test');
+require('dotenv').config();
 
 class ApiTester extends TestRunner {
     constructor(baseUrl = 'http://localhost:3000') {
         super();
         this.baseUrl = baseUrl;
+        // Admin routes need the same ADMIN_TOKEN the server was started with
         this.client = axios.create({
             baseURL: baseUrl,
             timeout: 10000,
+            headers: process.env.ADMIN_TOKEN ? { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` } : {},
             validateStatus: () => true // Don't throw on non-2xx status codes
         });
+        this.anonymousClient = axios.create({
+            baseURL: baseUrl,
+            timeout: 10000,
+            validateStatus: () => true
+        });
     }
     
     async assertStatus(response, expectedStatus, message = '') {
@@ -79,6 +87,269 @@ apiTester.test('GET /api/news - should return news articles', async function() {
     }
 });
 
+apiTester.test('GET /api/news - should reject invalid query parameters', async function() {
+    let response = await this.client.get('/api/news?page=0');
+    await this.assertStatus(response, 400, 'Should reject page 0');
+
+    response = await this.client.get('/api/news?sort=random');
+    await this.assertStatus(response, 400, 'Should reject unknown sort order');
+    this.assertTrue(typeof response.data.error === 'string', 'Should explain the error');
+});
+
+// Refresh job API tests
+apiTester.test('GET /api/refresh/:jobId - should return 404 for unknown jobs', async function() {
+    let response = await this.client.get('/api/refresh/does-not-exist');
+    await this.assertStatus(response, 404);
+
+    response = await this.client.get('/api/refresh/does-not-exist/events');
+    await this.assertStatus(response, 404, 'Event stream should also 404');
+});
+
+apiTester.test('GET /api/stream - should open an event stream', async function() {
+    const response = await this.client.get('/api/stream', { responseType: 'stream' });
+    response.data.destroy(); // The stream stays open until the client disconnects
+
+    await this.assertStatus(response, 200);
+    this.assertTrue(response.headers['content-type'].startsWith('text/event-stream'), 'Should use the SSE content type');
+});
+
+// Authentication tests
+apiTester.test('Admin routes - should reject requests without a token', async function() {
+    let response = await this.anonymousClient.post('/api/sources', { name: 'Anonymous', url: 'https://example.com', category: 'Cybersecurity' });
+    await this.assertStatus(response, 401, 'Creating sources should need a token');
+
+    response = await this.anonymousClient.delete('/api/sources/1');
+    await this.assertStatus(response, 401, 'Deleting sources should need a token');
+
+    response = await this.anonymousClient.get('/api/metrics');
+    await this.assertStatus(response, 401, 'Metrics should need a token');
+
+    response = await this.anonymousClient.post('/api/refresh');
+    await this.assertStatus(response, 401, 'Refreshing should need a token');
+
+    response = await this.anonymousClient.get('/api/webhooks');
+    await this.assertStatus(response, 401, 'Webhooks should need a token');
+
+    response = await this.anonymousClient.get('/admin.html', { maxRedirects: 0 });
+    await this.assertStatus(response, 302, 'Admin page should redirect to login');
+});
+
+apiTester.test('POST /api/auth/login - should reject invalid tokens', async function() {
+    const response = await this.anonymousClient.post('/api/auth/login', { token: 'not-a-real-token' });
+    await this.assertStatus(response, 401);
+});
+
+apiTester.test('GET /api/auth/me - should report the caller role', async function() {
+    const response = await this.anonymousClient.get('/api/auth/me');
+    await this.assertStatus(response, 200);
+    this.assertFalse(response.data.authenticated);
+});
+
+apiTester.test('GET /api/sources/health - should return health summaries', async function() {
+    let response = await this.client.get('/api/sources/health');
+    await this.assertStatus(response, 200);
+    this.assertTrue(typeof response.data === 'object', 'Should return an object keyed by source ID');
+
+    response = await this.client.get('/api/sources/does-not-exist/history');
+    await this.assertStatus(response, 404, 'Unknown sources should 404');
+});
+
+apiTester.test('Search - should accept entity filters', async function() {
+    // Feeds share the /api/news query parser without triggering a first-run scrape
+    const response = await this.client.get('/feed.json?q=' + encodeURIComponent('cve:CVE-1999-0001 -vendor:"palo alto"'));
+    await this.assertStatus(response, 200);
+    this.assertEqual(response.data.items.length, 0, 'No stored article should mention this CVE');
+});
+
+apiTester.test('GET /api/scrapers - should list plugins sources can reference', async function() {
+    const response = await this.anonymousClient.get('/api/scrapers');
+    await this.assertStatus(response, 200);
+    this.assertTrue(response.data.some(scraper => scraper.id === 'bleepingcomputer'), 'Bundled scrapers should be registered');
+
+    const invalid = await this.client.post('/api/sources', { name: 'Unknown Scraper', url: 'https://example.com', category: 'AI News', scraper: 'no-such-scraper' });
+    await this.assertStatus(invalid, 400);
+
+    const created = await this.client.post('/api/sources', { name: 'Neowin Mirror', url: 'https://www.neowin.net/news/', category: 'Technology', status: 'inactive' });
+    await this.assertStatus(created, 201);
+    try {
+        this.assertEqual(created.data.scraper, 'neowin', 'A new source stores the scraper matching its URL');
+    } finally {
+        await this.client.delete(`/api/sources/${created.data.id}`);
+    }
+});
+
+apiTester.test('POST /api/sources - should reject invalid extraction rules', async function() {
+    const response = await this.client.post('/api/sources', {
+        name: 'Bad Rules',
+        url: 'https://example.com',
+        category: 'AI News',
+        selectors: { container: '.card', summary: { selector: '.excerpt', regex: '(unclosed' } }
+    });
+    await this.assertStatus(response, 400);
+    this.assertTrue(response.data.error.includes('summary.regex'), 'Error should name the broken rule');
+});
+
+apiTester.test('POST /api/sources - should validate the render mode', async function() {
+    const response = await this.client.post('/api/sources', {
+        name: 'Bad Render',
+        url: 'https://example.com',
+        category: 'AI News',
+        render: 'phantomjs'
+    });
+    await this.assertStatus(response, 400);
+    this.assertTrue(response.data.error.includes('Render'), 'Error should name the render option');
+});
+
+apiTester.test('POST /api/sources - user agent rotation should be an explicit boolean', async function() {
+    const response = await this.client.post('/api/sources', {
+        name: 'Bad Rotation',
+        url: 'https://example.com',
+        category: 'AI News',
+        rotateUserAgent: 'yes'
+    });
+    await this.assertStatus(response, 400);
+});
+
+apiTester.test('POST /api/sources/discover - should validate the URL and require admin', async function() {
+    let response = await this.client.post('/api/sources/discover', { url: 'not a url' });
+    await this.assertStatus(response, 400);
+
+    response = await this.client.post('/api/sources/discover', { url: 'http://169.254.169.254/latest/meta-data/' });
+    await this.assertStatus(response, 400);
+
+    response = await this.client.post('/api/sources/discover', { url: 'https://example.com', render: 'telepathy' });
+    await this.assertStatus(response, 400);
+
+    response = await this.anonymousClient.post('/api/sources/discover', { url: 'https://example.com' });
+    await this.assertStatus(response, 401);
+});
+
+apiTester.test('POST /api/sources - should reject URLs on internal networks', async function() {
+    for (const url of ['http://127.0.0.1:3000/api/sources', 'http://169.254.169.254/latest/meta-data/', 'http://localhost/']) {
+        const response = await this.client.post('/api/sources', {
+            name: 'Internal',
+            url,
+            category: 'AI News'
+        });
+        await this.assertStatus(response, 400);
+    }
+});
+
+apiTester.test('GET /api/cves/:id - should validate the identifier', async function() {
+    let response = await this.client.get('/api/cves/not-a-cve');
+    await this.assertStatus(response, 400);
+
+    // Not in any local NVD or KEV file
+    response = await this.client.get('/api/cves/CVE-1999-99999');
+    await this.assertStatus(response, 404);
+
+    response = await this.anonymousClient.post('/api/cves/refresh');
+    await this.assertStatus(response, 401);
+});
+
+apiTester.test('GET /api/stories - should list stories and validate filters', async function() {
+    let response = await this.client.get('/api/stories?minSources=1&sort=coverage&limit=5');
+    await this.assertStatus(response, 200);
+    this.assertTrue(Array.isArray(response.data.stories), 'Should return a stories array');
+    this.assertTrue(response.data.stories.length <= 5);
+
+    response = await this.client.get('/api/stories?sort=popular');
+    await this.assertStatus(response, 400);
+
+    response = await this.client.get('/api/stories/0000000000000000');
+    await this.assertStatus(response, 404);
+});
+
+apiTester.test('GET /api/trends - should return scored trends with sparklines', async function() {
+    let response = await this.client.get('/api/trends?window=6h&type=entity&limit=5');
+    await this.assertStatus(response, 200);
+    this.assertEqual(response.data.window, '6h');
+    this.assertTrue(Array.isArray(response.data.trends), 'Should return a trends array');
+    response.data.trends.forEach(trend => {
+        this.assertEqual(trend.type, 'entity');
+        this.assertEqual(trend.sparkline.points.length, 12);
+    });
+
+    response = await this.client.get('/api/trends?window=90d');
+    await this.assertStatus(response, 400);
+});
+
+apiTester.test('Feeds - should serve RSS, Atom and JSON Feed', async function() {
+    let response = await this.client.get('/feed.xml?category=Cybersecurity');
+    await this.assertStatus(response, 200);
+    this.assertTrue(response.headers['content-type'].startsWith('application/rss+xml'), 'Should be served as RSS');
+    this.assertTrue(response.data.includes('<rss version="2.0"'));
+
+    response = await this.client.get('/atom.xml');
+    await this.assertStatus(response, 200);
+    this.assertTrue(response.data.includes('<feed xmlns="http://www.w3.org/2005/Atom">'));
+
+    response = await this.client.get('/feed.json');
+    await this.assertStatus(response, 200);
+    this.assertEqual(response.data.version, 'https://jsonfeed.org/version/1.1');
+
+    response = await this.client.get('/feed.xml?priority=urgent');
+    await this.assertStatus(response, 400, 'Invalid filters should be rejected');
+});
+
+apiTester.test('Published collections - should be served as feeds', async function() {
+    let response = await this.anonymousClient.post('/api/collections', { name: 'Anonymous', articles: [] });
+    await this.assertStatus(response, 401);
+
+    response = await this.client.post('/api/collections', {
+        name: 'API test collection',
+        articles: [{ title: 'Saved article', link: 'https://example.com/saved', source: 'Test', savedAt: new Date().toISOString() }]
+    });
+    await this.assertStatus(response, 201);
+    const { id, feeds } = response.data;
+    this.assertTrue(feeds.rss.endsWith(`/collections/${id}/feed.xml`));
+
+    response = await this.client.get(`/collections/${id}/feed.json`);
+    await this.assertStatus(response, 200);
+    this.assertEqual(response.data.items[0].url, 'https://example.com/saved');
+
+    response = await this.client.delete(`/api/collections/${id}`);
+    await this.assertStatus(response, 200);
+
+    response = await this.client.get(`/collections/${id}/feed.xml`);
+    await this.assertStatus(response, 404, 'Unpublished collections should 404');
+});
+
+apiTester.test('GET /api/digest - should build digests', async function() {
+    let response = await this.client.get('/api/digest?period=weekly');
+    await this.assertStatus(response, 200);
+    this.assertTrue(Array.isArray(response.data.articles), 'Should include articles');
+    this.assertTrue(Array.isArray(response.data.sections), 'Should group articles into sections');
+
+    response = await this.client.get('/api/digest?format=text');
+    await this.assertStatus(response, 200);
+    this.assertTrue(response.headers['content-type'].startsWith('text/plain'), 'Should return plain text');
+
+    response = await this.client.get('/api/digest?period=hourly');
+    await this.assertStatus(response, 400, 'Unknown periods should be rejected');
+});
+
+apiTester.test('POST /api/webhooks - should validate webhooks', async function() {
+    const response = await this.client.post('/api/webhooks', { name: 'Bad', url: 'https://example.com/hook', events: ['article.deleted'] });
+    await this.assertStatus(response, 400, 'Unknown event types should be rejected');
+});
+
+apiTester.test('Push subscriptions - should expose the VAPID key and require a token to subscribe', async function() {
+    let response = await this.anonymousClient.get('/api/push/public-key');
+    await this.assertStatus(response, 200);
+    this.assertTrue(typeof response.data.publicKey === 'string' && response.data.publicKey.length > 0, 'Should return the public key');
+
+    response = await this.anonymousClient.post('/api/push/subscribe', { endpoint: 'https://push.example.com/x', keys: {} });
+    await this.assertStatus(response, 401);
+
+    response = await this.client.post('/api/push/subscribe', { endpoint: 'https://push.example.com/x', keys: {} });
+    await this.assertStatus(response, 400, 'Subscriptions without keys should be rejected');
+
+    const keys = { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' };
+    response = await this.client.post('/api/push/subscribe', { endpoint: 'https://169.254.169.254/latest/meta-data/', keys });
+    await this.assertStatus(response, 400, 'Endpoints on private addresses should be rejected');
+});
+
 // Sources API tests
 apiTester.test('GET /api/sources - should return news sources', async function() {
     const response = await this.client.get('/api/sources');
@@ -0,0 +1,106 @@
+/**
+ * Tests for /api/news query parsing and filtering
+ */
+
+const { parseNewsQuery, parseSearchQuery, parseDateBound, queryArticles } = require('../utils/articleQuery');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+const now = Date.now();
+const hoursAgo = hours => new Date(now - hours * 60 * 60 * 1000).toISOString();
+
+const articles = [
+    { id: 'a', title: 'Zero-day in Chrome exploited', summary: 'Google patches actively exploited flaw', source: 'BleepingComputer', category: 'AI News', priority: 'critical', priorityScore: 15, scraped: hoursAgo(1),
+        entities: { cves: ['CVE-2025-1234'], maxCvss: 9.8, vendors: ['Google'], products: ['Chrome'], threatActors: [], malware: [], companies: [] } },
+    { id: 'b', title: 'New coding assistant released', summary: 'Developer tooling update', source: 'Neowin', category: 'Coding Tools', priority: 'medium', priorityScore: 3, scraped: hoursAgo(30) },
+    { id: 'c', title: 'Ransomware gang targets hospitals', summary: 'Healthcare breach disclosed', source: 'SecurityWeek', category: 'AI News', priority: 'high', priorityScore: 8, scraped: hoursAgo(5),
+        entities: { cves: ['CVE-2024-5678'], maxCvss: 7.5, vendors: ['Palo Alto Networks'], products: [], threatActors: ['Scattered Spider'], malware: ['LockBit'], companies: [] } }
+];
+
+function query(params) {
+    const parsed = parseNewsQuery(params);
+    if (!parsed.valid) throw new Error(parsed.error);
+    return queryArticles(articles, parsed.data);
+}
+
+runner.test('parseNewsQuery - should reject invalid parameters', function() {
+    this.assertFalse(parseNewsQuery({ page: '0' }).valid, 'Should reject page 0');
+    this.assertFalse(parseNewsQuery({ page: '2abc' }).valid, 'Should reject page with trailing characters');
+    this.assertFalse(parseNewsQuery({ limit: '10xyz' }).valid, 'Should reject limit with trailing characters');
+    this.assertFalse(parseNewsQuery({ page: '-1' }).valid, 'Should reject negative page');
+    this.assertFalse(parseNewsQuery({ limit: '1.5' }).valid, 'Should reject fractional limit');
+    this.assertFalse(parseNewsQuery({ page: ['1', '2'] }).valid, 'Should reject repeated page');
+    this.assertFalse(parseNewsQuery({ sort: 'random' }).valid, 'Should reject unknown sort');
+    this.assertFalse(parseNewsQuery({ priority: 'urgent' }).valid, 'Should reject unknown priority');
+    this.assertFalse(parseNewsQuery({ since: 'last tuesday' }).valid, 'Should reject unparseable dates');
+    this.assertEqual(parseNewsQuery({ limit: '5000' }).data.limit, 100, 'Should cap limit');
+});
+
+runner.test('parseDateBound - should accept relative durations and ISO dates', function() {
+    this.assertEqual(parseDateBound('2h', 10 * 60 * 60 * 1000), 8 * 60 * 60 * 1000);
+    this.assertEqual(parseDateBound('2025-10-01T00:00:00Z'), Date.parse('2025-10-01T00:00:00Z'));
+});
+
+runner.test('parseSearchQuery - should support phrases, required and excluded terms', function() {
+    const parsed = parseSearchQuery('"zero-day" +chrome -firefox patch');
+    this.assertEqual(parsed.exactPhrases[0], 'zero-day');
+    this.assertEqual(parsed.includeTerms.join(','), 'chrome,patch');
+    this.assertEqual(parsed.excludeTerms[0], 'firefox');
+});
+
+runner.test('queryArticles - should filter by category, source, priority and time', function() {
+    this.assertEqual(query({ category: 'ai news' }).pagination.total, 2);
+    this.assertEqual(query({ source: 'Neowin,SecurityWeek' }).pagination.total, 2);
+    this.assertEqual(query({ priority: 'critical,high' }).pagination.total, 2);
+    this.assertEqual(query({ since: '24h' }).pagination.total, 2);
+    this.assertEqual(query({ until: '24h' }).articles[0].id, 'b');
+});
+
+runner.test('queryArticles - should filter dates by publishedAt, falling back to scraped', function() {
+    const backfill = [
+        { id: 'old', title: 'Backfilled story', scraped: hoursAgo(1), publishedAt: hoursAgo(10 * 24) },
+        { id: 'new', title: 'Fresh story', scraped: hoursAgo(2), publishedAt: hoursAgo(3) },
+        { id: 'undated', title: 'Undated story', scraped: hoursAgo(4), publishedAt: 'Recently' }
+    ];
+    const ids = params => queryArticles(backfill, parseNewsQuery(params).data).articles.map(a => a.id).sort().join(',');
+
+    this.assertEqual(ids({ since: '7d' }), 'new,undated', 'Old articles scraped recently are not in last week');
+    this.assertEqual(ids({ until: '7d' }), 'old');
+});
+
+runner.test('queryArticles - should search and sort', function() {
+    this.assertEqual(query({ q: 'exploited -ransomware' }).articles[0].id, 'a');
+    this.assertEqual(query({ sort: 'priority' }).articles.map(a => a.id).join(','), 'a,c,b');
+    this.assertEqual(query({ sort: 'oldest' }).articles[0].id, 'b');
+});
+
+runner.test('queryArticles - should filter by extracted entities', function() {
+    this.assertEqual(query({ q: 'cve:CVE-2025-1234' }).articles.map(a => a.id).join(','), 'a');
+    this.assertEqual(query({ q: 'vendor:"palo alto"' }).articles.map(a => a.id).join(','), 'c', 'Leading words of a name should match');
+    this.assertEqual(query({ q: 'actor:"Scattered Spider" malware:lockbit' }).pagination.total, 1);
+    this.assertEqual(query({ q: 'cvss:>=9' }).articles.map(a => a.id).join(','), 'a');
+    const enriched = [{ ...articles[2], cvssScore: 9.1 }];
+    this.assertEqual(queryArticles(enriched, parseNewsQuery({ q: 'cvss:9' }).data).pagination.total, 1, 'NVD scores from CVE enrichment should take precedence');
+    this.assertEqual(query({ q: '-vendor:google' }).pagination.total, 2, 'Negated filters should exclude matches');
+    this.assertEqual(query({ q: 'vendor:micro' }).pagination.total, 0, 'Partial words should not match');
+
+    const parsed = parseSearchQuery('cvss:11 product:chrome patch');
+    this.assertEqual(parsed.entityFilters.length, 1, 'Out-of-range CVSS filters should be ignored');
+    this.assertEqual(parsed.includeTerms.join(','), 'patch');
+});
+
+runner.test('queryArticles - should paginate with metadata', function() {
+    const result = query({ page: '2', limit: '2' });
+    this.assertEqual(result.articles.length, 1);
+    this.assertEqual(result.pagination.totalPages, 2);
+    this.assertFalse(result.pagination.hasNext);
+    this.assertTrue(result.pagination.hasPrev);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
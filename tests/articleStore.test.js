@@ -0,0 +1,92 @@
+/**
+ * Tests for the persistent article store
+ * Uses a throwaway JSON-lines file in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ArticleStore } = require('../services/articleStore');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'article-store-'));
+let fileCounter = 0;
+
+function createStore() {
+    return new ArticleStore({ filePath: path.join(tempDir, `articles-${fileCounter++}.jsonl`) });
+}
+
+runner.test('generateId - should ignore tracking parameters and www prefix', function() {
+    const a = ArticleStore.generateId({ link: 'https://www.example.com/post?utm_source=feed#comments' });
+    const b = ArticleStore.generateId({ link: 'https://example.com/post' });
+    this.assertEqual(a, b);
+    this.assertEqual(a.length, 16);
+});
+
+runner.test('upsertMany - should preserve first-seen time and AI summaries', async function() {
+    const store = createStore();
+    const article = { title: 'Patch released', link: 'https://example.com/patch', source: 'Example', scraped: '2025-10-01T00:00:00.000Z' };
+
+    const first = await store.upsertMany([{ ...article, aiSummary: { overview: 'Generated overview' } }]);
+    this.assertEqual(first.inserted, 1);
+    this.assertEqual(first.newArticles.length, 1);
+
+    const second = await store.upsertMany([{ ...article, scraped: '2025-10-02T00:00:00.000Z', aiSummary: 'Keyword fallback' }]);
+    const stored = second.articles[0];
+    this.assertEqual(second.updated, 1);
+    this.assertEqual(second.newArticles.length, 0, 'Updates should not be reported as new');
+    this.assertEqual(stored.firstSeen, first.articles[0].firstSeen);
+    this.assertEqual(stored.scraped, '2025-10-01T00:00:00.000Z', 'Should keep original scrape time');
+    this.assertEqual(stored.aiSummary.overview, 'Generated overview', 'Should not overwrite AI summary');
+});
+
+runner.test('load - should restore articles from disk', async function() {
+    const store = createStore();
+    await store.upsertMany([
+        { title: 'One', link: 'https://example.com/1', source: 'Example' },
+        { title: 'Two', link: 'https://example.com/2', source: 'Example' }
+    ]);
+
+    const reloaded = new ArticleStore({ filePath: store.filePath });
+    const articles = await reloaded.getAll();
+    this.assertEqual(articles.length, 2);
+});
+
+runner.test('prune - should drop articles outside the retention window', async function() {
+    const store = createStore();
+    const { articles } = await store.upsertMany([{ title: 'Old', link: 'https://example.com/old', source: 'Example' }]);
+    store.articles.get(articles[0].id).lastSeen = '2000-01-01T00:00:00.000Z';
+
+    const removed = await store.prune();
+    this.assertEqual(removed, 1);
+    this.assertEqual(store.size(), 0);
+});
+
+runner.test('touchSource - should keep an unchanged source\'s articles current', async function() {
+    const store = createStore();
+    const { articles } = await store.upsertMany([
+        { title: 'Listed', link: 'https://example.com/listed', source: 'Example' },
+        { title: 'Other', link: 'https://other.example/post', source: 'Other' }
+    ]);
+    articles.forEach(article => { store.articles.get(article.id).lastSeen = '2000-01-01T00:00:00.000Z'; });
+
+    this.assertTrue(store.hasSource('Example'));
+    this.assertFalse(store.hasSource('Renamed'), 'A source without stored articles has to be parsed in full');
+    this.assertEqual(await store.touchSource('Example'), 1);
+
+    const live = await store.getAll({ maxAgeMs: 7 * 24 * 60 * 60 * 1000 });
+    this.assertEqual(live.map(article => article.title).join(','), 'Listed', 'Only the touched source counts as recently seen');
+    this.assertEqual(await store.prune(), 1, 'The touched article survives pruning');
+
+    const reloaded = new ArticleStore({ filePath: store.filePath });
+    this.assertEqual((await reloaded.getAll({ maxAgeMs: 60 * 1000 })).length, 1, 'The new lastSeen is persisted');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
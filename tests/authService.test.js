@@ -0,0 +1,93 @@
+/**
+ * Tests for the authentication service
+ * Uses a throwaway token file in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthService } = require('../services/authService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-service-'));
+let fileCounter = 0;
+
+function createService(adminToken = 'env-admin-token') {
+    return new AuthService({ filePath: path.join(tempDir, `tokens-${fileCounter++}.json`), adminToken });
+}
+
+runner.test('createToken - should store only a hash of the token', async function() {
+    const service = createService();
+    await service.load();
+    const { token, id, role } = await service.createToken({ name: 'Laptop', role: 'reader' });
+
+    const stored = fs.readFileSync(service.filePath, 'utf8');
+    this.assertFalse(stored.includes(token), 'Plaintext token should not be written to disk');
+    this.assertTrue(stored.includes(AuthService.hashToken(token)));
+    this.assertEqual(role, 'reader');
+
+    const identity = await service.verify(token);
+    this.assertEqual(identity.id, id);
+    this.assertEqual(identity.role, 'reader');
+});
+
+runner.test('verify - should reject unknown tokens and accept ADMIN_TOKEN', async function() {
+    const service = createService();
+
+    this.assertNull(await service.verify('not-a-token'));
+    this.assertNull(await service.verify(undefined));
+    this.assertEqual((await service.verify('env-admin-token')).role, 'admin');
+});
+
+runner.test('revokeToken - should stop a token from verifying', async function() {
+    const service = createService();
+    const { token, id } = await service.createToken({ name: 'Phone', role: 'admin' });
+
+    this.assertTrue(await service.revokeToken(id));
+    this.assertNull(await service.verify(token));
+    this.assertFalse(await service.revokeToken(id), 'Second revoke should report nothing removed');
+});
+
+runner.test('load - should create an initial admin token when none are configured', async function() {
+    const service = createService(null);
+    await service.load();
+
+    const tokens = await service.listTokens();
+    this.assertEqual(tokens.length, 1);
+    this.assertEqual(tokens[0].role, 'admin');
+    this.assertTrue(tokens[0].hash === undefined, 'Listed tokens should not expose hashes');
+});
+
+runner.test('hasRole - admin should satisfy reader but not the reverse', function() {
+    const service = createService();
+
+    this.assertTrue(service.hasRole({ role: 'admin' }, 'reader'));
+    this.assertTrue(service.hasRole({ role: 'reader' }, 'reader'));
+    this.assertFalse(service.hasRole({ role: 'reader' }, 'admin'));
+    this.assertFalse(service.hasRole(null, 'reader'));
+});
+
+runner.test('getRequestToken - should read bearer headers and the login cookie', function() {
+    const service = createService();
+
+    this.assertEqual(service.getRequestToken({ headers: { authorization: 'Bearer abc123' } }), 'abc123');
+    this.assertEqual(service.getRequestToken({ headers: { cookie: 'theme=dark; auth_token=xyz789' } }), 'xyz789');
+    this.assertNull(service.getRequestToken({ headers: {} }));
+});
+
+runner.test('validateTokenRequest - should require a name and a known role', function() {
+    const service = createService();
+
+    this.assertFalse(service.validateTokenRequest({ role: 'reader' }).valid);
+    this.assertFalse(service.validateTokenRequest({ name: 'Tablet', role: 'owner' }).valid);
+    this.assertEqual(service.validateTokenRequest({ name: ' Tablet ' }).data.role, 'reader', 'Role should default to reader');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
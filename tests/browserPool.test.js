@@ -0,0 +1,251 @@
+/**
+ * Tests for the headless browser pool
+ * Uses a fake Playwright browser so no Chromium install is needed
+ */
+
+const { EventEmitter } = require('events');
+const { BrowserPool } = require('../services/browserPool');
+const { assertPublicUrl, parseAllowlist } = require('../utils/ssrfGuard');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+// Sends a navigation through the context's route handler the way Chromium does: the route sees
+// each request and a fulfilled redirect is followed with a new request for its Location, but a
+// continued request follows its redirects inside the browser without asking the route again.
+// `site` maps URLs to { status, location }; anything else answers 200.
+async function navigate(url, handler, site, log) {
+    let currentUrl = url;
+    for (let hop = 0; hop < 10; hop++) {
+        let outcome = null;
+        await handler({
+            request: () => ({ url: () => currentUrl, method: () => 'GET', headers: () => ({ accept: '*/*' }), postDataBuffer: () => null }),
+            fetch: async ({ maxRedirects }) => {
+                log.fetched.push(currentUrl);
+                log.maxRedirects.push(maxRedirects);
+                const page = site[currentUrl] || { status: 200 };
+                return {
+                    status: () => page.status,
+                    headers: () => (page.location ? { location: page.location } : {}),
+                    body: async () => Buffer.from('')
+                };
+            },
+            continue: async () => { outcome = { type: 'continue' }; },
+            fulfill: async response => { outcome = { type: 'fulfill', response }; },
+            abort: async reason => { outcome = { type: 'abort', reason }; }
+        });
+
+        if (outcome.type === 'abort') {
+            throw new Error(`net::ERR_${outcome.reason === 'blockedbyclient' ? 'BLOCKED_BY_CLIENT' : 'FAILED'} at ${currentUrl}`);
+        }
+        if (outcome.type === 'continue') {
+            log.fetched.push(currentUrl);
+            while (site[currentUrl] && site[currentUrl].location) {
+                currentUrl = new URL(site[currentUrl].location, currentUrl).href;
+                log.fetched.push(currentUrl);
+            }
+            return currentUrl;
+        }
+        const location = outcome.response.headers.location;
+        if (!location) return currentUrl;
+        currentUrl = new URL(location, currentUrl).href;
+    }
+    throw new Error('net::ERR_TOO_MANY_REDIRECTS');
+}
+
+// Records what the pool asks of Playwright; pages take `delay` ms to load
+function createFakeBrowser(options = {}) {
+    const browser = new EventEmitter();
+    browser.log = { contexts: 0, closedContexts: 0, waitedFor: [], inFlight: 0, maxInFlight: 0, closed: false, fetched: [], maxRedirects: [] };
+
+    browser.newContext = async () => {
+        browser.log.contexts++;
+        let routeHandler = null;
+        let pageUrl = 'about:blank';
+        return {
+            route: async (pattern, handler) => {
+                routeHandler = handler;
+            },
+            newPage: async () => ({
+                setDefaultTimeout: () => {},
+                goto: async (url) => {
+                    browser.log.inFlight++;
+                    browser.log.maxInFlight = Math.max(browser.log.maxInFlight, browser.log.inFlight);
+                    await new Promise(resolve => setTimeout(resolve, options.delay || 5));
+                    browser.log.inFlight--;
+                    if (options.failGoto) throw new Error('net::ERR_NAME_NOT_RESOLVED');
+                    pageUrl = routeHandler ? await navigate(url, routeHandler, options.site || {}, browser.log) : url;
+                    return { status: () => 200 };
+                },
+                url: () => pageUrl,
+                waitForSelector: async (selector) => {
+                    browser.log.waitedFor.push(selector);
+                    if (options.missingSelector) throw new Error('Timeout exceeded');
+                },
+                waitForLoadState: async () => {},
+                content: async () => `<html><body><article><h2>Rendered</h2></article></body></html>`
+            }),
+            close: async () => {
+                browser.log.closedContexts++;
+            }
+        };
+    };
+    browser.close = async () => {
+        browser.log.closed = true;
+        browser.emit('disconnected');
+    };
+    return browser;
+}
+
+runner.test('render - should share one browser and return the rendered DOM', async function() {
+    const browser = createFakeBrowser();
+    let launches = 0;
+    const pool = new BrowserPool({ launcher: async () => { launches++; return browser; }, idleTimeout: 50 });
+
+    const results = await Promise.all([
+        pool.render('https://spa.example.com/', { waitFor: 'article h2' }),
+        pool.render('https://spa.example.com/news')
+    ]);
+
+    this.assertEqual(launches, 1, 'Concurrent renders should share one launch');
+    this.assertTrue(results[0].html.includes('<h2>Rendered</h2>'));
+    this.assertEqual(results[0].status, 200);
+    this.assertEqual(browser.log.waitedFor.join(','), 'article h2', 'Only the render with waitFor should wait for a selector');
+    this.assertEqual(browser.log.closedContexts, 2, 'Every context should be closed');
+
+    await pool.close();
+    this.assertTrue(browser.log.closed);
+});
+
+runner.test('render - should cap concurrent pages', async function() {
+    const browser = createFakeBrowser({ delay: 20 });
+    const pool = new BrowserPool({ launcher: async () => browser, concurrency: 2 });
+
+    await Promise.all([1, 2, 3, 4, 5].map(n => pool.render(`https://spa.example.com/${n}`)));
+
+    this.assertEqual(browser.log.maxInFlight, 2, 'No more than two pages should load at once');
+    this.assertEqual(browser.log.contexts, 5);
+    this.assertEqual(pool.getStats().active, 0, 'All slots should be released');
+    this.assertEqual(pool.getStats().renders, 5);
+    await pool.close();
+});
+
+runner.test('render - should release the slot and context when a page fails', async function() {
+    const browser = createFakeBrowser({ failGoto: true });
+    const pool = new BrowserPool({ launcher: async () => browser, concurrency: 1 });
+
+    for (const url of ['https://down.example.com/a', 'https://down.example.com/b']) {
+        let error = null;
+        try {
+            await pool.render(url);
+        } catch (e) {
+            error = e;
+        }
+        this.assertTrue(error && error.message.includes('ERR_NAME_NOT_RESOLVED'), 'Navigation errors should reach the caller');
+    }
+
+    this.assertEqual(browser.log.closedContexts, 2);
+    this.assertEqual(pool.getStats().failures, 2);
+    this.assertEqual(pool.getStats().active, 0);
+    await pool.close();
+});
+
+runner.test('render - should return the page when the waitFor selector never appears', async function() {
+    const browser = createFakeBrowser({ missingSelector: true });
+    const pool = new BrowserPool({ launcher: async () => browser });
+
+    const result = await pool.render('https://spa.example.com/', { waitFor: '.never' });
+    this.assertTrue(result.html.includes('Rendered'), 'Whatever rendered should still be handed over');
+    await pool.close();
+});
+
+runner.test('getBrowser - should explain launch failures and retry on the next render', async function() {
+    let attempts = 0;
+    const pool = new BrowserPool({
+        launcher: async () => {
+            attempts++;
+            if (attempts === 1) throw new Error("Executable doesn't exist");
+            return createFakeBrowser();
+        }
+    });
+
+    let error = null;
+    try {
+        await pool.render('https://spa.example.com/');
+    } catch (e) {
+        error = e;
+    }
+    this.assertTrue(error && error.message.includes('npx playwright install chromium'), 'The error should say how to install a browser');
+
+    const result = await pool.render('https://spa.example.com/');
+    this.assertTrue(result.html.includes('Rendered'), 'A later render should launch again');
+    this.assertEqual(pool.getStats().launches, 2);
+    await pool.close();
+});
+
+runner.test('render - should check every redirect hop against allowRequest', async function() {
+    const browser = createFakeBrowser({
+        site: {
+            'https://93.184.216.34/moved': { status: 301, location: '/news' },
+            'https://93.184.216.34/internal': { status: 302, location: 'http://127.0.0.1:3000/api/sources' }
+        }
+    });
+    const pool = new BrowserPool({ launcher: async () => browser });
+    const noAllowlist = parseAllowlist('');
+    const allowRequest = requestUrl => assertPublicUrl(requestUrl, noAllowlist).then(() => true, () => false);
+
+    await pool.render('https://93.184.216.34/moved', { allowRequest });
+    this.assertEqual(browser.log.fetched.join(' '), 'https://93.184.216.34/moved https://93.184.216.34/news', 'Public redirects are followed');
+    this.assertTrue(browser.log.maxRedirects.every(max => max === 0), 'Redirects are never followed outside the route');
+
+    let error = null;
+    try {
+        await pool.render('https://93.184.216.34/internal', { allowRequest });
+    } catch (e) {
+        error = e;
+    }
+    this.assertTrue(error && error.message.includes('ERR_BLOCKED_BY_CLIENT'), 'A redirect to a private address should fail the render');
+    this.assertFalse(browser.log.fetched.some(url => url.startsWith('http://127.0.0.1')), 'The private address is never requested');
+    this.assertEqual(pool.getStats().active, 0);
+    await pool.close();
+});
+
+runner.test('render - should fetch routed requests with fetchRequest when one is given', async function() {
+    const site = {
+        'https://93.184.216.34/moved': { status: 301, location: '/news' },
+        'https://93.184.216.34/internal': { status: 302, location: 'http://127.0.0.1:3000/api/sources' }
+    };
+    const browser = createFakeBrowser({ site });
+    const pool = new BrowserPool({ launcher: async () => browser });
+    const noAllowlist = parseAllowlist('');
+    const requested = [];
+    const options = {
+        allowRequest: requestUrl => assertPublicUrl(requestUrl, noAllowlist).then(() => true, () => false),
+        fetchRequest: async ({ url, method }) => {
+            requested.push(`${method} ${url}`);
+            const page = site[url] || { status: 200 };
+            return { status: page.status, headers: page.location ? { location: page.location } : {}, body: Buffer.from('') };
+        }
+    };
+
+    await pool.render('https://93.184.216.34/moved', options);
+    this.assertEqual(requested.join(' '), 'GET https://93.184.216.34/moved GET https://93.184.216.34/news');
+    this.assertEqual(browser.log.fetched.length, 0, 'The browser should not fetch anything itself');
+
+    let error = null;
+    try {
+        await pool.render('https://93.184.216.34/internal', options);
+    } catch (e) {
+        error = e;
+    }
+    this.assertTrue(error && error.message.includes('ERR_BLOCKED_BY_CLIENT'), 'A redirect to a private address should fail the render');
+    this.assertFalse(requested.some(url => url.includes('127.0.0.1')), 'The private address is never requested');
+    await pool.close();
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
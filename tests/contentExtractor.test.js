@@ -0,0 +1,55 @@
+/**
+ * Tests for readable content extraction
+ */
+
+const { extractReadableContent } = require('../utils/contentExtractor');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+const paragraphs = Array.from({ length: 4 }, (_, i) =>
+    `<p>Paragraph ${i} explains the flaw, how attackers exploited it, and which versions are affected by the issue.</p>`
+).join('');
+
+const PAGE = `<html><body>
+    <header><nav><a href="/">Home</a><a href="/news">News</a></nav></header>
+    <div class="sidebar"><p>Subscribe to our newsletter for daily updates, breaking stories and more.</p></div>
+    <div class="entry-content">
+        ${paragraphs}
+        <script>alert("xss")</script>
+        <p>Read next: <a href="/other">A completely different story that is entirely a link</a></p>
+    </div>
+    <div class="comments"><p>Great write-up, thanks for sharing this with all of us here!</p></div>
+    <footer><p>Copyright Example Media. All rights reserved in every jurisdiction.</p></footer>
+</body></html>`;
+
+runner.test('extractReadableContent - should keep the article body and drop boilerplate', function() {
+    const result = extractReadableContent(PAGE);
+
+    this.assertTrue(result !== null, 'Should find a body');
+    this.assertTrue(result.text.startsWith('Paragraph 0'), 'Should start with the first body paragraph');
+    this.assertFalse(result.text.includes('newsletter'), 'Should drop sidebar text');
+    this.assertFalse(result.text.includes('Great write-up'), 'Should drop comments');
+    this.assertFalse(result.text.includes('Read next'), 'Should drop link-heavy paragraphs');
+    this.assertTrue(result.wordCount > 50, 'Should count words');
+});
+
+runner.test('extractReadableContent - should rebuild safe HTML', function() {
+    const result = extractReadableContent(`<article><p>${'Escaped &lt;script&gt; text stays inert, even in long paragraphs. '.repeat(6)}</p></article>`);
+
+    this.assertTrue(result.html.startsWith('<p>'), 'Should wrap blocks in paragraphs');
+    this.assertFalse(result.html.includes('<script>'), 'Should escape markup found in text');
+});
+
+runner.test('extractReadableContent - should return null for pages without a body', function() {
+    this.assertNull(extractReadableContent('<html><body><nav><a href="/">Home</a></nav></body></html>'));
+    this.assertNull(extractReadableContent(''));
+    this.assertNull(extractReadableContent(null));
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,136 @@
+/**
+ * Tests for robots.txt parsing and the crawl policy
+ * robots.txt downloads are replaced by an in-memory fetcher
+ */
+
+const { parseRobots, getRulesFor, isAllowed } = require('../utils/robotsParser');
+const { CrawlPolicy, getProductToken } = require('../services/crawlPolicy');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+const ROBOTS = `
+# Comments and blank lines are ignored
+User-agent: *
+Disallow: /private/
+Disallow: /*.pdf$
+Allow: /private/press/
+Crawl-delay: 5
+
+User-agent: BadBot
+User-agent: NewsAggregator
+Disallow: /search
+Allow: /search/about
+Crawl-delay: 2
+
+Sitemap: https://news.example.com/sitemap.xml
+`;
+
+runner.test('parseRobots - should group agents and read rules, delays and sitemaps', function() {
+    const robots = parseRobots(ROBOTS);
+    this.assertEqual(robots.groups.length, 2);
+    this.assertEqual(robots.groups[1].agents.join(','), 'badbot,newsaggregator', 'Consecutive User-agent lines share a group');
+    this.assertEqual(robots.sitemaps[0], 'https://news.example.com/sitemap.xml');
+
+    this.assertEqual(getRulesFor(robots, 'NewsAggregator').crawlDelay, 2, 'Our own group should win over *');
+    this.assertEqual(getRulesFor(robots, 'OtherBot').crawlDelay, 5);
+    this.assertEqual(getProductToken('NewsAggregator/1.0 (+https://github.com/ShaKy8/NewsAggregator)'), 'NewsAggregator');
+});
+
+runner.test('isAllowed - should apply the longest matching rule', function() {
+    const robots = parseRobots(ROBOTS);
+    const url = path => `https://news.example.com${path}`;
+
+    this.assertFalse(isAllowed(robots, 'OtherBot', url('/private/report')));
+    this.assertTrue(isAllowed(robots, 'OtherBot', url('/private/press/release')), 'A longer Allow beats a shorter Disallow');
+    this.assertFalse(isAllowed(robots, 'OtherBot', url('/files/report.pdf')));
+    this.assertTrue(isAllowed(robots, 'OtherBot', url('/files/report.pdf?download=1')), '$ anchors the end of the URL');
+    this.assertTrue(isAllowed(robots, 'OtherBot', url('/')));
+
+    this.assertFalse(isAllowed(robots, 'newsaggregator', url('/search?q=cve')), 'Agent names match case-insensitively');
+    this.assertTrue(isAllowed(robots, 'NewsAggregator', url('/search/about')));
+    this.assertTrue(isAllowed(robots, 'NewsAggregator', url('/private/report')), 'Only our own group applies once it exists');
+    this.assertTrue(isAllowed(robots, 'NewsAggregator', url('/robots.txt')));
+
+    const tie = parseRobots('User-agent: *\nDisallow: /page\nAllow: /page');
+    this.assertTrue(isAllowed(tie, 'Bot', url('/page')), 'Allow wins a tie');
+    this.assertTrue(isAllowed(parseRobots('User-agent: *\nDisallow:'), 'Bot', url('/anything')), 'An empty Disallow allows everything');
+});
+
+runner.test('isAllowed - should match wildcards in linear time', function() {
+    const url = path => `https://news.example.com${path}`;
+    const wildcards = parseRobots('User-agent: *\nDisallow: /*.json$\nDisallow: /a**b*c\nDisallow: /tag/*/feed');
+    this.assertFalse(isAllowed(wildcards, 'Bot', url('/api/data.json')));
+    this.assertTrue(isAllowed(wildcards, 'Bot', url('/api/data.json?page=2')));
+    this.assertFalse(isAllowed(wildcards, 'Bot', url('/a-x-b-y-c-z')), 'Repeated * behave like one');
+    this.assertTrue(isAllowed(wildcards, 'Bot', url('/a-c-b')), 'Pieces must appear in order');
+    this.assertFalse(isAllowed(wildcards, 'Bot', url('/tag/security/feed/')));
+    this.assertTrue(isAllowed(parseRobots('User-agent: *\nDisallow: /ab*ba$'), 'Bot', url('/aba')), 'Pieces may not overlap');
+
+    // A hostile robots.txt must not be able to stall the event loop
+    const hostile = parseRobots(`User-agent: *\nDisallow: /${'a*'.repeat(30)}b\nDisallow: /${'*a'.repeat(30)}$`);
+    const startedAt = Date.now();
+    this.assertTrue(isAllowed(hostile, 'Bot', url(`/${'a'.repeat(5000)}c`)));
+    this.assertTrue(Date.now() - startedAt < 1000, 'Pathological rules should be checked quickly');
+});
+
+runner.test('check - should fetch robots.txt once per site and honor it', async function() {
+    const requested = [];
+    const policy = new CrawlPolicy({
+        userAgent: 'NewsAggregator/1.0',
+        fetchRobots: async url => {
+            requested.push(url);
+            return url.startsWith('https://news.example.com') ? { status: 200, body: ROBOTS } : { status: 404, body: '' };
+        }
+    });
+
+    const results = await Promise.all([
+        policy.check('https://news.example.com/'),
+        policy.check('https://news.example.com/search?q=x'),
+        policy.check('https://blog.example.org/anything')
+    ]);
+
+    this.assertEqual(requested.length, 2, 'Concurrent checks should share one robots.txt request per site');
+    this.assertTrue(results[0].allowed);
+    this.assertEqual(results[0].crawlDelayMs, 2000);
+    this.assertFalse(results[1].allowed);
+    this.assertEqual(results[1].reason, 'disallowed');
+    this.assertTrue(results[2].allowed, 'A missing robots.txt allows everything');
+
+    await policy.check('https://news.example.com/later');
+    this.assertEqual(requested.length, 2, 'robots.txt should be cached');
+});
+
+runner.test('check - should not crawl sites whose robots.txt is unreachable', async function() {
+    let status = 503;
+    const policy = new CrawlPolicy({
+        userAgent: 'NewsAggregator/1.0',
+        cacheTtl: 1,
+        fetchRobots: async () => {
+            if (status === null) throw new Error('getaddrinfo ENOTFOUND');
+            return { status, body: 'User-agent: *\nCrawl-delay: 600' };
+        }
+    });
+
+    const unavailable = await policy.check('https://down.example.com/');
+    this.assertFalse(unavailable.allowed);
+    this.assertEqual(unavailable.reason, 'unreachable', 'Server errors are not robots blocks');
+
+    // Once a good copy is cached, outages fall back to it
+    policy.cache.clear();
+    status = 200;
+    const allowed = await policy.check('https://down.example.com/');
+    this.assertTrue(allowed.allowed);
+    this.assertEqual(allowed.crawlDelayMs, 60000, 'Crawl-delay should be capped');
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    status = null;
+    this.assertTrue((await policy.check('https://down.example.com/')).allowed);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
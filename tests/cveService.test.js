@@ -0,0 +1,145 @@
+/**
+ * Tests for CVE enrichment from local NVD and KEV files
+ * Uses throwaway feed files in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CveService, parseNvdRecord } = require('../services/cveService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cves-'));
+let dirCounter = 0;
+
+const NVD_FEED = {
+    format: 'NVD_CVE',
+    version: '2.0',
+    vulnerabilities: [
+        {
+            cve: {
+                id: 'CVE-2025-0282',
+                lastModified: '2025-01-10T00:00:00.000',
+                descriptions: [{ lang: 'en', value: 'A stack-based buffer overflow in Ivanti Connect Secure allows remote code execution.' }],
+                metrics: {
+                    cvssMetricV31: [{ type: 'Primary', cvssData: { version: '3.1', baseScore: 9.0, baseSeverity: 'CRITICAL' } }],
+                    cvssMetricV2: [{ type: 'Primary', cvssData: { version: '2.0', baseScore: 7.5 }, baseSeverity: 'HIGH' }]
+                },
+                configurations: [{
+                    nodes: [{
+                        cpeMatch: [
+                            { vulnerable: true, criteria: 'cpe:2.3:a:ivanti:connect_secure:22.7:*:*:*:*:*:*:*' },
+                            { vulnerable: false, criteria: 'cpe:2.3:o:linux:linux_kernel:-:*:*:*:*:*:*:*' }
+                        ]
+                    }]
+                }]
+            }
+        },
+        {
+            cve: {
+                id: 'CVE-2025-1111',
+                lastModified: '2025-02-01T00:00:00.000',
+                descriptions: [{ lang: 'en', value: 'An information disclosure issue.' }],
+                metrics: { cvssMetricV31: [{ type: 'Primary', cvssData: { version: '3.1', baseScore: 5.3, baseSeverity: 'MEDIUM' } }] }
+            }
+        }
+    ]
+};
+
+const KEV_CATALOG = {
+    catalogVersion: '2025.01.10',
+    vulnerabilities: [{
+        cveID: 'CVE-2025-0282',
+        vendorProject: 'Ivanti',
+        product: 'Connect Secure',
+        vulnerabilityName: 'Ivanti Connect Secure Stack-Based Buffer Overflow Vulnerability',
+        dateAdded: '2025-01-08',
+        dueDate: '2025-01-15',
+        knownRansomwareCampaignUse: 'Unknown'
+    }]
+};
+
+function createService(files) {
+    const dataDir = path.join(tempDir, `data-${dirCounter++}`);
+    fs.mkdirSync(dataDir);
+    Object.entries(files).forEach(([name, data]) => fs.writeFileSync(path.join(dataDir, name), JSON.stringify(data)));
+    return new CveService({ dataDir });
+}
+
+runner.test('parseNvdRecord - should read NVD 2.0 and legacy 1.1 records', function() {
+    const current = parseNvdRecord(NVD_FEED.vulnerabilities[0]);
+    this.assertEqual(current.id, 'CVE-2025-0282');
+    this.assertEqual(current.cvssScore, 9.0, 'The newest CVSS version should win');
+    this.assertEqual(current.severity, 'CRITICAL');
+    this.assertEqual(current.products.join(','), 'ivanti connect secure', 'Only vulnerable configurations are affected products');
+
+    const legacy = parseNvdRecord({
+        cve: { CVE_data_meta: { ID: 'CVE-2021-44228' }, description: { description_data: [{ lang: 'en', value: 'Log4Shell' }] } },
+        configurations: { nodes: [{ children: [{ cpe_match: [{ vulnerable: true, cpe23Uri: 'cpe:2.3:a:apache:log4j:2.0:*:*:*:*:*:*:*' }] }] }] },
+        impact: { baseMetricV3: { cvssV3: { version: '3.1', baseScore: 10.0, baseSeverity: 'CRITICAL' } } },
+        lastModifiedDate: '2023-04-03T20:15Z'
+    });
+    this.assertEqual(legacy.id, 'CVE-2021-44228');
+    this.assertEqual(legacy.cvssScore, 10.0);
+    this.assertEqual(legacy.products.join(','), 'apache log4j');
+
+    this.assertEqual(parseNvdRecord({ cve: { id: 'not-a-cve' } }), null);
+});
+
+runner.test('lookup - should combine NVD details with the KEV catalog', async function() {
+    const service = createService({ 'nvdcve-2.0-2025.json': NVD_FEED, 'known_exploited_vulnerabilities.json': KEV_CATALOG });
+    await service.load();
+
+    const details = service.lookup('cve-2025-0282');
+    this.assertEqual(details.cve, 'CVE-2025-0282');
+    this.assertEqual(details.cvssScore, 9.0);
+    this.assertTrue(details.knownExploited);
+    this.assertEqual(details.kev.dueDate, '2025-01-15');
+    this.assertFalse(details.kev.ransomware);
+    this.assertEqual(details.products[0], 'Ivanti Connect Secure', 'KEV names should come before CPE names');
+    this.assertEqual(details.products.length, 1, 'The same product from the CPE should not be repeated');
+
+    this.assertFalse(service.lookup('CVE-2025-1111').knownExploited);
+    this.assertEqual(service.lookup('CVE-2024-9999'), null);
+    this.assertEqual(service.getStats().kevCatalogVersion, '2025.01.10');
+});
+
+runner.test('enrich - should annotate an article\'s CVEs and take the highest score', async function() {
+    const service = createService({ 'nvdcve-2.0-2025.json': NVD_FEED, 'known_exploited_vulnerabilities.json': KEV_CATALOG });
+    await service.load();
+
+    const enrichment = service.enrich({ cves: ['CVE-2025-1111', 'CVE-2025-0282', 'CVE-2024-9999'] });
+    this.assertEqual(enrichment.vulnerabilities.length, 2, 'Unknown CVEs should be left out');
+    this.assertEqual(enrichment.cvssScore, 9.0);
+    this.assertTrue(enrichment.knownExploited);
+
+    const empty = service.enrich(null);
+    this.assertEqual(empty.vulnerabilities.length, 0);
+    this.assertEqual(empty.cvssScore, null);
+    this.assertFalse(empty.knownExploited);
+});
+
+runner.test('load - should prefer refreshed records and tolerate missing or broken files', async function() {
+    const updated = JSON.parse(JSON.stringify(NVD_FEED.vulnerabilities[1]));
+    updated.cve.lastModified = '2025-03-01T00:00:00.000';
+    updated.cve.metrics.cvssMetricV31[0].cvssData.baseScore = 7.1;
+    const service = createService({ 'nvdcve-2.0-2025.json': NVD_FEED, 'nvd-recent.json': { vulnerabilities: [updated] } });
+    fs.writeFileSync(path.join(service.dataDir, 'nvdcve-2.0-modified.json'), '{ not json');
+    await service.load();
+
+    this.assertEqual(service.lookup('CVE-2025-1111').cvssScore, 7.1);
+    this.assertFalse(service.lookup('CVE-2025-0282').knownExploited, 'No KEV file means nothing is flagged');
+
+    const missing = new CveService({ dataDir: path.join(tempDir, 'missing') });
+    await missing.load();
+    this.assertFalse(missing.hasData());
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,57 @@
+/**
+ * Tests for parsing scraped date text into ISO timestamps
+ */
+
+const { parseDate } = require('../utils/dateParser');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+const NOW = new Date('2025-10-14T12:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+// Local-time formats are compared against dates built the same way
+const local = (...parts) => new Date(...parts).toISOString();
+
+runner.test('parseDate - should parse relative dates', function() {
+    this.assertEqual(parseDate('3 hours ago', NOW), new Date(NOW - 3 * HOUR).toISOString());
+    this.assertEqual(parseDate('an hour ago', NOW), new Date(NOW - HOUR).toISOString());
+    this.assertEqual(parseDate('Updated 45 mins ago', NOW), new Date(NOW - 0.75 * HOUR).toISOString());
+    this.assertEqual(parseDate('2d ago', NOW), new Date(NOW - 48 * HOUR).toISOString());
+    this.assertEqual(parseDate('Just now', NOW), NOW.toISOString());
+
+    const yesterday = new Date(NOW - 24 * HOUR);
+    this.assertEqual(parseDate('Yesterday at 3:45 PM', NOW), local(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate(), 15, 45));
+});
+
+runner.test('parseDate - should parse absolute dates in common formats', function() {
+    this.assertEqual(parseDate('2025-10-13T08:00:00Z', NOW), '2025-10-13T08:00:00.000Z');
+    this.assertEqual(parseDate('Mon, 13 Oct 2025 10:00:00 GMT', NOW), '2025-10-13T10:00:00.000Z');
+    this.assertEqual(parseDate('1760400000', NOW), '2025-10-14T00:00:00.000Z', 'Unix timestamps in seconds');
+    this.assertEqual(parseDate('Oct 13th, 2025 at 9:30 AM', NOW), local(2025, 9, 13, 9, 30));
+    this.assertEqual(parseDate('Monday, 13 October 2025 | 09:30', NOW), local(2025, 9, 13, 9, 30));
+    this.assertEqual(parseDate('Published: October 13, 2025', NOW), local(2025, 9, 13));
+    this.assertEqual(parseDate('13.10.2025', NOW), local(2025, 9, 13), 'Numeric dates are day-first');
+    this.assertEqual(parseDate('10/13/2025', NOW), local(2025, 9, 13), 'Month-first when the day can\'t be a month');
+    this.assertEqual(parseDate('2025/10/13', NOW), local(2025, 9, 13));
+});
+
+runner.test('parseDate - should assume the most recent year when none is given', function() {
+    this.assertEqual(parseDate('Posted on Oct 1', NOW), local(2025, 9, 1));
+    this.assertEqual(parseDate('Dec 24', NOW), local(2024, 11, 24), 'A date later this year must be last year');
+});
+
+runner.test('parseDate - should reject text that is not a usable date', function() {
+    ['Recently', '', null, 'By John Smith, 2 comments', 'Version 1.2.3', '12.5 million users', 'in 5 days'].forEach(text => {
+        this.assertEqual(parseDate(text, NOW), null, `"${text}" is not a date`);
+    });
+    this.assertEqual(parseDate('2030-01-01', NOW), null, 'Dates far in the future are misparses');
+    this.assertEqual(parseDate('1970-01-01', NOW), null);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
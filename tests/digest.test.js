@@ -0,0 +1,119 @@
+/**
+ * Tests for digest selection, rendering and delivery
+ * Uses an in-memory article list, a temp output directory and nodemailer's JSON transport
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { DigestService } = require('../services/digestService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+
+const NOW = new Date('2025-10-14T07:00:00Z').getTime();
+const HOUR = 60 * 60 * 1000;
+
+function article(id, overrides = {}) {
+    return {
+        id,
+        title: `Article ${id}`,
+        summary: `Summary of ${id}`,
+        link: `https://example.com/${id}`,
+        source: 'BleepingComputer',
+        category: 'Cybersecurity',
+        priority: 'medium',
+        priorityScore: 0,
+        duplicateCount: 0,
+        firstSeen: new Date(NOW - HOUR).toISOString(),
+        lastSeen: new Date(NOW - HOUR).toISOString(),
+        ...overrides
+    };
+}
+
+function createService(articles, options = {}) {
+    const store = { getAll: async () => articles };
+    return new DigestService({ store, ...options });
+}
+
+runner.test('build - should rank by priority score and coverage within the period', async function() {
+    const service = createService([
+        article('low'),
+        article('high', { priorityScore: 10 }),
+        article('covered', { priorityScore: 2, duplicateCount: 4 }),
+        article('old', { priorityScore: 20, firstSeen: new Date(NOW - 30 * HOUR).toISOString() })
+    ]);
+
+    const digest = await service.build({ period: 'daily', limit: 2, now: NOW });
+
+    this.assertEqual(digest.candidateCount, 3, 'Articles first seen before the period are left out');
+    this.assertEqual(digest.articles.map(a => a.id).join(','), 'covered,high');
+
+    const weekly = await service.build({ period: 'weekly', limit: 1, now: NOW });
+    this.assertEqual(weekly.articles[0].id, 'old');
+});
+
+runner.test('selectArticles - should keep one category from taking over the digest', function() {
+    const service = createService([]);
+    const articles = [
+        article('c1', { priorityScore: 10 }),
+        article('c2', { priorityScore: 9 }),
+        article('c3', { priorityScore: 8 }),
+        article('t1', { priorityScore: 1, category: 'Technology' })
+    ];
+
+    const selected = service.selectArticles(articles, 2);
+    this.assertEqual(selected.map(a => a.id).join(','), 'c1,t1');
+    this.assertEqual(service.selectArticles(articles.slice(0, 3), 2).length, 2, 'Capped categories fill leftover slots');
+});
+
+runner.test('render - should reuse AI overviews and decode stored text', async function() {
+    const service = createService([
+        article('ai', {
+            title: 'Patch &amp; pray: &lt;script&gt; flaw',
+            aiSummary: { overview: 'Vendors shipped fixes.', keyPoints: ['Update now'] }
+        }),
+        article('plain', { summary: '<p>Plain &quot;summary&quot;</p>' })
+    ]);
+
+    const digest = await service.build({ now: NOW });
+    const text = service.renderText(digest);
+    const html = service.renderHtml(digest);
+
+    this.assertTrue(text.includes('Patch & pray: <script> flaw'), 'Text output should be decoded');
+    this.assertTrue(text.includes('Vendors shipped fixes.') && text.includes('- Update now'));
+    this.assertTrue(text.includes('Plain "summary"'));
+    this.assertTrue(html.includes('Patch &amp; pray: &lt;script&gt; flaw'), 'HTML output should be escaped exactly once');
+    this.assertFalse(html.includes('<script>'));
+});
+
+runner.test('deliver - should write files and send email', async function() {
+    const outputDir = path.join(tempDir, 'out');
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    const sent = [];
+    const sendMail = transport.sendMail.bind(transport);
+    transport.sendMail = async message => { sent.push(await sendMail(message)); };
+
+    const service = createService([article('a1', { priorityScore: 5 })], { outputDir, emailTo: 'team@example.com', transport });
+    this.assertTrue(service.isDeliveryConfigured());
+
+    const digest = await service.build({ now: NOW });
+    const result = await service.deliver(digest);
+
+    this.assertEqual(result.files.length, 2);
+    this.assertTrue(fs.readFileSync(result.files[0], 'utf8').includes('Article a1'));
+    this.assertTrue(result.emailed);
+    const message = JSON.parse(sent[0].message);
+    this.assertEqual(message.subject, digest.title);
+    this.assertEqual(message.to[0].address, 'team@example.com');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
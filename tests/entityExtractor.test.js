@@ -0,0 +1,65 @@
+/**
+ * Tests for entity extraction from article text
+ */
+
+const { extractEntities } = require('../utils/entityExtractor');
+const { validateArticle } = require('../utils/sanitizer');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+runner.test('extractEntities - should pair CVEs with their CVSS scores', function() {
+    const entities = extractEntities({
+        title: 'Fortinet patches FortiWeb flaws exploited in attacks',
+        summary: 'The flaws are tracked as CVE-2025-64446 (CVSS score: 9.1) and cve-2025-58034, rated CVSS v3.1 base score of 6.7.'
+    });
+
+    this.assertEqual(entities.cves.join(','), 'CVE-2025-64446,CVE-2025-58034');
+    this.assertEqual(entities.cvss.map(entry => `${entry.cve}=${entry.score}`).join(','), 'CVE-2025-64446=9.1,CVE-2025-58034=6.7');
+    this.assertEqual(entities.maxCvss, 9.1);
+});
+
+runner.test('extractEntities - should find vendors from products and only trust ambiguous products alongside their vendor', function() {
+    const fromProduct = extractEntities({ title: 'Hackers exploit FortiGate and PAN-OS devices', summary: '' });
+    this.assertEqual(fromProduct.vendors.sort().join(','), 'Fortinet,Palo Alto Networks');
+    this.assertEqual(fromProduct.products.sort().join(','), 'FortiGate,PAN-OS');
+
+    const ambiguous = extractEntities({ title: 'Teams at the edge of the Office', summary: '' });
+    this.assertEqual(ambiguous.vendors.length, 0, 'Common words are not products on their own');
+
+    const withVendor = extractEntities({ title: 'Microsoft fixes Edge and Exchange Server bugs', summary: '' });
+    this.assertEqual(withVendor.products.sort().join(','), 'Edge,Exchange Server', 'Shorter names inside longer ones should be dropped');
+});
+
+runner.test('extractEntities - should find threat actors, malware and companies', function() {
+    const entities = extractEntities({
+        title: 'Lazarus Group and Storm-0501 deploy LockBit',
+        summary: 'Researchers linked APT 41 and Salt Typhoon to a new Shadow backdoor and Android malware hitting Acme Widgets Inc. and Ticketmaster.',
+        content: 'Lazarus reused Cobalt Strike beacons.'
+    });
+
+    this.assertEqual(entities.threatActors.sort().join(','), 'APT41,Lazarus Group,Salt Typhoon,Storm-0501');
+    this.assertEqual(entities.malware.sort().join(','), 'Cobalt Strike,LockBit,Shadow', 'Platform names are not malware families');
+    this.assertEqual(entities.companies.sort().join(','), 'Acme Widgets,Ticketmaster');
+});
+
+runner.test('validateArticle - should keep entities without double-escaping them', function() {
+    const article = {
+        title: 'Test',
+        entities: { ...extractEntities({ title: 'Marks & Spencer breach tied to Scattered Spider', summary: '' }), vendors: ['<b>Bad</b>'] }
+    };
+
+    const once = validateArticle(article);
+    const twice = validateArticle(once);
+    this.assertEqual(twice.entities.companies[0], 'Marks & Spencer');
+    this.assertEqual(twice.entities.threatActors[0], 'Scattered Spider');
+    this.assertEqual(twice.entities.vendors[0], 'bBad/b', 'Markup characters should be stripped');
+    this.assertEqual(validateArticle({ title: 'No entities' }).entities, null);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,132 @@
+/**
+ * Tests for declarative extraction rules and page metadata fallbacks
+ */
+
+const { validateExtractionRules, extractWithRules } = require('../utils/extractionRules');
+const { extractPageMetadata } = require('../utils/pageMetadata');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+const BASE_URL = 'https://news.example.com/latest/';
+
+const LISTING = `
+<html><body>
+  <div class="card">
+    <h2><a href="/posts/1">Patch Tuesday fixes six zero-days</a></h2>
+    <img data-src="/img/1.png">
+    <p class="excerpt">Microsoft fixed 80 flaws this month. Read more</p>
+    <time datetime="2025-10-14T17:00:00Z">2 hours ago</time>
+    <span class="byline">By Jane Doe</span>
+  </div>
+  <div class="card sponsored">
+    <h2><a href="/ads/1">Buy our firewall</a></h2>
+  </div>
+  <div class="card">
+    <h2><a href="https://other.example.org/story">Chrome update released</a></h2>
+    <p class="excerpt">Google shipped a new stable version. Read more</p>
+    <span class="date">Posted: Oct 13, 2025</span>
+  </div>
+  <div class="card"><h2>No link here</h2></div>
+</body></html>`;
+
+runner.test('validateExtractionRules - should accept rule objects and reject mistakes', function() {
+    const result = validateExtractionRules({
+        container: '.card',
+        exclude: '.sponsored',
+        maxItems: '20',
+        title: 'h2',
+        date: { selector: 'time', attribute: 'datetime' },
+        summary: { selector: '.excerpt', regex: '^(.*?)\\s*Read more$' }
+    });
+    this.assertTrue(result.valid, result.error);
+    this.assertEqual(result.data.maxItems, 20);
+    this.assertEqual(result.data.date.attribute, 'datetime');
+
+    this.assertTrue(validateExtractionRules(null).valid);
+    this.assertFalse(validateExtractionRules({ titel: 'h2' }).valid, 'Typos in field names should be caught');
+    this.assertFalse(validateExtractionRules({ container: 'div[' }).valid, 'Invalid CSS should be caught');
+    this.assertFalse(validateExtractionRules({ summary: { regex: '(unclosed' } }).valid);
+    this.assertFalse(validateExtractionRules({ link: { attribute: 'href onclick' } }).valid);
+    this.assertFalse(validateExtractionRules({ date: { selector: 'time', format: 'DD/MM' } }).valid);
+    this.assertFalse(validateExtractionRules({ maxItems: 500 }).valid);
+});
+
+runner.test('extractWithRules - should apply attributes, regexes, excludes and limits', function() {
+    const rules = validateExtractionRules({
+        container: '.card',
+        exclude: '.sponsored',
+        title: 'h2',
+        summary: { selector: '.excerpt', regex: '^(.*?)\\s*Read more$' },
+        date: '.date, time',
+        author: { selector: '.byline', regex: '^By (.+)$' }
+    }).data;
+    const items = extractWithRules(LISTING, rules, BASE_URL);
+
+    this.assertEqual(items.length, 2, 'Excluded and linkless containers should be skipped');
+    this.assertEqual(items[0].link, 'https://news.example.com/posts/1', 'Relative links should be resolved');
+    this.assertEqual(items[0].summary, 'Microsoft fixed 80 flaws this month.');
+    this.assertEqual(items[0].publishedAt, '2025-10-14T17:00:00Z', 'time elements should be read from datetime');
+    this.assertEqual(items[0].author, 'Jane Doe');
+    this.assertEqual(items[1].link, 'https://other.example.org/story');
+    this.assertEqual(items[1].publishedAt, 'Posted: Oct 13, 2025');
+    this.assertEqual(items[1].author, null);
+
+    const limited = extractWithRules(LISTING, { container: '.card', maxItems: 1 }, BASE_URL);
+    this.assertEqual(limited.length, 1);
+
+    const images = extractWithRules(LISTING, { container: '.card', title: 'h2', link: { selector: 'img', attribute: 'data-src' } }, BASE_URL);
+    this.assertEqual(images[0].link, 'https://news.example.com/img/1.png', 'An explicit link rule should win over the title anchor');
+});
+
+runner.test('extractWithRules - should fall back to JSON-LD when the markup does not match', function() {
+    const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'ItemList',
+        itemListElement: [
+            { '@type': 'ListItem', position: 1, item: { '@type': 'NewsArticle', headline: 'Ransomware hits retailer', url: '/a/1', datePublished: '2025-10-14T08:00:00Z' } },
+            { '@type': 'ListItem', position: 2, url: '/a/2', name: 'Kernel bug disclosed' }
+        ]
+    })}</script></head><body><div>Nothing matches here</div></body></html>`;
+
+    const items = extractWithRules(html, { container: '.card' }, BASE_URL);
+    this.assertEqual(items.length, 2);
+    this.assertEqual(items[0].title, 'Ransomware hits retailer');
+    this.assertEqual(items[0].link, 'https://news.example.com/a/1');
+    this.assertEqual(items[0].publishedAt, '2025-10-14T08:00:00Z');
+    this.assertEqual(items[1].title, 'Kernel bug disclosed');
+
+    this.assertEqual(extractWithRules(html, { container: '.card', metadata: false }, BASE_URL).length, 0);
+});
+
+runner.test('extractPageMetadata - should read JSON-LD, then OpenGraph and meta tags', function() {
+    const jsonLd = extractPageMetadata(`<html><head>
+        <script type="application/ld+json">{ not json }</script>
+        <script type="application/ld+json">${JSON.stringify({ '@graph': [
+            { '@type': 'WebSite', name: 'Example' },
+            { '@type': 'NewsArticle', headline: 'Zero-day patched', datePublished: '2025-10-13T09:00:00Z', author: [{ '@type': 'Person', name: 'Jane Doe' }] }
+        ] })}</script>
+        <meta property="og:description" content="Vendor ships an emergency fix.">
+    </head></html>`, BASE_URL);
+    this.assertEqual(jsonLd.title, 'Zero-day patched');
+    this.assertEqual(jsonLd.publishedAt, '2025-10-13T09:00:00Z');
+    this.assertEqual(jsonLd.author, 'Jane Doe');
+    this.assertEqual(jsonLd.summary, 'Vendor ships an emergency fix.', 'Missing JSON-LD fields should come from OpenGraph');
+
+    const openGraph = extractPageMetadata(`<html><head>
+        <meta property="og:title" content="Chrome update">
+        <meta property="article:published_time" content="2025-10-12T10:00:00+00:00">
+        <link rel="canonical" href="/posts/chrome">
+    </head></html>`, BASE_URL);
+    this.assertEqual(openGraph.title, 'Chrome update');
+    this.assertEqual(openGraph.publishedAt, '2025-10-12T10:00:00+00:00');
+    this.assertEqual(openGraph.link, 'https://news.example.com/posts/chrome');
+    this.assertEqual(openGraph.author, null);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,116 @@
+/**
+ * Tests for feed parser utility
+ * Covers RSS 2.0, RSS 1.0 (RDF), Atom and news sitemap normalization
+ */
+
+const { parseFeed, parseFeedDate } = require('../utils/feedParser');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+const RSS_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Example Security Blog</title>
+    <link>https://blog.example.com/</link>
+    <item>
+      <title><![CDATA[Critical flaw in <b>Widget</b> patched]]></title>
+      <link>/posts/widget-flaw</link>
+      <description><![CDATA[<p>Vendor ships an <em>emergency</em> patch.</p>]]></description>
+      <content:encoded><![CDATA[<p>Full article body.</p>]]></content:encoded>
+      <pubDate>Mon, 13 Oct 2025 10:00:00 GMT</pubDate>
+      <dc:creator>Jane Doe</dc:creator>
+      <category>Vulnerabilities</category>
+      <category>Patches</category>
+    </item>
+    <item>
+      <title>Item without a link is dropped</title>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM_FEED = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Example Research</title>
+  <entry>
+    <title>New model release</title>
+    <link rel="self" href="https://research.example.com/api/1"/>
+    <link rel="alternate" href="https://research.example.com/posts/1"/>
+    <published>2025-10-12T08:30:00Z</published>
+    <updated>2025-10-13T08:30:00Z</updated>
+    <author><name>Research Team</name></author>
+    <category term="ml" label="Machine Learning"/>
+    <summary>We are releasing a new model.</summary>
+  </entry>
+</feed>`;
+
+runner.test('parseFeed - should parse RSS 2.0 items', function() {
+    const items = parseFeed(RSS_FEED, 'https://blog.example.com/feed.xml');
+
+    this.assertEqual(items.length, 1, 'Should drop items without a link');
+    this.assertEqual(items[0].title, 'Critical flaw in Widget patched');
+    this.assertEqual(items[0].link, 'https://blog.example.com/posts/widget-flaw', 'Should resolve relative links');
+    this.assertEqual(items[0].summary, 'Vendor ships an emergency patch.');
+    this.assertEqual(items[0].publishedAt, '2025-10-13T10:00:00.000Z');
+    this.assertEqual(items[0].author, 'Jane Doe');
+    this.assertEqual(items[0].categories.join(','), 'Vulnerabilities,Patches');
+});
+
+runner.test('parseFeed - should parse Atom entries', function() {
+    const items = parseFeed(ATOM_FEED, 'https://research.example.com/atom.xml');
+
+    this.assertEqual(items.length, 1);
+    this.assertEqual(items[0].link, 'https://research.example.com/posts/1', 'Should prefer the alternate link');
+    this.assertEqual(items[0].publishedAt, '2025-10-12T08:30:00.000Z', 'Should prefer published over updated');
+    this.assertEqual(items[0].author, 'Research Team');
+    this.assertEqual(items[0].categories[0], 'Machine Learning');
+});
+
+runner.test('parseFeed - should read news sitemaps newest first', function() {
+    const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+  <url>
+    <loc>https://news.example.com/older</loc>
+    <news:news>
+      <news:publication><news:name>Example News</news:name><news:language>en</news:language></news:publication>
+      <news:publication_date>2025-10-12T08:00:00Z</news:publication_date>
+      <news:title>Older story about ransomware</news:title>
+      <news:keywords>ransomware, incident</news:keywords>
+    </news:news>
+  </url>
+  <url>
+    <loc>https://news.example.com/newer</loc>
+    <news:news>
+      <news:publication_date>2025-10-13T08:00:00Z</news:publication_date>
+      <news:title>Newer story</news:title>
+    </news:news>
+  </url>
+  <url><loc>https://news.example.com/about</loc></url>
+</urlset>`;
+    const items = parseFeed(sitemap, 'https://news.example.com/news-sitemap.xml');
+
+    this.assertEqual(items.length, 2, 'Entries without news metadata are skipped');
+    this.assertEqual(items[0].link, 'https://news.example.com/newer');
+    this.assertEqual(items[1].title, 'Older story about ransomware');
+    this.assertEqual(items[1].publishedAt, '2025-10-12T08:00:00.000Z');
+    this.assertEqual(items[1].categories.join(','), 'ransomware,incident');
+});
+
+runner.test('parseFeed - should return an empty list for non-feed input', function() {
+    this.assertEqual(parseFeed('<html><body><p>Not a feed</p></body></html>', 'https://example.com').length, 0);
+    this.assertEqual(parseFeed('', 'https://example.com').length, 0);
+    this.assertEqual(parseFeed(null, 'https://example.com').length, 0);
+});
+
+runner.test('parseFeedDate - should normalize dates to ISO', function() {
+    this.assertEqual(parseFeedDate('Tue, 14 Oct 2025 06:15:00 +0200'), '2025-10-14T04:15:00.000Z');
+    this.assertNull(parseFeedDate('yesterday-ish'));
+    this.assertNull(parseFeedDate(''));
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,98 @@
+/**
+ * Tests for RSS, Atom and JSON Feed output
+ * Generated XML is read back with the app's own feed parser
+ */
+
+const { articleToFeedItem, buildRss, buildAtom, buildJsonFeed } = require('../utils/feedWriter');
+const { parseFeed } = require('../utils/feedParser');
+const { CollectionService } = require('../services/collectionService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+// Stored articles are HTML-escaped by validateArticle
+const ARTICLES = [
+    {
+        id: 'a1',
+        title: 'Patch &amp; reboot: &quot;critical&quot; RCE fixed',
+        summary: 'Vendor ships fix.',
+        link: 'https://example.com/rce?a=1&b=2',
+        source: 'BleepingComputer',
+        category: 'Cybersecurity',
+        priority: 'critical',
+        priorityScore: 12,
+        scraped: '2025-10-14T08:00:00.000Z',
+        aiSummary: { overview: 'A remote code execution bug was fixed.', keyPoints: ['Update now', 'Exploited in the wild'] }
+    },
+    {
+        id: 'a2',
+        title: 'New laptop review',
+        summary: '<p>Fast and light</p>',
+        link: 'https://example.com/laptop',
+        source: 'Neowin',
+        category: 'Technology',
+        priority: 'medium',
+        scraped: '2025-10-14T07:00:00.000Z'
+    }
+];
+
+const FEED = {
+    title: 'News Aggregator',
+    description: 'Aggregated news',
+    siteUrl: 'http://localhost:3000/',
+    feedUrl: 'http://localhost:3000/feed.xml',
+    items: ARTICLES.map(articleToFeedItem)
+};
+
+runner.test('articleToFeedItem - should decode stored text and include AI overviews', function() {
+    const [item, plain] = FEED.items;
+
+    this.assertEqual(item.title, 'Patch & reboot: "critical" RCE fixed');
+    this.assertTrue(item.contentHtml.includes('A remote code execution bug was fixed.'), 'Content should lead with the AI overview');
+    this.assertTrue(item.contentHtml.includes('<li>Exploited in the wild</li>'));
+    this.assertEqual(plain.summary, 'Fast and light');
+    this.assertFalse(plain.contentHtml.includes('AI overview'));
+    this.assertEqual(item.tags.join(','), 'Cybersecurity,critical');
+});
+
+runner.test('buildRss and buildAtom - should produce feeds the parser can read', function() {
+    const rssItems = parseFeed(buildRss(FEED), FEED.feedUrl);
+    this.assertEqual(rssItems.length, 2);
+    this.assertEqual(rssItems[0].title, 'Patch & reboot: "critical" RCE fixed');
+    this.assertEqual(rssItems[0].link, 'https://example.com/rce?a=1&b=2');
+    this.assertEqual(rssItems[0].publishedAt, '2025-10-14T08:00:00.000Z');
+
+    const atomItems = parseFeed(buildAtom(FEED), FEED.feedUrl);
+    this.assertEqual(atomItems.length, 2);
+    this.assertEqual(atomItems[1].link, 'https://example.com/laptop');
+    this.assertTrue(atomItems[0].categories.includes('Cybersecurity'));
+});
+
+runner.test('buildJsonFeed - should follow JSON Feed 1.1', function() {
+    const feed = buildJsonFeed(FEED);
+
+    this.assertEqual(feed.version, 'https://jsonfeed.org/version/1.1');
+    this.assertEqual(feed.items.length, 2);
+    this.assertEqual(feed.items[0].url, 'https://example.com/rce?a=1&b=2');
+    this.assertEqual(feed.items[0].date_published, '2025-10-14T08:00:00.000Z');
+    this.assertEqual(feed.items[0].authors[0].name, 'BleepingComputer');
+});
+
+runner.test('validateCollection - should require titled articles with http(s) links', function() {
+    const service = new CollectionService({ filePath: '/nonexistent/collections.json' });
+
+    this.assertFalse(service.validateCollection({ articles: [] }).valid, 'Name is required');
+    this.assertFalse(service.validateCollection({ name: 'Reading', articles: [{ title: 'x', link: 'javascript:alert(1)' }] }).valid);
+
+    const validation = service.validateCollection({ name: 'Reading', articles: [{ title: '<b>Bold</b> move', url: 'https://example.com/a', savedAt: 'yesterday' }] });
+    this.assertTrue(validation.valid);
+    this.assertEqual(validation.data.articles[0].title, 'Bold move');
+    this.assertEqual(validation.data.articles[0].link, 'https://example.com/a');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,73 @@
+/**
+ * Tests for conditional fetch validators
+ * Uses a throwaway cache file in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FetchCache, hashBody, fingerprintSource } = require('../services/fetchCache');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-cache-'));
+let fileCounter = 0;
+
+function createCache() {
+    return new FetchCache({ filePath: path.join(tempDir, `cache-${fileCounter++}.json`) });
+}
+
+const PAGE_URL = 'https://news.example.com/';
+const SOURCE = { name: 'Example', url: PAGE_URL, type: 'html', selectors: { container: '.card' } };
+
+runner.test('fingerprintSource - should change with the scraping settings only', function() {
+    const fingerprint = fingerprintSource(SOURCE);
+    this.assertEqual(fingerprintSource({ ...SOURCE, name: 'Renamed', articleCount: 12 }), fingerprint, 'Stats and names don\'t affect parsing');
+    this.assertTrue(fingerprintSource({ ...SOURCE, selectors: { container: '.post' } }) !== fingerprint, 'New selectors must re-parse the page');
+    this.assertTrue(fingerprintSource({ ...SOURCE, scraper: 'example' }) !== fingerprint);
+});
+
+runner.test('getConditionalHeaders - should send the stored validators', async function() {
+    const cache = createCache();
+    const fingerprint = fingerprintSource(SOURCE);
+    this.assertEqual(Object.keys(cache.getConditionalHeaders(PAGE_URL, fingerprint)).length, 0, 'Nothing to send before the first fetch');
+
+    await cache.remember(PAGE_URL, { etag: '"abc"', lastModified: 'Tue, 14 Oct 2025 08:00:00 GMT', hash: hashBody('<html></html>'), fingerprint });
+    const headers = cache.getConditionalHeaders(PAGE_URL, fingerprint);
+    this.assertEqual(headers['If-None-Match'], '"abc"');
+    this.assertEqual(headers['If-Modified-Since'], 'Tue, 14 Oct 2025 08:00:00 GMT');
+    this.assertEqual(Object.keys(cache.getConditionalHeaders(PAGE_URL, 'other')).length, 0, 'Validators of other settings are ignored');
+});
+
+runner.test('isUnchanged - should compare body hashes', async function() {
+    const cache = createCache();
+    const fingerprint = fingerprintSource(SOURCE);
+    await cache.remember(PAGE_URL, { hash: hashBody('<html>one</html>'), fingerprint });
+
+    this.assertTrue(cache.isUnchanged(PAGE_URL, fingerprint, hashBody('<html>one</html>')));
+    this.assertFalse(cache.isUnchanged(PAGE_URL, fingerprint, hashBody('<html>two</html>')));
+    this.assertFalse(cache.isUnchanged(PAGE_URL, 'other', hashBody('<html>one</html>')), 'Edited sources are parsed again');
+    this.assertFalse(cache.isUnchanged('https://other.example.com/', fingerprint, hashBody('<html>one</html>')));
+});
+
+runner.test('load - should restore validators and drop stale entries', async function() {
+    const cache = createCache();
+    const fingerprint = fingerprintSource(SOURCE);
+    await cache.remember(PAGE_URL, { etag: 'W/"1"', hash: hashBody('x'), fingerprint });
+    await cache.remember('https://old.example.com/', { hash: hashBody('y'), fingerprint });
+    cache.entries.get('https://old.example.com/').updatedAt = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+    await cache.remember(PAGE_URL, { etag: 'W/"2"', hash: hashBody('z'), fingerprint });
+
+    const reloaded = new FetchCache({ filePath: cache.filePath });
+    await reloaded.load();
+    this.assertEqual(reloaded.getConditionalHeaders(PAGE_URL, fingerprint)['If-None-Match'], 'W/"2"');
+    this.assertEqual(reloaded.getStats().entries, 1, 'Entries untouched for 30 days should be dropped');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,152 @@
+/**
+ * Tests for Web Push subscriptions and delivery
+ * Notifications are sent to a local stand-in push endpoint
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { PushService } = require('../services/pushService');
+const { parseAllowlist } = require('../utils/ssrfGuard');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-service-'));
+let fileCounter = 0;
+
+// The stand-in push endpoint runs on loopback, so it has to be allow-listed
+function createService(options = {}) {
+    return new PushService({
+        filePath: path.join(tempDir, `push-${fileCounter++}.json`),
+        allowInsecureEndpoints: true,
+        allowlist: parseAllowlist('127.0.0.1'),
+        ...options
+    });
+}
+
+// Keys as a browser would generate them for a PushSubscription
+function createBrowserKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        p256dh: ecdh.getPublicKey().toString('base64url'),
+        auth: crypto.randomBytes(16).toString('base64url')
+    };
+}
+
+// Stand-in push service: /ok/* accepts messages, /gone/* reports the subscription as expired
+function startPushEndpoint() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+            res.writeHead(req.url.startsWith('/gone/') ? 410 : 201);
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, received, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+const CRITICAL_ARTICLE = {
+    id: 'a1',
+    title: 'Actively exploited zero-day in VPN appliances',
+    summary: 'Patch now.',
+    source: 'BleepingComputer',
+    link: 'https://example.com/zero-day',
+    priority: 'critical',
+    isBreaking: false
+};
+
+const ROUTINE_ARTICLE = { ...CRITICAL_ARTICLE, id: 'a2', title: 'Weekly roundup', priority: 'medium', isBreaking: false };
+
+runner.test('validateSubscription - should require an endpoint and keys', function() {
+    const secure = new PushService({ filePath: path.join(tempDir, 'unused.json') });
+    const keys = createBrowserKeys();
+
+    this.assertFalse(secure.validateSubscription({ keys }).valid, 'Endpoint is required');
+    this.assertFalse(secure.validateSubscription({ endpoint: 'http://push.example.com/x', keys }).valid, 'Only https endpoints are accepted');
+    this.assertFalse(secure.validateSubscription({ endpoint: 'https://push.example.com/x', keys: { auth: keys.auth } }).valid);
+    this.assertTrue(secure.validateSubscription({ endpoint: 'https://push.example.com/x', keys }).valid);
+});
+
+runner.test('checkEndpoint - should refuse endpoints on private addresses', async function() {
+    const service = new PushService({ filePath: path.join(tempDir, 'unused.json'), allowlist: parseAllowlist('') });
+
+    this.assertTrue(await service.checkEndpoint('https://169.254.169.254/latest/meta-data/') !== null, 'Metadata endpoints are refused');
+    this.assertTrue(await service.checkEndpoint('https://127.0.0.1:3000/api/refresh') !== null, 'Loopback is refused');
+    this.assertTrue(await service.checkEndpoint('https://10.0.0.8/push') !== null, 'Private ranges are refused');
+    this.assertNull(await service.checkEndpoint('https://93.184.216.34/push/abc'));
+});
+
+runner.test('load - should generate and persist VAPID keys', async function() {
+    const service = createService();
+    const publicKey = await service.getPublicKey();
+
+    const reloaded = new PushService({ filePath: service.filePath });
+    this.assertEqual(await reloaded.getPublicKey(), publicKey, 'Keys should survive a restart');
+});
+
+runner.test('notifyArticles - should push critical articles and drop expired subscriptions', async function() {
+    const { server, received, baseUrl } = await startPushEndpoint();
+
+    try {
+        const service = createService();
+        await service.subscribe({ endpoint: `${baseUrl}/ok/1`, keys: createBrowserKeys() });
+        await service.subscribe({ endpoint: `${baseUrl}/gone/2`, keys: createBrowserKeys() });
+
+        const result = await service.notifyArticles([CRITICAL_ARTICLE, ROUTINE_ARTICLE]);
+
+        this.assertEqual(result.notifications, 1, 'Only the critical article should be pushed');
+        this.assertEqual(result.sent, 1);
+        this.assertEqual(received.length, 2);
+        this.assertEqual(received[0].headers['content-encoding'], 'aes128gcm');
+        this.assertTrue(received[0].headers.authorization.startsWith('vapid '), 'Should sign requests with VAPID');
+        this.assertFalse(received[0].body.toString('latin1').includes('zero-day'), 'Payload should be encrypted');
+        this.assertEqual(await service.count(), 1, 'Expired subscription should be removed');
+    } finally {
+        server.close();
+    }
+});
+
+runner.test('notifyArticles - should not send to endpoints on private addresses', async function() {
+    const { server, received, baseUrl } = await startPushEndpoint();
+
+    try {
+        // A subscription that got into the registry before endpoints were checked
+        const service = createService({ allowlist: parseAllowlist('') });
+        await service.subscribe({ endpoint: `${baseUrl}/ok/1`, keys: createBrowserKeys() });
+
+        const result = await service.notifyArticles([CRITICAL_ARTICLE]);
+        this.assertEqual(result.sent, 0);
+        this.assertEqual(result.failed, 1);
+        this.assertEqual(received.length, 0, 'Nothing should reach the loopback server');
+    } finally {
+        server.close();
+    }
+});
+
+runner.test('notifyArticles - should skip routine articles', async function() {
+    const service = createService();
+    await service.subscribe({ endpoint: 'http://127.0.0.1:9/ok/1', keys: createBrowserKeys() });
+
+    const result = await service.notifyArticles([ROUTINE_ARTICLE]);
+    this.assertEqual(result.notifications, 0);
+    this.assertTrue(service.shouldNotify({ ...ROUTINE_ARTICLE, isBreaking: true }), 'Breaking articles should be pushed');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
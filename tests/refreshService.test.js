@@ -0,0 +1,98 @@
+/**
+ * Tests for refresh jobs
+ * Scraping, watchlists and trends are stubbed; the stores use throwaway files in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-'));
+process.env.ARTICLE_STORE_FILE = path.join(tempDir, 'articles.json');
+process.env.STORIES_FILE = path.join(tempDir, 'stories.json');
+
+const newsService = require('../services/newsService');
+const watchlistService = require('../services/watchlistService');
+const trendService = require('../services/trendService');
+const articleStore = require('../services/articleStore');
+const { RefreshService } = require('../services/refreshService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+let articleCounter = 0;
+
+function scrapedArticle() {
+    const n = articleCounter++;
+    return {
+        title: `Refresh test story number ${n} about a new vulnerability`,
+        summary: `Summary of refresh test story ${n}.`,
+        source: 'Refresh Test',
+        category: 'Cybersecurity',
+        link: `https://refresh.example.com/story-${n}`,
+        scraped: new Date().toISOString()
+    };
+}
+
+runner.test('run - should complete only after watchlists and trends are processed', async function() {
+    const service = new RefreshService();
+    const seen = [];
+    service.on('update', job => seen.push(`${job.phase}:${job.status}`));
+    newsService.getAllNews = async () => [scrapedArticle()];
+    watchlistService.evaluate = async () => seen.push('evaluate');
+    trendService.record = async () => seen.push('record');
+
+    let completedEvents = 0;
+    service.on('complete', () => completedEvents++);
+    const { job } = service.start({ trigger: 'test', summarize: false });
+    await job.promise;
+
+    this.assertEqual(job.status, 'completed');
+    this.assertEqual(completedEvents, 1);
+    this.assertEqual(seen.join(','), 'watchlists:running,evaluate,trends:running,record,done:completed',
+        'Nothing reports completion before post-processing has run');
+    this.assertEqual(job.warnings.length, 0);
+});
+
+runner.test('run - should report post-processing errors as warnings', async function() {
+    const service = new RefreshService();
+    newsService.getAllNews = async () => [scrapedArticle()];
+    watchlistService.evaluate = async () => { throw new Error('watchlist file is corrupt'); };
+    trendService.record = async () => {};
+
+    const { job } = service.start({ trigger: 'test', summarize: false });
+    await job.promise;
+
+    this.assertEqual(job.status, 'completed', 'A failed post-processing step does not fail the refresh');
+    this.assertEqual(job.warnings.length, 1);
+    this.assertEqual(job.warnings[0].phase, 'watchlists');
+    this.assertEqual(job.warnings[0].error, 'watchlist file is corrupt');
+});
+
+runner.test('run - should let unchanged sources keep their stored articles current', async function() {
+    const service = new RefreshService();
+    let options = null;
+    newsService.getAllNews = async scrapeOptions => {
+        options = scrapeOptions;
+        return [scrapedArticle()];
+    };
+    watchlistService.evaluate = async () => {};
+    trendService.record = async () => {};
+
+    await service.start({ trigger: 'test', summarize: false }).job.promise;
+
+    this.assertTrue(options.hasStoredArticles('Refresh Test'), 'Sources with stored articles can be fetched conditionally');
+    this.assertFalse(options.hasStoredArticles('Never Scraped'), 'Other sources are parsed in full');
+
+    const [stored] = await articleStore.getAll();
+    articleStore.articles.get(stored.id).lastSeen = '2000-01-01T00:00:00.000Z';
+    await options.touchArticles('Refresh Test');
+    this.assertTrue(Date.now() - new Date((await articleStore.get(stored.id)).lastSeen).getTime() < 60 * 1000,
+        'An unchanged source marks its articles as seen');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * Tests for refresh scheduling: the worker pool's concurrency cap and deadline, and
+ * per-host request spacing and backoff
+ */
+
+const { runWorkerPool, waitForHostSlot, recordHostFailure, recordHostSuccess, getHostState } = require('../services/newsService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+runner.test('runWorkerPool - should never run more than the concurrency limit at once', async function() {
+    let active = 0;
+    let peak = 0;
+    const done = [];
+
+    await runWorkerPool([1, 2, 3, 4, 5, 6, 7], 3, async item => {
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(10 + (item % 3) * 5);
+        active--;
+        done.push(item);
+    });
+
+    this.assertEqual(peak, 3);
+    this.assertEqual(done.length, 7, 'Every item should be processed');
+});
+
+runner.test('runWorkerPool - should stop dispatching once the deadline is reached', async function() {
+    let deadlineReached = false;
+    const started = [];
+    const timer = setTimeout(() => { deadlineReached = true; }, 60);
+
+    await runWorkerPool([1, 2, 3, 4, 5, 6, 7, 8], 2, async item => {
+        started.push(item);
+        await sleep(40);
+    }, () => deadlineReached);
+    clearTimeout(timer);
+
+    this.assertEqual(started.length, 4, 'Only the items dispatched before the deadline should start');
+    this.assertEqual(started.join(','), '1,2,3,4');
+});
+
+runner.test('waitForHostSlot - should space out requests to the same host only', async function() {
+    const first = Date.now();
+    await waitForHostSlot('https://spacing.example.com/a');
+    await waitForHostSlot('https://spacing.example.com/b');
+    const spacing = Date.now() - first;
+    this.assertTrue(spacing >= 950, `Second request to a host should wait about a second (waited ${spacing}ms)`);
+
+    const other = Date.now();
+    await waitForHostSlot('https://other.example.com/');
+    this.assertTrue(Date.now() - other < 200, 'Other hosts should not wait');
+
+    const delayed = Date.now();
+    await waitForHostSlot('https://delay.example.com/', 1500);
+    await waitForHostSlot('https://delay.example.com/', 1500);
+    this.assertTrue(Date.now() - delayed >= 1450, 'A robots.txt Crawl-delay should stretch the spacing');
+});
+
+runner.test('recordHostFailure - should back off exponentially up to the cap and reset on success', function() {
+    const url = 'https://flaky.example.com/';
+    const backoff = () => getHostState(url).backoffUntil - Date.now();
+
+    recordHostFailure(url);
+    const firstDelay = backoff();
+    recordHostFailure(url);
+    const secondDelay = backoff();
+    recordHostFailure(url);
+    const thirdDelay = backoff();
+
+    this.assertTrue(firstDelay > 1900 && firstDelay <= 2000, `First backoff should be about 2s (${firstDelay}ms)`);
+    this.assertTrue(secondDelay > 3900 && secondDelay <= 4000, `Second backoff should double (${secondDelay}ms)`);
+    this.assertTrue(thirdDelay > 7900 && thirdDelay <= 8000, `Third backoff should double again (${thirdDelay}ms)`);
+
+    for (let i = 0; i < 10; i++) recordHostFailure(url);
+    this.assertTrue(backoff() <= 60000, 'Backoff should be capped at a minute');
+
+    recordHostFailure(url, 5000);
+    this.assertTrue(backoff() <= 5000 && backoff() > 4900, 'Retry-After should win over the computed delay');
+
+    recordHostSuccess(url);
+    this.assertEqual(getHostState(url).consecutiveFailures, 0);
+    this.assertTrue(backoff() <= 0, 'A success should clear the backoff');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * Tests for scraper plugin discovery and source resolution
+ * Uses throwaway plugin modules in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScraperRegistry, validatePlugin } = require('../services/scraperRegistry');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapers-'));
+
+const PLUGINS = {
+    'example.js': `module.exports = { id: 'example', name: 'Example News', matches: ['example.com'], scrape: async () => [] };`,
+    'example-blog.js': `module.exports = { id: 'example-blog', matches: [/^https?:\\/\\/blog\\.example\\.org\\/posts/], scrape: async () => [] };`,
+    'second-example.js': `module.exports = { id: 'example', matches: [], scrape: async () => [] };`,
+    'broken.js': `module.exports = { id: 'Broken Scraper', matches: [], scrape: async () => [] };`,
+    'throws.js': `throw new Error('plugin failed to load');`,
+    '_helpers.js': `module.exports = { notAPlugin: true };`,
+    'notes.txt': 'not a module'
+};
+Object.entries(PLUGINS).forEach(([name, source]) => fs.writeFileSync(path.join(tempDir, name), source));
+
+function createRegistry() {
+    return new ScraperRegistry({ directory: tempDir });
+}
+
+runner.test('validatePlugin - should enforce the scraper interface', function() {
+    const scrape = async () => [];
+    this.assertTrue(validatePlugin({ id: 'site', matches: ['site.com'], scrape }).valid);
+    this.assertFalse(validatePlugin({ id: 'site', matches: ['site.com'] }).valid, 'scrape is required');
+    this.assertFalse(validatePlugin({ id: 'Site!', matches: [], scrape }).valid, 'IDs are lowercase slugs');
+    this.assertFalse(validatePlugin({ id: 'site', matches: 'site.com', scrape }).valid, 'matches must be an array');
+    this.assertFalse(validatePlugin({ id: 'site', matches: [42], scrape }).valid);
+});
+
+runner.test('load - should register valid plugins and skip broken ones', function() {
+    const registry = createRegistry();
+    const ids = Array.from(registry.load().keys()).sort();
+
+    this.assertEqual(ids.join(','), 'example,example-blog', 'Duplicates, invalid modules and helpers should be skipped');
+    this.assertEqual(registry.list().find(s => s.id === 'example').name, 'Example News');
+    this.assertEqual(registry.list().find(s => s.id === 'example-blog').name, 'example-blog', 'Name defaults to the ID');
+});
+
+runner.test('resolve - should use only the named scraper, ignoring the source name and URL', function() {
+    const registry = createRegistry();
+
+    this.assertEqual(registry.resolve({ name: 'Example News', url: 'https://other.net/', scraper: 'example-blog' }).id, 'example-blog');
+    this.assertEqual(registry.resolve({ name: 'Renamed Source', url: 'https://blog.example.org/posts/', scraper: 'example' }).id, 'example');
+    this.assertNull(registry.resolve({ name: 'Example News', url: 'https://www.example.com/' }), 'Sources without an ID use the generic scraper');
+    this.assertNull(registry.resolve({ name: 'Typo', url: 'https://example.com/', scraper: 'exampel' }),
+        'An unknown scraper ID falls back to the generic scraper');
+});
+
+runner.test('suggest - should match the URL for sources without a scraper ID', function() {
+    const registry = createRegistry();
+
+    this.assertEqual(registry.suggest({ url: 'https://www.example.com/' }).id, 'example', 'Subdomains should match hostname patterns');
+    this.assertEqual(registry.suggest({ url: 'https://blog.example.org/posts/', type: 'html' }).id, 'example-blog');
+    this.assertNull(registry.suggest({ url: 'https://blog.example.org/about' }), 'Regular expressions match the whole URL');
+    this.assertNull(registry.suggest({ url: 'https://notexample.com/' }));
+    this.assertNull(registry.suggest({ url: 'https://example.com/', selectors: { container: '.item' } }),
+        'Sources with their own selectors use the generic scraper');
+    this.assertNull(registry.suggest({ url: 'https://example.com/feed.xml', type: 'rss' }), 'Feeds are parsed directly');
+});
+
+runner.test('bundled scrapers - should load and match their sites', function() {
+    const registry = new ScraperRegistry();
+    const sites = {
+        'https://www.bleepingcomputer.com/': 'bleepingcomputer',
+        'https://cybersecuritynews.com/': 'cybersecuritynews',
+        'https://www.neowin.net/': 'neowin',
+        'https://www.askwoody.com/': 'askwoody',
+        'https://techcrunch.com/': 'techcrunch',
+        'https://research.google/blog/': 'google-research',
+        'https://huggingface.co/blog': 'huggingface'
+    };
+
+    Object.entries(sites).forEach(([url, id]) => {
+        const plugin = registry.match(url);
+        this.assertEqual(plugin && plugin.id, id, `${url} should use the ${id} scraper`);
+    });
+    this.assertEqual(registry.match('https://huggingface.co/models'), null, 'Only the Hugging Face blog has a scraper');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,120 @@
+/**
+ * Tests for source discovery
+ * Feeds and sitemaps are served by an in-memory fetcher
+ */
+
+const { findFeedLinks, suggestSelectors, discoverFromPage } = require('../utils/sourceDiscovery');
+const { extractWithRules } = require('../utils/extractionRules');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const PAGE_URL = 'https://news.example.com/';
+
+const teaser = i => `
+    <div class="card">
+        <span class="topic"><a href="/topics/security">Security</a></span>
+        <h3 class="card-title"><a href="/news/story-${i}">Researchers uncover attack technique number ${i}</a></h3>
+        <p class="excerpt">A summary of story number ${i} that is long enough to be an excerpt.</p>
+        <span class="post-date">Oct ${i}, 2025</span>
+    </div>`;
+
+const LISTING = `<html><head>
+    <link rel="alternate" type="application/rss+xml" title="Latest news" href="/feed.xml">
+    <link rel="alternate" type="application/atom+xml" href="https://news.example.com/atom.xml">
+    <link rel="alternate" hreflang="de" href="/de/">
+</head><body>
+    <nav><a href="/about">About our publication and the people behind it</a></nav>
+    <main><section class="latest">${[1, 2, 3, 4, 5].map(teaser).join('')}</section></main>
+    <footer><a href="/privacy">Privacy policy and terms of service for readers</a></footer>
+</body></html>`;
+
+const RSS = `<rss version="2.0"><channel>
+    ${[1, 2, 3].map(i => `<item><title>Feed story ${i}</title><link>https://news.example.com/news/story-${i}</link></item>`).join('')}
+</channel></rss>`;
+
+const NEWS_SITEMAP = `<urlset xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+    <url><loc>https://news.example.com/news/story-1</loc><news:news>
+        <news:publication_date>2025-10-13</news:publication_date><news:title>Sitemap story</news:title>
+    </news:news></url>
+</urlset>`;
+
+runner.test('findFeedLinks - should list advertised RSS and Atom feeds', function() {
+    const feeds = findFeedLinks(LISTING, PAGE_URL);
+    this.assertEqual(feeds.length, 2, 'Alternate links that are not feeds are ignored');
+    this.assertEqual(feeds[0].url, 'https://news.example.com/feed.xml');
+    this.assertEqual(feeds[0].type, 'rss');
+    this.assertEqual(feeds[0].title, 'Latest news');
+    this.assertEqual(feeds[1].type, 'atom');
+});
+
+runner.test('suggestSelectors - should find the repeating article blocks', function() {
+    const [best] = suggestSelectors(LISTING, PAGE_URL);
+    this.assertEqual(best.selectors.container, 'div.card');
+    this.assertEqual(best.selectors.title, 'h3.card-title', 'The heading is preferred over the first link');
+    this.assertEqual(best.selectors.summary, 'p.excerpt');
+    this.assertEqual(best.selectors.date, 'span.post-date');
+    this.assertEqual(best.articleCount, 5);
+
+    // The suggested rules work with the real extractor
+    const items = extractWithRules(LISTING, best.selectors, PAGE_URL);
+    this.assertEqual(items[0].link, 'https://news.example.com/news/story-1');
+    this.assertEqual(items[0].publishedAt, 'Oct 1, 2025');
+
+    this.assertEqual(suggestSelectors('<ul><li><a href="/a">Only one headline on this page</a></li></ul>', PAGE_URL).length, 0,
+        'A single link is not an article list');
+});
+
+runner.test('discoverFromPage - should rank verified feeds and news sitemaps above selectors', async function() {
+    const fetched = [];
+    const documents = {
+        'https://news.example.com/feed.xml': RSS,
+        'https://news.example.com/atom.xml': '<html><body>Not found</body></html>',
+        'https://news.example.com/sitemap.xml': '<sitemapindex><sitemap><loc>https://news.example.com/sitemap-news.xml</loc></sitemap><sitemap><loc>https://news.example.com/sitemap-pages.xml</loc></sitemap></sitemapindex>',
+        'https://news.example.com/sitemap-news.xml': NEWS_SITEMAP
+    };
+    const result = await discoverFromPage(LISTING, PAGE_URL, {
+        sitemaps: ['https://news.example.com/sitemap.xml'],
+        fetchDocument: async url => {
+            fetched.push(url);
+            return documents[url] || null;
+        }
+    });
+
+    const kinds = result.suggestions.map(suggestion => suggestion.kind);
+    this.assertEqual(kinds.join(','), 'feed,sitemap,selectors', 'A feed that does not parse is not suggested');
+    this.assertEqual(result.suggestions[0].apply.url, 'https://news.example.com/feed.xml');
+    this.assertEqual(result.suggestions[0].apply.type, 'rss');
+    this.assertEqual(result.suggestions[0].preview[0].title, 'Feed story 1');
+    this.assertEqual(result.suggestions[1].apply.type, 'sitemap');
+    this.assertEqual(result.suggestions[1].apply.url, 'https://news.example.com/sitemap-news.xml');
+    this.assertEqual(result.suggestions[2].apply.selectors.container, 'div.card');
+    this.assertFalse(fetched.includes('https://news.example.com/sitemap-pages.xml'), 'Only news entries of a sitemap index are followed');
+    this.assertEqual(result.feeds[1].itemCount, 0);
+});
+
+runner.test('discoverFromPage - should suggest JSON-LD lists and recognize feed URLs', async function() {
+    const jsonLd = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'ItemList',
+        itemListElement: [1, 2, 3].map(i => ({ '@type': 'NewsArticle', headline: `JSON-LD story ${i}`, url: `/news/${i}` }))
+    });
+    const page = `<html><head><script type="application/ld+json">${jsonLd}</script></head><body><div id="app"></div></body></html>`;
+
+    let result = await discoverFromPage(page, PAGE_URL);
+    this.assertEqual(result.suggestions.length, 1);
+    this.assertEqual(result.suggestions[0].kind, 'jsonld');
+    this.assertNull(result.suggestions[0].apply.selectors, 'The default rules fall back to JSON-LD');
+    this.assertEqual(result.suggestions[0].articleCount, 3);
+
+    result = await discoverFromPage(RSS, 'https://news.example.com/feed.xml');
+    this.assertEqual(result.suggestions[0].kind, 'feed');
+    this.assertEqual(result.suggestions[0].apply.type, 'rss');
+    this.assertEqual(result.suggestions[0].apply.url, 'https://news.example.com/feed.xml');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
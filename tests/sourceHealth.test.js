@@ -0,0 +1,110 @@
+/**
+ * Tests for source health history and quarantine
+ * Uses a throwaway history file in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SourceHealthService } = require('../services/sourceHealthService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-health-'));
+let fileCounter = 0;
+
+function createService() {
+    return new SourceHealthService({
+        filePath: path.join(tempDir, `health-${fileCounter++}.json`),
+        quarantineThreshold: 3,
+        quarantineRetryMs: 60 * 60 * 1000
+    });
+}
+
+const failedAttempt = { durationMs: 120, articleCount: 0, httpStatus: 503, error: 'HTTP 503: Service Unavailable' };
+const successfulAttempt = { durationMs: 80, articleCount: 12, httpStatus: 200, error: null };
+
+runner.test('recordAttempt - should keep a history of attempts', async function() {
+    const service = createService();
+    await service.recordAttempt('src-1', successfulAttempt);
+    const summary = await service.recordAttempt('src-1', failedAttempt);
+
+    this.assertEqual(summary.attempts.length, 2);
+    this.assertEqual(summary.attempts[1].httpStatus, 503);
+    this.assertEqual(summary.consecutiveFailures, 1);
+    this.assertEqual(summary.successRate, 50);
+    this.assertFalse(summary.quarantined);
+});
+
+runner.test('recordAttempt - should quarantine after consecutive failures', async function() {
+    const service = createService();
+    for (let i = 0; i < 3; i++) {
+        await service.recordAttempt('src-1', failedAttempt);
+    }
+
+    this.assertTrue(service.isQuarantined('src-1'));
+    this.assertFalse(service.shouldAttempt('src-1'), 'Should wait for the retry slot');
+    this.assertTrue(service.shouldAttempt('src-1', Date.now() + 2 * 60 * 60 * 1000), 'Should retry once the slot is due');
+    this.assertTrue(service.shouldAttempt('src-2'), 'Unknown sources are always attempted');
+});
+
+runner.test('recordAttempt - a success should release the quarantine', async function() {
+    const service = createService();
+    for (let i = 0; i < 3; i++) {
+        await service.recordAttempt('src-1', failedAttempt);
+    }
+    const summary = await service.recordAttempt('src-1', successfulAttempt);
+
+    this.assertFalse(summary.quarantined);
+    this.assertEqual(summary.consecutiveFailures, 0);
+    this.assertNull(summary.nextAttemptAt);
+});
+
+runner.test('recordAttempt - an unchanged page should count as a success', async function() {
+    const service = createService();
+    await service.recordAttempt('src-1', failedAttempt);
+    const summary = await service.recordAttempt('src-1', { durationMs: 40, articleCount: 0, httpStatus: 304, unchanged: true, error: null });
+
+    this.assertTrue(summary.lastAttempt.unchanged);
+    this.assertEqual(summary.consecutiveFailures, 0);
+    this.assertFalse(summary.attempts[0].unchanged);
+});
+
+runner.test('recordAttempt - a robots.txt block should not count as a failure', async function() {
+    const service = createService();
+    const failures = [];
+    service.on('failure', failure => failures.push(failure));
+
+    await service.recordAttempt('src-1', successfulAttempt);
+    let summary;
+    for (let i = 0; i < 3; i++) {
+        summary = await service.recordAttempt('src-1', { durationMs: 5, articleCount: 0, robotsBlocked: true, error: 'Blocked by robots.txt' });
+    }
+
+    this.assertFalse(summary.quarantined, 'Blocked sources are never quarantined');
+    this.assertEqual(summary.consecutiveFailures, 0);
+    this.assertTrue(summary.blocked);
+    this.assertNull(summary.lastAttempt.error);
+    this.assertEqual(summary.successRate, 100, 'Blocked attempts are left out of the success rate');
+    this.assertEqual(failures.length, 0, 'No failure event is emitted');
+
+    summary = await service.recordAttempt('src-1', successfulAttempt);
+    this.assertFalse(summary.blocked, 'A later successful scrape clears the blocked state');
+});
+
+runner.test('load - should restore history from disk', async function() {
+    const service = createService();
+    await service.recordAttempt('src-1', successfulAttempt);
+
+    const reloaded = new SourceHealthService({ filePath: service.filePath });
+    const summaries = await reloaded.getAllSummaries();
+    this.assertEqual(summaries['src-1'].attempts.length, 1);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
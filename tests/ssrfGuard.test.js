@@ -0,0 +1,124 @@
+/**
+ * Tests for the SSRF guard
+ * Uses literal addresses and a local HTTP server; nothing leaves the machine
+ */
+
+const http = require('http');
+const { parseAllowlist, isBlockedAddress, assertPublicUrl, guardedGet } = require('../utils/ssrfGuard');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const NO_ALLOWLIST = parseAllowlist('');
+const LOCAL_ALLOWLIST = parseAllowlist('127.0.0.1');
+
+// The error code a request fails with, or 'not blocked'
+async function expectBlocked(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error.code;
+    }
+    return 'not blocked';
+}
+
+function startServer(handler) {
+    return new Promise(resolve => {
+        const server = http.createServer(handler);
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+runner.test('isBlockedAddress - should block non-public ranges', function() {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+        .forEach(address => this.assertTrue(isBlockedAddress(address, NO_ALLOWLIST), `${address} should be blocked`));
+
+    ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700::1111']
+        .forEach(address => this.assertFalse(isBlockedAddress(address, NO_ALLOWLIST), `${address} should be allowed`));
+});
+
+runner.test('isBlockedAddress - should check IPv4 addresses embedded in IPv6 ones', async function() {
+    ['64:ff9b::7f00:1', '::127.0.0.1', '2002:7f00:1::1', '64:ff9b::10.0.0.1', '2002:a9fe:a9fe::1', '64:ff9b:1::1']
+        .forEach(address => this.assertTrue(isBlockedAddress(address, NO_ALLOWLIST), `${address} should be blocked`));
+
+    ['64:ff9b::5db8:d822', '2002:5db8:d822::1']
+        .forEach(address => this.assertFalse(isBlockedAddress(address, NO_ALLOWLIST), `${address} should be allowed`));
+
+    this.assertEqual(await expectBlocked(assertPublicUrl('http://[64:ff9b::7f00:1]/', NO_ALLOWLIST)), 'SSRF_BLOCKED');
+    this.assertFalse(isBlockedAddress('::127.0.0.1', parseAllowlist('127.0.0.1')));
+});
+
+runner.test('parseAllowlist - should let allow-listed hosts and ranges through', async function() {
+    const allowlist = parseAllowlist('10.0.0.0/8, intranet.example.com, *.corp.example.com, ::1');
+    this.assertFalse(isBlockedAddress('10.20.30.40', allowlist));
+    this.assertFalse(isBlockedAddress('::1', allowlist));
+    this.assertTrue(isBlockedAddress('192.168.1.1', allowlist));
+    this.assertEqual(allowlist.hosts.join(','), 'intranet.example.com,*.corp.example.com');
+
+    await assertPublicUrl('http://10.0.0.5/feed', allowlist);
+    this.assertEqual(await expectBlocked(assertPublicUrl('http://192.168.0.10/', allowlist)), 'SSRF_BLOCKED');
+});
+
+runner.test('assertPublicUrl - should reject private literals, localhost and other schemes', async function() {
+    this.assertEqual(await expectBlocked(assertPublicUrl('http://169.254.169.254/latest/meta-data/', NO_ALLOWLIST)), 'SSRF_BLOCKED');
+    this.assertEqual(await expectBlocked(assertPublicUrl('http://[::1]:3000/', NO_ALLOWLIST)), 'SSRF_BLOCKED');
+    this.assertEqual(await expectBlocked(assertPublicUrl('http://localhost:3000/api/sources', NO_ALLOWLIST)), 'SSRF_BLOCKED', 'Host names are resolved');
+    this.assertEqual(await expectBlocked(assertPublicUrl('file:///etc/passwd', NO_ALLOWLIST)), 'SSRF_BLOCKED');
+    await assertPublicUrl('https://93.184.216.34/', NO_ALLOWLIST);
+});
+
+runner.test('guardedGet - should check every redirect hop', async function() {
+    const server = await startServer((req, res) => {
+        if (req.url === '/metadata') {
+            res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        } else if (req.url === '/moved') {
+            res.writeHead(301, { Location: '/page' });
+        } else {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.write('<p>ok</p>');
+        }
+        res.end();
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        this.assertEqual(await expectBlocked(guardedGet(`${base}/page`, {}, NO_ALLOWLIST)), 'SSRF_BLOCKED', 'Local servers need an allow-list entry');
+
+        const response = await guardedGet(`${base}/moved`, {}, LOCAL_ALLOWLIST);
+        this.assertEqual(response.data, '<p>ok</p>');
+        this.assertEqual(response.finalUrl, `${base}/page`);
+
+        this.assertEqual(await expectBlocked(guardedGet(`${base}/metadata`, {}, LOCAL_ALLOWLIST)), 'SSRF_BLOCKED', 'Redirects to private addresses are refused');
+    } finally {
+        server.close();
+    }
+});
+
+runner.test('guardedGet - should cap response size', async function() {
+    const server = await startServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('x'.repeat(4096));
+    });
+    const url = `http://127.0.0.1:${server.address().port}/`;
+
+    try {
+        let message = null;
+        try {
+            await guardedGet(url, { maxContentLength: 1024 }, LOCAL_ALLOWLIST);
+        } catch (error) {
+            message = error.message;
+        }
+        this.assertTrue(message && message.includes('maxContentLength'), 'Oversized bodies should be rejected');
+
+        const response = await guardedGet(url, { maxContentLength: 8192 }, LOCAL_ALLOWLIST);
+        this.assertEqual(response.data.length, 4096);
+    } finally {
+        server.close();
+    }
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,113 @@
+/**
+ * Tests for cross-source story clustering
+ * Uses a throwaway stories file in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StoryService } = require('../services/storyService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stories-'));
+let fileCounter = 0;
+
+function createService(options = {}) {
+    return new StoryService({ filePath: path.join(tempDir, `stories-${fileCounter++}.json`), ...options });
+}
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2025-10-14T08:00:00.000Z');
+
+const ORIGINAL = {
+    title: 'Microsoft patches actively exploited Windows zero-day flaw',
+    summary: 'Microsoft released an emergency update for a Windows zero-day that attackers are already exploiting in the wild.',
+    source: 'BleepingComputer',
+    category: 'Cybersecurity',
+    link: 'https://bleepingcomputer.example/windows-zero-day'
+};
+const SECOND_SOURCE = {
+    title: 'Microsoft patches actively exploited Windows zero-day',
+    summary: 'Microsoft released an emergency update for a Windows zero-day that attackers are exploiting in the wild.',
+    source: 'The Hacker News',
+    category: 'Cybersecurity',
+    link: 'https://thehackernews.example/windows-zero-day'
+};
+const UNRELATED = {
+    title: 'New laptop review: fast, light and quiet',
+    summary: 'We spent two weeks with the new laptop and came away impressed by its battery life and keyboard.',
+    source: 'Neowin',
+    category: 'Technology',
+    link: 'https://neowin.example/laptop-review'
+};
+
+runner.test('assign - should keep every source\'s version in one story', async function() {
+    const service = createService();
+    const [original, secondSource, unrelated] = await service.assign([ORIGINAL, SECOND_SOURCE, UNRELATED], T0);
+
+    this.assertEqual(original.storyId, secondSource.storyId, 'Cross-source versions should share a story');
+    this.assertTrue(original.storyId !== unrelated.storyId, 'Unrelated articles should start their own story');
+    this.assertEqual(original.duplicateCount, 1);
+    this.assertEqual(unrelated.duplicateCount, 0);
+
+    const story = await service.get(original.storyId);
+    this.assertEqual(story.articles.length, 2);
+    this.assertEqual(story.sources.join(','), 'BleepingComputer,The Hacker News');
+    this.assertEqual(story.title, ORIGINAL.title);
+});
+
+runner.test('assign - should keep story IDs stable across refreshes and restarts', async function() {
+    const service = createService();
+    const [first] = await service.assign([ORIGINAL], T0);
+
+    // A later refresh sees the original again plus another source's version
+    const later = new Date(T0.getTime() + 2 * HOUR);
+    const [again, secondSource] = await service.assign([ORIGINAL, SECOND_SOURCE], later);
+    this.assertEqual(again.storyId, first.storyId);
+    this.assertEqual(secondSource.storyId, first.storyId);
+
+    const reloaded = new StoryService({ filePath: service.filePath });
+    const [afterRestart] = await reloaded.assign([ORIGINAL], new Date(T0.getTime() + 3 * HOUR));
+    this.assertEqual(afterRestart.storyId, first.storyId);
+
+    const story = await reloaded.get(first.storyId);
+    this.assertEqual(story.firstSeen, T0.toISOString());
+    this.assertEqual(story.growth.map(point => point.sourceCount).join(','), '1,2', 'Growth should record each new version');
+});
+
+runner.test('assign - should not attach articles to stories past the match window', async function() {
+    const service = createService();
+    const [first] = await service.assign([ORIGINAL], T0);
+    const [late] = await service.assign([SECOND_SOURCE], new Date(T0.getTime() + 72 * HOUR));
+
+    this.assertTrue(late.storyId !== first.storyId, 'A two-day-old story should not absorb new articles');
+});
+
+runner.test('list and prune - should filter, sort by coverage and drop expired stories', async function() {
+    const service = createService({ retentionDays: 1 });
+    await service.assign([ORIGINAL, SECOND_SOURCE, UNRELATED], T0);
+
+    const query = service.parseQuery({ minSources: '2' });
+    this.assertTrue(query.valid);
+    const { total, stories } = await service.list(query.data);
+    this.assertEqual(total, 1);
+    this.assertEqual(stories[0].sourceCount, 2);
+    this.assertEqual(stories[0].articles, undefined, 'Listings should leave out article versions');
+
+    const byCoverage = await service.list(service.parseQuery({ sort: 'coverage' }).data);
+    this.assertEqual(byCoverage.stories[0].sourceCount, 2);
+    this.assertFalse(service.parseQuery({ sort: 'popular' }).valid);
+    this.assertFalse(service.parseQuery({ since: 'yesterday' }).valid);
+
+    this.assertEqual(await service.prune(T0.getTime() + 2 * 24 * HOUR), 2);
+    this.assertEqual((await service.list()).total, 0);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
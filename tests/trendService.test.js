@@ -0,0 +1,118 @@
+/**
+ * Tests for term extraction and trend velocity scoring
+ * Uses a throwaway trends file in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TrendService, extractTerms } = require('../services/trendService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trends-'));
+let fileCounter = 0;
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2025-10-14T12:30:00.000Z').getTime();
+
+function createService() {
+    const store = { getAll: async () => [] };
+    return new TrendService({ filePath: path.join(tempDir, `trends-${fileCounter++}.json`), store });
+}
+
+function article(title, hoursAgo, summary = '') {
+    return { title, summary, firstSeen: new Date(NOW - hoursAgo * HOUR).toISOString() };
+}
+
+runner.test('extractTerms - should find keywords, phrases and entities', function() {
+    const terms = extractTerms({
+        title: 'Ransomware gang hits hospital chain',
+        summary: 'The attack on Kettering Health exploited CVE-2025-12345 in Citrix NetScaler appliances.'
+    });
+
+    this.assertEqual(terms.get('entity:kettering health'), 'Kettering Health');
+    this.assertEqual(terms.get('entity:cve-2025-12345'), 'CVE-2025-12345');
+    this.assertEqual(terms.get('entity:citrix netscaler'), 'Citrix NetScaler');
+    this.assertTrue(terms.has('phrase:hospital chain'));
+    this.assertTrue(terms.has('keyword:ransomware'));
+    this.assertFalse(terms.has('keyword:citrix'), 'Words of an entity should only count as the entity');
+    this.assertFalse(terms.has('keyword:cve-2025-12345'));
+    this.assertFalse(terms.has('entity:the'), 'Sentence-initial stop words are not entities');
+});
+
+runner.test('extractTerms - should not treat Title Case headlines as entities', function() {
+    const terms = extractTerms({ title: 'Google Releases Emergency Chrome Update For Exploited Flaw', summary: '' });
+
+    this.assertFalse([...terms.keys()].some(term => term.startsWith('entity:')), 'Title Case words are capitalization, not names');
+    this.assertTrue(terms.has('keyword:chrome'));
+});
+
+runner.test('getTrends - should rank a spike above an always-common term', async function() {
+    const service = createService();
+    const articles = [];
+
+    // "windows" appears steadily all week; "fortigate" only appears in the last few hours
+    for (let hoursAgo = 2; hoursAgo < 7 * 24; hoursAgo += 6) {
+        articles.push(article(`windows update notes ${hoursAgo}`, hoursAgo + 24));
+    }
+    for (let i = 0; i < 4; i++) {
+        articles.push(article(`windows update notes today ${i}`, i));
+        articles.push(article(`fortigate appliances exploited ${i}`, i));
+    }
+    await service.record(articles, NOW);
+
+    const { trends, articleCount } = await service.getTrends({ windowHours: 24, type: 'keyword', now: NOW });
+    this.assertEqual(articleCount, 8);
+    this.assertEqual(trends[0].term, 'fortigate', 'The spiking term should rank first');
+    this.assertEqual(trends[0].count, 4);
+    this.assertTrue(trends[0].velocity > 5, 'A term unseen in the baseline should have a high velocity');
+
+    const windows = trends.find(trend => trend.term === 'windows');
+    this.assertTrue(!windows || windows.score < trends[0].score, 'An always-common term should rank lower');
+
+    const sparkline = trends[0].sparkline;
+    this.assertEqual(sparkline.points.length, 24);
+    this.assertEqual(sparkline.intervalHours, 2);
+    this.assertEqual(sparkline.points.reduce((sum, value) => sum + value, 0), 4);
+    this.assertEqual(sparkline.points.slice(-2).reduce((sum, value) => sum + value, 0), 4, 'Recent counts should be at the end');
+});
+
+runner.test('record and parseQuery - should persist buckets and validate options', async function() {
+    const service = createService();
+    await service.record([article('Kernel exploit disclosed', 1), article('Kernel exploit patched', 2)], NOW);
+
+    const reloaded = new TrendService({ filePath: service.filePath, store: { getAll: async () => [] } });
+    await reloaded.load();
+    this.assertEqual(reloaded.buckets.size, 2);
+
+    this.assertEqual(reloaded.parseQuery({ window: '3d' }).data.windowHours, 72);
+    this.assertFalse(reloaded.parseQuery({ window: '30d' }).valid);
+    this.assertFalse(reloaded.parseQuery({ window: 'soon' }).valid);
+    this.assertFalse(reloaded.parseQuery({ type: 'hashtag' }).valid);
+    this.assertEqual(reloaded.parseQuery({ limit: '500' }).data.limit, 50);
+});
+
+runner.test('record - should not count articles the backfill already counted', async function() {
+    // Backfill and expiry work from the real clock
+    const firstSeen = new Date().toISOString();
+    const stored = [{ id: 'a1', title: 'Kernel exploit disclosed', firstSeen }];
+    const service = new TrendService({ filePath: path.join(tempDir, `trends-${fileCounter++}.json`), store: { getAll: async () => stored } });
+
+    // A trends request loads (and backfills) after the refresh stored a1 but before it recorded it
+    await service.load();
+    const fresh = { id: 'a2', title: 'Kernel exploit patched', firstSeen };
+    await service.record([stored[0], fresh]);
+
+    const total = Array.from(service.buckets.values()).reduce((sum, bucket) => sum + bucket.articles, 0);
+    this.assertEqual(total, 2, 'Each article should be counted once');
+    this.assertEqual(service.backfilledIds.size, 0);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
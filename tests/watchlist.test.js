@@ -0,0 +1,109 @@
+/**
+ * Tests for watchlist matching and alerts
+ * Uses a throwaway watchlist file in the OS temp directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WatchlistService } = require('../services/watchlistService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+let fileCounter = 0;
+
+function createService() {
+    return new WatchlistService({ filePath: path.join(tempDir, `watchlists-${fileCounter++}.json`) });
+}
+
+function watchlist(service, data) {
+    const validation = service.validateWatchlist(data);
+    if (!validation.valid) throw new Error(validation.error);
+    return validation.data;
+}
+
+const ARTICLE = {
+    id: 'a1',
+    title: 'Fortinet patches FortiGate flaw CVE-2025-12345',
+    summary: 'The vendor released an emergency update.',
+    source: 'BleepingComputer',
+    priority: 'high',
+    link: 'https://example.com/fortinet'
+};
+
+runner.test('validateWatchlist - should reject invalid input', function() {
+    const service = createService();
+
+    this.assertFalse(service.validateWatchlist({ keywords: 'fortinet' }).valid, 'Name is required');
+    this.assertFalse(service.validateWatchlist({ name: 'Empty' }).valid, 'At least one rule is required');
+    this.assertFalse(service.validateWatchlist({ name: 'Bad regex', patterns: ['(unclosed'] }).valid);
+    this.assertFalse(service.validateWatchlist({ name: 'Bad priority', minPriority: 'urgent' }).valid);
+    this.assertEqual(service.validateWatchlist({ name: 'List', keywords: 'a, b' }).data.keywords.length, 2, 'Should split comma-separated input');
+
+    const patterns = service.validateWatchlist({ name: 'Patterns', patterns: ['CVE-\\d{4}-\\d{4,7}', 'a{2,}'] }).data.patterns;
+    this.assertEqual(patterns.join(' '), 'CVE-\\d{4}-\\d{4,7} a{2,}', 'Quantifiers with commas should survive intact');
+    this.assertEqual(service.validateWatchlist({ name: 'Lines', patterns: 'x{1,3}\nfortinet' }).data.patterns.length, 2, 'A string holds one pattern per line');
+});
+
+runner.test('matchArticle - should match keywords on word boundaries', function() {
+    const service = createService();
+
+    this.assertTrue(service.matchArticle(watchlist(service, { name: 'Vendor', keywords: ['fortinet'] }), ARTICLE) !== null);
+    this.assertNull(service.matchArticle(watchlist(service, { name: 'Partial', keywords: ['forti'] }), ARTICLE), 'Should not match inside words');
+});
+
+runner.test('matchArticle - should match regexes, sources and priority thresholds', function() {
+    const service = createService();
+
+    const cve = service.matchArticle(watchlist(service, { name: 'CVEs', patterns: ['CVE-\\d{4}-\\d{4,}'] }), ARTICLE);
+    this.assertEqual(cve[0], 'pattern: CVE-2025-12345');
+
+    this.assertTrue(service.matchArticle(watchlist(service, { name: 'Urgent', minPriority: 'high' }), ARTICLE) !== null);
+    this.assertNull(service.matchArticle(watchlist(service, { name: 'Critical only', minPriority: 'critical' }), ARTICLE));
+    this.assertNull(service.matchArticle(watchlist(service, { name: 'Other source', keywords: ['fortinet'], sources: ['Neowin'] }), ARTICLE));
+});
+
+runner.test('matchArticle - should refuse patterns that backtrack catastrophically', function() {
+    const service = createService();
+
+    const validation = service.validateWatchlist({ name: 'ReDoS', patterns: ['(a+)+$'] });
+    this.assertFalse(validation.valid, 'Nested quantifiers should be rejected');
+    this.assertTrue(validation.error.includes('(a+)+$'));
+    this.assertTrue(service.validateWatchlist({ name: 'Alternation', patterns: ['\\b(apt|lazarus)\\d*\\b'] }).valid);
+
+    // A pattern stored before validation existed is skipped instead of blocking the event loop
+    const stored = { name: 'Old', keywords: [], patterns: ['(a+)+$', 'a{3}'], sources: [], minPriority: null, enabled: true };
+    const startedAt = Date.now();
+    const matches = service.matchArticle(stored, { ...ARTICLE, content: 'a'.repeat(40) + '!' });
+    this.assertTrue(Date.now() - startedAt < 1000, 'Matching should finish quickly');
+    this.assertEqual(matches.join(','), 'pattern: aaa');
+});
+
+runner.test('evaluate - should create each alert once and emit it', async function() {
+    const service = createService();
+    await service.createWatchlist(watchlist(service, { name: 'Vendor', keywords: ['fortinet'] }));
+
+    let emitted = 0;
+    service.on('alerts', alerts => { emitted += alerts.length; });
+
+    const first = await service.evaluate([ARTICLE]);
+    const second = await service.evaluate([ARTICLE]);
+
+    this.assertEqual(first.length, 1);
+    this.assertEqual(second.length, 0, 'Should not alert twice for the same article');
+    this.assertEqual(emitted, 1);
+
+    const { unreadCount } = await service.getAlerts();
+    this.assertEqual(unreadCount, 1);
+    this.assertEqual(await service.markRead(), 1);
+    this.assertEqual((await service.getAlerts()).unreadCount, 0);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,135 @@
+/**
+ * Tests for outbound webhooks
+ * Deliveries go to a local receiver that can be told to fail
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { WebhookService } = require('../services/webhookService');
+const { TestRunner } = require('./sanitizer.test');
+
+const runner = new TestRunner();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+let fileCounter = 0;
+
+function createService() {
+    return new WebhookService({ filePath: path.join(tempDir, `webhooks-${fileCounter++}.json`), retryBaseMs: 10, maxAttempts: 3 });
+}
+
+// Receiver that answers with the queued status codes, then 200
+function startReceiver(statuses = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.length ? statuses.shift() : 200);
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` });
+        });
+    });
+}
+
+async function addWebhook(service, data) {
+    const validation = service.validateWebhook({ name: 'Test', secret: 'a-very-secret-value', events: ['article.new'], ...data });
+    if (!validation.valid) throw new Error(validation.error);
+    return service.createWebhook(validation.data);
+}
+
+const ARTICLES = [
+    { id: 'a1', title: 'Critical RCE in mail server', source: 'BleepingComputer', category: 'Cybersecurity', priority: 'critical', priorityScore: 12,
+        publishedAt: '2025-10-14T06:00:00.000Z', scraped: '2025-10-14T08:00:00.000Z' },
+    { id: 'a2', title: 'New laptop review', source: 'Neowin', category: 'Technology', priority: 'medium', priorityScore: 0,
+        scraped: '2025-10-14T08:05:00.000Z' }
+];
+
+runner.test('validateWebhook - should reject invalid input', function() {
+    const service = createService();
+
+    this.assertFalse(service.validateWebhook({ name: 'x', url: 'ftp://example.com', events: ['article.new'] }).valid, 'Only http(s) URLs');
+    this.assertFalse(service.validateWebhook({ name: 'x', url: 'https://example.com', events: ['article.deleted'] }).valid, 'Unknown events');
+    this.assertFalse(service.validateWebhook({ name: 'x', url: 'https://example.com', events: ['article.new'], secret: 'short' }).valid);
+
+    const generated = service.validateWebhook({ name: 'x', url: 'https://example.com', events: 'article.new, refresh.complete' });
+    this.assertEqual(generated.data.events.length, 2);
+    this.assertTrue(generated.data.secret.length >= 16, 'Should generate a secret');
+});
+
+runner.test('dispatchArticles - should sign deliveries and apply filters', async function() {
+    const { server, received, url } = await startReceiver();
+
+    try {
+        const service = createService();
+        await addWebhook(service, { url, events: ['article.new', 'article.critical'], filters: { categories: ['Cybersecurity'], minPriorityScore: 5 } });
+
+        const deliveries = await service.dispatchArticles(ARTICLES);
+        this.assertEqual(deliveries.length, 2, 'Should deliver both article.new and article.critical');
+        this.assertTrue(deliveries.every(d => d.status === 'delivered'));
+
+        const request = received.find(r => r.headers['x-webhook-event'] === 'article.new');
+        const payload = JSON.parse(request.body);
+        this.assertEqual(payload.data.count, 1, 'Filters should drop the Technology article');
+        this.assertEqual(payload.data.articles[0].id, 'a1');
+        this.assertEqual(payload.data.articles[0].date, '2025-10-14T06:00:00.000Z', 'date is the publication date');
+
+        const expected = crypto.createHmac('sha256', 'a-very-secret-value')
+            .update(`${request.headers['x-webhook-timestamp']}.${request.body}`)
+            .digest('hex');
+        this.assertEqual(request.headers['x-webhook-signature'], `sha256=${expected}`);
+    } finally {
+        server.close();
+    }
+});
+
+runner.test('deliver - should retry server errors with backoff', async function() {
+    const { server, received, url } = await startReceiver([500, 503]);
+
+    try {
+        const service = createService();
+        await addWebhook(service, { url });
+
+        const [delivery] = await service.dispatchArticles(ARTICLES);
+        this.assertEqual(delivery.status, 'delivered');
+        this.assertEqual(delivery.attempts, 3);
+        this.assertEqual(received.length, 3);
+        this.assertEqual(JSON.parse(received[2].body).data.articles[1].date, '2025-10-14T08:05:00.000Z',
+            'Articles without a publication date fall back to when they were scraped');
+        this.assertEqual(new Set(received.map(r => r.headers['x-webhook-delivery'])).size, 1, 'Retries reuse the delivery ID');
+    } finally {
+        server.close();
+    }
+});
+
+runner.test('deliver - should not retry client errors and should log the failure', async function() {
+    const { server, url } = await startReceiver([400]);
+
+    try {
+        const service = createService();
+        const webhook = await addWebhook(service, { url });
+
+        await service.dispatchArticles(ARTICLES);
+        const [logged] = await service.getDeliveries({ webhookId: webhook.id });
+        this.assertEqual(logged.status, 'failed');
+        this.assertEqual(logged.attempts, 1);
+        this.assertEqual(logged.responseStatus, 400);
+    } finally {
+        server.close();
+    }
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runner.run().then(success => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(success ? 0 : 1);
+    });
+}
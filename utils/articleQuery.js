@@ -0,0 +1,290 @@
+/**
+ * Article Query Utilities
+ * Parses /api/news query parameters and applies filtering, sorting and pagination server-side
+ */
+
+const { sanitizeSearchInput } = require('./sanitizer');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORT_OPTIONS = ['newest', 'oldest', 'priority'];
+const PRIORITY_LEVELS = ['critical', 'high', 'medium-high', 'medium'];
+const QUERY_PARAMS = ['category', 'source', 'since', 'until', 'priority', 'q', 'page', 'limit', 'sort'];
+
+// Search prefixes for extracted entities, e.g. cve:CVE-2025-1234 or actor:"Lazarus Group"
+const ENTITY_FIELDS = {
+    cve: 'cves',
+    vendor: 'vendors',
+    product: 'products',
+    actor: 'threatActors',
+    malware: 'malware',
+    company: 'companies'
+};
+const ENTITY_FILTER_REGEX = /(^|\s)([+-]?)(cve|vendor|product|actor|malware|company|cvss):(?:"([^"]+)"|(\S+))/gi;
+
+const DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a date bound: either an ISO/absolute date or a relative duration such as "4h" or "7d"
+ * @param {string} value - Raw query value
+ * @param {number} now - Reference time in milliseconds
+ * @returns {number|null} - Timestamp in milliseconds or null if invalid
+ */
+function parseDateBound(value, now = Date.now()) {
+    if (!value || typeof value !== 'string') return null;
+
+    const relative = value.trim().match(/^(\d+)([mhdw])$/i);
+    if (relative) {
+        return now - parseInt(relative[1], 10) * DURATION_UNITS[relative[2].toLowerCase()];
+    }
+
+    const timestamp = new Date(value).getTime();
+    return isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Splits a comma-separated query value into lowercase terms
+ */
+function parseList(value) {
+    if (value === undefined || value === null) return [];
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+// Whole digit strings only, so "2abc" isn't silently read as 2
+function parsePositiveInteger(value) {
+    if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+    const number = parseInt(value, 10);
+    return Number.isSafeInteger(number) && number >= 1 ? number : null;
+}
+
+/**
+ * Parses a free-text search using the same operators as the frontend smart search:
+ * "exact phrases", +required, -excluded and bare terms (all must match), plus entity
+ * filters such as vendor:microsoft, actor:"Lazarus Group" or cvss:>=9 (negate with -)
+ * @param {string} query - Search text
+ * @returns {Object} - includeTerms, excludeTerms, exactPhrases and entityFilters
+ */
+function parseSearchQuery(query) {
+    const result = { includeTerms: [], excludeTerms: [], exactPhrases: [], entityFilters: [] };
+    if (!query) return result;
+
+    query = query.replace(ENTITY_FILTER_REGEX, (whole, lead, sign, field, quoted, bare) => {
+        const filter = parseEntityFilter(field.toLowerCase(), (quoted || bare).trim(), sign === '-');
+        if (filter) result.entityFilters.push(filter);
+        return lead;
+    });
+
+    const phraseRegex = /"([^"]+)"/g;
+    let match;
+    while ((match = phraseRegex.exec(query)) !== null) {
+        result.exactPhrases.push(match[1].toLowerCase());
+    }
+
+    const words = query.replace(phraseRegex, ' ').split(/\s+/).filter(Boolean);
+    for (const word of words) {
+        if (word.startsWith('-') && word.length > 1) {
+            result.excludeTerms.push(word.substring(1).toLowerCase());
+        } else if (word.startsWith('+') && word.length > 1) {
+            result.includeTerms.push(word.substring(1).toLowerCase());
+        } else if (word !== '+' && word !== '-') {
+            result.includeTerms.push(word.toLowerCase());
+        }
+    }
+
+    return result;
+}
+
+/**
+ * cvss takes a minimum score (cvss:9 or cvss:>=9; cvss:>8.5 is exclusive where the input
+ * keeps its ">"); other fields take a name
+ * @returns {Object|null} - Filter, or null if the value is unusable
+ */
+function parseEntityFilter(field, value, exclude) {
+    if (field === 'cvss') {
+        const match = value.match(/^(>=?|=)?(\d{1,2}(?:\.\d+)?)$/);
+        const min = match ? parseFloat(match[2]) : NaN;
+        if (isNaN(min) || min > 10) return null;
+        return { field, min, strict: match[1] === '>', exclude };
+    }
+
+    return value ? { field, value: value.toLowerCase(), exclude } : null;
+}
+
+function matchesEntityFilter(article, filter) {
+    const entities = article.entities || {};
+
+    if (filter.field === 'cvss') {
+        // NVD scores from CVE enrichment take precedence over scores quoted in the text
+        const max = typeof article.cvssScore === 'number' ? article.cvssScore : entities.maxCvss;
+        return typeof max === 'number' && (filter.strict ? max > filter.min : max >= filter.min);
+    }
+
+    // Whole names, or their leading words ("palo alto" matches "Palo Alto Networks")
+    return (entities[ENTITY_FIELDS[filter.field]] || []).some(name => {
+        const lower = name.toLowerCase();
+        return lower === filter.value || lower.startsWith(`${filter.value} `);
+    });
+}
+
+/**
+ * Validates /api/news query parameters
+ * @param {object} query - Express req.query
+ * @returns {object} - Validation result with parsed options or error
+ */
+function parseNewsQuery(query = {}) {
+    const options = {
+        categories: parseList(query.category),
+        sources: parseList(query.source),
+        priorities: parseList(query.priority),
+        since: null,
+        until: null,
+        search: null,
+        page: 1,
+        limit: DEFAULT_PAGE_SIZE,
+        sort: 'newest'
+    };
+
+    if (query.since !== undefined) {
+        options.since = parseDateBound(String(query.since));
+        if (options.since === null) {
+            return { valid: false, error: 'since must be an ISO date or a duration like 4h or 7d' };
+        }
+    }
+
+    if (query.until !== undefined) {
+        options.until = parseDateBound(String(query.until));
+        if (options.until === null) {
+            return { valid: false, error: 'until must be an ISO date or a duration like 4h or 7d' };
+        }
+    }
+
+    if (options.since !== null && options.until !== null && options.since > options.until) {
+        return { valid: false, error: 'since must be before until' };
+    }
+
+    const invalidPriority = options.priorities.find(p => !PRIORITY_LEVELS.includes(p));
+    if (invalidPriority) {
+        return { valid: false, error: `priority must be one of: ${PRIORITY_LEVELS.join(', ')}` };
+    }
+
+    if (query.q !== undefined) {
+        const search = sanitizeSearchInput(String(query.q));
+        options.search = search ? parseSearchQuery(search) : null;
+    }
+
+    if (query.page !== undefined) {
+        options.page = parsePositiveInteger(query.page);
+        if (options.page === null) {
+            return { valid: false, error: 'page must be a positive integer' };
+        }
+    }
+
+    if (query.limit !== undefined) {
+        options.limit = parsePositiveInteger(query.limit);
+        if (options.limit === null) {
+            return { valid: false, error: 'limit must be a positive integer' };
+        }
+        options.limit = Math.min(options.limit, MAX_PAGE_SIZE);
+    }
+
+    if (query.sort !== undefined) {
+        if (!SORT_OPTIONS.includes(query.sort)) {
+            return { valid: false, error: `sort must be one of: ${SORT_OPTIONS.join(', ')}` };
+        }
+        options.sort = query.sort;
+    }
+
+    return { valid: true, data: options };
+}
+
+/**
+ * Whether any /api/news query parameter was supplied
+ */
+function hasQueryParams(query = {}) {
+    return QUERY_PARAMS.some(param => query[param] !== undefined);
+}
+
+function getArticleTime(article) {
+    return new Date(article.scraped || article.firstSeen || 0).getTime() || 0;
+}
+
+// When an article was published; scrapers that found no date fall back to when it was scraped
+function getPublishedTime(article) {
+    const published = article.publishedAt ? new Date(article.publishedAt).getTime() : NaN;
+    return isNaN(published) ? getArticleTime(article) : published;
+}
+
+function matchesSearch(article, search) {
+    const text = [
+        article.title,
+        article.summary,
+        article.source,
+        article.author,
+        ...(article.keywords || []),
+        ...(article.categories || [])
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    if (!search.entityFilters.every(filter => matchesEntityFilter(article, filter) !== filter.exclude)) return false;
+    if (search.excludeTerms.some(term => text.includes(term))) return false;
+    if (!search.exactPhrases.every(phrase => text.includes(phrase))) return false;
+    return search.includeTerms.every(term => text.includes(term));
+}
+
+/**
+ * Filters, sorts and paginates articles
+ * @param {Array} articles - Articles to query
+ * @param {object} options - Parsed options from parseNewsQuery
+ * @returns {object} - Page of articles and pagination metadata
+ */
+function queryArticles(articles, options) {
+    let results = articles.filter(article => {
+        if (options.categories.length && !options.categories.includes((article.category || '').toLowerCase())) return false;
+        if (options.sources.length && !options.sources.includes((article.source || '').toLowerCase())) return false;
+        if (options.priorities.length && !options.priorities.includes(article.priority)) return false;
+
+        const time = getPublishedTime(article);
+        if (options.since !== null && time < options.since) return false;
+        if (options.until !== null && time > options.until) return false;
+
+        return !options.search || matchesSearch(article, options.search);
+    });
+
+    if (options.sort === 'priority') {
+        results.sort((a, b) => (b.priorityScore || 0) - (a.priorityScore || 0) || getArticleTime(b) - getArticleTime(a));
+    } else if (options.sort === 'oldest') {
+        results.sort((a, b) => getArticleTime(a) - getArticleTime(b));
+    } else {
+        results.sort((a, b) => getArticleTime(b) - getArticleTime(a));
+    }
+
+    const total = results.length;
+    const totalPages = Math.max(1, Math.ceil(total / options.limit));
+    const start = (options.page - 1) * options.limit;
+
+    return {
+        articles: results.slice(start, start + options.limit),
+        pagination: {
+            page: options.page,
+            limit: options.limit,
+            total,
+            totalPages,
+            hasNext: options.page < totalPages,
+            hasPrev: options.page > 1
+        }
+    };
+}
+
+module.exports = {
+    parseNewsQuery,
+    parseSearchQuery,
+    matchesEntityFilter,
+    parseDateBound,
+    hasQueryParams,
+    queryArticles
+};
@@ -0,0 +1,144 @@
+/**
+ * Readable Content Extraction
+ * Readability-style heuristic that finds the main article body in a page using cheerio
+ */
+
+const cheerio = require('cheerio');
+const { escapeHtml } = require('./sanitizer');
+
+const MAX_CONTENT_LENGTH = 20000;
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_CONTENT_LENGTH = 250;
+
+// Elements that never hold article text
+const NOISE_SELECTORS = 'script, style, noscript, iframe, form, nav, header, footer, aside, svg, button, figure figcaption';
+
+const NEGATIVE_PATTERN = /comment|sidebar|footer|share|social|related|promo|advert|\bads?\b|newsletter|subscribe|signup|nav|menu|breadcrumb|cookie|popup|modal|widget|sponsor|author-bio|tags/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|post|story|text|blog/i;
+
+// Block elements kept when rebuilding the extracted body
+const BLOCK_SELECTORS = 'p, h2, h3, h4, li, blockquote, pre';
+
+function getClassWeight($element) {
+    const identifiers = `${$element.attr('class') || ''} ${$element.attr('id') || ''}`;
+    let weight = 0;
+    if (POSITIVE_PATTERN.test(identifiers)) weight += 25;
+    if (NEGATIVE_PATTERN.test(identifiers)) weight -= 25;
+    return weight;
+}
+
+function getLinkDensity($, $element) {
+    const textLength = $element.text().trim().length;
+    if (textLength === 0) return 1;
+
+    let linkLength = 0;
+    $element.find('a').each((i, link) => {
+        linkLength += $(link).text().trim().length;
+    });
+    return linkLength / textLength;
+}
+
+function cleanText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Scores paragraph parents and returns the element most likely to hold the article body
+ */
+function findBestCandidate($) {
+    // Pages that mark up their body explicitly don't need scoring
+    const $explicit = $('[itemprop="articleBody"]').first();
+    if ($explicit.length && cleanText($explicit.text()).length >= MIN_CONTENT_LENGTH) {
+        return $explicit;
+    }
+
+    const scores = new Map();
+
+    $('p, pre, td').each((i, paragraph) => {
+        const text = cleanText($(paragraph).text());
+        if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+        const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+        const $parent = $(paragraph).parent();
+        const $grandparent = $parent.parent();
+
+        [[$parent, score], [$grandparent, score / 2]].forEach(([$node, points]) => {
+            const node = $node.get(0);
+            if (!node || node.type !== 'tag') return;
+            if (!scores.has(node)) {
+                scores.set(node, getClassWeight($node));
+            }
+            scores.set(node, scores.get(node) + points);
+        });
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [node, score] of scores) {
+        const adjusted = score * (1 - getLinkDensity($, $(node)));
+        if (adjusted > bestScore) {
+            best = node;
+            bestScore = adjusted;
+        }
+    }
+
+    return best ? $(best) : null;
+}
+
+/**
+ * Extracts the main readable body from an article page
+ * @param {string} html - Full page HTML
+ * @returns {object|null} - { text, html, wordCount } or null when no body could be found
+ */
+function extractReadableContent(html) {
+    if (!html || typeof html !== 'string') return null;
+
+    const $ = cheerio.load(html);
+    $(NOISE_SELECTORS).remove();
+    $('*').each((i, element) => {
+        const $element = $(element);
+        if ($element.is('body, html, article, main')) return;
+        if (NEGATIVE_PATTERN.test(`${$element.attr('class') || ''} ${$element.attr('id') || ''}`) && !POSITIVE_PATTERN.test($element.attr('class') || '')) {
+            $element.remove();
+        }
+    });
+
+    const $candidate = findBestCandidate($);
+    if (!$candidate) return null;
+
+    const blocks = [];
+    $candidate.find(BLOCK_SELECTORS).each((i, element) => {
+        const $element = $(element);
+        // Nested blocks (e.g. <p> inside <li>) are picked up by their outermost match
+        if ($element.parents(BLOCK_SELECTORS).length) return;
+
+        const text = cleanText($element.text());
+        if (!text) return;
+        if (element.tagName === 'p' && getLinkDensity($, $element) > 0.5) return;
+
+        blocks.push({ tag: element.tagName, text });
+    });
+
+    const text = blocks.map(block => block.text).join('\n\n').substring(0, MAX_CONTENT_LENGTH);
+    if (text.length < MIN_CONTENT_LENGTH) return null;
+
+    // Rebuild a minimal HTML body from escaped text so no source markup survives
+    let length = 0;
+    const htmlBlocks = [];
+    for (const block of blocks) {
+        if (length + block.text.length > MAX_CONTENT_LENGTH) break;
+        length += block.text.length;
+        const tag = block.tag === 'li' ? 'p' : block.tag;
+        htmlBlocks.push(`<${tag}>${escapeHtml(block.text)}</${tag}>`);
+    }
+
+    return {
+        text,
+        html: htmlBlocks.join(''),
+        wordCount: text.split(/\s+/).filter(Boolean).length
+    };
+}
+
+module.exports = {
+    extractReadableContent
+};
@@ -0,0 +1,157 @@
+/**
+ * Date Parsing
+ * Turns the date text scraped from listing pages ("3 hours ago", "Oct 14th, 2025 at 9:30 AM",
+ * "14.10.2025", "Updated: yesterday") into ISO timestamps
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MAX_FUTURE_MS = DAY; // Allows for timezone slop; anything later is a misparse
+const MIN_YEAR = 1995;
+
+const UNIT_MS = {
+    second: 1000,
+    minute: MINUTE,
+    hour: HOUR,
+    day: DAY,
+    week: 7 * DAY,
+    month: 30 * DAY,
+    year: 365 * DAY
+};
+
+// Abbreviations and plurals seen on news sites
+const UNIT_ALIASES = {
+    s: 'second', sec: 'second', secs: 'second', second: 'second', seconds: 'second',
+    m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+    h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+    d: 'day', day: 'day', days: 'day',
+    w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+    mo: 'month', mos: 'month', month: 'month', months: 'month',
+    y: 'year', yr: 'year', yrs: 'year', year: 'year', years: 'year'
+};
+
+const RELATIVE_REGEX = /\b(\d+|an?|one)\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?|wks?|months?|mos?|years?|yrs?|[smhdwy])\s+ago\b/i;
+const TIME_OF_DAY_REGEX = /\b(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?\b/i;
+const NUMERIC_DATE_REGEX = /\b(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})\b/;
+const LABEL_REGEX = /^(published|posted|updated|last updated|modified|date)\s*(on|at)?\s*:?\s*/i;
+const WEEKDAY_REGEX = /\b(mon|tues?|wed(nes)?|thu(rs)?|fri|sat(ur)?|sun)(day)?\b,?/gi;
+
+function isPlausible(date, now) {
+    const time = date.getTime();
+    return !isNaN(time) && time <= now.getTime() + MAX_FUTURE_MS && date.getUTCFullYear() >= MIN_YEAR;
+}
+
+// Applies "at 9:30 PM" style times to a day-relative date
+function withTimeOfDay(date, text) {
+    const match = text.match(TIME_OF_DAY_REGEX);
+    if (!match) return date;
+
+    let hours = parseInt(match[1]);
+    const suffix = (match[3] || '').toLowerCase();
+    if (suffix === 'pm' && hours < 12) hours += 12;
+    if (suffix === 'am' && hours === 12) hours = 0;
+    if (hours > 23) return date;
+
+    const result = new Date(date);
+    result.setHours(hours, parseInt(match[2]), 0, 0);
+    return result;
+}
+
+function parseRelative(text, now) {
+    if (/^(just now|now|moments? ago|a moment ago)$/.test(text)) return now;
+
+    const dayOffset = /\byesterday\b/.test(text) ? 1 : /\btoday\b/.test(text) ? 0 : null;
+    if (dayOffset !== null) {
+        const day = new Date(now.getTime() - dayOffset * DAY);
+        day.setHours(0, 0, 0, 0);
+        return TIME_OF_DAY_REGEX.test(text) ? withTimeOfDay(day, text) : (dayOffset === 0 ? now : day);
+    }
+
+    const match = text.match(RELATIVE_REGEX);
+    if (!match) return null;
+
+    const amount = /^\d+$/.test(match[1]) ? parseInt(match[1]) : 1;
+    const unit = UNIT_ALIASES[match[2].toLowerCase()];
+    return unit ? new Date(now.getTime() - amount * UNIT_MS[unit]) : null;
+}
+
+// 14.10.2025, 14/10/2025, 2025/10/14 and 10-14-2025; day-first unless that makes no sense
+function parseNumeric(text) {
+    const match = text.match(NUMERIC_DATE_REGEX);
+    if (!match) return null;
+
+    let [, a, b, c] = match.map(Number);
+    let year, month, day;
+    if (match[1].length === 4) {
+        [year, month, day] = [a, b, c];
+    } else if (match[3].length === 4 || match[3].length === 2) {
+        year = match[3].length === 2 ? 2000 + c : c;
+        [day, month] = b > 12 ? [b, a] : [a, b];
+    } else {
+        return null;
+    }
+
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return withTimeOfDay(new Date(year, month - 1, day), text);
+}
+
+/**
+ * Parse scraped date text into an ISO timestamp
+ * @param {string|number} value - Date text, ISO/RFC date or Unix timestamp
+ * @param {Date} now - Reference time for relative dates
+ * @returns {string|null} - ISO timestamp, or null if the text isn't a usable date
+ */
+function parseDate(value, now = new Date()) {
+    if (value === null || value === undefined) return null;
+
+    const raw = String(value).trim();
+    if (!raw || raw.length > 200) return null;
+
+    // Unix timestamps in seconds or milliseconds
+    if (/^\d{10}(\d{3})?$/.test(raw)) {
+        const date = new Date(raw.length === 10 ? parseInt(raw) * 1000 : parseInt(raw));
+        return isPlausible(date, now) ? date.toISOString() : null;
+    }
+
+    const text = raw.toLowerCase().replace(/\s+/g, ' ').replace(LABEL_REGEX, '');
+    const relative = parseRelative(text, now);
+    if (relative) return relative.toISOString();
+
+    // ISO 8601 and RFC 2822 dates parse as they are
+    if (/^\d{4}-\d{2}-\d{2}/.test(raw) || /^[a-z]{3}, \d{1,2} [a-z]{3} \d{4}/i.test(raw)) {
+        const date = new Date(raw);
+        if (isPlausible(date, now)) return date.toISOString();
+    }
+
+    if (NUMERIC_DATE_REGEX.test(text)) {
+        const date = parseNumeric(text);
+        return date && isPlausible(date, now) ? date.toISOString() : null;
+    }
+
+    // Written dates: "Oct 14th, 2025 at 9:30 AM", "Tuesday, 14 October 2025 | 09:30"
+    const cleaned = raw
+        .replace(LABEL_REGEX, '')
+        .replace(WEEKDAY_REGEX, '')
+        .replace(/(\d)(st|nd|rd|th)\b/gi, '$1')
+        .replace(/\s+(at|@|\||-|–|·)\s+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!/\d/.test(cleaned) || !/[a-z]{3}/i.test(cleaned)) return null;
+
+    // "Oct 1" means the most recent October 1st
+    if (!/\b\d{4}\b/.test(cleaned)) {
+        const date = new Date(`${cleaned} ${now.getFullYear()}`);
+        if (!isNaN(date.getTime()) && date.getTime() > now.getTime() + MAX_FUTURE_MS) {
+            date.setFullYear(date.getFullYear() - 1);
+        }
+        return isPlausible(date, now) ? date.toISOString() : null;
+    }
+
+    const date = new Date(cleaned);
+    return isPlausible(date, now) ? date.toISOString() : null;
+}
+
+module.exports = {
+    parseDate
+};
@@ -0,0 +1,219 @@
+/**
+ * Entity Extraction
+ * Pulls structured security entities out of article text: CVE IDs with their CVSS scores,
+ * vendors and products, threat actors, malware families and company names
+ */
+
+const { toPlainText } = require('./sanitizer');
+
+const MAX_TEXT_LENGTH = 20000;
+const MAX_PER_TYPE = 25;
+const CVSS_CVE_DISTANCE = 150; // How far before a CVSS score its CVE may appear
+
+// Product names imply their vendor. Contextual products are ordinary words, so they only
+// count when the vendor itself is mentioned in the article.
+const VENDORS = [
+    { name: 'Microsoft', products: ['Windows', 'Exchange Server', 'Exchange Online', 'SharePoint', 'Outlook', 'Azure', 'Entra ID', 'Active Directory', 'Hyper-V', 'Microsoft 365', 'Copilot'], contextual: ['Office', 'Teams', 'Edge', 'Defender', 'Exchange'] },
+    { name: 'Google', products: ['Chrome', 'Chromium', 'Android', 'Gmail', 'Google Cloud', 'Gemini'], contextual: ['Pixel', 'Workspace'] },
+    { name: 'Apple', products: ['iOS', 'iPadOS', 'macOS', 'watchOS', 'visionOS', 'Safari', 'WebKit', 'iPhone', 'iPad'], contextual: [] },
+    { name: 'Cisco', products: ['IOS XE', 'IOS XR', 'Webex', 'Firepower', 'Cisco ASA', 'Secure Firewall', 'ISE'], contextual: ['ASA', 'Catalyst'] },
+    { name: 'Fortinet', products: ['FortiOS', 'FortiGate', 'FortiWeb', 'FortiManager', 'FortiAnalyzer', 'FortiClient', 'FortiSIEM', 'FortiProxy', 'FortiSwitch'], contextual: [] },
+    { name: 'Ivanti', products: ['Connect Secure', 'Policy Secure', 'EPMM', 'Endpoint Manager', 'Neurons'], contextual: [] },
+    { name: 'Citrix', products: ['NetScaler', 'XenServer', 'ShareFile'], contextual: ['ADC', 'Gateway'] },
+    { name: 'VMware', products: ['ESXi', 'vCenter', 'vSphere', 'Aria Operations', 'Workspace ONE'], contextual: ['Workstation', 'Fusion', 'Tools'] },
+    { name: 'Palo Alto Networks', products: ['PAN-OS', 'GlobalProtect', 'Cortex XDR', 'Expedition'], contextual: [] },
+    { name: 'SonicWall', products: ['SonicOS', 'SMA 100'], contextual: ['SMA'] },
+    { name: 'Juniper', products: ['Junos'], contextual: [] },
+    { name: 'Atlassian', products: ['Confluence', 'Jira', 'Bitbucket'], contextual: [] },
+    { name: 'Oracle', products: ['WebLogic', 'E-Business Suite', 'MySQL', 'VirtualBox'], contextual: ['Java'] },
+    { name: 'SAP', products: ['NetWeaver', 'S/4HANA'], contextual: [] },
+    { name: 'Adobe', products: ['Acrobat', 'ColdFusion', 'Photoshop', 'Experience Manager', 'Magento'], contextual: ['Reader', 'Commerce'] },
+    { name: 'Mozilla', products: ['Firefox', 'Thunderbird'], contextual: [] },
+    { name: 'Apache', products: ['Tomcat', 'Struts', 'Log4j', 'ActiveMQ', 'OFBiz'], contextual: [] },
+    { name: 'Progress', products: ['MOVEit', 'WS_FTP', 'Telerik'], contextual: [] },
+    { name: 'SolarWinds', products: ['Serv-U', 'Web Help Desk', 'Orion'], contextual: [] },
+    { name: 'Zoho', products: ['ManageEngine'], contextual: [] },
+    { name: 'Veeam', products: ['Backup & Replication'], contextual: [] },
+    { name: 'CrowdStrike', products: [], contextual: ['Falcon'] },
+    { name: 'Linux', products: ['Linux kernel'], contextual: [] },
+    { name: 'WordPress', products: ['WooCommerce'], contextual: [] },
+    { name: 'GitLab', products: [], contextual: [] },
+    { name: 'GitHub', products: ['GitHub Actions'], contextual: [] },
+    { name: 'Jenkins', products: [], contextual: [] },
+    { name: 'Zimbra', products: [], contextual: [] },
+    { name: 'Roundcube', products: [], contextual: [] },
+    { name: 'Cloudflare', products: [], contextual: [] },
+    { name: 'Okta', products: [], contextual: [] },
+    { name: 'Intel', products: [], contextual: [] },
+    { name: 'AMD', products: [], contextual: [] },
+    { name: 'Nvidia', products: ['CUDA', 'GeForce'], contextual: [] },
+    { name: 'Qualcomm', products: ['Snapdragon'], contextual: [] },
+    { name: 'Samsung', products: ['Galaxy'], contextual: [] },
+    { name: 'Synology', products: [], contextual: [] },
+    { name: 'QNAP', products: [], contextual: [] },
+    { name: 'Zyxel', products: [], contextual: [] },
+    { name: 'D-Link', products: [], contextual: [] },
+    { name: 'TP-Link', products: [], contextual: [] },
+    { name: 'Netgear', products: [], contextual: [] },
+    { name: 'Ubiquiti', products: [], contextual: [] },
+    { name: 'OpenAI', products: ['ChatGPT', 'Codex'], contextual: [] }
+];
+
+const THREAT_ACTORS = [
+    'Lazarus Group', 'Lazarus', 'Kimsuky', 'Andariel', 'APT28', 'Fancy Bear', 'APT29', 'Cozy Bear', 'Sandworm', 'Turla',
+    'Gamaredon', 'Scattered Spider', 'ShinyHunters', 'Lapsus$', 'Volt Typhoon', 'Salt Typhoon', 'Midnight Blizzard',
+    'Charming Kitten', 'MuddyWater', 'OilRig', 'Mustang Panda', 'Winnti', 'TeamTNT', 'Evil Corp'
+];
+// Vendor naming schemes: numbered groups, and Microsoft/CrowdStrike-style "<Name> <Weather|Animal>"
+const THREAT_ACTOR_PATTERNS = [
+    /\bAPT\s?-?\d{1,3}\b/g,
+    /\b(?:UNC|TA|DEV-|Storm-)\d{3,5}\b/g,
+    /\bFIN\d{1,2}\b/g,
+    /\b[A-Z][a-z]+ (?:Typhoon|Blizzard|Sleet|Sandstorm|Tempest|Hail|Cyclone|Tsunami)\b/g,
+    /\b[A-Z][a-z]+ (?:Panda|Bear|Kitten|Chollima|Spider|Jackal|Buffalo)\b/g
+];
+
+const MALWARE = [
+    'LockBit', 'BlackCat', 'ALPHV', 'Akira', 'Cl0p', 'Clop', 'Black Basta', 'Qilin', 'RansomHub', 'Medusa', 'Rhysida',
+    'BianLian', 'Ryuk', 'Conti', 'REvil', 'WannaCry', 'NotPetya', 'Emotet', 'QakBot', 'Qbot', 'TrickBot', 'IcedID',
+    'Cobalt Strike', 'Mimikatz', 'Lumma', 'LummaC2', 'RedLine', 'Raccoon Stealer', 'Vidar', 'AsyncRAT', 'Remcos',
+    'njRAT', 'Agent Tesla', 'Formbook', 'SocGholish', 'DarkGate', 'Pikabot', 'Latrodectus', 'Mirai', 'Pegasus',
+    'Predator', 'PlugX', 'ShadowPad', 'Sliver', 'Brute Ratel'
+];
+const MALWARE_KINDS = 'ransomware|malware|botnet|stealer|infostealer|trojan|backdoor|loader|RAT|wiper|rootkit|spyware|worm';
+const MALWARE_PATTERN = new RegExp(`\\b([A-Z][A-Za-z0-9]+(?:[.-][A-Za-z0-9]+)?) (?:${MALWARE_KINDS})\\b`, 'g');
+// Capitalized words that precede "ransomware" etc. without being a family name
+const NOT_MALWARE = new Set(['The', 'A', 'An', 'New', 'This', 'That', 'Android', 'Linux', 'Windows', 'Mac', 'macOS', 'iOS', 'Mobile', 'Banking', 'Python', 'Go', 'Rust', 'Chinese', 'Russian', 'Iranian', 'North', 'Korean', 'Custom', 'Novel', 'Fake', 'Crypto', 'Info', 'Data', 'Password', 'Credential', 'Remote', 'Destructive']);
+
+const COMPANIES = [
+    'Amazon', 'AWS', 'Meta', 'Facebook', 'WhatsApp', 'Tesla', 'IBM', 'Dell', 'HP', 'Lenovo', 'Salesforce', 'Snowflake',
+    'Uber', 'Ticketmaster', 'AT&T', 'Verizon', 'T-Mobile', 'UnitedHealth', 'Change Healthcare', 'Coinbase', 'Binance',
+    'Anthropic', 'Marks & Spencer', 'Jaguar Land Rover', 'Qantas', 'Boeing', 'Disney', 'Netflix', 'Spotify', 'Twitter',
+    'X Corp', 'TikTok', 'ByteDance', 'Huawei', 'Xiaomi', 'Sony', 'Nintendo', 'Valve'
+];
+const COMPANY_SUFFIX_PATTERN = /\b([A-Z][A-Za-z0-9&-]*(?:\s+[A-Z][A-Za-z0-9&-]*){0,3}),?\s+(?:Inc|Corp|Corporation|Ltd|LLC|GmbH|plc|PLC)\b\.?/g;
+
+const CVE_PATTERN = /\bCVE-\d{4}-\d{4,7}\b/gi;
+const CVSS_PATTERN = /\bCVSS(?:\s*v?\d(?:\.\d)?)?(?:\s+base)?(?:\s+score)?(?:\s+of)?\s*[:=]?\s*(\d{1,2}(?:\.\d)?)(?!\d)/gi;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case-sensitive, whole-word match that also works for names with punctuation (Lapsus$, S/4HANA)
+function nameRegex(name) {
+    return new RegExp(`(?:^|[^A-Za-z0-9])${escapeRegex(name)}(?![A-Za-z0-9])`);
+}
+
+const VENDOR_MATCHERS = VENDORS.map(vendor => ({
+    ...vendor,
+    regex: nameRegex(vendor.name),
+    productMatchers: vendor.products.map(product => ({ name: product, regex: nameRegex(product) })),
+    contextualMatchers: vendor.contextual.map(product => ({ name: product, regex: nameRegex(product) }))
+}));
+const THREAT_ACTOR_MATCHERS = THREAT_ACTORS.map(name => ({ name, regex: nameRegex(name) }));
+const MALWARE_MATCHERS = MALWARE.map(name => ({ name, regex: nameRegex(name) }));
+const COMPANY_MATCHERS = COMPANIES.map(name => ({ name, regex: nameRegex(name) }));
+
+function addUnique(list, value) {
+    const key = value.toLowerCase();
+    if (list.length < MAX_PER_TYPE && !list.some(existing => existing.toLowerCase() === key)) {
+        list.push(value);
+    }
+}
+
+// Drop names contained in a longer name of the same type ("Lazarus" inside "Lazarus Group")
+function dropContained(list) {
+    return list.filter(name => !list.some(other => other !== name && nameRegex(name).test(other)));
+}
+
+/**
+ * Finds CVSS scores and pairs each with the closest CVE mentioned just before it
+ */
+function extractCvss(text) {
+    const scores = [];
+    let match;
+
+    CVSS_PATTERN.lastIndex = 0;
+    while ((match = CVSS_PATTERN.exec(text)) !== null) {
+        const score = parseFloat(match[1]);
+        if (score < 0 || score > 10) continue;
+
+        const before = text.substring(Math.max(0, match.index - CVSS_CVE_DISTANCE), match.index);
+        const cves = before.match(CVE_PATTERN);
+        const cve = cves ? cves[cves.length - 1].toUpperCase() : null;
+        if (!scores.some(entry => entry.cve === cve && entry.score === score)) {
+            scores.push({ cve, score });
+        }
+    }
+
+    return scores.slice(0, MAX_PER_TYPE);
+}
+
+/**
+ * Extract entities from an article's title, summary and body
+ * @param {Object} article - Article with title, summary and content (escaped or plain)
+ * @returns {Object} - cves, cvss ({ cve, score }), maxCvss, vendors, products, threatActors, malware, companies
+ */
+function extractEntities(article) {
+    const text = [article.title, article.summary, article.content]
+        .map(toPlainText)
+        .filter(Boolean)
+        .join('\n')
+        .substring(0, MAX_TEXT_LENGTH);
+
+    const entities = { cves: [], cvss: [], maxCvss: null, vendors: [], products: [], threatActors: [], malware: [], companies: [] };
+    if (!text) return entities;
+
+    (text.match(CVE_PATTERN) || []).forEach(cve => addUnique(entities.cves, cve.toUpperCase()));
+
+    entities.cvss = extractCvss(text);
+    if (entities.cvss.length > 0) {
+        entities.maxCvss = Math.max(...entities.cvss.map(entry => entry.score));
+    }
+
+    for (const vendor of VENDOR_MATCHERS) {
+        const vendorMentioned = vendor.regex.test(text);
+        const products = vendor.productMatchers.filter(product => product.regex.test(text));
+        if (vendorMentioned) {
+            products.push(...vendor.contextualMatchers.filter(product => product.regex.test(text)));
+        }
+
+        if (vendorMentioned || products.length > 0) {
+            addUnique(entities.vendors, vendor.name);
+            products.forEach(product => addUnique(entities.products, product.name));
+        }
+    }
+    entities.products = dropContained(entities.products);
+
+    THREAT_ACTOR_MATCHERS.filter(actor => actor.regex.test(text)).forEach(actor => addUnique(entities.threatActors, actor.name));
+    for (const pattern of THREAT_ACTOR_PATTERNS) {
+        (text.match(pattern) || []).forEach(name => addUnique(entities.threatActors, name.replace(/^APT\s?-?/, 'APT')));
+    }
+    entities.threatActors = dropContained(entities.threatActors);
+
+    MALWARE_MATCHERS.filter(malware => malware.regex.test(text)).forEach(malware => addUnique(entities.malware, malware.name));
+    let match;
+    MALWARE_PATTERN.lastIndex = 0;
+    while ((match = MALWARE_PATTERN.exec(text)) !== null) {
+        const name = match[1];
+        const known = entities.vendors.concat(entities.products).some(entity => entity.toLowerCase() === name.toLowerCase());
+        if (!NOT_MALWARE.has(name) && !known) {
+            addUnique(entities.malware, name);
+        }
+    }
+
+    COMPANY_MATCHERS.filter(company => company.regex.test(text)).forEach(company => addUnique(entities.companies, company.name));
+    COMPANY_SUFFIX_PATTERN.lastIndex = 0;
+    while ((match = COMPANY_SUFFIX_PATTERN.exec(text)) !== null) {
+        if (!entities.vendors.some(vendor => vendor.toLowerCase() === match[1].toLowerCase())) {
+            addUnique(entities.companies, match[1]);
+        }
+    }
+
+    return entities;
+}
+
+module.exports = {
+    extractEntities
+};
@@ -0,0 +1,232 @@
+/**
+ * Extraction Rules
+ * Declarative per-source rules for the generic scraper. A source's "selectors" maps each
+ * article field to a CSS selector, or to a rule reading an attribute and/or applying a regex:
+ *   { "container": "article", "exclude": ".sponsored", "maxItems": 20,
+ *     "title": "h2", "date": { "selector": "time", "attribute": "datetime" },
+ *     "summary": { "selector": ".excerpt", "regex": "^(.*?)\\s+Read more" } }
+ */
+
+const cheerio = require('cheerio');
+const { extractJsonLdArticles } = require('./pageMetadata');
+
+const FIELDS = ['title', 'link', 'summary', 'date', 'author'];
+const OPTIONS = ['container', 'exclude', 'maxItems', 'metadata'];
+const RULE_KEYS = ['selector', 'attribute', 'regex'];
+const DEFAULT_MAX_ITEMS = 10;
+const MAX_ITEMS_LIMIT = 50;
+const MAX_SELECTOR_LENGTH = 300;
+const MAX_PATTERN_LENGTH = 200;
+const ATTRIBUTE_REGEX = /^[a-zA-Z_:][-a-zA-Z0-9_:.]{0,50}$/;
+
+const DEFAULT_RULES = {
+    container: 'article, .post, .entry, .news-item',
+    exclude: null,
+    maxItems: DEFAULT_MAX_ITEMS,
+    metadata: true,
+    title: { selector: 'h1, h2, h3, .title, .headline' },
+    link: { selector: 'a' },
+    summary: { selector: 'p, .excerpt, .summary, .description' },
+    date: { selector: '.date, .time, time, .published' },
+    author: { selector: '.author, [rel="author"], .byline' }
+};
+
+// Attributes read when a rule doesn't name one; other than for links, the element's text is used when they're missing
+const DEFAULT_ATTRIBUTES = {
+    link: 'href',
+    date: 'datetime'
+};
+
+function isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim() || selector.length > MAX_SELECTOR_LENGTH) return false;
+    try {
+        cheerio.load('')(selector);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateFieldRule(field, rule) {
+    if (typeof rule === 'string') {
+        return isValidSelector(rule)
+            ? { valid: true, data: { selector: rule.trim() } }
+            : { valid: false, error: `${field} must be a valid CSS selector` };
+    }
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return { valid: false, error: `${field} must be a CSS selector or a rule object` };
+    }
+
+    const unknown = Object.keys(rule).find(key => !RULE_KEYS.includes(key));
+    if (unknown) {
+        return { valid: false, error: `Unknown ${field} rule option "${unknown}"` };
+    }
+
+    const data = {};
+    if (rule.selector !== undefined && rule.selector !== '') {
+        if (!isValidSelector(rule.selector)) {
+            return { valid: false, error: `${field}.selector must be a valid CSS selector` };
+        }
+        data.selector = rule.selector.trim();
+    }
+    if (rule.attribute !== undefined) {
+        if (typeof rule.attribute !== 'string' || !ATTRIBUTE_REGEX.test(rule.attribute)) {
+            return { valid: false, error: `${field}.attribute must be an attribute name` };
+        }
+        data.attribute = rule.attribute;
+    }
+    if (rule.regex !== undefined) {
+        if (typeof rule.regex !== 'string' || rule.regex.length > MAX_PATTERN_LENGTH) {
+            return { valid: false, error: `${field}.regex must be a pattern of at most ${MAX_PATTERN_LENGTH} characters` };
+        }
+        try {
+            new RegExp(rule.regex, 'i');
+        } catch (error) {
+            return { valid: false, error: `${field}.regex is not a valid regular expression` };
+        }
+        data.regex = rule.regex;
+    }
+
+    return { valid: true, data };
+}
+
+/**
+ * Validates a source's extraction rules; fields and options left out fall back to the defaults
+ * @param {Object|null} rules - The source's "selectors" value
+ * @returns {Object} - Validation result with the rules as given (for storage) or error
+ */
+function validateExtractionRules(rules) {
+    if (rules === null || rules === undefined) return { valid: true, data: null };
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+        return { valid: false, error: 'Selectors must be an object or null' };
+    }
+
+    const unknown = Object.keys(rules).find(key => !FIELDS.includes(key) && !OPTIONS.includes(key));
+    if (unknown) {
+        return { valid: false, error: `Unknown selector "${unknown}"; expected ${[...OPTIONS, ...FIELDS].join(', ')}` };
+    }
+
+    const data = {};
+    for (const key of ['container', 'exclude']) {
+        if (rules[key] === undefined || rules[key] === null || rules[key] === '') continue;
+        if (!isValidSelector(rules[key])) {
+            return { valid: false, error: `${key} must be a valid CSS selector` };
+        }
+        data[key] = rules[key].trim();
+    }
+
+    if (rules.maxItems !== undefined && rules.maxItems !== null) {
+        const maxItems = parseInt(rules.maxItems);
+        if (!(maxItems >= 1 && maxItems <= MAX_ITEMS_LIMIT)) {
+            return { valid: false, error: `maxItems must be between 1 and ${MAX_ITEMS_LIMIT}` };
+        }
+        data.maxItems = maxItems;
+    }
+
+    if (rules.metadata !== undefined) {
+        if (typeof rules.metadata !== 'boolean') {
+            return { valid: false, error: 'metadata must be true or false' };
+        }
+        data.metadata = rules.metadata;
+    }
+
+    for (const field of FIELDS) {
+        if (rules[field] === undefined || rules[field] === null) continue;
+        const result = validateFieldRule(field, rules[field]);
+        if (!result.valid) return result;
+        data[field] = typeof rules[field] === 'string' ? rules[field].trim() : result.data;
+    }
+
+    return { valid: true, data };
+}
+
+// Rules with defaults filled in and field rules in object form
+function resolveRules(rules) {
+    const resolved = { ...DEFAULT_RULES, explicitLink: Boolean(rules && rules.link) };
+    Object.entries(rules || {}).forEach(([key, value]) => {
+        resolved[key] = FIELDS.includes(key) && typeof value === 'string' ? { selector: value } : value;
+    });
+    return resolved;
+}
+
+function readField($element, field, rule) {
+    const $target = rule.selector ? $element.find(rule.selector).first() : $element;
+    if (!$target.length) return '';
+
+    const attribute = rule.attribute || DEFAULT_ATTRIBUTES[field];
+    let value = attribute ? $target.attr(attribute) : null;
+    if (!value && !rule.attribute && field !== 'link') value = $target.text();
+    value = (value || '').replace(/\s+/g, ' ').trim();
+
+    if (rule.regex && value) {
+        const match = value.match(new RegExp(rule.regex, 'i'));
+        value = match ? (match[1] !== undefined ? match[1] : match[0]).trim() : '';
+    }
+    return value;
+}
+
+// Without an explicit link rule, prefer the anchor in (or around) the title
+function readLink($, $element, rules) {
+    if (!rules.explicitLink && rules.title.selector) {
+        const $title = $element.find(rules.title.selector).first();
+        const $anchor = $title.is('a') ? $title : $title.find('a').first();
+        if ($anchor.length && $anchor.attr('href')) return $anchor.attr('href').trim();
+        const $parentAnchor = $title.closest('a');
+        if ($parentAnchor.length && $parentAnchor.attr('href')) return $parentAnchor.attr('href').trim();
+    }
+    return readField($element, 'link', rules.link);
+}
+
+/**
+ * Extract article candidates from a listing page
+ * @param {string} html - Page HTML
+ * @param {Object|null} rules - Validated extraction rules (see validateExtractionRules)
+ * @param {string} baseUrl - Page URL, for relative links
+ * @returns {Array<Object>} - Items with title, link (absolute), summary, publishedAt (raw text) and author
+ */
+function extractWithRules(html, rules, baseUrl) {
+    const resolved = resolveRules(rules);
+    const $ = cheerio.load(html || '');
+    const items = [];
+
+    if (resolved.exclude) {
+        $(resolved.exclude).remove();
+    }
+
+    $(resolved.container).each((i, element) => {
+        if (items.length >= resolved.maxItems) return false;
+
+        const $element = $(element);
+        const title = readField($element, 'title', resolved.title);
+        const link = readLink($, $element, resolved);
+        if (!title || !link) return;
+
+        let absoluteLink;
+        try {
+            absoluteLink = new URL(link, baseUrl).href;
+        } catch (error) {
+            return;
+        }
+
+        items.push({
+            title,
+            link: absoluteLink,
+            summary: readField($element, 'summary', resolved.summary),
+            publishedAt: readField($element, 'date', resolved.date) || null,
+            author: readField($element, 'author', resolved.author) || null
+        });
+    });
+
+    // Listing pages that describe their articles in JSON-LD still work when the markup doesn't match
+    if (items.length === 0 && resolved.metadata) {
+        return extractJsonLdArticles($, baseUrl).slice(0, resolved.maxItems);
+    }
+
+    return items;
+}
+
+module.exports = {
+    validateExtractionRules,
+    extractWithRules,
+    DEFAULT_RULES
+};
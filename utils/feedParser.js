@@ -0,0 +1,187 @@
+/**
+ * RSS/Atom Feed Parser
+ * Normalizes RSS 2.0, RSS 1.0 (RDF), Atom and Google News sitemap documents into plain feed items
+ */
+
+const cheerio = require('cheerio');
+
+const MAX_SUMMARY_LENGTH = 500;
+
+/**
+ * Strips markup from a feed description and collapses whitespace
+ * @param {string} html - Description or content HTML
+ * @returns {string} - Plain text
+ */
+function htmlToText(html) {
+    if (!html || typeof html !== 'string') return '';
+
+    const text = cheerio.load(html).text();
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Converts a feed date (RFC 822 or ISO 8601) to an ISO timestamp
+ * @param {string} value - Raw date string from the feed
+ * @returns {string|null} - ISO timestamp or null if unparseable
+ */
+function parseFeedDate(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const date = new Date(value.trim());
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Resolves a possibly relative link against the feed URL
+ * @param {string} link - Item link
+ * @param {string} baseUrl - Feed URL
+ * @returns {string|null} - Absolute URL or null
+ */
+function resolveLink(link, baseUrl) {
+    if (!link) return null;
+
+    try {
+        return new URL(link.trim(), baseUrl).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Trims a summary to a sensible length on a word boundary
+ * @param {string} text - Plain text summary
+ * @returns {string} - Truncated summary
+ */
+function truncateSummary(text) {
+    if (text.length <= MAX_SUMMARY_LENGTH) return text;
+
+    const cut = text.substring(0, MAX_SUMMARY_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > 0 ? cut.substring(0, lastSpace) : cut) + '...';
+}
+
+/**
+ * Detects the feed flavour of a parsed document
+ * @param {Function} $ - Cheerio instance loaded in XML mode
+ * @returns {string|null} - 'rss', 'atom', 'sitemap' or null
+ */
+function detectFeedType($) {
+    if ($('feed').length) return 'atom';
+    if ($('rss').length || $('rdf\\:RDF').length || $('channel').length) return 'rss';
+    if ($('urlset').length) return 'sitemap';
+    return null;
+}
+
+function parseRssItems($, baseUrl) {
+    const items = [];
+
+    $('item').each((i, element) => {
+        const $item = $(element);
+        const content = $item.find('content\\:encoded').first().text();
+        const description = $item.children('description').first().text();
+        const categories = $item.children('category')
+            .map((j, cat) => $(cat).text().trim())
+            .get()
+            .filter(Boolean);
+        const subjects = $item.find('dc\\:subject')
+            .map((j, cat) => $(cat).text().trim())
+            .get()
+            .filter(Boolean);
+
+        // RSS 1.0 carries the link in rdf:about as well as <link>
+        const link = $item.children('link').first().text() || $item.attr('rdf:about') || $item.children('guid').first().text();
+
+        items.push({
+            title: htmlToText($item.children('title').first().text()),
+            link: resolveLink(link, baseUrl),
+            summary: truncateSummary(htmlToText(description || content)),
+            content: content || null,
+            publishedAt: parseFeedDate($item.children('pubDate').first().text() || $item.find('dc\\:date').first().text()),
+            author: htmlToText($item.find('dc\\:creator').first().text() || $item.children('author').first().text()) || null,
+            categories: [...new Set([...categories, ...subjects])]
+        });
+    });
+
+    return items;
+}
+
+function parseAtomEntries($, baseUrl) {
+    const items = [];
+
+    $('entry').each((i, element) => {
+        const $entry = $(element);
+
+        // Prefer the alternate link; Atom allows several link elements per entry
+        const $links = $entry.children('link');
+        let $link = $links.filter((j, l) => !$(l).attr('rel') || $(l).attr('rel') === 'alternate').first();
+        if (!$link.length) $link = $links.first();
+
+        const summary = $entry.children('summary').first().text();
+        const content = $entry.children('content').first().text();
+        const categories = $entry.children('category')
+            .map((j, cat) => $(cat).attr('label') || $(cat).attr('term'))
+            .get()
+            .filter(Boolean);
+
+        items.push({
+            title: htmlToText($entry.children('title').first().text()),
+            link: resolveLink($link.attr('href'), baseUrl),
+            summary: truncateSummary(htmlToText(summary || content)),
+            content: content || null,
+            publishedAt: parseFeedDate($entry.children('published').first().text() || $entry.children('updated').first().text()),
+            author: htmlToText($entry.find('author > name').first().text()) || null,
+            categories: [...new Set(categories.map(c => c.trim()))]
+        });
+    });
+
+    return items;
+}
+
+// News sitemaps carry a <news:news> block per article; plain sitemap entries have no title and are dropped
+function parseNewsSitemapEntries($, baseUrl) {
+    const items = [];
+
+    $('url').each((i, element) => {
+        const $url = $(element);
+        const $news = $url.find('news\\:news').first();
+        if (!$news.length) return;
+
+        items.push({
+            title: htmlToText($news.find('news\\:title').first().text()),
+            link: resolveLink($url.children('loc').first().text().trim(), baseUrl),
+            summary: '',
+            content: null,
+            publishedAt: parseFeedDate($news.find('news\\:publication_date').first().text()),
+            author: null,
+            categories: $news.find('news\\:keywords').first().text().split(',').map(k => k.trim()).filter(Boolean)
+        });
+    });
+
+    // Sitemaps aren't ordered; newest first so item limits keep the latest articles
+    return items.sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+}
+
+/**
+ * Parses an RSS, Atom or news sitemap document into normalized feed items
+ * @param {string} xml - Raw feed document
+ * @param {string} baseUrl - Feed URL, used to resolve relative links
+ * @returns {Array<Object>} - Items with title, link, summary, content, publishedAt, author, categories
+ */
+function parseFeed(xml, baseUrl) {
+    if (!xml || typeof xml !== 'string') return [];
+
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const type = detectFeedType($);
+
+    if (type === 'atom') return parseAtomEntries($, baseUrl).filter(item => item.title && item.link);
+    if (type === 'rss') return parseRssItems($, baseUrl).filter(item => item.title && item.link);
+    if (type === 'sitemap') return parseNewsSitemapEntries($, baseUrl).filter(item => item.title && item.link);
+
+    return [];
+}
+
+module.exports = {
+    parseFeed,
+    parseFeedDate,
+    detectFeedType
+};
@@ -0,0 +1,169 @@
+/**
+ * Feed Writer
+ * Renders aggregated articles as RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents
+ */
+
+const { escapeHtml, toPlainText } = require('./sanitizer');
+
+const GENERATOR = 'News Aggregator';
+
+/**
+ * Escapes text for XML element content and attribute values
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+    if (text === null || text === undefined) return '';
+
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters aren't allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Converts a stored article into a format-neutral feed item. The HTML content
+ * leads with the AI overview and key points when one has been generated.
+ * @param {Object} article - Article from the store (or a published collection)
+ * @returns {Object} - Feed item
+ */
+function articleToFeedItem(article) {
+    const summary = toPlainText(article.summary);
+    const ai = article.aiSummary && typeof article.aiSummary === 'object' ? article.aiSummary : null;
+    const parts = [];
+
+    if (ai && ai.overview) {
+        parts.push(`<p><strong>AI overview:</strong> ${escapeHtml(toPlainText(ai.overview))}</p>`);
+        if (Array.isArray(ai.keyPoints) && ai.keyPoints.length > 0) {
+            parts.push(`<ul>${ai.keyPoints.map(point => `<li>${escapeHtml(toPlainText(point))}</li>`).join('')}</ul>`);
+        }
+    }
+    if (summary) {
+        parts.push(`<p>${escapeHtml(summary)}</p>`);
+    }
+
+    const date = [article.publishedAt, article.scraped, article.firstSeen, article.savedAt]
+        .map(value => value && new Date(value))
+        .find(value => value && !isNaN(value.getTime())) || new Date();
+
+    return {
+        id: article.id || article.link,
+        title: toPlainText(article.title),
+        link: article.link,
+        summary,
+        contentHtml: parts.join('\n'),
+        date: date.toISOString(),
+        author: toPlainText(article.author) || toPlainText(article.source),
+        source: toPlainText(article.source),
+        tags: [toPlainText(article.category), article.priority].filter(Boolean),
+        priority: article.priority || null,
+        priorityScore: article.priorityScore || 0
+    };
+}
+
+function latestDate(items) {
+    return items.length > 0
+        ? new Date(Math.max(...items.map(item => new Date(item.date).getTime()))).toISOString()
+        : new Date().toISOString();
+}
+
+/**
+ * @param {Object} feed - title, description, siteUrl, feedUrl and items (from articleToFeedItem)
+ * @returns {string} - RSS 2.0 document
+ */
+function buildRss(feed) {
+    const items = feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.date).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>
+    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(latestDate(feed.items)).toUTCString()}</lastBuildDate>
+    <generator>${GENERATOR}</generator>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * @param {Object} feed - title, description, siteUrl, feedUrl and items (from articleToFeedItem)
+ * @returns {string} - Atom 1.0 document
+ */
+function buildAtom(feed) {
+    const entries = feed.items.map(item => `  <entry>
+    <id>urn:news-aggregator:article:${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" href="${escapeXml(item.link)}"/>
+    <published>${item.date}</published>
+    <updated>${item.date}</updated>
+    <author><name>${escapeXml(item.author || GENERATOR)}</name></author>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}    <summary type="text">${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>
+  <updated>${latestDate(feed.items)}</updated>
+  <generator>${GENERATOR}</generator>
+${entries}
+</feed>
+`;
+}
+
+/**
+ * @param {Object} feed - title, description, siteUrl, feedUrl and items (from articleToFeedItem)
+ * @returns {Object} - JSON Feed 1.1 document
+ */
+function buildJsonFeed(feed) {
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.siteUrl,
+        feed_url: feed.feedUrl,
+        description: feed.description,
+        items: feed.items.map(item => ({
+            id: item.id,
+            url: item.link,
+            title: item.title,
+            content_html: item.contentHtml,
+            summary: item.summary,
+            date_published: item.date,
+            authors: item.author ? [{ name: item.author }] : [],
+            tags: item.tags,
+            _news_aggregator: {
+                source: item.source,
+                priority: item.priority,
+                priority_score: item.priorityScore
+            }
+        }))
+    };
+}
+
+module.exports = {
+    articleToFeedItem,
+    buildRss,
+    buildAtom,
+    buildJsonFeed,
+    escapeXml
+};
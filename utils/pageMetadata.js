@@ -0,0 +1,125 @@
+/**
+ * Page Metadata
+ * Reads article metadata that pages publish for search engines and social sharing:
+ * JSON-LD (schema.org Article types and ItemLists) and OpenGraph/meta tags
+ */
+
+const cheerio = require('cheerio');
+
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ReportageNews', 'AnalysisNewsArticle', 'WebPage'];
+
+function hasType(node, types) {
+    const type = node && node['@type'];
+    return (Array.isArray(type) ? type : [type]).some(t => types.includes(t));
+}
+
+// Flattens top-level arrays and @graph containers from every JSON-LD block
+function readJsonLd($) {
+    const nodes = [];
+    $('script[type="application/ld+json"]').each((i, element) => {
+        let data;
+        try {
+            data = JSON.parse($(element).contents().text());
+        } catch (error) {
+            return; // Malformed blocks are common; skip them
+        }
+
+        (Array.isArray(data) ? data : [data]).forEach(node => {
+            if (!node || typeof node !== 'object') return;
+            nodes.push(node);
+            if (Array.isArray(node['@graph'])) nodes.push(...node['@graph']);
+        });
+    });
+    return nodes;
+}
+
+function text(value) {
+    if (typeof value === 'string') return value.trim();
+    if (Array.isArray(value)) return text(value[0]);
+    if (value && typeof value === 'object') return text(value.name || value['@id'] || value.url);
+    return '';
+}
+
+function resolveUrl(url, baseUrl) {
+    if (!url) return null;
+    try {
+        return new URL(url, baseUrl).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+function metaContent($, names) {
+    for (const name of names) {
+        const value = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).first().attr('content');
+        if (value && value.trim()) return value.trim();
+    }
+    return '';
+}
+
+function toArticle(node, baseUrl) {
+    return {
+        title: text(node.headline || node.name),
+        link: resolveUrl(text(node.url || node.mainEntityOfPage), baseUrl),
+        summary: text(node.description || node.abstract),
+        publishedAt: text(node.datePublished || node.dateCreated || node.dateModified) || null,
+        author: text(node.author) || null
+    };
+}
+
+/**
+ * Metadata for the article a page is about; JSON-LD first, then OpenGraph and meta tags
+ * @param {string|Function} html - Page HTML, or an already loaded cheerio document
+ * @param {string} baseUrl - Page URL, for relative links
+ * @returns {Object} - { title, link, summary, publishedAt, author }; fields are empty when unknown
+ */
+function extractPageMetadata(html, baseUrl) {
+    const $ = typeof html === 'function' ? html : cheerio.load(html || '');
+    const node = readJsonLd($).find(n => hasType(n, ARTICLE_TYPES) && (n.headline || n.datePublished)) || {};
+    const fromJsonLd = toArticle(node, baseUrl);
+
+    return {
+        title: fromJsonLd.title || metaContent($, ['og:title', 'twitter:title']),
+        link: fromJsonLd.link || resolveUrl(metaContent($, ['og:url']) || $('link[rel="canonical"]').attr('href'), baseUrl),
+        summary: fromJsonLd.summary || metaContent($, ['og:description', 'description', 'twitter:description']),
+        publishedAt: fromJsonLd.publishedAt
+            || metaContent($, ['article:published_time', 'datePublished', 'date', 'dc.date', 'pubdate'])
+            || $('time[datetime]').first().attr('datetime')
+            || null,
+        author: fromJsonLd.author || metaContent($, ['author', 'article:author']) || null
+    };
+}
+
+/**
+ * Articles a listing page describes in JSON-LD, as ItemList entries or a list of Article nodes
+ * @param {string|Function} html - Page HTML, or an already loaded cheerio document
+ * @param {string} baseUrl - Page URL, for relative links
+ * @returns {Array<Object>} - Articles with title and link, plus summary, publishedAt and author when given
+ */
+function extractJsonLdArticles(html, baseUrl) {
+    const $ = typeof html === 'function' ? html : cheerio.load(html || '');
+    const articles = [];
+
+    readJsonLd($).forEach(node => {
+        if (hasType(node, ['ItemList']) && Array.isArray(node.itemListElement)) {
+            node.itemListElement.forEach(entry => {
+                const item = entry && typeof entry.item === 'object' ? entry.item : entry;
+                if (item && typeof item === 'object') articles.push(toArticle(item, baseUrl));
+            });
+        } else if (hasType(node, ARTICLE_TYPES.filter(type => type !== 'WebPage'))) {
+            articles.push(toArticle(node, baseUrl));
+        }
+    });
+
+    const seen = new Set();
+    return articles.filter(article => {
+        if (!article.title || !article.link || seen.has(article.link)) return false;
+        seen.add(article.link);
+        return true;
+    });
+}
+
+module.exports = {
+    extractPageMetadata,
+    extractJsonLdArticles
+};
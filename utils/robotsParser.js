@@ -0,0 +1,146 @@
+/**
+ * robots.txt Parser
+ * Parses robots.txt (RFC 9309) and answers whether a crawler may fetch a URL. Groups are
+ * matched by the crawler's product token, falling back to "*"; within a group the longest
+ * matching Allow/Disallow rule wins, and Allow wins ties. Crawl-delay and Sitemap lines,
+ * which the RFC leaves out but most sites use, are read as well.
+ */
+
+const MAX_ROBOTS_SIZE = 500 * 1024; // The RFC only requires parsing the first 500 KiB
+
+/**
+ * Parse robots.txt content
+ * @param {string} text - robots.txt body
+ * @returns {Object} - { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+ */
+function parseRobots(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    String(text || '').substring(0, MAX_ROBOTS_SIZE).split(/\r\n|\r|\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+
+        const key = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1).trim();
+
+        if (key === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+        lastWasAgent = false;
+
+        if (key === 'sitemap') {
+            if (value) sitemaps.push(value);
+        } else if (!current) {
+            return; // Rules before the first User-agent line belong to no group
+        } else if (key === 'allow' || key === 'disallow') {
+            // An empty Disallow allows everything, which is the same as no rule
+            if (value) current.rules.push({ allow: key === 'allow', path: value });
+        } else if (key === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (delay >= 0) current.crawlDelay = delay;
+        }
+    });
+
+    return { groups, sitemaps };
+}
+
+/**
+ * The rules and crawl delay that apply to a crawler
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} productToken - The crawler's name, e.g. "NewsAggregator"
+ * @returns {Object} - { rules, crawlDelay }
+ */
+function getRulesFor(robots, productToken) {
+    const token = String(productToken || '').toLowerCase();
+    let groups = robots.groups.filter(group => group.agents.some(agent => agent !== '*' && agent === token));
+    if (groups.length === 0) {
+        groups = robots.groups.filter(group => group.agents.includes('*'));
+    }
+
+    const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+    return {
+        rules: groups.flatMap(group => group.rules),
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+}
+
+// Whether a rule path matches: "*" matches any characters and a trailing "$" anchors the end.
+// robots.txt comes from the remote site, so this avoids regexes: each literal piece is found with
+// indexOf after the previous one, which takes linear time whatever the rule looks like.
+function matchesRule(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const pieces = (anchored ? pattern.slice(0, -1) : pattern).replace(/\*+/g, '*').split('*');
+
+    if (pieces.length === 1) {
+        return anchored ? path === pieces[0] : path.startsWith(pieces[0]);
+    }
+    if (!path.startsWith(pieces[0])) return false;
+
+    let position = pieces[0].length;
+    const last = pieces.length - 1;
+    for (let i = 1; i < last; i++) {
+        const index = path.indexOf(pieces[i], position);
+        if (index === -1) return false;
+        position = index + pieces[i].length;
+    }
+
+    // The final piece either ends the path or just has to appear somewhere after the others
+    return anchored
+        ? path.length - pieces[last].length >= position && path.endsWith(pieces[last])
+        : path.indexOf(pieces[last], position) !== -1;
+}
+
+// Percent-encode characters that robots.txt authors usually write literally, so both sides compare alike
+function normalizePath(path) {
+    try {
+        return encodeURI(decodeURI(path));
+    } catch (error) {
+        return path;
+    }
+}
+
+/**
+ * Whether a crawler may fetch a URL
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} productToken - The crawler's name
+ * @param {string} url - Absolute URL to check
+ * @returns {boolean}
+ */
+function isAllowed(robots, productToken, url) {
+    let path;
+    try {
+        const parsed = new URL(url);
+        path = parsed.pathname + parsed.search;
+    } catch (error) {
+        return false;
+    }
+    if (path === '/robots.txt') return true;
+
+    const target = normalizePath(path);
+    let best = null;
+    for (const rule of getRulesFor(robots, productToken).rules) {
+        if (!matchesRule(normalizePath(rule.path), target)) continue;
+        const longer = !best || rule.path.length > best.path.length;
+        const tieAllows = best && rule.path.length === best.path.length && rule.allow;
+        if (longer || tieAllows) best = rule;
+    }
+
+    return !best || best.allow;
+}
+
+module.exports = {
+    parseRobots,
+    getRulesFor,
+    isAllowed
+};
@@ -0,0 +1,378 @@
+/**
+ * Source Discovery
+ * Works out how a site can be scraped from one of its pages: feeds it advertises with
+ * <link rel="alternate">, Google News sitemaps (from robots.txt or <link rel="sitemap">),
+ * JSON-LD article lists, and repeating blocks of markup that look like article teasers,
+ * which are turned into extraction rules. Every suggestion is checked by running the real
+ * parser or extractor over the page, so its preview shows what the source would produce.
+ */
+
+const cheerio = require('cheerio');
+const { parseFeed, detectFeedType } = require('./feedParser');
+const { extractWithRules } = require('./extractionRules');
+const { extractJsonLdArticles } = require('./pageMetadata');
+
+const FEED_MIME_TYPES = {
+    'application/rss+xml': 'rss',
+    'application/rdf+xml': 'rss',
+    'application/atom+xml': 'atom'
+};
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+const PAGE_CHROME = 'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"]';
+const CLASS_NAME_REGEX = /^[a-zA-Z][\w-]{0,40}$/;
+const DATE_CLASS_REGEX = /date|time|publish/i;
+const MIN_ITEMS = 3; // Fewer repeats than this is a sidebar, not an article list
+const MAX_CANDIDATE_ITEMS = 50;
+const MIN_TITLE_LENGTH = 20;
+const MAX_TITLE_LENGTH = 300;
+const MIN_SUMMARY_LENGTH = 40;
+const MAX_ANCESTOR_DEPTH = 5;
+const MAX_FEEDS = 3;
+const MAX_SITEMAP_FETCHES = 3;
+const PREVIEW_SIZE = 3;
+
+// Confidence of suggestions that don't depend on guessing markup; feeds are the most dependable
+const FEED_CONFIDENCE = 0.95;
+const SITEMAP_CONFIDENCE = 0.9;
+const JSON_LD_CONFIDENCE = 0.8;
+const SELECTOR_CONFIDENCE = 0.85; // Upper bound for the best possible selector set
+const FULL_LIST_SIZE = 5; // Lists this long or longer aren't scored down for size
+
+function load(html) {
+    return typeof html === 'function' ? html : cheerio.load(html || '');
+}
+
+function clean(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(url, baseUrl) {
+    if (!url) return null;
+    try {
+        const resolved = new URL(url, baseUrl);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function toPreview(items) {
+    return items.slice(0, PREVIEW_SIZE).map(item => ({
+        title: item.title,
+        link: item.link,
+        publishedAt: item.publishedAt || null
+    }));
+}
+
+/**
+ * Feeds a page advertises with <link rel="alternate">
+ * @param {string|Function} html - Page HTML, or an already loaded cheerio document
+ * @param {string} baseUrl - Page URL, for relative links
+ * @returns {Array<Object>} - { url, type ('rss' | 'atom'), title }
+ */
+function findFeedLinks(html, baseUrl) {
+    const $ = load(html);
+    const feeds = [];
+
+    $('link[rel~="alternate"][href]').each((i, element) => {
+        const mimeType = String($(element).attr('type') || '').split(';')[0].trim().toLowerCase();
+        const url = resolveUrl($(element).attr('href'), baseUrl);
+        if (!FEED_MIME_TYPES[mimeType] || !url || feeds.some(feed => feed.url === url)) return;
+        feeds.push({ url, type: FEED_MIME_TYPES[mimeType], title: clean($(element).attr('title')) });
+    });
+
+    return feeds;
+}
+
+/**
+ * Sitemaps a page links to with <link rel="sitemap">
+ */
+function findSitemapLinks(html, baseUrl) {
+    const $ = load(html);
+    return [...new Set($('link[rel="sitemap"][href]').map((i, element) => resolveUrl($(element).attr('href'), baseUrl)).get().filter(Boolean))];
+}
+
+/**
+ * What kind of feed document a response is, with its items
+ * @param {string} xml - Response body
+ * @param {string} baseUrl - Document URL
+ * @returns {Object} - { type ('rss' | 'atom' | 'sitemap' | 'sitemapindex' | null), items, sitemaps (index entries) }
+ */
+function inspectFeed(xml, baseUrl) {
+    const body = String(xml || '');
+    const $ = cheerio.load(body, { xmlMode: true });
+
+    if ($('sitemapindex').length) {
+        const sitemaps = $('sitemap > loc').map((i, element) => resolveUrl($(element).text().trim(), baseUrl)).get().filter(Boolean);
+        return { type: 'sitemapindex', items: [], sitemaps };
+    }
+
+    const type = detectFeedType($);
+    return { type, items: type ? parseFeed(body, baseUrl) : [], sitemaps: [] };
+}
+
+// "tag.class" for an element, using its first class that looks hand-written rather than generated
+function describeElement($element) {
+    const tag = $element[0].tagName.toLowerCase();
+    const className = String($element.attr('class') || '').split(/\s+/).find(name => CLASS_NAME_REGEX.test(name) && !/\d{3,}/.test(name));
+    return className ? `${tag}.${className}` : tag;
+}
+
+// Links whose text reads like a headline, outside navigation, headers and footers
+function findHeadlineAnchors($, baseUrl) {
+    const pageUrl = baseUrl.split('#')[0];
+    return $('a[href]').filter((i, anchor) => {
+        const $anchor = $(anchor);
+        const title = clean($anchor.text());
+        if (title.length < MIN_TITLE_LENGTH || title.length > MAX_TITLE_LENGTH) return false;
+        if ($anchor.closest(PAGE_CHROME).length) return false;
+        const link = resolveUrl($anchor.attr('href'), baseUrl);
+        return Boolean(link) && link.split('#')[0] !== pageUrl;
+    }).toArray();
+}
+
+function vote(votes, key) {
+    if (key) votes.set(key, (votes.get(key) || 0) + 1);
+}
+
+// Most common key, when at least minShare of the containers agree on it
+function winner(votes, total, minShare = 0) {
+    let best = null;
+    votes.forEach((count, key) => {
+        if (!best || count > best.count) best = { key, count };
+    });
+    return best && best.count >= total * minShare ? best.key : null;
+}
+
+// Field selectors that hold for most of the elements a container selector matches
+function buildRules($, container) {
+    const titles = new Map();
+    const dates = new Map();
+    const summaries = new Map();
+    let total = 0;
+
+    $(container).each((i, element) => {
+        const $element = $(element);
+        const $anchor = $element.find('a[href]').filter((j, anchor) => clean($(anchor).text()).length >= MIN_TITLE_LENGTH).first();
+        if (!$anchor.length) return;
+        total++;
+
+        // The heading around (or inside) the headline link makes the steadiest title selector
+        let $heading = $anchor.find(HEADINGS).first();
+        if (!$heading.length) {
+            $heading = $element.find(HEADINGS).filter((j, heading) => $.contains(heading, $anchor[0])).first();
+        }
+        vote(titles, describeElement($heading.length ? $heading : $anchor));
+
+        const $time = $element.find('time').first();
+        if ($time.length) {
+            vote(dates, 'time');
+        } else {
+            const $dated = $element.find('[class]').filter((j, node) => DATE_CLASS_REGEX.test($(node).attr('class'))).first();
+            if ($dated.length) vote(dates, describeElement($dated));
+        }
+
+        const $summary = $element.find('p').filter((j, paragraph) => {
+            const $paragraph = $(paragraph);
+            return clean($paragraph.text()).length >= MIN_SUMMARY_LENGTH && !$paragraph.find($anchor).length;
+        }).first();
+        if ($summary.length) vote(summaries, describeElement($summary));
+    });
+
+    const title = winner(titles, total);
+    if (!title) return null;
+
+    const rules = { container, title };
+    const date = winner(dates, total, 0.5);
+    const summary = winner(summaries, total, 0.5);
+    if (date) rules.date = date;
+    if (summary) rules.summary = summary;
+    return rules;
+}
+
+/**
+ * Candidate extraction rules for the repeating article blocks on a listing page
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL
+ * @param {number} limit - How many candidates to return
+ * @returns {Array<Object>} - { selectors, confidence, articleCount, preview }, best first
+ */
+function suggestSelectors(html, baseUrl, limit = 3) {
+    const $ = cheerio.load(html || '');
+    $('script, style, noscript, template').remove();
+
+    // Every ancestor of a headline link is a possible container; count how many links each one would hold
+    const containers = new Map();
+    findHeadlineAnchors($, baseUrl).forEach(anchor => {
+        let $ancestor = $(anchor).parent();
+        for (let depth = 0; depth < MAX_ANCESTOR_DEPTH && $ancestor.length && !$ancestor.is('body, html'); depth++) {
+            vote(containers, describeElement($ancestor));
+            $ancestor = $ancestor.parent();
+        }
+    });
+
+    const cleanedHtml = $.html();
+    const candidates = [];
+    containers.forEach((count, container) => {
+        if (count < MIN_ITEMS) return;
+        const rules = buildRules($, container);
+        if (!rules) return;
+
+        const items = extractWithRules(cleanedHtml, { ...rules, maxItems: MAX_CANDIDATE_ITEMS, metadata: false }, baseUrl);
+        const links = new Set(items.map(item => item.link));
+        if (links.size < MIN_ITEMS) return;
+
+        // Containers that mostly hold articles, each with its own link, and with dates and summaries score highest
+        const coverage = items.length / $(container).length;
+        const uniqueness = links.size / items.length;
+        const fields = 0.6 + (rules.date ? 0.2 : 0) + (rules.summary ? 0.15 : 0) + (container.startsWith('article') ? 0.05 : 0);
+        const specificity = container.includes('.') || container.startsWith('article') ? 1 : 0.8;
+        const confidence = SELECTOR_CONFIDENCE * Math.min(links.size / FULL_LIST_SIZE, 1) * coverage * uniqueness * fields * specificity;
+
+        candidates.push({ selectors: rules, confidence: round(confidence), articleCount: links.size, preview: toPreview(items), key: [...links].slice(0, 10).join(' ') });
+    });
+
+    // Nested containers often find the same articles; keep the best rules for each set
+    const seen = new Set();
+    return candidates
+        .sort((a, b) => b.confidence - a.confidence || b.articleCount - a.articleCount)
+        .filter(candidate => {
+            if (seen.has(candidate.key)) return false;
+            seen.add(candidate.key);
+            return true;
+        })
+        .slice(0, limit)
+        .map(({ key, ...candidate }) => candidate);
+}
+
+// Sitemap file names like "news-sitemap.xml" or "/sitemaps/news/"
+function isNewsSitemapUrl(url) {
+    return /news/i.test(new URL(url).pathname);
+}
+
+// News sitemaps from a list of sitemap URLs, following sitemap indexes to their news entries
+async function findNewsSitemaps(sitemapUrls, fetchDocument) {
+    const queue = [...sitemapUrls].sort((a, b) => isNewsSitemapUrl(b) - isNewsSitemapUrl(a));
+    const found = [];
+    let fetches = 0;
+
+    while (queue.length > 0 && fetches < MAX_SITEMAP_FETCHES) {
+        const url = queue.shift();
+        fetches++;
+        const body = await fetchDocument(url);
+        if (!body) continue;
+
+        const document = inspectFeed(body, url);
+        if (document.type === 'sitemapindex') {
+            queue.unshift(...document.sitemaps.filter(isNewsSitemapUrl));
+        } else if (document.type === 'sitemap' && document.items.length > 0) {
+            found.push({ url, items: document.items });
+        }
+    }
+    return found;
+}
+
+/**
+ * Ranked ways to scrape the site a page belongs to
+ * @param {string} html - The page's HTML (or feed XML, when the URL is a feed)
+ * @param {string} url - Page URL
+ * @param {Object} options - fetchDocument (async url => body or null), sitemaps (URLs listed in robots.txt)
+ * @returns {Promise<Object>} - { feeds, sitemaps (URLs found), suggestions }; each suggestion has kind, label, confidence,
+ *                              articleCount, preview and apply (the source settings to use)
+ */
+async function discoverFromPage(html, url, options = {}) {
+    const fetchDocument = options.fetchDocument || (async () => null);
+    const body = String(html || '');
+    const suggestions = [];
+
+    // The URL may already be a feed or news sitemap
+    const self = inspectFeed(body, url);
+    if (['rss', 'atom', 'sitemap'].includes(self.type) && self.items.length > 0) {
+        suggestions.push({
+            kind: self.type === 'sitemap' ? 'sitemap' : 'feed',
+            label: self.type === 'sitemap' ? 'This URL is a news sitemap' : `This URL is an ${self.type === 'rss' ? 'RSS' : 'Atom'} feed`,
+            confidence: FEED_CONFIDENCE,
+            articleCount: self.items.length,
+            preview: toPreview(self.items),
+            apply: { url, type: self.type, selectors: null }
+        });
+        return { feeds: [], sitemaps: [], suggestions };
+    }
+
+    const $ = cheerio.load(body);
+    const feeds = findFeedLinks($, url);
+    for (const feed of feeds.slice(0, MAX_FEEDS)) {
+        const xml = await fetchDocument(feed.url);
+        const document = xml ? inspectFeed(xml, feed.url) : { type: null, items: [] };
+        feed.itemCount = document.items.length;
+        if (!['rss', 'atom'].includes(document.type) || document.items.length === 0) continue;
+
+        suggestions.push({
+            kind: 'feed',
+            label: feed.title ? `Feed: ${feed.title}` : `${document.type === 'rss' ? 'RSS' : 'Atom'} feed`,
+            confidence: document.items.length >= MIN_ITEMS ? FEED_CONFIDENCE : round(FEED_CONFIDENCE - 0.15),
+            articleCount: document.items.length,
+            preview: toPreview(document.items),
+            apply: { url: feed.url, type: document.type, selectors: null }
+        });
+    }
+
+    const robotsSitemaps = (options.sitemaps || []).map(sitemap => resolveUrl(sitemap, url)).filter(Boolean);
+    const sitemapUrls = [...new Set([...findSitemapLinks($, url), ...robotsSitemaps])];
+    const newsSitemaps = await findNewsSitemaps(sitemapUrls, fetchDocument);
+    newsSitemaps.forEach(sitemap => {
+        suggestions.push({
+            kind: 'sitemap',
+            label: 'News sitemap',
+            confidence: SITEMAP_CONFIDENCE,
+            articleCount: sitemap.items.length,
+            preview: toPreview(sitemap.items),
+            apply: { url: sitemap.url, type: 'sitemap', selectors: null }
+        });
+    });
+
+    // JSON-LD is only read when no markup matches, so suggest it when the default rules fall back to it
+    const jsonLdArticles = extractJsonLdArticles($, url);
+    if (jsonLdArticles.length >= MIN_ITEMS) {
+        const items = extractWithRules(body, null, url);
+        if (items.length > 0 && items[0].link === jsonLdArticles[0].link) {
+            suggestions.push({
+                kind: 'jsonld',
+                label: 'JSON-LD article list',
+                confidence: JSON_LD_CONFIDENCE,
+                articleCount: jsonLdArticles.length,
+                preview: toPreview(jsonLdArticles),
+                apply: { url, type: 'html', selectors: null }
+            });
+        }
+    }
+
+    suggestSelectors(body, url).forEach(candidate => {
+        suggestions.push({
+            kind: 'selectors',
+            label: `Repeating "${candidate.selectors.container}" blocks`,
+            confidence: candidate.confidence,
+            articleCount: candidate.articleCount,
+            preview: candidate.preview,
+            apply: { url, type: 'html', selectors: candidate.selectors }
+        });
+    });
+
+    return {
+        feeds,
+        sitemaps: sitemapUrls,
+        suggestions: suggestions.sort((a, b) => b.confidence - a.confidence)
+    };
+}
+
+module.exports = {
+    findFeedLinks,
+    findSitemapLinks,
+    inspectFeed,
+    suggestSelectors,
+    discoverFromPage
+};
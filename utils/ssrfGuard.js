@@ -0,0 +1,268 @@
+/**
+ * SSRF Guard
+ * Keeps the scraper from being pointed at the server's own network. Hosts are resolved
+ * and every address is checked against loopback, private, link-local and other
+ * non-public ranges, both before a request and again when the connection is made (so a
+ * DNS answer can't change in between). IPv6 addresses that embed an IPv4 address
+ * (NAT64, 6to4, IPv4-mapped and -compatible) are judged by that IPv4 address.
+ * Redirects are followed one hop at a time and each hop is checked, and response
+ * bodies are capped in size.
+ *
+ * SSRF_ALLOWLIST lets trusted internal sources through: comma-separated hostnames
+ * ("intranet.example.com", "*.corp.example.com"), IP addresses or CIDR ranges.
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Ranges that don't belong to the public internet (RFC 6890 special-purpose registries)
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'], // "This network"
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'], // Link-local, including cloud metadata endpoints
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'], // Multicast
+    ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'], // Unique local
+    ['fe80::', 10, 'ipv6'], // Link-local
+    ['ff00::', 8, 'ipv6'], // Multicast
+    ['2001:db8::', 32, 'ipv6'], // Documentation
+    ['64:ff9b:1::', 48, 'ipv6'] // Local-use NAT64
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+function guardError(message) {
+    const error = new Error(message);
+    error.code = 'SSRF_BLOCKED';
+    return error;
+}
+
+/**
+ * Parse an allow-list setting into hostnames and address ranges
+ * @param {string} value - Comma-separated hostnames, "*.domain" wildcards, IPs and CIDRs
+ * @returns {Object} - { hosts, addresses (net.BlockList) }
+ */
+function parseAllowlist(value) {
+    const hosts = [];
+    const addresses = new net.BlockList();
+
+    String(value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean).forEach(entry => {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIP(address);
+        if (type) {
+            const bits = prefix === undefined ? (type === 4 ? 32 : 128) : parseInt(prefix, 10);
+            addresses.addSubnet(address, bits, type === 4 ? 'ipv4' : 'ipv6');
+        } else {
+            hosts.push(entry);
+        }
+    });
+
+    return { hosts, addresses };
+}
+
+const defaultAllowlist = parseAllowlist(process.env.SSRF_ALLOWLIST);
+
+function isHostAllowlisted(hostname, allowlist) {
+    const host = hostname.toLowerCase();
+    return allowlist.hosts.some(entry => entry.startsWith('*.')
+        ? host.endsWith(entry.substring(1))
+        : host === entry);
+}
+
+/**
+ * Whether an IP address is outside the public internet and not allow-listed
+ * @param {string} address - IPv4 or IPv6 address
+ * @param {Object} allowlist - Parsed allow-list
+ * @returns {boolean}
+ */
+function isBlockedAddress(address, allowlist = defaultAllowlist) {
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (allowlist.addresses.check(address, type)) return false;
+
+    // IPv6 addresses that carry an IPv4 address are judged by that address
+    const embedded = type === 'ipv6' ? getEmbeddedIPv4(address) : null;
+    if (embedded) return isBlockedAddress(embedded, allowlist);
+
+    return blockedAddresses.check(address, type);
+}
+
+// The eight 16-bit groups of an IPv6 address, expanding "::" and a trailing dotted IPv4 part
+function getIPv6Groups(address) {
+    let value = address.split('%')[0].toLowerCase();
+    const dotted = value.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const octets = dotted[2].split('.').map(Number);
+        value = `${dotted[1]}${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+    }
+
+    const [head, tail] = value.split('::');
+    const toGroups = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+    const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill(0);
+    return headGroups.concat(zeros, tailGroups);
+}
+
+/**
+ * The IPv4 address inside an IPv4-compatible (::/96), IPv4-mapped (::ffff:0:0/96),
+ * NAT64 (64:ff9b::/96) or 6to4 (2002::/16) address, since those reach that IPv4 host
+ * @param {string} address - IPv6 address
+ * @returns {string|null} - Dotted IPv4 address, or null if none is embedded
+ */
+function getEmbeddedIPv4(address) {
+    const groups = getIPv6Groups(address);
+    const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+    const zeroUpTo = count => groups.slice(0, count).every(group => group === 0);
+
+    if (zeroUpTo(6) && (groups[6] !== 0 || groups[7] > 1)) return toIPv4(groups[6], groups[7]); // Leaves :: and ::1 to their own entries
+    if (zeroUpTo(5) && groups[5] === 0xffff) return toIPv4(groups[6], groups[7]);
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) return toIPv4(groups[6], groups[7]);
+    if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+    return null;
+}
+
+// URL hostnames keep IPv6 literals in brackets
+function getHostname(url) {
+    return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Resolve a host and check every address it resolves to
+ * @param {string} hostname - Host name or IP literal
+ * @param {Object} allowlist - Parsed allow-list
+ * @returns {Promise<Array>} - The resolved { address, family } entries
+ */
+async function resolvePublicAddresses(hostname, allowlist = defaultAllowlist) {
+    if (isHostAllowlisted(hostname, allowlist)) {
+        return dns.promises.lookup(hostname, { all: true });
+    }
+
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.promises.lookup(hostname, { all: true });
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address, allowlist));
+    if (blocked) {
+        throw guardError(blocked.address === hostname
+            ? `${hostname} is not a public address`
+            : `${hostname} resolves to ${blocked.address}, which is not a public address`);
+    }
+    return addresses;
+}
+
+/**
+ * Check a URL before fetching it
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} allowlist - Parsed allow-list
+ * @returns {Promise<void>} - Rejects with code SSRF_BLOCKED for private destinations; DNS errors are passed on
+ */
+async function assertPublicUrl(url, allowlist = defaultAllowlist) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw guardError(`Invalid URL: ${String(url).substring(0, 100)}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw guardError(`Only http and https URLs can be fetched, not ${parsed.protocol}`);
+    }
+
+    await resolvePublicAddresses(getHostname(parsed), allowlist);
+}
+
+/**
+ * DNS lookup for the connection itself (axios/http `lookup` option), so the address
+ * connected to is the one that was checked
+ * @param {Object} allowlist - Parsed allow-list
+ * @returns {Function}
+ */
+function createGuardedLookup(allowlist = defaultAllowlist) {
+    return async hostname => resolvePublicAddresses(hostname, allowlist);
+}
+
+/**
+ * Make a single request through the guard without following redirects: the URL is checked,
+ * the connection only goes to a public address and the response body is capped
+ * @param {string} url - URL to request
+ * @param {Object} config - axios config (method, headers, data, responseType, ...); every status resolves,
+ *                          maxContentLength defaults to MAX_RESPONSE_BYTES
+ * @param {Object} allowlist - Parsed allow-list
+ * @returns {Promise<Object>} - The axios response
+ */
+async function guardedRequest(url, config = {}, allowlist = defaultAllowlist) {
+    await assertPublicUrl(url, allowlist);
+
+    return axios.request({
+        ...config,
+        url,
+        maxContentLength: config.maxContentLength || parseInt(process.env.MAX_RESPONSE_BYTES) || DEFAULT_MAX_RESPONSE_BYTES,
+        maxRedirects: 0,
+        lookup: createGuardedLookup(allowlist),
+        validateStatus: () => true
+    });
+}
+
+/**
+ * GET a URL through the guard: each redirect hop is checked, connections only go to
+ * public addresses and the response body is capped
+ * @param {string} url - URL to fetch
+ * @param {Object} config - axios config; maxRedirects and validateStatus are honored,
+ *                          maxContentLength defaults to MAX_RESPONSE_BYTES
+ * @param {Object} allowlist - Parsed allow-list
+ * @returns {Promise<Object>} - The axios response, with finalUrl set to the URL after redirects
+ */
+async function guardedGet(url, config = {}, allowlist = defaultAllowlist) {
+    const {
+        maxRedirects = MAX_REDIRECTS,
+        validateStatus = status => status >= 200 && status < 300,
+        ...axiosConfig
+    } = config;
+    let currentUrl = url;
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+        const response = await guardedRequest(currentUrl, { ...axiosConfig, method: 'get' }, allowlist);
+
+        if (REDIRECT_STATUSES.includes(response.status) && response.headers.location) {
+            currentUrl = new URL(response.headers.location, currentUrl).href;
+            continue;
+        }
+
+        response.finalUrl = currentUrl;
+        if (!validateStatus(response.status)) {
+            const error = new Error(`Request failed with status code ${response.status}`);
+            error.status = response.status;
+            error.response = response;
+            throw error;
+        }
+        return response;
+    }
+
+    throw new Error(`Too many redirects (more than ${maxRedirects})`);
+}
+
+module.exports = {
+    parseAllowlist,
+    isBlockedAddress,
+    assertPublicUrl,
+    createGuardedLookup,
+    guardedRequest,
+    guardedGet,
+    MAX_REDIRECTS
+};
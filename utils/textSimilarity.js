@@ -0,0 +1,134 @@
+/**
+ * Text Similarity Utilities
+ * Title normalization and fuzzy matching shared by ingest deduplication and story clustering
+ */
+
+// Normalize article title for better duplicate detection
+function normalizeTitle(title) {
+    return title
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+        .replace(/[^\w\s'-]/g, '') // Keep apostrophes and hyphens for better context
+        .substring(0, 150); // Increased limit for better comparison
+}
+
+// Enhanced similarity calculation with multiple algorithms
+function calculateTitleSimilarity(title1, title2) {
+    if (title1 === title2) return 1.0;
+    if (!title1 || !title2) return 0.0;
+
+    // Combine multiple similarity metrics for better accuracy
+    const jaroSimilarity = calculateJaroSimilarity(title1, title2);
+    const levenshteinSimilarity = calculateLevenshteinSimilarity(title1, title2);
+    const wordSimilarity = calculateWordSimilarity(title1, title2);
+
+    // Weighted average of different similarity measures
+    return (jaroSimilarity * 0.4 + levenshteinSimilarity * 0.3 + wordSimilarity * 0.3);
+}
+
+// Levenshtein-based similarity (character level)
+function calculateLevenshteinSimilarity(str1, str2) {
+    const longer = str1.length > str2.length ? str1 : str2;
+    const shorter = str1.length > str2.length ? str2 : str1;
+
+    if (longer.length === 0) return 1.0;
+
+    const editDistance = levenshteinDistance(longer, shorter);
+    return (longer.length - editDistance) / longer.length;
+}
+
+// Jaro similarity (optimized for text comparison)
+function calculateJaroSimilarity(s1, s2) {
+    if (s1 === s2) return 1.0;
+
+    const len1 = s1.length;
+    const len2 = s2.length;
+
+    if (len1 === 0 || len2 === 0) return 0.0;
+
+    const matchWindow = Math.floor(Math.max(len1, len2) / 2) - 1;
+    if (matchWindow < 0) return 0.0;
+
+    const s1Matches = new Array(len1).fill(false);
+    const s2Matches = new Array(len2).fill(false);
+
+    let matches = 0;
+    let transpositions = 0;
+
+    // Identify matches
+    for (let i = 0; i < len1; i++) {
+        const start = Math.max(0, i - matchWindow);
+        const end = Math.min(i + matchWindow + 1, len2);
+
+        for (let j = start; j < end; j++) {
+            if (s2Matches[j] || s1[i] !== s2[j]) continue;
+            s1Matches[i] = true;
+            s2Matches[j] = true;
+            matches++;
+            break;
+        }
+    }
+
+    if (matches === 0) return 0.0;
+
+    // Count transpositions
+    let k = 0;
+    for (let i = 0; i < len1; i++) {
+        if (!s1Matches[i]) continue;
+        while (!s2Matches[k]) k++;
+        if (s1[i] !== s2[k]) transpositions++;
+        k++;
+    }
+
+    return (matches / len1 + matches / len2 + (matches - transpositions / 2) / matches) / 3.0;
+}
+
+// Word-level similarity
+function calculateWordSimilarity(title1, title2) {
+    const words1 = new Set(title1.toLowerCase().split(/\s+/).filter(w => w.length > 2));
+    const words2 = new Set(title2.toLowerCase().split(/\s+/).filter(w => w.length > 2));
+
+    if (words1.size === 0 && words2.size === 0) return 1.0;
+    if (words1.size === 0 || words2.size === 0) return 0.0;
+
+    const intersection = new Set([...words1].filter(w => words2.has(w)));
+    const union = new Set([...words1, ...words2]);
+
+    return intersection.size / union.size; // Jaccard similarity
+}
+
+// Simple Levenshtein distance calculation
+function levenshteinDistance(str1, str2) {
+    const matrix = [];
+
+    for (let i = 0; i <= str2.length; i++) {
+        matrix[i] = [i];
+    }
+
+    for (let j = 0; j <= str1.length; j++) {
+        matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= str2.length; i++) {
+        for (let j = 1; j <= str1.length; j++) {
+            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                matrix[i][j] = matrix[i - 1][j - 1];
+            } else {
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j - 1] + 1, // substitution
+                    matrix[i][j - 1] + 1,     // insertion
+                    matrix[i - 1][j] + 1      // deletion
+                );
+            }
+        }
+    }
+
+    return matrix[str2.length][str1.length];
+}
+
+module.exports = {
+    normalizeTitle,
+    calculateTitleSimilarity,
+    calculateWordSimilarity
+};